@@ -3,12 +3,19 @@ const cors = require('cors');
 const morgan = require('morgan');
 const issuerRoutes = require('./routes/issuers');
 const certificateRoutes = require('./routes/certificates');
+const metadataRoutes = require('./routes/metadata');
+const proofRoutes = require('./routes/proofs');
+const explorerRoutes = require('./routes/explorer');
+const verifyRoutes = require('./routes/verify');
+const linkRoutes = require('./routes/links');
+const adminRoutes = require('./routes/admin');
 
 const app = express();
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Evidence documents for manual verification applications are uploaded as base64 JSON
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '4mb' }));
 app.use(morgan('dev'));
 
 // Health check
@@ -19,6 +26,18 @@ app.get('/health', (_, res) => {
 // API Routes
 app.use('/api/issuer', issuerRoutes);
 app.use('/api/certificate', certificateRoutes);
+app.use('/api/proof', proofRoutes);
+app.use('/api/verify', verifyRoutes);
+app.use('/api/admin', adminRoutes);
+
+// Indexed views: /api/issuers, /api/wallet/:address/certificates, /api/collections/:address/holders...
+app.use('/api', explorerRoutes);
+
+// Token metadata (outside /api so baseTokenURI stays short)
+app.use('/metadata', metadataRoutes);
+
+// Verification short links (QR codes)
+app.use('/v', linkRoutes);
 
 // 404 handler
 app.use('*', (_, res) => {
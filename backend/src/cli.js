@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+// decentracert: issuer command-line tool for the issuance workflow, run against the network of
+// contracts/deployments/<network>.json with the backend wallet and store
+require('dotenv').config();
+
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { getContracts, getCollection, listDeployments } = require('./services/contracts');
+const {
+  savePreparedCollection, getProofs, getTreeDump, checkRoot, deployCollection, toRecipients, toCredentialId,
+} = require('./services/collections');
+const { createBatchMintJob, getBatchMintJob } = require('./services/batchMint');
+const { buildVerificationReport } = require('./services/verification');
+const { parseRoster } = require('./services/roster');
+
+// IIssuerRegistry.IssuerTier
+const TIERS = ['None', 'Manual', 'T2', 'T1'];
+
+// How often batch-mint checks on its job (ms)
+const POLL_INTERVAL = 1000;
+
+const USAGE = `Usage: decentracert <command> [arguments] [--network <name>]
+
+Commands:
+  networks                                      list the networks of contracts/deployments/*.json
+  import <roster.csv> [--base-uri <uri>] [--metadata <file.json>] [--out <tree.json>]
+                                                validate a roster and prepare its Merkle tree
+  deploy --name <name> --symbol <symbol> --root <merkleRoot> [--tree <tree.json>] [--base-uri <uri>]
+                                                deploy a collection for a prepared or dumped tree
+  mint <collection> <address> [--credential <credential>]
+                                                mint one certificate with its proof
+  batch-mint <collection> [--roster <roster.csv>]
+                                                mint the whitelist, or the roster's entries of it
+  proof <merkleRoot> <address> [--credential <credential>]
+                                                look up the proofs of a recipient
+  issuer <address>                              show an issuer's registry data
+  verify <collection> <tokenId>                 verify a certificate
+
+The network defaults to NETWORK (sepolia); localhost and hardhat use a local node at
+http://127.0.0.1:8545 and its first account unless RPC_URL and PRIVATE_KEY are set.`;
+
+/**
+ * Split argv into positional arguments and --name value options
+ * @param {string[]} argv
+ */
+function parseArgs(argv) {
+  const args = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const name = argv[i].slice(2);
+      if (i + 1 >= argv.length || argv[i + 1].startsWith('--')) throw new Error(`--${name} needs a value`);
+      options[name] = argv[++i];
+    } else {
+      args.push(argv[i]);
+    }
+  }
+  return { args, options };
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function required(value, message) {
+  if (!value) throw new Error(message);
+  return value;
+}
+
+async function importRoster([file], options) {
+  required(file, 'import needs a roster file');
+  const recipients = toRecipients(parseRoster(fs.readFileSync(file, 'utf8')));
+  const metadata = options.metadata ? readJson(options.metadata) : {};
+  const { merkleRoot } = await savePreparedCollection(recipients, options['base-uri'], metadata);
+
+  if (options.out) fs.writeFileSync(options.out, JSON.stringify(await getTreeDump(merkleRoot), null, 2));
+  return {
+    merkleRoot,
+    count: recipients.length,
+    addresses: new Set(recipients.map((r) => r.address)).size,
+    credentials: [...new Set(recipients.filter((r) => r.credential).map((r) => r.credential))],
+    tree: options.out || null,
+  };
+}
+
+async function deploy(args, options) {
+  const name = required(options.name, 'deploy needs --name');
+  const symbol = required(options.symbol, 'deploy needs --symbol');
+  const merkleRoot = required(options.root, 'deploy needs --root');
+
+  const check = await checkRoot(merkleRoot, options.tree ? readJson(options.tree) : undefined);
+  if (!check.valid) throw new Error(check.errors.join('\n'));
+  return deployCollection({ name, symbol, merkleRoot, baseTokenURI: options['base-uri'] });
+}
+
+async function mint([contract, address], options) {
+  required(contract && address, 'mint needs a collection and a recipient address');
+  const collection = await getCollection(contract);
+  const merkleRoot = await collection.getMerkleRoot();
+  const credentialId = options.credential ? toCredentialId(options.credential) : undefined;
+
+  const proofs = await getProofs(merkleRoot, ethers.getAddress(address), credentialId);
+  if (!proofs) throw new Error(`Merkle root ${merkleRoot} of the collection was not prepared by this backend`);
+  if (proofs.length === 0) throw new Error(`${address} is not whitelisted for this credential`);
+  if (proofs.length > 1) {
+    throw new Error(`${address} has several credentials (${proofs.map((p) => p.credential).join(', ')}); pass --credential`);
+  }
+
+  const [leaf] = proofs;
+  const tx = leaf.credentialId
+    ? await collection.mintCredential(address, leaf.credentialId, leaf.proof)
+    : await collection.mintCertificate(address, leaf.proof);
+  const receipt = await tx.wait();
+  const event = receipt.logs
+    .map((log) => collection.interface.parseLog(log))
+    .find((parsed) => parsed && parsed.name === 'CertificateMinted');
+
+  return { contract: collection.target, tokenId: event.args.tokenId.toString(), holder: event.args.recipient, txHash: tx.hash };
+}
+
+async function batchMint([contract], options) {
+  required(contract, 'batch-mint needs a collection');
+  const recipients = options.roster
+    ? toRecipients(parseRoster(fs.readFileSync(options.roster, 'utf8')))
+    : undefined;
+
+  let job = await createBatchMintJob(contract, recipients);
+  while (job.status === 'queued' || job.status === 'running') {
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL));
+    job = await getBatchMintJob(job.id);
+    console.error(`${job.processed}/${job.total} processed`);
+  }
+  const { cohort, ...result } = job;
+  return result;
+}
+
+async function proof([merkleRoot, address], options) {
+  required(merkleRoot && address, 'proof needs a Merkle root and an address');
+  const credentialId = options.credential ? toCredentialId(options.credential) : undefined;
+  const proofs = await getProofs(merkleRoot, ethers.getAddress(address), credentialId);
+  if (!proofs) throw new Error('Merkle root not found');
+  if (proofs.length === 0) throw new Error('Address is not in this collection');
+  return { merkleRoot, address: ethers.getAddress(address), proofs };
+}
+
+async function issuer([address]) {
+  required(address, 'issuer needs an address');
+  const { issuerRegistry } = await getContracts();
+  // A rotated key is reported under the key that replaced it
+  const currentAddress = await issuerRegistry.resolveIssuer(address);
+  const [data, verified] = await Promise.all([
+    issuerRegistry.getIssuerData(currentAddress),
+    issuerRegistry.isVerifiedIssuer(currentAddress),
+  ]);
+
+  return {
+    address: ethers.getAddress(address),
+    currentAddress,
+    name: data.name,
+    tier: TIERS[Number(data.tier)],
+    verificationData: data.verificationData,
+    verifiedAt: Number(data.verifiedAt) || null,
+    isActive: data.isActive,
+    verified,
+  };
+}
+
+async function verify([contract, tokenId]) {
+  required(contract && tokenId, 'verify needs a collection and a token ID');
+  const result = await buildVerificationReport(contract, tokenId);
+  if (!result) throw new Error(`Certificate ${tokenId} of ${contract} was never issued or was burned`);
+  if (!result.report.verified) process.exitCode = 1;
+  return result;
+}
+
+const COMMANDS = {
+  networks: { run: async () => listDeployments() },
+  import: { run: importRoster },
+  deploy: { run: deploy, chain: true },
+  mint: { run: mint, chain: true },
+  'batch-mint': { run: batchMint, chain: true },
+  proof: { run: proof },
+  issuer: { run: issuer, chain: true },
+  verify: { run: verify, chain: true },
+};
+
+async function main(argv) {
+  const [name, ...rest] = argv;
+  const command = COMMANDS[name];
+  if (!command) {
+    console.log(USAGE);
+    return name && name !== 'help' ? 1 : 0;
+  }
+
+  const { args, options } = parseArgs(rest);
+  if (options.network) process.env.NETWORK = options.network;
+
+  try {
+    console.log(JSON.stringify(await command.run(args, options), null, 2));
+    return process.exitCode || 0;
+  } finally {
+    // Let the process exit instead of polling the node
+    if (command.chain) await getContracts().then(({ provider }) => provider.destroy(), () => {});
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then((code) => {
+      process.exitCode = code;
+    })
+    .catch((err) => {
+      console.error(err.reason || err.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { main, parseArgs };
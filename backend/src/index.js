@@ -2,6 +2,7 @@
 require('dotenv').config();
 
 const app = require('./app');
+const { getIndexer } = require('./services/indexer');
 
 const PORT = process.env.PORT || 3001;
 
@@ -9,4 +10,11 @@ if (!process.env.VERCEL) {
   app.listen(PORT, () => {
     console.log(`🚀 Backend API listening on http://localhost:${PORT}`);
   });
+
+  // Serverless deployments sync on demand when the query API is hit instead
+  if (process.env.INDEXER_ENABLED !== 'false') {
+    getIndexer()
+      .then((indexer) => indexer.start())
+      .catch((err) => console.error('indexer start error:', err));
+  }
 } 
\ No newline at end of file
@@ -0,0 +1,19 @@
+const crypto = require('crypto');
+
+/**
+ * Rejects requests without the `x-admin-key` header matching ADMIN_API_KEY. Fails closed: admin routes answer
+ * 503 until ADMIN_API_KEY is set, since they act with the backend wallet's roles.
+ */
+function requireAdminKey(req, res, next) {
+  const expected = process.env.ADMIN_API_KEY;
+  if (!expected) return res.status(503).json({ error: 'admin routes are disabled until ADMIN_API_KEY is set' });
+
+  const given = Buffer.from(String(req.get('x-admin-key') || ''));
+  const wanted = Buffer.from(expected);
+  if (given.length !== wanted.length || !crypto.timingSafeEqual(given, wanted)) {
+    return res.status(401).json({ error: 'invalid admin key' });
+  }
+  return next();
+}
+
+module.exports = { requireAdminKey };
@@ -0,0 +1,246 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const {
+  ACTIONS,
+  ROLE_ACTIONS,
+  proposeAction,
+  getApprovalTypedData,
+  approveProposal,
+  executeProposal,
+  getProposal,
+  listProposals,
+  getRoles,
+} = require('../services/governance');
+const { listApplications, getApplication, getEvidence, reviewApplication, retryVerification } = require('../services/applications');
+const { listAudit, verifyAuditLog } = require('../services/audit');
+const { requireAdminKey } = require('../middleware/adminKey');
+
+const router = express.Router();
+
+// Proposing, approving and reviewing act with the backend wallet's roles, so they need ADMIN_API_KEY
+router.use(requireAdminKey);
+
+function validProposalId(id) {
+  return /^\d+$/.test(id) && id !== '0';
+}
+
+/**
+ * Propose a sensitive action to the admin council; the backend wallet must be a reviewer and approves it
+ * POST /api/admin/proposals
+ * body: { action, args, contract?, description }
+ * e.g. { action: 'deactivateIssuer', args: ['0x…'] } or { action: 'grantRole', contract: 'zkVerifier', args: ['CIRCUIT_ADMIN_ROLE', '0x…'] }
+ */
+router.post('/proposals', async (req, res) => {
+  const { action, args = [], contract, description = '' } = req.body;
+  if (!ACTIONS[action] && !ROLE_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `action must be one of ${[...Object.keys(ACTIONS), ...ROLE_ACTIONS].join(', ')}` });
+  }
+  if (!Array.isArray(args)) return res.status(400).json({ error: 'args must be an array' });
+
+  try {
+    const proposal = await proposeAction({ action, args, contract, description });
+    return res.status(201).json({ ...proposal, approvalTypedData: await getApprovalTypedData(proposal.proposalId) });
+  } catch (err) {
+    // Bad arguments fail to encode before anything is sent
+    if (err.code === 'INVALID_ARGUMENT' || err.code === 'UNSUPPORTED_OPERATION') return res.status(400).json({ error: err.message });
+    console.error('propose error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Council proposals, newest first
+ * GET /api/admin/proposals?fromBlock=0
+ */
+router.get('/proposals', async (req, res) => {
+  try {
+    return res.json({ proposals: await listProposals(Number(req.query.fromBlock || 0)) });
+  } catch (err) {
+    console.error('list proposals error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * A proposal, its decoded call, status and the typed data reviewers sign to approve it
+ * GET /api/admin/proposals/:id
+ */
+router.get('/proposals/:id', async (req, res) => {
+  if (!validProposalId(req.params.id)) return res.status(400).json({ error: 'numeric proposal id required' });
+
+  try {
+    const proposal = await getProposal(req.params.id);
+    if (!proposal) return res.status(404).json({ error: 'proposal not found' });
+    return res.json({ ...proposal, approvalTypedData: await getApprovalTypedData(req.params.id) });
+  } catch (err) {
+    console.error('get proposal error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Approve a proposal: as the backend wallet, or relay a reviewer's signed approval
+ * POST /api/admin/proposals/:id/approve
+ * body: { approver?, signature? }
+ */
+router.post('/proposals/:id/approve', async (req, res) => {
+  const { approver, signature } = req.body;
+  if (!validProposalId(req.params.id)) return res.status(400).json({ error: 'numeric proposal id required' });
+  if (signature && !ethers.isAddress(approver)) return res.status(400).json({ error: 'approver address required with signature' });
+
+  try {
+    return res.json(await approveProposal(req.params.id, { approver, signature }));
+  } catch (err) {
+    console.error('approve proposal error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Execute an approved proposal once its timelock has passed
+ * POST /api/admin/proposals/:id/execute
+ */
+router.post('/proposals/:id/execute', async (req, res) => {
+  if (!validProposalId(req.params.id)) return res.status(400).json({ error: 'numeric proposal id required' });
+
+  try {
+    return res.json(await executeProposal(req.params.id));
+  } catch (err) {
+    console.error('execute proposal error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Roles an address holds on IssuerRegistry, ZKVerifier and the admin council
+ * GET /api/admin/roles/:address
+ */
+router.get('/roles/:address', async (req, res) => {
+  if (!ethers.isAddress(req.params.address)) return res.status(400).json({ error: 'valid address required' });
+
+  try {
+    return res.json({ address: ethers.getAddress(req.params.address), roles: await getRoles(req.params.address) });
+  } catch (err) {
+    console.error('roles error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Manual verification review queue, with contact details and evidence documents
+ * GET /api/admin/applications?status=pending|approved|rejected|all&offset=0&limit=20
+ */
+router.get('/applications', async (req, res) => {
+  const { status = 'pending', offset, limit } = req.query;
+  if (!['pending', 'approved', 'rejected', 'all'].includes(status)) {
+    return res.status(400).json({ error: 'status must be pending, approved, rejected or all' });
+  }
+
+  try {
+    return res.json(await listApplications({ status, offset, limit }));
+  } catch (err) {
+    console.error('list applications error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * An application with contact details, evidence documents and reviewer comments
+ * GET /api/admin/applications/:id
+ */
+router.get('/applications/:id', async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) return res.status(400).json({ error: 'numeric application id required' });
+
+  try {
+    const application = await getApplication(req.params.id, { private: true });
+    if (!application) return res.status(404).json({ error: 'application not found' });
+    return res.json(application);
+  } catch (err) {
+    console.error('get application error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Download an evidence document of an application
+ * GET /api/admin/applications/:id/documents/:hash
+ */
+router.get('/applications/:id/documents/:hash', async (req, res) => {
+  try {
+    const application = await getApplication(req.params.id, { private: true });
+    const listed = application && application.documents.some((doc) => doc.hash === req.params.hash.toLowerCase());
+    const document = listed && (await getEvidence(req.params.hash));
+    if (!document) return res.status(404).json({ error: 'document not found' });
+
+    res.set('Content-Type', document.contentType);
+    res.set('Content-Disposition', `attachment; filename="${document.name.replace(/"/g, '')}"`);
+    return res.send(Buffer.from(document.data, 'base64'));
+  } catch (err) {
+    console.error('get evidence error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Approve or reject a pending application; approval verifies the issuer (backend wallet is a registrar)
+ * or proposes manualVerifyIssuer to the admin council
+ * POST /api/admin/applications/:id/review
+ * body: { approved, comment, reviewer }
+ */
+router.post('/applications/:id/review', async (req, res) => {
+  const { approved, comment, reviewer } = req.body;
+  if (!/^\d+$/.test(req.params.id)) return res.status(400).json({ error: 'numeric application id required' });
+  if (typeof approved !== 'boolean' || !comment || !reviewer) {
+    return res.status(400).json({ error: 'approved (boolean), comment and reviewer required' });
+  }
+
+  try {
+    const current = await getApplication(req.params.id);
+    if (!current) return res.status(404).json({ error: 'application not found' });
+    if (current.status !== 'pending') return res.status(409).json({ error: `application is ${current.status}` });
+
+    return res.json(await reviewApplication(req.params.id, { approved, comment, reviewer }));
+  } catch (err) {
+    console.error('review application error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Request manual verification again for an approved application whose verification failed
+ * POST /api/admin/applications/:id/verify
+ * body: { reviewer }
+ */
+router.post('/applications/:id/verify', async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) return res.status(400).json({ error: 'numeric application id required' });
+  if (!req.body.reviewer) return res.status(400).json({ error: 'reviewer required' });
+
+  try {
+    const application = await retryVerification(req.params.id, req.body.reviewer);
+    if (!application) return res.status(404).json({ error: 'application not found' });
+    return res.json(application);
+  } catch (err) {
+    if (!err.reason && !err.code) return res.status(409).json({ error: err.message });
+    console.error('retry verification error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Audit log of application decisions, oldest first; `verify=true` checks the hash chain
+ * GET /api/admin/audit?applicationId=&offset=0&limit=20&verify=true
+ */
+router.get('/audit', async (req, res) => {
+  const { applicationId, offset, limit, verify } = req.query;
+
+  try {
+    const page = await listAudit({ subject: applicationId ? `application:${applicationId}` : undefined, offset, limit });
+    if (verify === 'true') page.integrity = await verifyAuditLog();
+    return res.json(page);
+  } catch (err) {
+    console.error('audit log error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+module.exports = router;
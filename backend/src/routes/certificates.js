@@ -1,37 +1,52 @@
 const express = require('express');
-const keccak256 = require('keccak256');
-const { MerkleTree } = require('merkletreejs');
 const { ethers } = require('ethers');
-const { getContracts } = require('../services/contracts');
-const path = require('path');
+const { getContracts, getCollection } = require('../services/contracts');
+const {
+  savePreparedCollection, getPreparedCollection, getProofs, getTreeDump, checkRoot, deployCollection, toRecipients,
+  toCredentialId,
+} = require('../services/collections');
+const { getCertificateStatus } = require('../services/status');
+const { listExpiringCertificates } = require('../services/expiry');
+const { signClaimVoucher } = require('../services/vouchers');
+const { createBatchMintJob, resumeBatchMintJob } = require('../services/batchMint');
+const { generateMetadata } = require('../services/metadata');
+const { commitAttributes } = require('../services/attributes');
+const { exportCredential, attachIssuerProof, toJwtCredential, verifyCredential } = require('../services/credentials');
+const { getRecoveryTypedData, relayRecoveryRequest, approveRecovery, getRecovery } = require('../services/recovery');
+const { generateClaimCodes, saveClaimCodes, getClaimCodes, findClaimCode, redeemClaimCode } = require('../services/claimCodes');
+const { requireAdminKey } = require('../middleware/adminKey');
 
 const router = express.Router();
 
-// In-memory store (replace with DB in production)
-const collections = new Map(); // key: merkleRoot => { tree, addresses }
-
 /**
  * Generate Merkle Tree & store
  * POST /api/certificate/prepare
- * body: { addresses: string[], baseTokenURI }
+ * body: { addresses: string[], baseTokenURI, metadata }
+ *    or { recipients: [{ address, credential, name, course, grade, date, field }], baseTokenURI, metadata }
+ * `credential` is a label (e.g. 'Level 2') or a bytes32 ID; the same address may appear once per
+ * credential and each entry is minted with mintCredential. Plain addresses are minted with mintCertificate.
+ * name, course, grade and date are rendered into the certificate metadata served under /metadata; together
+ * with field they are the attributes committed for selective disclosure (POST /:contract/:tokenId/attributes).
  */
 router.post('/prepare', async (req, res) => {
-  const { addresses, baseTokenURI } = req.body;
-  if (!Array.isArray(addresses) || addresses.length === 0) {
-    return res.status(400).json({ error: 'addresses array required' });
+  const { addresses, recipients, baseTokenURI, metadata } = req.body;
+  const entries = recipients || (Array.isArray(addresses) ? addresses.map((address) => ({ address })) : null);
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return res.status(400).json({ error: 'addresses or recipients array required' });
   }
 
+  // Validate addresses and derive credential IDs
+  let leaves;
   try {
-    // Validate addresses
-    const checksummed = addresses.map((addr) => ethers.getAddress(addr));
-
-    const leaves = checksummed.map((addr) => keccak256(addr));
-    const tree = new MerkleTree(leaves, keccak256, { sortPairs: true });
-    const merkleRoot = tree.getHexRoot().toLowerCase();
+    leaves = toRecipients(entries);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
 
-    collections.set(merkleRoot, { tree, addresses: checksummed, baseTokenURI });
+  try {
+    const { merkleRoot } = await savePreparedCollection(leaves, baseTokenURI, metadata);
 
-    return res.json({ merkleRoot, count: checksummed.length });
+    return res.json({ merkleRoot, count: leaves.length });
   } catch (err) {
     console.error('prepare error:', err);
     return res.status(500).json({ error: err.message });
@@ -39,50 +54,505 @@ router.post('/prepare', async (req, res) => {
 });
 
 /**
- * Deploy SoulboundNFT contract referencing specified merkleRoot
+ * Returns a prepared collection (recipients, baseTokenURI, metadata)
+ * GET /api/certificate/prepared/:merkleRoot
+ */
+router.get('/prepared/:merkleRoot', async (req, res) => {
+  try {
+    const record = await getPreparedCollection(req.params.merkleRoot);
+    if (!record) return res.status(404).json({ error: 'Merkle root not found' });
+    return res.json(record);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Returns the versioned tree dump of a prepared collection (see services/merkle.js)
+ * GET /api/certificate/prepared/:merkleRoot/tree
+ */
+router.get('/prepared/:merkleRoot/tree', async (req, res) => {
+  try {
+    const dump = await getTreeDump(req.params.merkleRoot);
+    if (!dump) return res.status(404).json({ error: 'Merkle root not found' });
+    return res.json(dump);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Generate claim codes for recipients without a wallet and prepare their collection
+ * POST /api/certificate/claim-codes
+ * body: { recipients: [{ address?, email?, credential, name, course, grade, date, field }], baseTokenURI, metadata }
+ *    or { count, credential?, baseTokenURI, metadata }
+ * Entries without an address get a code, tied to their email when one is given; entries with one are
+ * whitelisted as in /prepare. Deploy the returned merkleRoot with /deploy and hand out the codes.
+ */
+router.post('/claim-codes', requireAdminKey, async (req, res) => {
+  const { recipients, count, credential, baseTokenURI, metadata } = req.body;
+  const entries = recipients || (Number.isInteger(count) && count > 0 ? Array.from({ length: count }, () => ({ credential })) : null);
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return res.status(400).json({ error: 'recipients array or positive count required' });
+  }
+
+  let generated;
+  try {
+    generated = generateClaimCodes(entries);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    return res.json(await saveClaimCodes(generated, baseTokenURI, metadata));
+  } catch (err) {
+    console.error('claim codes error:', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Exports the claim codes generated for a Merkle root, as JSON or as CSV (code, email, credential, claimKey)
+ * GET /api/certificate/claim-codes/:merkleRoot?format=csv
+ */
+router.get('/claim-codes/:merkleRoot', requireAdminKey, async (req, res) => {
+  try {
+    const batch = await getClaimCodes(req.params.merkleRoot);
+    if (!batch) return res.status(404).json({ error: 'No claim codes for this Merkle root' });
+    if (req.query.format !== 'csv') return res.json(batch);
+
+    const quote = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+    const rows = batch.codes.map(({ code, email, credential, claimKey }) =>
+      [code, email || '', credential || '', claimKey].map(quote).join(','));
+    res.set('Content-Disposition', `attachment; filename="claim-codes-${batch.merkleRoot}.csv"`);
+    return res.type('text/csv').send(['code,email,credential,claimKey', ...rows].join('\n') + '\n');
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Create a SoulboundNFT collection referencing specified merkleRoot through CertificateFactory
  * POST /api/certificate/deploy
- * body: { name, symbol, merkleRoot, baseTokenURI }
+ * body: { name, symbol, merkleRoot, baseTokenURI, tree? }
+ * merkleRoot must be a prepared collection, or tree a dump of a tree built elsewhere; either is checked
+ * to rebuild to merkleRoot with the leaf encoding of SoulboundNFT before anything is deployed.
+ * The backend wallet must be a verified issuer; it becomes the collection owner.
+ * Without baseTokenURI, tokens point at METADATA_BASE_URL/<collection>/ when that is set.
  */
 router.post('/deploy', async (req, res) => {
-  const { name, symbol, merkleRoot, baseTokenURI } = req.body;
+  const { name, symbol, merkleRoot, baseTokenURI, tree } = req.body;
   if (!name || !symbol || !merkleRoot) return res.status(400).json({ error: 'name, symbol, merkleRoot required' });
 
   try {
-    const { issuerRegistry, signer } = await getContracts();
-    // Deploy SoulboundNFT using factory pattern or via Hardhat deployment script.
-    // For simplicity we use ethers ContractFactory. Load compiled artifact from contracts project
-    const artifactPath = path.join(__dirname, '../../../contracts/artifacts/contracts/SoulboundNFT.sol/SoulboundNFT.json');
-    const artifact = require(artifactPath);
-    const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
+    const check = await checkRoot(merkleRoot, tree);
+    if (!check.valid) return res.status(400).json({ error: check.errors.join('; ') });
 
-    const contract = await factory.deploy(name, symbol, merkleRoot, issuerRegistry.target, baseTokenURI || '');
-    await contract.waitForDeployment();
+    return res.json(await deployCollection({ name, symbol, merkleRoot, baseTokenURI }));
+  } catch (err) {
+    console.error('deploy error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
 
-    const address = await contract.getAddress();
+/**
+ * Lists the collections an issuer created through CertificateFactory
+ * GET /api/certificate/collections/:issuer
+ */
+router.get('/collections/:issuer', async (req, res) => {
+  try {
+    const { certificateFactory } = await getContracts();
+    if (!certificateFactory) return res.status(500).json({ error: 'CertificateFactory not deployed on this network' });
+
+    const issuer = ethers.getAddress(req.params.issuer);
+    const addresses = await certificateFactory.getCollectionsByIssuer(issuer);
 
-    return res.json({ deployedAt: address });
+    const collections = await Promise.all(
+      addresses.map(async (address) => {
+        const collection = await getCollection(address);
+        const [name, symbol, merkleRoot] = await Promise.all([
+          collection.name(),
+          collection.symbol(),
+          collection.getMerkleRoot(),
+        ]);
+        return { address, name, symbol, merkleRoot };
+      })
+    );
+
+    return res.json({ issuer, collections, count: collections.length });
   } catch (err) {
-    console.error('deploy error:', err);
+    console.error('list collections error:', err);
     return res.status(500).json({ error: err.reason || err.message });
   }
 });
 
 /**
  * Returns Merkle Proof for recipient within a collection root
- * GET /api/certificate/proof/:merkleRoot/:address
+ * GET /api/certificate/proof/:merkleRoot/:address?credential=
+ * Without `credential` every leaf of the recipient is returned under `proofs`; `proof` is set
+ * when there is exactly one.
  */
-router.get('/proof/:merkleRoot/:address', (req, res) => {
+router.get('/proof/:merkleRoot/:address', async (req, res) => {
   const { merkleRoot, address } = req.params;
-  const entry = collections.get(merkleRoot.toLowerCase());
-  if (!entry) return res.status(404).json({ error: 'Merkle root not found' });
+  const { credential } = req.query;
 
   try {
-    const leaf = keccak256(ethers.getAddress(address));
-    const proof = entry.tree.getHexProof(leaf);
-    return res.json({ proof, length: proof.length });
+    const credentialId = credential ? toCredentialId(credential) : undefined;
+    const proofs = await getProofs(merkleRoot, ethers.getAddress(address), credentialId);
+    if (!proofs) return res.status(404).json({ error: 'Merkle root not found' });
+    if (proofs.length === 0) return res.status(404).json({ error: 'Address is not in this collection' });
+
+    const single = proofs.length === 1 ? proofs[0] : null;
+    return res.json({
+      proof: single ? single.proof : undefined,
+      length: single ? single.proof.length : undefined,
+      credentialId: single ? single.credentialId : undefined,
+      proofs,
+    });
   } catch (err) {
     return res.status(500).json({ error: err.message });
   }
 });
 
+/**
+ * Starts minting a cohort with SoulboundNFT.batchMint, split into multiproof batches
+ * POST /api/certificate/batch-mint
+ * body: { contract, recipients?: [{ address, credential? }] }
+ * Mints to the whole prepared whitelist of the collection's current Merkle root when recipients is omitted.
+ * The backend wallet must be a verified issuer that owns the collection. Responds 202 with the job; poll GET /batch-mint/:jobId.
+ */
+router.post('/batch-mint', requireAdminKey, async (req, res) => {
+  const { contract, recipients } = req.body;
+  if (!ethers.isAddress(contract)) return res.status(400).json({ error: 'valid contract address required' });
+  if (recipients !== undefined && (!Array.isArray(recipients) || recipients.length === 0)) {
+    return res.status(400).json({ error: 'recipients must be a non-empty array when given' });
+  }
+
+  try {
+    const selected = recipients
+      ? recipients.map(({ address, credential }) => ({
+          address: ethers.getAddress(address),
+          credentialId: credential ? toCredentialId(credential) : undefined,
+        }))
+      : undefined;
+
+    const job = await createBatchMintJob(contract, selected);
+    const { results, cohort, ...progress } = job;
+    return res.status(202).json(progress);
+  } catch (err) {
+    console.error('batch mint error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Progress and per-recipient results of a batch mint job. When the process running the job stopped (a
+ * serverless function is frozen once it has answered), each poll mints the next batch before answering.
+ * GET /api/certificate/batch-mint/:jobId
+ */
+router.get('/batch-mint/:jobId', async (req, res) => {
+  try {
+    const job = await resumeBatchMintJob(req.params.jobId);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    const { cohort, ...progress } = job;
+    return res.json(progress);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Hands a whitelisted recipient a voucher signed by the collection owner (the backend wallet),
+ * which anyone can redeem with SoulboundNFT.claimWithVoucher to mint the certificate to the recipient
+ * POST /api/certificate/claim-voucher
+ * body: { contract, recipient, credential? }
+ */
+router.post('/claim-voucher', async (req, res) => {
+  const { contract, recipient, credential } = req.body;
+  if (!ethers.isAddress(contract) || !ethers.isAddress(recipient)) {
+    return res.status(400).json({ error: 'valid contract and recipient addresses required' });
+  }
+
+  try {
+    const collectionAddress = ethers.getAddress(contract);
+    const recipientAddress = ethers.getAddress(recipient);
+    const credentialId = credential ? toCredentialId(credential) : ethers.ZeroHash;
+
+    // Only recipients of the collection's prepared whitelist get vouchers
+    const collection = await getCollection(collectionAddress);
+    const merkleRoot = await collection.getMerkleRoot();
+    const proofs = await getProofs(merkleRoot, recipientAddress, credential ? credentialId : null);
+    if (!proofs) return res.status(404).json({ error: 'Collection Merkle root was not prepared by this backend' });
+    if (proofs.length === 0) return res.status(403).json({ error: 'Recipient is not eligible for this certificate' });
+
+    if (await collection.hasClaimed(recipientAddress, credentialId)) {
+      return res.status(409).json({ error: 'Certificate already claimed' });
+    }
+
+    const signed = await signClaimVoucher(collectionAddress, recipientAddress, credentialId);
+    return res.json({ contract: collectionAddress, ...signed });
+  } catch (err) {
+    console.error('claim voucher error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Redeems a claim code for the recipient's wallet, with the backend wallet paying gas
+ * POST /api/certificate/:contract/claim-code
+ * body: { code, email?, recipient }  (email is required when the code was generated for one)
+ * Wallets that would rather not send the code can sign the recipient with its key themselves and
+ * call SoulboundNFT.redeemClaimCode directly (see services/claimCodes.js).
+ */
+router.post('/:contract/claim-code', async (req, res) => {
+  const { contract } = req.params;
+  const { code, email, recipient } = req.body;
+  if (!ethers.isAddress(contract) || !ethers.isAddress(recipient)) {
+    return res.status(400).json({ error: 'valid contract and recipient addresses required' });
+  }
+  if (!code) return res.status(400).json({ error: 'code required' });
+
+  try {
+    const collectionAddress = ethers.getAddress(contract);
+    const found = await findClaimCode(collectionAddress, code, email);
+    if (!found) return res.status(404).json({ error: 'Unknown claim code for this collection' });
+    if (found.redeemed) return res.status(409).json({ error: 'Claim code already redeemed' });
+
+    const redeemed = await redeemClaimCode(collectionAddress, code, ethers.getAddress(recipient), found);
+    return res.json({ contract: collectionAddress, ...redeemed });
+  } catch (err) {
+    console.error('redeem claim code error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Explains whether a certificate is valid, suspended, revoked or was never issued
+ * GET /api/certificate/:contract/:tokenId/status
+ */
+router.get('/:contract/:tokenId/status', async (req, res) => {
+  const { contract, tokenId } = req.params;
+  if (!ethers.isAddress(contract) || !/^\d+$/.test(tokenId)) {
+    return res.status(400).json({ error: 'valid contract address and numeric tokenId required' });
+  }
+
+  try {
+    return res.json(await getCertificateStatus(contract, tokenId));
+  } catch (err) {
+    console.error('certificate status error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Generates a certificate's metadata and anchors its content hash on-chain (backend wallet must be the issuer)
+ * POST /api/certificate/:contract/:tokenId/anchor
+ */
+router.post('/:contract/:tokenId/anchor', requireAdminKey, async (req, res) => {
+  const { contract, tokenId } = req.params;
+  if (!ethers.isAddress(contract) || !/^\d+$/.test(tokenId)) {
+    return res.status(400).json({ error: 'valid contract address and numeric tokenId required' });
+  }
+
+  try {
+    const metadata = await generateMetadata(contract, tokenId);
+    const collection = await getCollection(contract);
+    const tx = await collection.anchorContentHash(tokenId, metadata.contentHash);
+    await tx.wait();
+    return res.json({ ...metadata, txHash: tx.hash });
+  } catch (err) {
+    console.error('anchor metadata error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Salts and commits a certificate's attributes for selective disclosure (backend wallet must be the issuer).
+ * The fields are those of the prepared leaf the token was minted from; the values and salts stay in the
+ * backend store so the holder can request proofs (POST /api/proof/disclosure).
+ * POST /api/certificate/:contract/:tokenId/attributes
+ * Admin only (x-admin-key): the commitment is permanent and paid for by the backend wallet.
+ */
+router.post('/:contract/:tokenId/attributes', requireAdminKey, async (req, res) => {
+  const { contract, tokenId } = req.params;
+  if (!ethers.isAddress(contract) || !/^\d+$/.test(tokenId)) {
+    return res.status(400).json({ error: 'valid contract address and numeric tokenId required' });
+  }
+
+  try {
+    const committed = await commitAttributes(contract, tokenId);
+    if (!committed) return res.status(404).json({ error: 'Certificate was not minted from a leaf prepared by this backend' });
+    const { values, salts, ...commitment } = committed;
+    return res.json(commitment);
+  } catch (err) {
+    console.error('commit attributes error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Recovery state of a certificate: pending request, approvals and the token IDs linked by past recoveries
+ * GET /api/certificate/:contract/:tokenId/recovery
+ * With ?newHolder=0x… also returns the EIP-712 typed data that wallet signs to request the recovery.
+ */
+router.get('/:contract/:tokenId/recovery', async (req, res) => {
+  const { contract, tokenId } = req.params;
+  const { newHolder } = req.query;
+  if (!ethers.isAddress(contract) || !/^\d+$/.test(tokenId)) {
+    return res.status(400).json({ error: 'valid contract address and numeric tokenId required' });
+  }
+  if (newHolder !== undefined && !ethers.isAddress(newHolder)) {
+    return res.status(400).json({ error: 'newHolder must be an address' });
+  }
+
+  try {
+    const recovery = await getRecovery(contract, tokenId);
+    if (!newHolder) return res.json(recovery);
+    return res.json({ ...recovery, typedData: await getRecoveryTypedData(contract, tokenId, newHolder) });
+  } catch (err) {
+    console.error('get recovery error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Relays a holder's request to re-bind a certificate to a new wallet, signed by that wallet. The certificate
+ * issuer then approves with SoulboundNFT.approveRecovery (plus a registrar if the collection requires it).
+ * POST /api/certificate/:contract/:tokenId/recovery
+ * body: { newHolder, deadline, signature }
+ */
+router.post('/:contract/:tokenId/recovery', async (req, res) => {
+  const { contract, tokenId } = req.params;
+  const { newHolder, deadline, signature } = req.body;
+  if (!ethers.isAddress(contract) || !/^\d+$/.test(tokenId)) {
+    return res.status(400).json({ error: 'valid contract address and numeric tokenId required' });
+  }
+  if (!ethers.isAddress(newHolder) || !deadline || !signature) {
+    return res.status(400).json({ error: 'newHolder, deadline and signature required' });
+  }
+
+  try {
+    return res.json(await relayRecoveryRequest(contract, tokenId, { newHolder, deadline, signature }));
+  } catch (err) {
+    console.error('recovery request error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Approves a pending recovery with the backend wallet (collection owner, certificate issuer or registrar)
+ * POST /api/certificate/:contract/:tokenId/recovery/approve
+ * body: { newHolder }  (the wallet the holder was checked to control; must match the pending request)
+ * Admin only (x-admin-key): the approval moves the certificate, so the holder's identity must be checked first.
+ */
+router.post('/:contract/:tokenId/recovery/approve', requireAdminKey, async (req, res) => {
+  const { contract, tokenId } = req.params;
+  const { newHolder } = req.body;
+  if (!ethers.isAddress(contract) || !/^\d+$/.test(tokenId)) {
+    return res.status(400).json({ error: 'valid contract address and numeric tokenId required' });
+  }
+  if (!ethers.isAddress(newHolder)) return res.status(400).json({ error: 'newHolder address required' });
+
+  try {
+    const { pending } = await getRecovery(contract, tokenId);
+    if (!pending) return res.status(404).json({ error: 'No pending recovery' });
+    if (pending.newHolder !== ethers.getAddress(newHolder)) {
+      return res.status(409).json({ error: `Pending recovery is for ${pending.newHolder}, not ${ethers.getAddress(newHolder)}` });
+    }
+    return res.json(await approveRecovery(contract, tokenId, newHolder));
+  } catch (err) {
+    console.error('approve recovery error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Exports a certificate as a W3C Verifiable Credential with an EthereumEip712Signature2021 proof from the issuer
+ * wallet, or as a JWT-VC. When the backend wallet is not the issuer and the issuer has not signed yet, answers 409
+ * with the draft credential and the EIP-712 typed data to sign (then POST the signature to .../vc/proof).
+ * GET /api/certificate/:contract/:tokenId/vc?format=jsonld|jwt
+ */
+router.get('/:contract/:tokenId/vc', async (req, res) => {
+  const { contract, tokenId } = req.params;
+  const format = req.query.format || 'jsonld';
+  if (!ethers.isAddress(contract) || !/^\d+$/.test(tokenId)) {
+    return res.status(400).json({ error: 'valid contract address and numeric tokenId required' });
+  }
+  if (!['jsonld', 'jwt'].includes(format)) return res.status(400).json({ error: 'format must be jsonld or jwt' });
+
+  try {
+    const { credential, draft, typedData } = await exportCredential(contract, tokenId);
+    if (!credential) {
+      return res.status(409).json({ error: 'The certificate issuer has not signed this credential yet', credential: draft, typedData });
+    }
+    if (format === 'jwt') return res.type('application/vc+jwt').send(await toJwtCredential(credential));
+    return res.type('application/vc+ld+json').send(JSON.stringify(credential));
+  } catch (err) {
+    if (err.message.startsWith('JWT-VCs')) return res.status(409).json({ error: err.message });
+    console.error('export credential error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Attaches the issuer's signature of the typed data returned by GET .../vc
+ * POST /api/certificate/:contract/:tokenId/vc/proof
+ * body: { signature }  (eth_signTypedData_v4 from the issuer wallet)
+ */
+router.post('/:contract/:tokenId/vc/proof', async (req, res) => {
+  const { contract, tokenId } = req.params;
+  if (!ethers.isAddress(contract) || !/^\d+$/.test(tokenId) || !req.body.signature) {
+    return res.status(400).json({ error: 'valid contract address, numeric tokenId and signature required' });
+  }
+
+  try {
+    return res.json(await attachIssuerProof(contract, tokenId, req.body.signature));
+  } catch (err) {
+    if (err.message === 'Signature is not from the certificate issuer') return res.status(403).json({ error: err.message });
+    console.error('credential proof error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Imports a Verifiable Credential (JSON-LD with an EIP-712 proof, or JWT-VC): checks its signature and
+ * cross-checks it with the token's on-chain data and the issuer's standing in IssuerRegistry
+ * POST /api/certificate/vc/verify
+ * body: { credential }  (JSON-LD object or JWT string)
+ */
+router.post('/vc/verify', async (req, res) => {
+  const { credential } = req.body;
+  if (!credential || !['object', 'string'].includes(typeof credential)) {
+    return res.status(400).json({ error: 'credential (JSON-LD object or JWT string) required' });
+  }
+
+  try {
+    return res.json(await verifyCredential(credential));
+  } catch (err) {
+    if (!err.reason && !err.code) return res.status(400).json({ error: err.message });
+    console.error('verify credential error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Lists certificates of a collection expiring within a window
+ * GET /api/certificate/:contract/expiring?days=30&includeExpired=true
+ */
+router.get('/:contract/expiring', async (req, res) => {
+  const { contract } = req.params;
+  const days = Number(req.query.days || 30);
+  if (!ethers.isAddress(contract) || !Number.isFinite(days) || days < 0) {
+    return res.status(400).json({ error: 'valid contract address and non-negative days required' });
+  }
+
+  try {
+    const certificates = await listExpiringCertificates(contract, days * 24 * 60 * 60, req.query.includeExpired === 'true');
+    return res.json({ contract: ethers.getAddress(contract), days, certificates, count: certificates.length });
+  } catch (err) {
+    console.error('expiring certificates error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
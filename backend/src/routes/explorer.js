@@ -0,0 +1,106 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { TIERS, getIndexer } = require('../services/indexer');
+
+const router = express.Router();
+
+/**
+ * Pagination query parameters shared by the list endpoints (limit is capped at 100)
+ */
+function pageOf(query) {
+  return { offset: Number(query.offset || 0), limit: Number(query.limit || 20) };
+}
+
+/**
+ * Indexed issuers, oldest first
+ * GET /api/issuers?tier=T1&active=true&offset=0&limit=20
+ */
+router.get('/issuers', async (req, res) => {
+  const { tier, active } = req.query;
+  if (tier !== undefined && !TIERS.includes(tier)) return res.status(400).json({ error: `tier must be one of ${TIERS.join(', ')}` });
+  if (active !== undefined && !['true', 'false'].includes(active)) return res.status(400).json({ error: 'active must be true or false' });
+
+  try {
+    const indexer = await getIndexer();
+    await indexer.ensureFresh();
+    return res.json(await indexer.listIssuers({ tier, active: active === undefined ? undefined : active === 'true', ...pageOf(req.query) }));
+  } catch (err) {
+    console.error('list issuers error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Certificates held by a wallet across every indexed collection
+ * GET /api/wallet/:address/certificates?includeBurned=false&offset=0&limit=20
+ */
+router.get('/wallet/:address/certificates', async (req, res) => {
+  if (!ethers.isAddress(req.params.address)) return res.status(400).json({ error: 'valid wallet address required' });
+
+  try {
+    const indexer = await getIndexer();
+    await indexer.ensureFresh();
+    const page = await indexer.getWalletCertificates(req.params.address, {
+      includeBurned: req.query.includeBurned === 'true',
+      ...pageOf(req.query),
+    });
+    return res.json({ address: ethers.getAddress(req.params.address), ...page });
+  } catch (err) {
+    console.error('wallet certificates error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Current holders of a collection, most certificates first
+ * GET /api/collections/:address/holders?offset=0&limit=20
+ */
+router.get('/collections/:address/holders', async (req, res) => {
+  if (!ethers.isAddress(req.params.address)) return res.status(400).json({ error: 'valid collection address required' });
+
+  try {
+    const indexer = await getIndexer();
+    await indexer.ensureFresh();
+    const page = await indexer.getCollectionHolders(req.params.address, pageOf(req.query));
+    return res.json({ collection: ethers.getAddress(req.params.address), ...page });
+  } catch (err) {
+    console.error('collection holders error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Proofs created for a ZKVerifier circuit, oldest first
+ * GET /api/circuits/:circuitId/proofs?includeRevoked=true&offset=0&limit=20
+ */
+router.get('/circuits/:circuitId/proofs', async (req, res) => {
+  if (!/^\d+$/.test(req.params.circuitId)) return res.status(400).json({ error: 'numeric circuitId required' });
+
+  try {
+    const indexer = await getIndexer();
+    await indexer.ensureFresh();
+    const page = await indexer.getCircuitProofs(req.params.circuitId, {
+      includeRevoked: req.query.includeRevoked !== 'false',
+      ...pageOf(req.query),
+    });
+    return res.json({ circuitId: req.params.circuitId, ...page });
+  } catch (err) {
+    console.error('circuit proofs error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Last indexed block and sync settings
+ * GET /api/indexer/status
+ */
+router.get('/indexer/status', async (_, res) => {
+  try {
+    const indexer = await getIndexer();
+    return res.json(await indexer.status());
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
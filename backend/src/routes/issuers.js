@@ -1,6 +1,12 @@
 const express = require('express');
 const { ethers } = require('ethers');
 const { getContracts } = require('../services/contracts');
+const { createChallenge, verifyChallenge, consumeChallenge } = require('../services/challenges');
+const { signDomainAttestation, signSocialAttestation } = require('../services/attestations');
+const { createSocialChallenge, verifySocialChallenge, consumeSocialChallenge } = require('../services/social/challenges');
+const { getRegistrationTypedData } = require('../services/registration');
+const { storeEvidence, submitApplication, getApplication } = require('../services/applications');
+const { requireAdminKey } = require('../middleware/adminKey');
 
 const router = express.Router();
 
@@ -19,37 +25,157 @@ router.use(async (req, res, next) => {
 });
 
 /**
+ * Checks the DNS challenge and returns an oracle attestation, or sends a 400 and returns null
+ */
+async function attestDomain(res, challenge, address, domain) {
+  try {
+    const verified = await verifyChallenge(challenge, address, domain);
+    return await signDomainAttestation(verified);
+  } catch (err) {
+    console.error('DNS challenge error:', err);
+    res.status(400).json({ error: err.message });
+    return null;
+  }
+}
+
+/**
+ * Fetches the social media post and returns an oracle attestation, or sends a 400 and returns null
+ */
+async function attestSocialPost(res, challenge, address, url) {
+  try {
+    const verified = await verifySocialChallenge(challenge, address, url);
+    return { socialMediaUrl: verified.socialMediaUrl, attestation: await signSocialAttestation(verified) };
+  } catch (err) {
+    console.error('Social challenge error:', err);
+    res.status(400).json({ error: err.message });
+    return null;
+  }
+}
+
+/**
+ * EIP-712 domain, types and current nonce the issuer wallet signs registration requests with
+ * GET /api/issuer/registration/:address
+ */
+router.get('/registration/:address', async (req, res) => {
+  try {
+    return res.json(await getRegistrationTypedData(ethers.getAddress(req.params.address)));
+  } catch (err) {
+    console.error('registration typed data error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Issue a DNS challenge to publish as `_decentracert.<domain>` TXT record
+ * POST /api/issuer/verify/t1/challenge
+ * body: { address, domain }
+ */
+router.post('/verify/t1/challenge', async (req, res) => {
+  const { address, domain } = req.body;
+  if (!address || !domain) return res.status(400).json({ error: 'address and domain required' });
+
+  try {
+    return res.json(await createChallenge(ethers.getAddress(address), domain));
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * Check the TXT record and return an oracle attestation for the issuer wallet to submit itself
+ * POST /api/issuer/verify/t1/attest
+ * body: { address, domain, challenge }
+ */
+router.post('/verify/t1/attest', async (req, res) => {
+  const { address, domain, challenge } = req.body;
+  if (!address || !domain || !challenge) return res.status(400).json({ error: 'address, domain and challenge required' });
+
+  const attestation = await attestDomain(res, challenge, address, domain);
+  if (!attestation) return;
+  await consumeChallenge(challenge);
+  return res.json({ address: ethers.getAddress(address), domain, attestation });
+});
+
+/**
+ * Relay a T1 registration signed by the issuer wallet
  * POST /api/issuer/verify/t1
- * body: { issuerName, domain, verificationData }
+ * body: { issuer, registration: { issuerName, domain, nonce, deadline }, signature, challenge }
  */
 router.post('/verify/t1', async (req, res) => {
-  const { issuerName, domain, verificationData } = req.body;
-  if (!issuerName || !domain) return res.status(400).json({ error: 'issuerName and domain required' });
+  const { issuer, registration, signature, challenge } = req.body;
+  if (!issuer || !registration || !registration.issuerName || !registration.domain || !signature || !challenge) {
+    return res.status(400).json({ error: 'issuer, registration { issuerName, domain, nonce, deadline }, signature and challenge required' });
+  }
+
+  const attestation = await attestDomain(res, challenge, issuer, registration.domain);
+  if (!attestation) return;
 
   try {
-    const tx = await req.issuerRegistry.verifyIssuerT1(issuerName, domain, verificationData || '');
+    const tx = await req.issuerRegistry.verifyIssuerT1BySig(issuer, registration, signature, attestation);
     await tx.wait();
+    await consumeChallenge(challenge);
     return res.json({ status: 'submitted', txHash: tx.hash });
   } catch (err) {
-    console.error('verifyIssuerT1 error:', err);
+    console.error('verifyIssuerT1BySig error:', err);
     return res.status(500).json({ error: err.reason || err.message });
   }
 });
 
 /**
+ * Issue a challenge for the issuer wallet to sign and publish from its organisation account
+ * POST /api/issuer/verify/t2/challenge
+ * body: { address, platform: 'x' | 'linkedin' | 'mastodon', handle }
+ */
+router.post('/verify/t2/challenge', async (req, res) => {
+  const { address, platform, handle } = req.body;
+  if (!address || !platform || !handle) return res.status(400).json({ error: 'address, platform and handle required' });
+
+  try {
+    return res.json(await createSocialChallenge(ethers.getAddress(address), platform, handle));
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * Fetch the post and return an oracle attestation and the canonical post URL for the issuer wallet to submit itself
+ * POST /api/issuer/verify/t2/attest
+ * body: { address, url, challenge }
+ */
+router.post('/verify/t2/attest', async (req, res) => {
+  const { address, url, challenge } = req.body;
+  if (!address || !url || !challenge) return res.status(400).json({ error: 'address, url and challenge required' });
+
+  const attested = await attestSocialPost(res, challenge, address, url);
+  if (!attested) return;
+  await consumeSocialChallenge(challenge);
+  return res.json({ address: ethers.getAddress(address), ...attested });
+});
+
+/**
+ * Relay a T2 registration signed by the issuer wallet; registration.socialMediaUrl must be the canonical post URL
  * POST /api/issuer/verify/t2
- * body: { issuerName, socialMediaUrl }
+ * body: { issuer, registration: { issuerName, socialMediaUrl, nonce, deadline }, signature, challenge }
  */
 router.post('/verify/t2', async (req, res) => {
-  const { issuerName, socialMediaUrl } = req.body;
-  if (!issuerName || !socialMediaUrl) return res.status(400).json({ error: 'issuerName and socialMediaUrl required' });
+  const { issuer, registration, signature, challenge } = req.body;
+  if (!issuer || !registration || !registration.issuerName || !registration.socialMediaUrl || !signature || !challenge) {
+    return res.status(400).json({ error: 'issuer, registration { issuerName, socialMediaUrl, nonce, deadline }, signature and challenge required' });
+  }
+
+  const attested = await attestSocialPost(res, challenge, issuer, registration.socialMediaUrl);
+  if (!attested) return;
+  if (attested.socialMediaUrl.toLowerCase() !== registration.socialMediaUrl.toLowerCase()) {
+    return res.status(400).json({ error: `sign the canonical post URL ${attested.socialMediaUrl}` });
+  }
 
   try {
-    const tx = await req.issuerRegistry.verifyIssuerT2(issuerName, socialMediaUrl);
+    const tx = await req.issuerRegistry.verifyIssuerT2BySig(issuer, registration, signature, attested.attestation);
     await tx.wait();
+    await consumeSocialChallenge(challenge);
     return res.json({ status: 'submitted', txHash: tx.hash });
   } catch (err) {
-    console.error('verifyIssuerT2 error:', err);
+    console.error('verifyIssuerT2BySig error:', err);
     return res.status(500).json({ error: err.reason || err.message });
   }
 });
@@ -57,9 +183,10 @@ router.post('/verify/t2', async (req, res) => {
 /**
  * POST /api/issuer/verify/manual
  * body: { issuerAddress, issuerName }
- * Only owner admin wallet should call; this backend server ensures only owner wallet key in env is used.
+ * Admin only (x-admin-key). The backend wallet needs REGISTRAR_ROLE; once registration moved to the admin
+ * council, propose it through POST /api/admin/proposals instead. Organisations apply through /api/issuer/applications.
  */
-router.post('/verify/manual', async (req, res) => {
+router.post('/verify/manual', requireAdminKey, async (req, res) => {
   const { issuerAddress, issuerName } = req.body;
   if (!issuerAddress || !issuerName) return res.status(400).json({ error: 'issuerAddress and issuerName required' });
 
@@ -74,19 +201,133 @@ router.post('/verify/manual', async (req, res) => {
 });
 
 /**
+ * POST /api/issuer/rotation/recovery
+ * body: { issuer, newKey }
+ * Admin only (x-admin-key). Starts moving an identity whose key was lost to a new wallet; the new wallet
+ * completes it with completeKeyRotation after RECOVERY_DELAY unless a registrar cancels it first. The backend
+ * wallet needs REGISTRAR_ROLE; otherwise propose initiateRecoveryRotation through POST /api/admin/proposals.
+ * Issuers holding their key rotate with initiateKeyRotation directly (completable after ROTATION_DELAY).
+ */
+router.post('/rotation/recovery', requireAdminKey, async (req, res) => {
+  const { issuer, newKey } = req.body;
+  if (!ethers.isAddress(issuer) || !ethers.isAddress(newKey)) {
+    return res.status(400).json({ error: 'issuer and newKey addresses required' });
+  }
+
+  try {
+    const tx = await req.issuerRegistry.initiateRecoveryRotation(issuer, newKey);
+    await tx.wait();
+    const rotation = await req.issuerRegistry.getPendingKeyRotation(issuer);
+    return res.json({ status: 'initiated', eta: Number(rotation.eta), txHash: tx.hash });
+  } catch (err) {
+    console.error('initiateRecoveryRotation error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Relay a T2 -> T1 upgrade signed by the issuer wallet
  * POST /api/issuer/upgrade
- * body: { domain, verificationData }
+ * body: { issuer, upgrade: { domain, nonce, deadline }, signature, challenge }
  */
 router.post('/upgrade', async (req, res) => {
-  const { domain, verificationData } = req.body;
-  if (!domain) return res.status(400).json({ error: 'domain required' });
+  const { issuer, upgrade, signature, challenge } = req.body;
+  if (!issuer || !upgrade || !upgrade.domain || !signature || !challenge) {
+    return res.status(400).json({ error: 'issuer, upgrade { domain, nonce, deadline }, signature and challenge required' });
+  }
+
+  const attestation = await attestDomain(res, challenge, issuer, upgrade.domain);
+  if (!attestation) return;
 
   try {
-    const tx = await req.issuerRegistry.upgradeToT1(domain, verificationData || '');
+    const tx = await req.issuerRegistry.upgradeToT1BySig(issuer, upgrade, signature, attestation);
     await tx.wait();
+    await consumeChallenge(challenge);
     return res.json({ status: 'submitted', txHash: tx.hash });
   } catch (err) {
-    console.error('upgradeToT1 error:', err);
+    console.error('upgradeToT1BySig error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Upload evidence documents for a manual verification application; sign the returned evidenceHash
+ * POST /api/issuer/applications/evidence
+ * body: { documents: [{ name, contentType, data }] } - data base64-encoded
+ */
+router.post('/applications/evidence', async (req, res) => {
+  try {
+    return res.json(await storeEvidence(req.body.documents));
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * Relay a manual verification application signed by the issuer wallet (typed data: GET /api/issuer/registration/:address)
+ * POST /api/issuer/applications
+ * body: { applicant, application: { issuerName, evidenceHash, nonce, deadline }, signature, contact: { name, email, phone }, documents: [hash] }
+ */
+router.post('/applications', async (req, res) => {
+  const { applicant, application, signature, contact, documents } = req.body;
+  if (!ethers.isAddress(applicant) || !application || !application.issuerName || !application.evidenceHash || !signature) {
+    return res.status(400).json({ error: 'applicant, application { issuerName, evidenceHash, nonce, deadline } and signature required' });
+  }
+  if (!contact || !contact.email) return res.status(400).json({ error: 'contact { email } required' });
+  if (!Array.isArray(documents) || documents.length === 0) return res.status(400).json({ error: 'documents (evidence hashes) required' });
+
+  try {
+    return res.status(201).json(await submitApplication({ applicant, application, signature, contact, documents }));
+  } catch (err) {
+    if (!err.reason && !err.code) return res.status(400).json({ error: err.message });
+    console.error('submitApplication error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Status of a manual verification application
+ * GET /api/issuer/applications/:id
+ */
+router.get('/applications/:id', async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) return res.status(400).json({ error: 'numeric application id required' });
+
+  try {
+    const application = await getApplication(req.params.id);
+    if (!application) return res.status(404).json({ error: 'application not found' });
+    return res.json(application);
+  } catch (err) {
+    console.error('get application error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Keys of an issuer identity: the current key, every key it used (oldest first) and any pending rotation
+ * GET /api/issuer/:address/keys
+ */
+router.get('/:address/keys', async (req, res) => {
+  const { address } = req.params;
+  if (!ethers.isAddress(address)) return res.status(400).json({ error: 'valid address required' });
+
+  try {
+    const lineage = await req.issuerRegistry.getIssuerLineage(address);
+    const current = lineage[lineage.length - 1];
+    const [retiredAt, rotation] = await Promise.all([
+      Promise.all(lineage.map((key) => req.issuerRegistry.keyRetiredAt(key))),
+      req.issuerRegistry.getPendingKeyRotation(current),
+    ]);
+
+    return res.json({
+      address: ethers.getAddress(address),
+      current,
+      keys: lineage.map((key, i) => ({ address: key, retiredAt: Number(retiredAt[i]) || null })),
+      pendingRotation: rotation.newKey === ethers.ZeroAddress
+        ? null
+        : { newKey: rotation.newKey, eta: Number(rotation.eta), recovery: rotation.recovery },
+    });
+  } catch (err) {
+    console.error('issuer keys error:', err);
     return res.status(500).json({ error: err.reason || err.message });
   }
 });
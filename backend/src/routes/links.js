@@ -0,0 +1,20 @@
+const express = require('express');
+const { resolveShortLink, verificationUrl } = require('../services/verification');
+
+const router = express.Router();
+
+/**
+ * Short link printed on certificates (as a QR code); redirects to the verification page or report
+ * GET /v/:code
+ */
+router.get('/:code', async (req, res) => {
+  try {
+    const link = await resolveShortLink(req.params.code);
+    if (!link) return res.status(404).json({ error: 'Unknown verification link' });
+    return res.redirect(302, verificationUrl(link.contract, link.tokenId));
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
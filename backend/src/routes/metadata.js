@@ -0,0 +1,77 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { getCollection } = require('../services/contracts');
+const { generateMetadata, getContent } = require('../services/metadata');
+
+const router = express.Router();
+
+/**
+ * Serves stored content by CID, like an IPFS gateway (point IPFS_GATEWAY_URL here to serve images)
+ * GET /metadata/ipfs/:cid
+ */
+router.get('/ipfs/:cid', async (req, res) => {
+  try {
+    const content = await getContent(req.params.cid);
+    if (!content) return res.status(404).json({ error: 'Content not found' });
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    return res.type(content.contentType).send(content.data);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * ERC-721 metadata JSON of a certificate, generated on first request.
+ * Point the collection's baseTokenURI at `<api>/metadata/<collection>/` to serve tokenURI from here.
+ * The body is byte-for-byte the content whose sha256 is anchored on-chain (X-Content-Hash).
+ * GET /metadata/:collection/:tokenId
+ */
+router.get('/:collection/:tokenId', async (req, res) => {
+  const { collection, tokenId } = req.params;
+  if (!ethers.isAddress(collection) || !/^\d+$/.test(tokenId)) {
+    return res.status(400).json({ error: 'valid collection address and numeric tokenId required' });
+  }
+
+  try {
+    const contract = await getCollection(collection);
+    if (Number(await contract.certificateStatus(tokenId)) === 0) {
+      return res.status(404).json({ error: 'Certificate not found' });
+    }
+
+    const { cid, contentHash } = await generateMetadata(collection, tokenId);
+    const content = await getContent(cid);
+    res.set({ ETag: `"${cid}"`, 'X-Content-CID': cid, 'X-Content-Hash': contentHash });
+    return res.type('application/json').send(content.data);
+  } catch (err) {
+    console.error('metadata error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Compares the served metadata with the hash anchored on-chain
+ * GET /metadata/:collection/:tokenId/integrity
+ */
+router.get('/:collection/:tokenId/integrity', async (req, res) => {
+  const { collection, tokenId } = req.params;
+  if (!ethers.isAddress(collection) || !/^\d+$/.test(tokenId)) {
+    return res.status(400).json({ error: 'valid collection address and numeric tokenId required' });
+  }
+
+  try {
+    const contract = await getCollection(collection);
+    if (Number(await contract.certificateStatus(tokenId)) === 0) {
+      return res.status(404).json({ error: 'Certificate not found' });
+    }
+
+    const { cid, contentHash } = await generateMetadata(collection, tokenId);
+    const anchoredHash = await contract.contentHashOf(tokenId);
+    const anchored = anchoredHash !== ethers.ZeroHash;
+    return res.json({ cid, contentHash, anchoredHash: anchored ? anchoredHash : null, intact: anchored && anchoredHash === contentHash });
+  } catch (err) {
+    console.error('metadata integrity error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,280 @@
+const path = require('path');
+const express = require('express');
+const { ethers } = require('ethers');
+const { publishHolderSnapshot, getHolderSnapshot, getMembershipWitness } = require('../services/snapshots');
+const { MEMBERSHIP_WASM, MEMBERSHIP_ZKEY, getIdentityTypedData, getMembershipInputs } = require('../services/prover');
+const { getCollection, getCollectionIssuer } = require('../services/contracts');
+const { requireAdminKey } = require('../middleware/adminKey');
+const {
+  getAttributeCommitment,
+  getDisclosureRequestTypedData,
+  verifyDisclosureRequest,
+  proveDisclosure,
+} = require('../services/attributes');
+const { CIRCUITS, verifySubmittedProof } = require('../services/proofs');
+const { createPresentationRequest, getChallengeScope, getPresentationStatus, listPresentations } = require('../services/presentations');
+
+const router = express.Router();
+
+// Proving artifacts holders download to prove membership in their own client
+const MEMBERSHIP_ARTIFACTS = { 'membership.wasm': MEMBERSHIP_WASM, 'membership_final.zkey': MEMBERSHIP_ZKEY };
+
+/**
+ * EIP-712 typed data the holder wallet signs to derive its identity. The holder's client derives the secret
+ * from the signature (prover.deriveIdentity) and registers Poseidon(secret) with ZKVerifier.registerIdentity;
+ * the signature is never sent to the backend.
+ * GET /api/proof/identity/:address
+ */
+router.get('/identity/:address', async (req, res) => {
+  if (!ethers.isAddress(req.params.address)) return res.status(400).json({ error: 'valid address required' });
+
+  try {
+    return res.json(await getIdentityTypedData(req.params.address));
+  } catch (err) {
+    console.error('identity typed data error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Snapshots the holders of a collection into a Poseidon tree and publishes its root on-chain
+ * (backend wallet must be a ZKVerifier admin). Only holders with a registered identity are included.
+ * POST /api/proof/snapshots/:collection
+ */
+router.post('/snapshots/:collection', requireAdminKey, async (req, res) => {
+  if (!ethers.isAddress(req.params.collection)) return res.status(400).json({ error: 'valid collection address required' });
+
+  try {
+    if (!(await getCollectionIssuer(req.params.collection))) {
+      return res.status(404).json({ error: 'Not a collection of this deployment' });
+    }
+    const snapshot = await publishHolderSnapshot(req.params.collection);
+    const { entries, ...summary } = snapshot;
+    return res.json({ ...summary, count: entries.length });
+  } catch (err) {
+    console.error('holder snapshot error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Latest holder snapshot of a collection (leaves included, so holders can prove locally)
+ * GET /api/proof/snapshots/:collection
+ */
+router.get('/snapshots/:collection', async (req, res) => {
+  if (!ethers.isAddress(req.params.collection)) return res.status(400).json({ error: 'valid collection address required' });
+
+  try {
+    const snapshot = await getHolderSnapshot(req.params.collection);
+    if (!snapshot) return res.status(404).json({ error: 'No holder snapshot for this collection' });
+    return res.json(snapshot);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Circuit inputs of a membership proof for ZKVerifier.createMembershipProof, all but the holder's secret.
+ * The holder's client adds `secret` and proves with the artifacts below (prover.proveMembership).
+ * POST /api/proof/membership/inputs
+ * body: { commitment, collection, tokenId, minTier, scope }
+ * `scope` identifies the verifier (e.g. its domain); each holder gets one nullifier per collection and scope.
+ * Proofs answering a presentation request must use the scope from GET /challenges/:challengeId/scope.
+ */
+router.post('/membership/inputs', async (req, res) => {
+  const { commitment, collection, tokenId, minTier = 0, scope } = req.body;
+  if (!/^\d+$/.test(String(commitment)) || !ethers.isAddress(collection) || !/^\d+$/.test(String(tokenId)) || scope === undefined) {
+    return res.status(400).json({ error: 'numeric commitment, collection, numeric tokenId and scope required' });
+  }
+  if (!Number.isInteger(minTier) || minTier < 0 || minTier > 3) {
+    return res.status(400).json({ error: 'minTier must be an IssuerTier (0-3)' });
+  }
+
+  try {
+    const snapshot = await getHolderSnapshot(collection);
+    if (!snapshot) return res.status(404).json({ error: 'No holder snapshot for this collection' });
+
+    const witness = await getMembershipWitness(snapshot, tokenId);
+    if (!witness) return res.status(404).json({ error: 'Certificate is not in the latest holder snapshot' });
+    if (witness.commitment !== String(commitment)) {
+      return res.status(403).json({ error: 'Commitment does not match the identity registered for this certificate' });
+    }
+    if (witness.tier < minTier) return res.status(403).json({ error: 'Certificate issuer tier is below minTier' });
+
+    return res.json({ inputs: getMembershipInputs({ snapshot, witness, minTier, scope }), artifacts: Object.keys(MEMBERSHIP_ARTIFACTS) });
+  } catch (err) {
+    console.error('membership inputs error:', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Proving artifacts of the membership circuit
+ * GET /api/proof/membership/artifacts/:file  (membership.wasm or membership_final.zkey)
+ */
+router.get('/membership/artifacts/:file', (req, res) => {
+  const file = MEMBERSHIP_ARTIFACTS[req.params.file];
+  if (!file) return res.status(404).json({ error: 'Unknown artifact' });
+  return res.sendFile(path.resolve(file));
+});
+
+/**
+ * EIP-712 typed data the certificate holder signs to request a selective-disclosure proof
+ * POST /api/proof/disclosure/request
+ * body: { collection, tokenId, reveal: ['course'], ranges: { grade: { min: 'B' }, date: { min: '2024-01-01' } } }
+ */
+router.post('/disclosure/request', async (req, res) => {
+  const { collection, tokenId, reveal = [], ranges = {} } = req.body;
+  if (!ethers.isAddress(collection) || !/^\d+$/.test(String(tokenId))) {
+    return res.status(400).json({ error: 'collection and numeric tokenId required' });
+  }
+  if (!Array.isArray(reveal) || typeof ranges !== 'object') {
+    return res.status(400).json({ error: 'reveal must be an array and ranges an object' });
+  }
+
+  try {
+    return res.json(await getDisclosureRequestTypedData(collection, tokenId, { reveal, ranges }));
+  } catch (err) {
+    console.error('disclosure request error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Generates a selective-disclosure proof of a certificate's committed attributes for its holder
+ * POST /api/proof/disclosure
+ * body: { request, signature }  (message of POST /disclosure/request and the holder's signature of it)
+ * Submit the result to ZKVerifier.createDisclosureProof or hand it to a verifier for POST /verify.
+ */
+router.post('/disclosure', async (req, res) => {
+  const { request, signature } = req.body;
+  if (!request || !ethers.isAddress(request.collection) || !/^\d+$/.test(String(request.tokenId)) || !signature) {
+    return res.status(400).json({ error: 'request { collection, tokenId, disclosure, deadline } and signature required' });
+  }
+
+  let verified;
+  try {
+    verified = await verifyDisclosureRequest(request, signature);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const { signer, reveal, ranges } = verified;
+  const { collection, tokenId } = request;
+
+  try {
+    const certificate = await getCollection(collection);
+    if ((await certificate.ownerOf(tokenId)) !== signer) {
+      return res.status(403).json({ error: 'Signature is not from the certificate holder' });
+    }
+
+    const commitment = await getAttributeCommitment(certificate.target, tokenId);
+    if (!commitment) return res.status(404).json({ error: 'No committed attributes for this certificate' });
+
+    const result = await proveDisclosure(commitment, { reveal, ranges });
+    return res.json({ contract: certificate.target, tokenId: String(tokenId), ...result });
+  } catch (err) {
+    console.error('disclosure proof error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Verifies a membership or disclosure proof off-chain (no transaction) and checks its public signals
+ * against the chain: snapshot root and unused nullifier for membership, committed attributes root and
+ * status for disclosure
+ * POST /api/proof/verify
+ * body: { circuit: 'membership' | 'disclosure', proof, publicSignals, collection?, tokenId?, expected? }
+ * `expected` maps attribute names to plain values the disclosed attributes must match, e.g. { course: 'Blockchain Fundamentals' }.
+ */
+router.post('/verify', async (req, res) => {
+  const { circuit, proof, publicSignals, collection, tokenId, expected } = req.body;
+  if (!CIRCUITS.includes(circuit) || !proof || !Array.isArray(publicSignals)) {
+    return res.status(400).json({ error: `circuit (${CIRCUITS.join(', ')}), proof and publicSignals required` });
+  }
+  if (circuit === 'disclosure' && (!ethers.isAddress(collection) || !/^\d+$/.test(String(tokenId)))) {
+    return res.status(400).json({ error: 'collection and numeric tokenId required for disclosure proofs' });
+  }
+
+  try {
+    return res.json(await verifySubmittedProof({ circuit, proof, publicSignals, collection, tokenId, expected }));
+  } catch (err) {
+    console.error('verify proof error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Publishes a presentation request from the backend wallet (acting as the verifier). The holder creates a
+ * proof of the circuit and answers with ZKVerifier.presentProof(challengeId, proofId); membership proofs
+ * must be made for the challenge scope of the presenting wallet.
+ * POST /api/proof/challenges
+ * body: { circuitId, ttl? }  (ttl in seconds, default one day)
+ */
+router.post('/challenges', requireAdminKey, async (req, res) => {
+  const { circuitId, ttl } = req.body;
+  if (!/^\d+$/.test(String(circuitId))) return res.status(400).json({ error: 'numeric circuitId required' });
+  if (ttl !== undefined && (!Number.isInteger(ttl) || ttl <= 0)) {
+    return res.status(400).json({ error: 'ttl must be a positive number of seconds' });
+  }
+
+  try {
+    return res.json(await createPresentationRequest(circuitId, ttl));
+  } catch (err) {
+    console.error('create challenge error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Audit trail of a verifier's presentation requests: who presented which proof, and whether it still verifies
+ * GET /api/proof/challenges?verifier=0x…&fromBlock=
+ */
+router.get('/challenges', async (req, res) => {
+  const { verifier, fromBlock } = req.query;
+  if (!ethers.isAddress(verifier)) return res.status(400).json({ error: 'valid verifier address required' });
+
+  try {
+    const presentations = await listPresentations(ethers.getAddress(verifier), Number(fromBlock || 0));
+    return res.json({ verifier: ethers.getAddress(verifier), presentations, count: presentations.length });
+  } catch (err) {
+    console.error('list challenges error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Scope a membership proof must be made for to answer a presentation request from `holder`
+ * GET /api/proof/challenges/:challengeId/scope?holder=0x…
+ */
+router.get('/challenges/:challengeId/scope', async (req, res) => {
+  const { holder } = req.query;
+  if (!/^\d+$/.test(req.params.challengeId)) return res.status(400).json({ error: 'numeric challengeId required' });
+  if (!ethers.isAddress(holder)) return res.status(400).json({ error: 'valid holder address required' });
+
+  try {
+    const scope = await getChallengeScope(req.params.challengeId, ethers.getAddress(holder));
+    return res.json({ challengeId: req.params.challengeId, holder: ethers.getAddress(holder), scope });
+  } catch (err) {
+    if (err.reason === 'ZKVerifier: Challenge does not exist') return res.status(404).json({ error: err.reason });
+    console.error('challenge scope error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Status of a presentation request and the binding checks of the presented proof
+ * GET /api/proof/challenges/:challengeId
+ */
+router.get('/challenges/:challengeId', async (req, res) => {
+  if (!/^\d+$/.test(req.params.challengeId)) return res.status(400).json({ error: 'numeric challengeId required' });
+
+  try {
+    return res.json(await getPresentationStatus(req.params.challengeId));
+  } catch (err) {
+    if (err.reason === 'ZKVerifier: Challenge does not exist') return res.status(404).json({ error: err.reason });
+    console.error('challenge status error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+module.exports = router;
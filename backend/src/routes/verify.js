@@ -0,0 +1,69 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { getIndexer } = require('../services/indexer');
+const { buildVerificationReport, recoverReportSigner } = require('../services/verification');
+
+const router = express.Router();
+
+/**
+ * Signed verification reports of every certificate a wallet holds, from the event index
+ * GET /api/verify/wallet/:address?offset=0&limit=20
+ */
+router.get('/wallet/:address', async (req, res) => {
+  if (!ethers.isAddress(req.params.address)) return res.status(400).json({ error: 'valid wallet address required' });
+
+  try {
+    const indexer = await getIndexer();
+    await indexer.ensureFresh();
+    const { items, ...page } = await indexer.getWalletCertificates(req.params.address, {
+      offset: Number(req.query.offset || 0),
+      limit: Number(req.query.limit || 20),
+    });
+
+    // Certificates burned since the last sync have no report
+    const reports = (await Promise.all(items.map((item) => buildVerificationReport(item.collection, item.tokenId)))).filter(Boolean);
+    return res.json({ address: ethers.getAddress(req.params.address), reports, ...page });
+  } catch (err) {
+    console.error('verify wallet error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+/**
+ * Checks a report's signature, e.g. one scanned from a printed certificate
+ * POST /api/verify/signature
+ * body: { report, signature }
+ */
+router.post('/signature', async (req, res) => {
+  const { report, signature } = req.body;
+  if (!report || typeof report !== 'object' || !signature) return res.status(400).json({ error: 'report and signature required' });
+
+  try {
+    return res.json({ signer: recoverReportSigner(report, signature) });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * Signed verification report of a certificate: holder, issuer tier at issue vs. today, issuer activity,
+ * revocation/expiry status, metadata integrity and a short link for QR codes
+ * GET /api/verify/:contract/:tokenId
+ */
+router.get('/:contract/:tokenId', async (req, res) => {
+  const { contract, tokenId } = req.params;
+  if (!ethers.isAddress(contract) || !/^\d+$/.test(tokenId)) {
+    return res.status(400).json({ error: 'valid contract address and numeric tokenId required' });
+  }
+
+  try {
+    const result = await buildVerificationReport(contract, tokenId);
+    if (!result) return res.status(404).json({ error: 'Certificate not found (never issued, burned or not a DecentraCert collection)' });
+    return res.json(result);
+  } catch (err) {
+    console.error('verify certificate error:', err);
+    return res.status(500).json({ error: err.reason || err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,240 @@
+const { ethers } = require('ethers');
+const { getContracts } = require('./contracts');
+const { getStore } = require('./storage');
+const { paginate } = require('./indexer');
+const { recordAudit } = require('./audit');
+const { proposeAction } = require('./governance');
+require('dotenv').config();
+
+// Mirrors IIssuerRegistry.ApplicationStatus
+const STATUSES = ['none', 'pending', 'approved', 'rejected'];
+
+const MAX_DOCUMENTS = 10;
+const MAX_DOCUMENT_BYTES = Number(process.env.EVIDENCE_MAX_BYTES || 2 * 1024 * 1024);
+
+/**
+ * Hash binding a set of evidence documents, recorded on-chain with the application:
+ * keccak256 of the concatenated keccak256 hashes of the documents, in submission order
+ * @param {string[]} documentHashes
+ * @returns {string} bytes32
+ */
+function evidenceHashOf(documentHashes) {
+  return ethers.keccak256(ethers.concat(documentHashes));
+}
+
+/**
+ * Store evidence documents until they are attached to an application
+ * @param {{ name: string, contentType: string, data: string }[]} documents - data base64-encoded
+ * @returns {Promise<{ evidenceHash: string, documents: { hash: string, name: string, contentType: string, size: number }[] }>}
+ */
+async function storeEvidence(documents) {
+  if (!Array.isArray(documents) || documents.length === 0 || documents.length > MAX_DOCUMENTS) {
+    throw new Error(`Between 1 and ${MAX_DOCUMENTS} documents required`);
+  }
+
+  const stored = [];
+  for (const { name, contentType, data } of documents) {
+    if (!name || typeof data !== 'string') throw new Error('Each document needs a name and base64 data');
+    const bytes = Buffer.from(data, 'base64');
+    if (bytes.length === 0 || bytes.length > MAX_DOCUMENT_BYTES) {
+      throw new Error(`Documents must be between 1 and ${MAX_DOCUMENT_BYTES} bytes`);
+    }
+
+    const hash = ethers.keccak256(bytes);
+    const meta = { hash, name, contentType: contentType || 'application/octet-stream', size: bytes.length };
+    await getStore('evidence').set(hash, { ...meta, data: bytes.toString('base64') });
+    stored.push(meta);
+  }
+
+  return { evidenceHash: evidenceHashOf(stored.map((doc) => doc.hash)), documents: stored };
+}
+
+/**
+ * A stored evidence document
+ * @param {string} hash - keccak256 of the document
+ * @returns {Promise<{ hash: string, name: string, contentType: string, size: number, data: string }|null>}
+ */
+async function getEvidence(hash) {
+  return getStore('evidence').get(hash.toLowerCase());
+}
+
+/**
+ * Relay an application signed by the issuer wallet and keep its contact details and evidence off-chain
+ * @param {Object} request
+ * @param {string} request.applicant - issuer wallet
+ * @param {{ issuerName: string, evidenceHash: string, nonce: string, deadline: number }} request.application
+ * @param {string} request.signature - EIP-712 ManualApplication signature of the applicant
+ * @param {{ name?: string, email: string, phone?: string }} request.contact
+ * @param {string[]} request.documents - hashes returned by storeEvidence, in the order they were hashed
+ */
+async function submitApplication({ applicant, application, signature, contact, documents }) {
+  const evidence = await Promise.all(documents.map((hash) => getEvidence(hash)));
+  if (evidence.some((doc) => !doc)) throw new Error('Unknown evidence document; upload documents first');
+  if (evidenceHashOf(evidence.map((doc) => doc.hash)) !== application.evidenceHash.toLowerCase()) {
+    throw new Error('evidenceHash does not match the documents');
+  }
+
+  const { issuerRegistry } = await getContracts();
+  const tx = await issuerRegistry.submitApplicationBySig(applicant, application, signature);
+  const receipt = await tx.wait();
+  const event = receipt.logs
+    .map((log) => issuerRegistry.interface.parseLog(log))
+    .find((parsed) => parsed && parsed.name === 'ApplicationSubmitted');
+  const id = event.args.applicationId.toString();
+
+  const record = {
+    id,
+    applicant: ethers.getAddress(applicant),
+    issuerName: application.issuerName,
+    contact,
+    evidenceHash: application.evidenceHash,
+    documents: evidence.map(({ data, ...meta }) => meta),
+    submittedTxHash: tx.hash,
+    comments: [],
+    verification: null,
+  };
+  await getStore('applications').set(id, record);
+  await recordAudit({
+    subject: `application:${id}`,
+    action: 'submitted',
+    actor: record.applicant,
+    details: { issuerName: record.issuerName, evidenceHash: record.evidenceHash, txHash: tx.hash },
+  });
+
+  return getApplication(id);
+}
+
+/**
+ * An application: the stored record merged with its on-chain status
+ * @param {string|number} id
+ * @param {{ private?: boolean }} [options] - include contact details and documents (reviewers only)
+ */
+async function getApplication(id, options = {}) {
+  const record = await getStore('applications').get(String(id));
+  if (!record) return null;
+
+  const { issuerRegistry } = await getContracts();
+  const onChain = await issuerRegistry.getApplication(id);
+  const application = {
+    id: record.id,
+    applicant: record.applicant,
+    issuerName: record.issuerName,
+    status: STATUSES[Number(onChain.status)],
+    evidenceHash: onChain.evidenceHash,
+    submittedAt: Number(onChain.submittedAt),
+    reviewedAt: Number(onChain.reviewedAt) || null,
+    verification: record.verification,
+  };
+  if (!options.private) return application;
+  return { ...application, contact: record.contact, documents: record.documents, comments: record.comments };
+}
+
+/**
+ * Review queue
+ * @param {{ status?: string, offset?: number, limit?: number }} [filter] - status: pending (default), approved, rejected or all
+ */
+async function listApplications({ status = 'pending', offset, limit } = {}) {
+  const ids = (await getStore('applications').keys()).sort((a, b) => Number(a) - Number(b));
+  const applications = await Promise.all(ids.map((id) => getApplication(id, { private: true })));
+  return paginate(
+    applications.filter((application) => status === 'all' || application.status === status),
+    offset,
+    limit
+  );
+}
+
+/**
+ * Hand an approved application to manual verification: directly when the backend wallet is a registrar,
+ * otherwise as an admin council proposal
+ */
+async function requestVerification(record) {
+  const { signer, issuerRegistry, adminCouncil } = await getContracts();
+
+  if (await issuerRegistry.hasRole(await issuerRegistry.REGISTRAR_ROLE(), signer.address)) {
+    const tx = await issuerRegistry.manualVerifyIssuer(record.applicant, record.issuerName);
+    await tx.wait();
+    return { status: 'verified', txHash: tx.hash };
+  }
+  if (adminCouncil) {
+    const proposal = await proposeAction({
+      action: 'manualVerifyIssuer',
+      args: [record.applicant, record.issuerName],
+      description: `Manual verification application #${record.id}`,
+    });
+    return { status: 'proposed', proposalId: proposal.proposalId, txHash: proposal.txHash };
+  }
+  throw new Error('Backend wallet is neither a registrar nor connected to an admin council');
+}
+
+/**
+ * Record a reviewer's decision on-chain (hash of the comment) and, on approval, request manual verification.
+ * The backend wallet needs REVIEWER_ROLE on IssuerRegistry.
+ * @param {string|number} id
+ * @param {{ approved: boolean, comment: string, reviewer: string }} decision - reviewer identifies the person deciding
+ */
+async function reviewApplication(id, { approved, comment, reviewer }) {
+  const store = getStore('applications');
+  const record = await store.get(String(id));
+  if (!record) return null;
+
+  const { issuerRegistry } = await getContracts();
+  const commentHash = ethers.id(comment);
+  const tx = await issuerRegistry.reviewApplication(id, approved, commentHash);
+  await tx.wait();
+
+  const action = approved ? 'approved' : 'rejected';
+  record.comments.push({ reviewer, comment, commentHash, action, at: new Date().toISOString() });
+  await store.set(String(id), record);
+  await recordAudit({ subject: `application:${id}`, action, actor: reviewer, details: { comment, commentHash, txHash: tx.hash } });
+
+  if (approved) {
+    await verifyApproved(record, reviewer);
+  }
+
+  return getApplication(id, { private: true });
+}
+
+async function verifyApproved(record, actor) {
+  try {
+    record.verification = await requestVerification(record);
+  } catch (err) {
+    // The approval stands; verification can be retried with retryVerification
+    record.verification = { status: 'failed', error: err.reason || err.message };
+  }
+  await getStore('applications').set(record.id, record);
+  await recordAudit({
+    subject: `application:${record.id}`,
+    action: `verification-${record.verification.status}`,
+    actor,
+    details: record.verification,
+  });
+}
+
+/**
+ * Request manual verification again for an approved application whose verification failed
+ * @param {string|number} id
+ * @param {string} actor - person retrying, for the audit log
+ */
+async function retryVerification(id, actor) {
+  const record = await getStore('applications').get(String(id));
+  if (!record) return null;
+
+  const { status } = await getApplication(id);
+  if (status !== 'approved') throw new Error('Application is not approved');
+  if (record.verification && record.verification.status !== 'failed') throw new Error('Verification already requested');
+
+  await verifyApproved(record, actor);
+  return getApplication(id, { private: true });
+}
+
+module.exports = {
+  STATUSES,
+  evidenceHashOf,
+  storeEvidence,
+  getEvidence,
+  submitApplication,
+  getApplication,
+  listApplications,
+  reviewApplication,
+  retryVerification,
+};
@@ -0,0 +1,80 @@
+const { getContracts } = require('./contracts');
+require('dotenv').config();
+
+// How long a signed DNS or social media attestation can be submitted on-chain (seconds)
+const ATTESTATION_TTL = Number(process.env.DNS_ATTESTATION_TTL || 3600);
+
+// Must match DOMAIN_ATTESTATION_TYPEHASH in IssuerRegistry.sol
+const DOMAIN_ATTESTATION_TYPES = {
+  DomainAttestation: [
+    { name: 'issuer', type: 'address' },
+    { name: 'domain', type: 'string' },
+    { name: 'challenge', type: 'bytes32' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+// Must match SOCIAL_ATTESTATION_TYPEHASH in IssuerRegistry.sol
+const SOCIAL_ATTESTATION_TYPES = {
+  SocialAttestation: [
+    { name: 'issuer', type: 'address' },
+    { name: 'socialMediaUrl', type: 'string' },
+    { name: 'handle', type: 'string' },
+    { name: 'challenge', type: 'bytes32' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+async function getRegistryDomain() {
+  const { provider, issuerRegistry } = await getContracts();
+  const { chainId } = await provider.getNetwork();
+  return {
+    name: 'DecentraCert IssuerRegistry',
+    version: '1',
+    chainId,
+    verifyingContract: issuerRegistry.target,
+  };
+}
+
+/**
+ * Sign a DNS attestation with the oracle key
+ * @param {{ address: string, domain: string, challenge: string }} verified - output of verifyChallenge
+ * @returns {Promise<{ challenge: string, deadline: number, signature: string }>} IssuerRegistry.DomainAttestation
+ */
+async function signDomainAttestation({ address, domain, challenge }) {
+  const { oracle } = await getContracts();
+  const deadline = Math.floor(Date.now() / 1000) + ATTESTATION_TTL;
+
+  // The registry hashes the lower-cased domain, so that is what gets signed
+  const signature = await oracle.signTypedData(await getRegistryDomain(), DOMAIN_ATTESTATION_TYPES, {
+    issuer: address,
+    domain: domain.toLowerCase(),
+    challenge,
+    deadline,
+  });
+
+  return { challenge, deadline, signature };
+}
+
+/**
+ * Sign a social media post attestation with the oracle key
+ * @param {{ address: string, socialMediaUrl: string, handle: string, challenge: string }} verified - output of verifySocialChallenge
+ * @returns {Promise<{ handle: string, challenge: string, deadline: number, signature: string }>} IssuerRegistry.SocialAttestation
+ */
+async function signSocialAttestation({ address, socialMediaUrl, handle, challenge }) {
+  const { oracle } = await getContracts();
+  const deadline = Math.floor(Date.now() / 1000) + ATTESTATION_TTL;
+
+  // The registry hashes the lower-cased URL, so that is what gets signed
+  const signature = await oracle.signTypedData(await getRegistryDomain(), SOCIAL_ATTESTATION_TYPES, {
+    issuer: address,
+    socialMediaUrl: socialMediaUrl.toLowerCase(),
+    handle,
+    challenge,
+    deadline,
+  });
+
+  return { handle, challenge, deadline, signature };
+}
+
+module.exports = { signDomainAttestation, signSocialAttestation, getRegistryDomain };
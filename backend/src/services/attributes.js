@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const path = require('path');
+const snarkjs = require('snarkjs');
+const { ethers } = require('ethers');
+const { getCollection } = require('./contracts');
+const { findPreparedLeaf } = require('./metadata');
+const { getPoseidon } = require('./snapshots');
+const { encodeGroth16Proof, getProofsDomain } = require('./prover');
+const { getStore } = require('./storage');
+require('dotenv').config();
+
+const CIRCUIT_DIR = path.join(__dirname, '../../../contracts/circuits/disclosure');
+const DISCLOSURE_WASM = process.env.DISCLOSURE_WASM_PATH || path.join(CIRCUIT_DIR, 'disclosure.wasm');
+const DISCLOSURE_ZKEY = process.env.DISCLOSURE_ZKEY_PATH || path.join(CIRCUIT_DIR, 'disclosure_final.zkey');
+
+/**
+ * Attribute slots of the disclosure circuit, in leaf order. Must stay at 8 entries to match
+ * AttributeDisclosure(3) in contracts/circuits/disclosure/disclosure.circom.
+ */
+const ATTRIBUTES = ['name', 'course', 'field', 'grade', 'date', 'credential', 'holder', 'tokenId'];
+
+// Attributes encoded as 64-bit integers, which range predicates can be proven on
+const NUMERIC_ATTRIBUTES = ['grade', 'date', 'tokenId'];
+
+// Letter grades in ascending order; numeric grades (e.g. percentages) are used as is
+const GRADE_SCALE = ['F', 'E', 'D-', 'D', 'D+', 'C-', 'C', 'C+', 'B-', 'B', 'B+', 'A-', 'A', 'A+'];
+
+const MAX_UINT64 = (1n << 64n) - 1n;
+
+// How long a holder's signed disclosure request can be used (seconds)
+const DISCLOSURE_REQUEST_TTL = Number(process.env.DISCLOSURE_REQUEST_TTL || 10 * 60);
+
+// `disclosure` is the JSON of { reveal, ranges }, so the holder signs exactly what gets proven
+const DISCLOSURE_REQUEST_TYPES = {
+  DisclosureRequest: [
+    { name: 'collection', type: 'address' },
+    { name: 'tokenId', type: 'uint256' },
+    { name: 'disclosure', type: 'string' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+/**
+ * Committed attributes of a certificate as persisted in the 'attributes' store under `<collection>:<tokenId>`.
+ * Values and salts are private to the issuer backend and the holder; only the root is on-chain.
+ * @typedef {Object} AttributeCommitment
+ * @property {string} contract - checksummed SoulboundNFT address
+ * @property {string} tokenId
+ * @property {Object<string, string>} fields - plain attribute values by name
+ * @property {string[]} values - field elements in ATTRIBUTES order
+ * @property {string[]} salts
+ * @property {string} root - decimal Poseidon root, as stored with SoulboundNFT.commitAttributes
+ * @property {string} [txHash]
+ */
+
+/**
+ * Field element for an attribute value. Grades map to their rank (GRADE_SCALE) unless numeric,
+ * dates to yyyymmdd, addresses to their integer value and text to keccak256 truncated to 248 bits.
+ * @param {string} name - one of ATTRIBUTES
+ * @param {string|number|undefined} value
+ * @returns {bigint}
+ */
+function encodeAttribute(name, value) {
+  if (value === undefined || value === null || value === '') return 0n;
+
+  if (name === 'grade') {
+    if (/^\d+$/.test(String(value))) return BigInt(value);
+    const rank = GRADE_SCALE.indexOf(String(value).trim().toUpperCase());
+    if (rank === -1) throw new Error(`Unknown grade ${value}`);
+    return BigInt(rank);
+  }
+  if (name === 'date') {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value));
+    if (!match) throw new Error(`Dates must be YYYY-MM-DD, got ${value}`);
+    return BigInt(match[1] + match[2] + match[3]);
+  }
+  if (name === 'tokenId') return BigInt(value);
+  if (name === 'holder') return BigInt(ethers.getAddress(value));
+  return BigInt(ethers.id(String(value))) >> 8n;
+}
+
+/**
+ * Poseidon root over leaves Poseidon(index, value, salt), hashed pairwise level by level
+ * @param {bigint[]} values
+ * @param {bigint[]} salts
+ */
+async function attributesRoot(values, salts) {
+  const poseidon = await getPoseidon();
+  let layer = values.map((value, i) => poseidon([i, value, salts[i]]));
+  while (layer.length > 1) {
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) next.push(poseidon([layer[i], layer[i + 1]]));
+    layer = next;
+  }
+  return layer[0];
+}
+
+/**
+ * Salt and commit to a certificate's attributes
+ * @param {Object<string, string>} fields - plain values by attribute name
+ * @returns {Promise<{ values: string[], salts: string[], root: string }>}
+ */
+async function buildAttributeCommitment(fields) {
+  const values = ATTRIBUTES.map((name) => encodeAttribute(name, fields[name]));
+  const numericOverflow = NUMERIC_ATTRIBUTES.find((name) => values[ATTRIBUTES.indexOf(name)] > MAX_UINT64);
+  if (numericOverflow) throw new Error(`${numericOverflow} does not fit in 64 bits`);
+
+  // 31 random bytes stay below the field size
+  const salts = ATTRIBUTES.map(() => BigInt(`0x${crypto.randomBytes(31).toString('hex')}`));
+  const root = await attributesRoot(values, salts);
+
+  return { values: values.map(String), salts: salts.map(String), root: root.toString() };
+}
+
+/**
+ * Commit to a minted certificate's attributes with SoulboundNFT.commitAttributes (backend wallet must be
+ * the certificate issuer). The commitment is permanent, so its fields only ever come from the prepared leaf
+ * the token was minted from.
+ * @param {string} contractAddress - SoulboundNFT collection
+ * @param {string|number} tokenId
+ * @returns {Promise<AttributeCommitment|null>} null when the token's leaf was not prepared by this backend
+ */
+async function commitAttributes(contractAddress, tokenId) {
+  const collection = await getCollection(contractAddress);
+  const [holder, { leaf }] = await Promise.all([collection.ownerOf(tokenId), findPreparedLeaf(collection, tokenId)]);
+  if (!leaf) return null;
+
+  const fields = {
+    ...(leaf.fields || {}),
+    credential: leaf.credential,
+    holder,
+    tokenId: tokenId.toString(),
+  };
+  const commitment = {
+    contract: collection.target,
+    tokenId: tokenId.toString(),
+    fields: Object.fromEntries(Object.entries(fields).filter(([name, value]) => ATTRIBUTES.includes(name) && value !== undefined)),
+    ...(await buildAttributeCommitment(fields)),
+  };
+
+  const tx = await collection.commitAttributes(tokenId, commitment.root);
+  await tx.wait();
+  commitment.txHash = tx.hash;
+
+  await getStore('attributes').set(`${collection.target.toLowerCase()}:${commitment.tokenId}`, commitment);
+  return commitment;
+}
+
+/**
+ * A recovered certificate keeps the commitment of the token it was re-bound from
+ * @returns {Promise<AttributeCommitment|null>}
+ */
+async function getAttributeCommitment(contractAddress, tokenId) {
+  const commitment = await getStore('attributes').get(`${contractAddress.toLowerCase()}:${tokenId}`);
+  if (commitment) return commitment;
+
+  const recoveredFrom = await (await getCollection(contractAddress)).recoveredFrom(tokenId);
+  return recoveredFrom === 0n ? null : getAttributeCommitment(contractAddress, recoveredFrom);
+}
+
+/**
+ * Prove a disclosure of a committed certificate
+ * @param {AttributeCommitment} commitment
+ * @param {Object} request
+ * @param {string[]} [request.reveal] - attribute names to disclose
+ * @param {Object<string, { min?: string|number, max?: string|number }>} [request.ranges] - predicates on
+ *   NUMERIC_ATTRIBUTES, bounds given like the attribute values (e.g. { grade: { min: 'B' }, date: { min: '2024-01-01' } })
+ * @returns {Promise<{ proof: Object, publicSignals: string[], proofData: string, publicInputs: string }>}
+ */
+async function proveDisclosure(commitment, { reveal = [], ranges = {} }) {
+  let revealMask = 0;
+  for (const name of reveal) {
+    const index = ATTRIBUTES.indexOf(name);
+    if (index === -1) throw new Error(`Unknown attribute ${name}`);
+    revealMask |= 1 << index;
+  }
+
+  let rangeMask = 0;
+  const minValues = ATTRIBUTES.map(() => '0');
+  const maxValues = ATTRIBUTES.map(() => '0');
+  for (const [name, { min, max }] of Object.entries(ranges)) {
+    const index = ATTRIBUTES.indexOf(name);
+    if (!NUMERIC_ATTRIBUTES.includes(name)) throw new Error(`Range predicates are not supported on ${name}`);
+    rangeMask |= 1 << index;
+    minValues[index] = min === undefined ? '0' : encodeAttribute(name, min).toString();
+    maxValues[index] = max === undefined ? MAX_UINT64.toString() : encodeAttribute(name, max).toString();
+
+    const value = BigInt(commitment.values[index]);
+    if (value < BigInt(minValues[index]) || value > BigInt(maxValues[index])) {
+      throw new Error(`${name} does not satisfy the requested range`);
+    }
+  }
+
+  const input = {
+    attributesRoot: commitment.root,
+    revealMask: revealMask.toString(),
+    rangeMask: rangeMask.toString(),
+    minValues,
+    maxValues,
+    values: commitment.values,
+    salts: commitment.salts,
+  };
+  const { proof, publicSignals } = await snarkjs.groth16.fullProve(input, DISCLOSURE_WASM, DISCLOSURE_ZKEY);
+  return { proof, publicSignals, ...encodeGroth16Proof(proof, publicSignals) };
+}
+
+/**
+ * EIP-712 typed data the certificate holder signs to request a disclosure proof
+ * @param {string} collectionAddress
+ * @param {string|number} tokenId
+ * @param {{ reveal?: string[], ranges?: Object }} request - as for proveDisclosure
+ */
+async function getDisclosureRequestTypedData(collectionAddress, tokenId, { reveal = [], ranges = {} }) {
+  return {
+    domain: await getProofsDomain(),
+    types: DISCLOSURE_REQUEST_TYPES,
+    primaryType: 'DisclosureRequest',
+    message: {
+      collection: ethers.getAddress(collectionAddress),
+      tokenId: tokenId.toString(),
+      disclosure: JSON.stringify({ reveal, ranges }),
+      deadline: Math.floor(Date.now() / 1000) + DISCLOSURE_REQUEST_TTL,
+    },
+  };
+}
+
+/**
+ * Check a signed disclosure request and return the wallet that signed it with the disclosure it asks for
+ * @param {{ collection: string, tokenId: string, disclosure: string, deadline: number }} request
+ * @param {string} signature - eth_signTypedData_v4 signature
+ * @returns {Promise<{ signer: string, reveal: string[], ranges: Object }>}
+ */
+async function verifyDisclosureRequest(request, signature) {
+  if (Number(request.deadline) < Math.floor(Date.now() / 1000)) throw new Error('Disclosure request expired');
+  const signer = ethers.verifyTypedData(await getProofsDomain(), DISCLOSURE_REQUEST_TYPES, request, signature);
+  const { reveal = [], ranges = {} } = JSON.parse(request.disclosure);
+  if (!Array.isArray(reveal) || typeof ranges !== 'object') throw new Error('reveal must be an array and ranges an object');
+  return { signer, reveal, ranges };
+}
+
+/**
+ * Read the public signals of a disclosure proof: outputs disclosed[8], then attributesRoot,
+ * revealMask, rangeMask, minValues[8], maxValues[8]
+ * @param {string[]} publicSignals
+ * @returns {{ attributesRoot: string, disclosed: Object<string, string>, ranges: Object<string, { min: string, max: string }> }}
+ */
+function decodeDisclosure(publicSignals) {
+  const n = ATTRIBUTES.length;
+  if (publicSignals.length !== 3 * n + 3) throw new Error('Not a disclosure proof');
+
+  const attributesRoot = publicSignals[n];
+  const revealMask = Number(publicSignals[n + 1]);
+  const rangeMask = Number(publicSignals[n + 2]);
+  const disclosed = {};
+  const ranges = {};
+  ATTRIBUTES.forEach((name, i) => {
+    if (revealMask & (1 << i)) disclosed[name] = publicSignals[i];
+    if (rangeMask & (1 << i)) ranges[name] = { min: publicSignals[n + 3 + i], max: publicSignals[2 * n + 3 + i] };
+  });
+  return { attributesRoot, disclosed, ranges };
+}
+
+module.exports = {
+  ATTRIBUTES,
+  NUMERIC_ATTRIBUTES,
+  GRADE_SCALE,
+  encodeAttribute,
+  buildAttributeCommitment,
+  commitAttributes,
+  getAttributeCommitment,
+  getDisclosureRequestTypedData,
+  verifyDisclosureRequest,
+  proveDisclosure,
+  decodeDisclosure,
+};
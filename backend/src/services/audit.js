@@ -0,0 +1,74 @@
+const { ethers } = require('ethers');
+const { getStore } = require('./storage');
+const { canonicalJson } = require('./verification');
+const { paginate } = require('./indexer');
+
+const GENESIS_HASH = ethers.ZeroHash;
+
+// Appends are serialised so sequence numbers and the hash chain never fork
+let tail = Promise.resolve();
+
+function entryHash(entry) {
+  return ethers.id(canonicalJson(entry));
+}
+
+/**
+ * Append an entry to the audit log. Entries are hash-chained (each carries the hash of the previous one),
+ * so editing or dropping a stored entry breaks verifyAuditLog.
+ * @param {{ subject: string, action: string, actor: string, details?: Object }} record
+ *   subject - what the entry is about, e.g. 'application:3'
+ * @returns {Promise<Object>} the stored entry
+ */
+function recordAudit({ subject, action, actor, details = {} }) {
+  const append = async () => {
+    const store = getStore('audit');
+    const head = (await store.get('head')) || { seq: 0, hash: GENESIS_HASH };
+
+    const entry = { seq: head.seq + 1, at: new Date().toISOString(), subject, action, actor, details, prevHash: head.hash };
+    const hash = entryHash(entry);
+    await store.set(`entry:${entry.seq}`, { ...entry, hash });
+    await store.set('head', { seq: entry.seq, hash });
+    return { ...entry, hash };
+  };
+
+  const result = tail.then(append);
+  tail = result.catch(() => {});
+  return result;
+}
+
+async function loadEntries() {
+  const store = getStore('audit');
+  const head = (await store.get('head')) || { seq: 0 };
+  const entries = [];
+  for (let seq = 1; seq <= head.seq; seq++) entries.push(await store.get(`entry:${seq}`));
+  return entries;
+}
+
+/**
+ * Audit entries, oldest first
+ * @param {{ subject?: string, offset?: number, limit?: number }} [filter]
+ */
+async function listAudit({ subject, offset, limit } = {}) {
+  const entries = (await loadEntries()).filter((entry) => entry && (!subject || entry.subject === subject));
+  return paginate(entries, offset, limit);
+}
+
+/**
+ * Check the hash chain of the whole log
+ * @returns {Promise<{ valid: boolean, entries: number, brokenAt?: number }>}
+ */
+async function verifyAuditLog() {
+  const entries = await loadEntries();
+  let prevHash = GENESIS_HASH;
+  for (let i = 0; i < entries.length; i++) {
+    const stored = entries[i];
+    if (!stored) return { valid: false, entries: entries.length, brokenAt: i + 1 };
+
+    const { hash, ...entry } = stored;
+    if (entry.prevHash !== prevHash || entryHash(entry) !== hash) return { valid: false, entries: entries.length, brokenAt: i + 1 };
+    prevHash = hash;
+  }
+  return { valid: true, entries: entries.length };
+}
+
+module.exports = { recordAudit, listAudit, verifyAuditLog };
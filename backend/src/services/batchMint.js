@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { getCollection } = require('./contracts');
+const { getPreparedCollection, getMultiProof, recipientsOf, leafOf } = require('./collections');
+const { getStore } = require('./storage');
+require('dotenv').config();
+
+// Recipients per batchMint transaction; keep each batch well under the block gas limit
+const CHUNK_SIZE = Number(process.env.BATCH_MINT_CHUNK_SIZE || 50);
+
+// Seconds a runner holds a job after each batch; once it lapses (e.g. the serverless function running the job
+// was frozen) the next poll of the job takes over. Keep it above the time one batch takes to be mined.
+const LEASE = Number(process.env.BATCH_MINT_LEASE || 300);
+
+/**
+ * Batch mint job as persisted in the 'batch-mint-jobs' store
+ * @typedef {Object} BatchMintJob
+ * @property {string} id
+ * @property {string} contract - SoulboundNFT collection
+ * @property {string} merkleRoot - collection root the cohort was proven against
+ * @property {'queued'|'running'|'completed'|'failed'} status - completed even if some recipients failed
+ * @property {number} total - recipients in the cohort
+ * @property {number} processed - recipients whose batch was mined or failed
+ * @property {number} minted
+ * @property {number} skipped - already issued before the job ran
+ * @property {number} failed - recipients of batches that reverted
+ * @property {number} chunkSize - recipients per batch
+ * @property {{ address: string, credentialId?: string }[]} cohort - recipients in batch order
+ * @property {{ index: number, size: number, status: string, txHash?: string, error?: string }[]} batches -
+ *   pending until mined or failed; txHash is recorded as soon as the batch is sent
+ * @property {{ address: string, credentialId: string|null, status: string, tokenId?: string, txHash?: string, error?: string }[]} results
+ * @property {number} leaseUntil - unix seconds until which a runner holds the job
+ * @property {string} [error] - why the job stopped, when status is failed
+ * @property {number} createdAt - unix seconds
+ * @property {number} updatedAt - unix seconds
+ */
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+async function saveJob(job) {
+  job.updatedAt = now();
+  await getStore('batch-mint-jobs').set(job.id, job);
+}
+
+/**
+ * Map a mined batch's events back to its recipients. batchMint emits exactly one
+ * CertificateMinted or CertificateMintSkipped per recipient, in recipient order.
+ */
+function parseBatchResults(collection, receipt, recipients) {
+  const events = receipt.logs
+    .map((log) => {
+      try {
+        return collection.interface.parseLog(log);
+      } catch (err) {
+        return null;
+      }
+    })
+    .filter((parsed) => parsed && (parsed.name === 'CertificateMinted' || parsed.name === 'CertificateMintSkipped'));
+
+  return recipients.map((recipient, i) => {
+    const event = events[i];
+    const result = { address: recipient.address, credentialId: recipient.credentialId || null, txHash: receipt.hash };
+    if (event && event.name === 'CertificateMinted') {
+      return { ...result, status: 'minted', tokenId: event.args.tokenId.toString() };
+    }
+    return { ...result, status: 'skipped' };
+  });
+}
+
+function nextBatch(job) {
+  return job.batches.find((batch) => batch.status === 'pending');
+}
+
+async function holdJob(job) {
+  job.status = 'running';
+  job.leaseUntil = now() + LEASE;
+  await saveJob(job);
+}
+
+async function completeJob(job) {
+  job.status = 'completed';
+  await saveJob(job);
+}
+
+/**
+ * Mint one batch of a job. A batch sent by a runner that stopped is settled from its receipt, or sent again
+ * when the transaction never got mined; batchMint skips recipients issued in the meantime.
+ */
+async function runBatch(job, batch, collection) {
+  const chunk = job.cohort.slice(batch.index * job.chunkSize, batch.index * job.chunkSize + batch.size);
+  try {
+    const { recipients, proof, proofFlags } = await getMultiProof(job.merkleRoot, chunk);
+    let receipt = batch.txHash ? await collection.runner.provider.getTransactionReceipt(batch.txHash) : null;
+    if (receipt && receipt.status !== 1) throw new Error(`Batch transaction ${batch.txHash} reverted`);
+
+    if (!receipt) {
+      const tx = await collection.batchMint(
+        recipients.map((r) => r.address),
+        recipients.map((r) => r.credentialId || ethers.ZeroHash),
+        proof,
+        proofFlags
+      );
+      batch.txHash = tx.hash;
+      await saveJob(job);
+      receipt = await tx.wait();
+    }
+
+    const results = parseBatchResults(collection, receipt, recipients);
+    job.results.push(...results);
+    job.minted += results.filter((r) => r.status === 'minted').length;
+    job.skipped += results.filter((r) => r.status === 'skipped').length;
+    batch.status = 'completed';
+  } catch (err) {
+    const error = err.reason || err.message;
+    job.results.push(
+      ...chunk.map((r) => ({ address: r.address, credentialId: r.credentialId || null, status: 'failed', error }))
+    );
+    job.failed += chunk.length;
+    Object.assign(batch, { status: 'failed', error });
+  }
+  job.processed += batch.size;
+  job.leaseUntil = now() + LEASE;
+  await saveJob(job);
+}
+
+async function runJob(job) {
+  const collection = await getCollection(job.contract);
+  await holdJob(job);
+  for (let batch = nextBatch(job); batch; batch = nextBatch(job)) {
+    await runBatch(job, batch, collection);
+  }
+  await completeJob(job);
+}
+
+/**
+ * Start minting a cohort of a prepared collection in multiproof batches. The job runs in the
+ * background of this process; poll getBatchMintJob for progress, or resumeBatchMintJob where the
+ * process may not outlive the request (serverless functions).
+ * @param {string} contractAddress - SoulboundNFT collection, its current root must have been prepared here
+ * @param {{ address: string, credentialId?: string }[]} [recipients] - subset of the whitelist, all of it when omitted
+ * @returns {Promise<BatchMintJob>}
+ */
+async function createBatchMintJob(contractAddress, recipients) {
+  const collection = await getCollection(contractAddress);
+  const merkleRoot = (await collection.getMerkleRoot()).toLowerCase();
+  const record = await getPreparedCollection(merkleRoot);
+  if (!record) throw new Error(`Merkle root ${merkleRoot} of the collection was not prepared by this backend`);
+
+  // Dedupe on leaf: the same leaf twice would break the multiproof. Claim codes are redeemed by their holders.
+  const whitelist = new Map(recipientsOf(record).filter((r) => r.address).map((r) => [leafOf(record, r), r]));
+  const cohort = [];
+  const seen = new Set();
+  for (const recipient of recipients || whitelist.values()) {
+    const key = leafOf(record, recipient);
+    if (!whitelist.has(key)) throw new Error(`${recipient.address} is not whitelisted for this credential`);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    cohort.push(whitelist.get(key));
+  }
+
+  const batches = [];
+  for (let index = 0; index * CHUNK_SIZE < cohort.length; index++) {
+    batches.push({ index, size: Math.min(CHUNK_SIZE, cohort.length - index * CHUNK_SIZE), status: 'pending' });
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    contract: collection.target,
+    merkleRoot,
+    status: 'queued',
+    total: cohort.length,
+    processed: 0,
+    minted: 0,
+    skipped: 0,
+    failed: 0,
+    chunkSize: CHUNK_SIZE,
+    cohort: cohort.map(({ address, credentialId }) => (credentialId ? { address, credentialId } : { address })),
+    batches,
+    results: [],
+    leaseUntil: 0,
+    createdAt: now(),
+  };
+  await saveJob(job);
+
+  runJob(job).catch(async (err) => {
+    console.error('batch mint job error:', err);
+    Object.assign(job, { status: 'failed', error: err.message });
+    await saveJob(job).catch(() => {});
+  });
+
+  return job;
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<BatchMintJob|null>}
+ */
+async function getBatchMintJob(id) {
+  return getStore('batch-mint-jobs').get(id);
+}
+
+/**
+ * Job progress, continuing the job first when its runner stopped: a job whose lease lapsed mints its next
+ * batch before this returns, so polling drives the job to completion without a long-running process
+ * @param {string} id
+ * @returns {Promise<BatchMintJob|null>}
+ */
+async function resumeBatchMintJob(id) {
+  const job = await getBatchMintJob(id);
+  if (!job || job.status === 'completed' || job.status === 'failed' || job.leaseUntil > now()) return job;
+  if (!job.cohort) return job; // created before jobs kept their cohort
+
+  const collection = await getCollection(job.contract);
+  await holdJob(job);
+  const batch = nextBatch(job);
+  if (batch) await runBatch(job, batch, collection);
+  if (!nextBatch(job)) await completeJob(job);
+  return job;
+}
+
+module.exports = { createBatchMintJob, getBatchMintJob, resumeBatchMintJob };
@@ -0,0 +1,87 @@
+const { ethers } = require('ethers');
+const { resolveTxt } = require('./dns');
+const { getStore } = require('./storage');
+require('dotenv').config();
+
+// TXT record label the issuer publishes the challenge under
+const RECORD_LABEL = '_decentracert';
+const RECORD_PREFIX = 'decentracert-verify=';
+
+// How long an issued challenge can be answered (seconds)
+const CHALLENGE_TTL = Number(process.env.DNS_CHALLENGE_TTL || 3600);
+
+// Issued challenges live in the 'dns-challenges' store (key: challenge => { address, domain, expiresAt }) so
+// they survive restarts and are shared by every instance of the API
+function getChallengeStore() {
+  return getStore('dns-challenges');
+}
+
+function normalizeDomain(domain) {
+  return String(domain).trim().replace(/\.$/, '').toLowerCase();
+}
+
+function getRecordName(domain) {
+  return `${RECORD_LABEL}.${normalizeDomain(domain)}`;
+}
+
+function getRecordValue(challenge) {
+  return `${RECORD_PREFIX}${challenge}`;
+}
+
+/**
+ * Issue a new DNS challenge for a wallet and domain
+ * @param {string} address - issuer wallet the challenge is tied to
+ * @param {string} domain - domain the issuer claims
+ */
+async function createChallenge(address, domain) {
+  const challenge = ethers.hexlify(ethers.randomBytes(32));
+  const entry = {
+    address: ethers.getAddress(address),
+    domain: normalizeDomain(domain),
+    expiresAt: Math.floor(Date.now() / 1000) + CHALLENGE_TTL,
+  };
+  await getChallengeStore().set(challenge, entry);
+
+  return {
+    challenge,
+    ...entry,
+    recordName: getRecordName(domain),
+    recordValue: getRecordValue(challenge),
+  };
+}
+
+/**
+ * Check that a challenge was issued to the wallet and domain and that the domain's
+ * `_decentracert` TXT record now contains it. The challenge stays valid until consumeChallenge,
+ * so a relayed registration that fails on-chain can be retried with it.
+ * @returns {Promise<{ address: string, domain: string, challenge: string }>}
+ */
+async function verifyChallenge(challenge, address, domain) {
+  const store = getChallengeStore();
+  const entry = await store.get(challenge);
+  if (!entry) throw new Error('Unknown challenge');
+  if (entry.expiresAt < Math.floor(Date.now() / 1000)) {
+    await store.delete(challenge);
+    throw new Error('Challenge expired');
+  }
+  if (entry.address !== ethers.getAddress(address) || entry.domain !== normalizeDomain(domain)) {
+    throw new Error('Challenge was issued for another wallet or domain');
+  }
+
+  const records = await resolveTxt(getRecordName(entry.domain));
+  if (!records.some((record) => record.trim() === getRecordValue(challenge))) {
+    throw new Error(`TXT record ${getRecordName(entry.domain)} does not contain the challenge`);
+  }
+
+  return { address: entry.address, domain: entry.domain, challenge };
+}
+
+/**
+ * Drop a challenge once the attestation it backed was handed out or its registration was mined
+ * @param {string} challenge
+ */
+async function consumeChallenge(challenge) {
+  await getChallengeStore().delete(challenge);
+}
+
+module.exports = { createChallenge, verifyChallenge, consumeChallenge, getRecordName, getRecordValue, normalizeDomain };
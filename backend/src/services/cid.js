@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+// CIDv1 prefix: version 1, raw codec (0x55), sha2-256 multihash (0x12) of 32 bytes (0x20)
+const CID_PREFIX = Buffer.from([0x01, 0x55, 0x12, 0x20]);
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+function base32(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+/**
+ * sha256 digest of some content, as anchored on-chain by SoulboundNFT.anchorContentHash
+ * @param {string|Buffer} content
+ * @returns {string} 0x-prefixed bytes32
+ */
+function contentHash(content) {
+  return `0x${crypto.createHash('sha256').update(content).digest('hex')}`;
+}
+
+/**
+ * IPFS CID of some content, computed locally. Matches `ipfs add --cid-version=1 --raw-leaves`
+ * for content that fits in a single block (up to 256 KiB).
+ * @param {string|Buffer} content
+ * @returns {string} base32 CIDv1, e.g. bafkrei...
+ */
+function computeCid(content) {
+  const digest = crypto.createHash('sha256').update(content).digest();
+  return `b${base32(Buffer.concat([CID_PREFIX, digest]))}`;
+}
+
+module.exports = { computeCid, contentHash };
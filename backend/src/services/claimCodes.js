@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { getCollection } = require('./contracts');
+const { savePreparedCollection, getPreparedCollection, getTree, recipientsOf, toRecipients } = require('./collections');
+const { getCollectionDomain } = require('./vouchers');
+const { getProof } = require('./merkle');
+const { getStore } = require('./storage');
+
+/**
+ * Claim codes for recipients who have no wallet when the tree is built. A code's leaf commits to the
+ * address of a key derived from the code (its claim key); redeeming signs the chosen wallet with that key,
+ * so the code itself never goes on-chain and a copied transaction can only mint to the same wallet.
+ */
+
+// Crockford base32: no I, L, O or U, so codes survive being read out or retyped
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+// 25 characters of 5 bits (125 bits), so a code cannot be guessed from its claim key in the published tree
+const CODE_LENGTH = 25;
+
+// Must match CLAIM_CODE_TYPEHASH in SoulboundNFT.sol
+const CLAIM_CODE_TYPES = {
+  ClaimCodeRedemption: [{ name: 'recipient', type: 'address' }],
+};
+
+/**
+ * Generated codes as persisted in the 'claim-codes' store, keyed by Merkle root. They are the only copy
+ * of the secrets; export them to the issuer and hand each recipient theirs.
+ * @typedef {Object} ClaimCodeBatch
+ * @property {string} merkleRoot
+ * @property {{ code: string, claimKey: string, email: string|null, credential: string|null }[]} codes
+ * @property {number} createdAt - unix seconds
+ */
+
+/**
+ * @returns {string} e.g. '7K2QF-0ZC4M-...' (5 groups of 5)
+ */
+function generateClaimCode() {
+  // 256 is a multiple of 32, so masking keeps every character equally likely
+  const chars = [...crypto.randomBytes(CODE_LENGTH)].map((byte) => ALPHABET[byte & 31]);
+  return chars.join('').match(/.{5}/g).join('-');
+}
+
+// Case, dashes and spaces are ignored, and the letters Crockford base32 leaves out read as the digits they resemble
+function normalizeCode(code) {
+  return String(code).toUpperCase().replace(/[\s-]/g, '').replace(/O/g, '0').replace(/[IL]/g, '1');
+}
+
+/**
+ * Key a code derives; its address is the claim key committed to in the leaf
+ * @param {string} code
+ * @returns {import('ethers').Wallet}
+ */
+function claimWalletOf(code) {
+  return new ethers.Wallet(ethers.id(`decentracert-claim-code:${normalizeCode(code)}`));
+}
+
+/**
+ * @param {string} email
+ * @returns {string} bytes32 hex of the trimmed, lower-case address
+ */
+function emailHashOf(email) {
+  return ethers.id(String(email).trim().toLowerCase());
+}
+
+/**
+ * Validate entries and generate a claim code for each one without an address
+ * @param {{ address?: string, email?: string, credential?: string, name?: string, course?: string, grade?: string, date?: string, field?: string }[]} entries
+ * @returns {{ recipients: Object[], codes: ClaimCodeBatch['codes'] }} tree leaves and the codes of the claim leaves
+ * @throws {Error} on an invalid address or email, or a duplicate wallet entry
+ */
+function generateClaimCodes(entries) {
+  const wallets = toRecipients(entries.filter((entry) => entry.address));
+  const codes = [];
+  const claimLeaves = entries.filter((entry) => !entry.address).map(({ email, ...entry }, index) => {
+    if (email && !/^[^@\s]+@[^@\s]+$/.test(String(email).trim())) throw new Error(`Invalid email ${email} in claim code ${index + 1}`);
+
+    const code = generateClaimCode();
+    // Leaf fields as for wallets, with the claim key standing in for the address
+    const [{ address, ...leaf }] = toRecipients([{ ...entry, address: claimWalletOf(code).address }]);
+    leaf.claimKey = address;
+    if (email) leaf.emailHash = emailHashOf(email);
+
+    codes.push({ code, claimKey: address, email: email ? String(email).trim() : null, credential: leaf.credential || null });
+    return leaf;
+  });
+
+  return { recipients: [...wallets, ...claimLeaves], codes };
+}
+
+/**
+ * Persist the collection of generated codes and the codes themselves
+ * @param {{ recipients: Object[], codes: ClaimCodeBatch['codes'] }} generated - see generateClaimCodes
+ * @param {string} [baseTokenURI]
+ * @param {Object} [metadata]
+ * @returns {Promise<{ merkleRoot: string, count: number, codes: ClaimCodeBatch['codes'] }>}
+ */
+async function saveClaimCodes({ recipients, codes }, baseTokenURI, metadata) {
+  const { merkleRoot } = await savePreparedCollection(recipients, baseTokenURI, metadata);
+  await getStore('claim-codes').set(merkleRoot, { merkleRoot, codes, createdAt: Math.floor(Date.now() / 1000) });
+
+  return { merkleRoot, count: recipients.length, codes };
+}
+
+/**
+ * @param {string} merkleRoot
+ * @returns {Promise<ClaimCodeBatch|null>}
+ */
+async function getClaimCodes(merkleRoot) {
+  return getStore('claim-codes').get(merkleRoot.toLowerCase());
+}
+
+/**
+ * The leaf and proof of a code in a collection's current tree
+ * @param {string} collectionAddress - SoulboundNFT collection
+ * @param {string} code
+ * @param {string} [email] - required when the code was tied to one
+ * @returns {Promise<{ claimCode: { claimKey: string, emailHash: string, credentialId: string }, proof: string[], redeemed: boolean }|null>}
+ *   null when the code (with this email) is not a leaf of the collection
+ */
+async function findClaimCode(collectionAddress, code, email) {
+  const collection = await getCollection(collectionAddress);
+  const merkleRoot = await collection.getMerkleRoot();
+  const record = await getPreparedCollection(merkleRoot);
+  if (!record) return null;
+
+  const claimKey = claimWalletOf(code).address;
+  const emailHash = email ? emailHashOf(email) : null;
+  const leaf = recipientsOf(record).find((r) => r.claimKey === claimKey && (r.emailHash || null) === emailHash);
+  if (!leaf) return null;
+
+  const claimCode = {
+    claimKey,
+    emailHash: leaf.emailHash || ethers.ZeroHash,
+    credentialId: leaf.credentialId || ethers.ZeroHash,
+  };
+  return {
+    claimCode,
+    proof: getProof(await getTree(merkleRoot), leaf),
+    redeemed: await collection.isClaimCodeRedeemed(claimCode),
+  };
+}
+
+/**
+ * Sign a recipient wallet with a code's key, as SoulboundNFT.redeemClaimCode expects. Wallets can do the
+ * same locally (the key is keccak256('decentracert-claim-code:' + normalized code)) and never send the code.
+ * @param {string} collectionAddress - checksummed SoulboundNFT collection
+ * @param {string} code
+ * @param {string} recipient - checksummed wallet the certificate is minted to
+ */
+async function signClaimCode(collectionAddress, code, recipient) {
+  const domain = await getCollectionDomain(collectionAddress);
+  return claimWalletOf(code).signTypedData(domain, CLAIM_CODE_TYPES, { recipient });
+}
+
+/**
+ * Redeem a code for a recipient with the backend wallet paying gas
+ * @param {string} collectionAddress - checksummed SoulboundNFT collection
+ * @param {string} code
+ * @param {string} recipient - checksummed wallet the certificate is minted to
+ * @param {{ claimCode: Object, proof: string[] }} found - see findClaimCode
+ * @returns {Promise<{ tokenId: string, txHash: string }>}
+ */
+async function redeemClaimCode(collectionAddress, code, recipient, { claimCode, proof }) {
+  const collection = await getCollection(collectionAddress);
+  const signature = await signClaimCode(collection.target, code, recipient);
+  const tx = await collection.redeemClaimCode(claimCode, recipient, proof, signature);
+  const receipt = await tx.wait();
+
+  const event = receipt.logs
+    .map((log) => collection.interface.parseLog(log))
+    .find((parsed) => parsed && parsed.name === 'ClaimCodeRedeemed');
+  return { tokenId: event.args.tokenId.toString(), txHash: tx.hash };
+}
+
+module.exports = {
+  CLAIM_CODE_TYPES,
+  generateClaimCode,
+  claimWalletOf,
+  emailHashOf,
+  generateClaimCodes,
+  saveClaimCodes,
+  getClaimCodes,
+  findClaimCode,
+  signClaimCode,
+  redeemClaimCode,
+};
@@ -0,0 +1,261 @@
+const { ethers } = require('ethers');
+const { getStore } = require('./storage');
+const { getContracts, getCollection } = require('./contracts');
+const merkle = require('./merkle');
+
+/**
+ * One whitelisted leaf. Without credentialId the leaf is the address alone (one certificate
+ * per wallet); with it the leaf commits to (address, credentialId) for SoulboundNFT.mintCredential.
+ * Recipients without a wallet get a claim code instead (see services/claimCodes.js), and their leaf
+ * commits to the code's claim key.
+ * @typedef {Object} Recipient
+ * @property {string} [address] - checksummed address
+ * @property {string} [claimKey] - checksummed address of the claim code's key
+ * @property {string} [emailHash] - bytes32 hex, claim codes tied to an email only
+ * @property {string} [credentialId] - bytes32 hex
+ * @property {string} [credential] - human-readable label the ID was derived from
+ */
+
+/**
+ * Prepared (whitelisted) collection as persisted in the 'collections' store
+ * @typedef {Object} PreparedCollection
+ * @property {string} merkleRoot - lower-case hex root, also the storage key
+ * @property {Recipient[]} recipients - the tree leaves
+ * @property {string[]} addresses - distinct recipient addresses, without claim codes
+ * @property {boolean} [padded] - leaves are padded with zero hashes to a power of two (see merkle.buildTree)
+ * @property {string} [leafEncoding] - see merkle.ENCODINGS; records without it use 'packed-keccak'
+ * @property {string} baseTokenURI
+ * @property {Object} metadata - free-form issuer data (title, description, ...)
+ * @property {number} createdAt - unix seconds
+ */
+
+// Trees rebuilt from stored leaves, cached for the lifetime of the process
+const trees = new Map(); // key: merkleRoot => MerkleTree
+
+/**
+ * Credential ID for a label: bytes32 hex is used as is, anything else is hashed
+ * @param {string} credential - e.g. 'Level 1' or '0x…'
+ */
+function toCredentialId(credential) {
+  return ethers.isHexString(credential, 32) ? credential.toLowerCase() : ethers.id(String(credential));
+}
+
+/**
+ * Validate roster entries and turn them into tree leaves
+ * @param {{ address: string, credential?: string, name?: string, course?: string, grade?: string, date?: string, field?: string }[]} entries
+ * @returns {Recipient[]}
+ * @throws {Error} on an invalid address or a duplicate (address, credential) pair
+ */
+function toRecipients(entries) {
+  const seen = new Set();
+  return entries.map(({ address, credential, name, course, grade, date, field }, index) => {
+    if (!ethers.isAddress(address)) throw new Error(`Invalid address ${address} in entry ${index + 1}`);
+    const leaf = { address: ethers.getAddress(address) };
+    if (credential !== undefined && credential !== null && credential !== '') {
+      leaf.credential = String(credential);
+      leaf.credentialId = toCredentialId(credential);
+    }
+    // Rendered into the certificate metadata and image, not part of the leaf
+    const fields = Object.fromEntries(
+      Object.entries({ name, course, grade, date, field }).filter(([, value]) => value !== undefined && value !== '')
+    );
+    if (Object.keys(fields).length > 0) leaf.fields = fields;
+
+    const key = `${leaf.address}:${leaf.credentialId || ''}`;
+    if (seen.has(key)) throw new Error(`Duplicate entry for ${leaf.address}`);
+    seen.add(key);
+    return leaf;
+  });
+}
+
+// Records saved before credential leaves only have addresses
+function recipientsOf(record) {
+  return record.recipients || record.addresses.map((address) => ({ address }));
+}
+
+// Records saved before leaves were double-hashed were built for collections with packed leaves
+function encodingOf(record) {
+  return record.leafEncoding || 'packed-keccak';
+}
+
+/**
+ * Leaf hash of a recipient in a prepared collection's tree
+ * @param {PreparedCollection} record
+ * @param {Recipient} recipient
+ * @returns {string} bytes32 hex
+ */
+function leafOf(record, recipient) {
+  return merkle.leafHash(recipient, encodingOf(record));
+}
+
+// Records prepared before batch minting are unpadded
+function treeOf(record) {
+  return merkle.buildTree(recipientsOf(record), { padded: !!record.padded, encoding: encodingOf(record) });
+}
+
+/**
+ * Build the tree for a recipient list and persist it
+ * @param {Recipient[]} recipients - checksummed addresses with optional credential IDs
+ * @param {string} [baseTokenURI]
+ * @param {Object} [metadata]
+ * @returns {Promise<PreparedCollection>}
+ */
+async function savePreparedCollection(recipients, baseTokenURI, metadata) {
+  const tree = merkle.buildTree(recipients);
+  const merkleRoot = tree.getHexRoot().toLowerCase();
+
+  const record = {
+    merkleRoot,
+    recipients,
+    addresses: [...new Set(recipients.filter((r) => r.address).map((r) => r.address))],
+    padded: true,
+    leafEncoding: merkle.DEFAULT_ENCODING,
+    baseTokenURI: baseTokenURI || '',
+    metadata: metadata || {},
+    createdAt: Math.floor(Date.now() / 1000),
+  };
+  await getStore('collections').set(merkleRoot, record);
+  trees.set(merkleRoot, tree);
+
+  return record;
+}
+
+/**
+ * @param {string} merkleRoot
+ * @returns {Promise<PreparedCollection|null>}
+ */
+async function getPreparedCollection(merkleRoot) {
+  return getStore('collections').get(merkleRoot.toLowerCase());
+}
+
+/**
+ * Tree for a stored root, rebuilt from its leaves on first use
+ * @param {string} merkleRoot
+ * @returns {Promise<MerkleTree|null>} null when the root is unknown
+ */
+async function getTree(merkleRoot) {
+  const key = merkleRoot.toLowerCase();
+  if (trees.has(key)) return trees.get(key);
+
+  const record = await getPreparedCollection(key);
+  if (!record) return null;
+
+  const tree = treeOf(record);
+  if (tree.getHexRoot().toLowerCase() !== key) {
+    throw new Error(`Stored leaves for ${key} do not rebuild to the same root`);
+  }
+  trees.set(key, tree);
+  return tree;
+}
+
+/**
+ * Merkle proofs for every leaf of a recipient, or null when the root is unknown
+ * @param {string} merkleRoot
+ * @param {string} address - checksummed address
+ * @param {string} [credentialId] - only return the proof for this credential
+ * @returns {Promise<{ credentialId: string|null, credential: string|null, proof: string[] }[]|null>}
+ */
+async function getProofs(merkleRoot, address, credentialId) {
+  const tree = await getTree(merkleRoot);
+  if (!tree) return null;
+
+  const record = await getPreparedCollection(merkleRoot);
+  return recipientsOf(record)
+    .filter((r) => r.address === address)
+    .filter((r) => credentialId === undefined || (r.credentialId || null) === (credentialId || null))
+    .map((r) => ({
+      credentialId: r.credentialId || null,
+      credential: r.credential || null,
+      proof: merkle.getProof(tree, r, encodingOf(record)),
+    }));
+}
+
+/**
+ * Tree dump of a prepared collection (see merkle.dumpTree), to check or rebuild its proofs elsewhere
+ * @param {string} merkleRoot
+ * @returns {Promise<Object|null>} null when the root is unknown
+ */
+async function getTreeDump(merkleRoot) {
+  const record = await getPreparedCollection(merkleRoot);
+  if (!record) return null;
+  return merkle.dumpTree(recipientsOf(record), { padded: !!record.padded, encoding: encodingOf(record) });
+}
+
+/**
+ * Check that a root is safe to deploy a collection with: it must be a prepared collection whose stored
+ * leaves rebuild to it in the encoding SoulboundNFT._leaf uses, or match the given tree dump
+ * @param {string} merkleRoot
+ * @param {Object} [dump] - tree dump built elsewhere, checked instead of the stored leaves
+ * @returns {Promise<{ valid: boolean, root: string|null, errors: string[] }>}
+ */
+async function checkRoot(merkleRoot, dump) {
+  const tree = dump || await getTreeDump(merkleRoot);
+  if (!tree) return { valid: false, root: null, errors: [`No prepared collection for root ${merkleRoot}`] };
+
+  const result = merkle.checkTree(tree, merkleRoot);
+  if (result.valid && tree.leafEncoding !== merkle.DEFAULT_ENCODING) {
+    return { ...result, valid: false, errors: [`Leaves use the ${tree.leafEncoding} encoding; prepare the collection again`] };
+  }
+  return result;
+}
+
+/**
+ * Create a SoulboundNFT collection for a checked root through CertificateFactory, owned by the backend wallet.
+ * Without baseTokenURI, tokens point at METADATA_BASE_URL/<collection>/ when that is set.
+ * @param {{ name: string, symbol: string, merkleRoot: string, baseTokenURI?: string }} collection
+ * @returns {Promise<{ deployedAt: string, txHash: string }>}
+ */
+async function deployCollection({ name, symbol, merkleRoot, baseTokenURI }) {
+  const { certificateFactory } = await getContracts();
+  if (!certificateFactory) throw new Error('CertificateFactory not deployed on this network');
+
+  const tx = await certificateFactory.createCollection(name, symbol, merkleRoot, baseTokenURI || '');
+  const receipt = await tx.wait();
+
+  const event = receipt.logs
+    .map((log) => certificateFactory.interface.parseLog(log))
+    .find((parsed) => parsed && parsed.name === 'CollectionCreated');
+  const deployedAt = event.args.collection;
+
+  // The clone address is only known now, so point tokenURI at the metadata route afterwards
+  if (!baseTokenURI && process.env.METADATA_BASE_URL) {
+    const collection = await getCollection(deployedAt);
+    const baseURI = `${process.env.METADATA_BASE_URL.replace(/\/$/, '')}/${deployedAt}/`;
+    await (await collection.setBaseURI(baseURI)).wait();
+  }
+
+  return { deployedAt, txHash: tx.hash };
+}
+
+/**
+ * Multiproof for a set of leaves, in the format SoulboundNFT.batchMint passes to MerkleProof.multiProofVerify
+ * @param {string} merkleRoot
+ * @param {Recipient[]} recipients - leaves of the tree, without duplicates
+ * @returns {Promise<{ recipients: Recipient[], proof: string[], proofFlags: boolean[] }|null>}
+ *   recipients re-ordered to the leaf order the proof expects; null when the root is unknown
+ */
+async function getMultiProof(merkleRoot, recipients) {
+  const tree = await getTree(merkleRoot);
+  if (!tree) return null;
+
+  const record = await getPreparedCollection(merkleRoot);
+  if (!record.padded) {
+    throw new Error(`Collection ${merkleRoot} was prepared before batch minting support; prepare it again`);
+  }
+  return merkle.getMultiProof(tree, recipients, encodingOf(record));
+}
+
+module.exports = {
+  savePreparedCollection,
+  getPreparedCollection,
+  getTree,
+  getProofs,
+  getMultiProof,
+  getTreeDump,
+  checkRoot,
+  deployCollection,
+  recipientsOf,
+  toRecipients,
+  toCredentialId,
+  leafOf,
+};
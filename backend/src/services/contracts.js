@@ -3,22 +3,52 @@ const fs = require('fs');
 const path = require('path');
 require('dotenv').config();
 
+const DEPLOYMENTS_DIR = path.join(__dirname, '../../../contracts/deployments');
+
+// Networks served by a local Hardhat node (npx hardhat node)
+const LOCAL_NETWORKS = ['localhost', 'hardhat'];
+const LOCAL_RPC_URL = 'http://127.0.0.1:8545';
+
 // Load deployment addresses
 function loadDeployment(networkName) {
-  const deploymentsPath = path.join(__dirname, '../../../contracts/deployments', `${networkName}.json`);
+  const deploymentsPath = path.join(DEPLOYMENTS_DIR, `${networkName}.json`);
   if (!fs.existsSync(deploymentsPath)) {
     throw new Error(`Deployment file not found for ${networkName}`);
   }
   return JSON.parse(fs.readFileSync(deploymentsPath, 'utf8'));
 }
 
+// Networks with a deployment file
+function listDeployments() {
+  return fs.readdirSync(DEPLOYMENTS_DIR)
+    .filter((file) => file.endsWith('.json'))
+    .map((file) => loadDeployment(path.basename(file, '.json')));
+}
+
+// Hardhat artifact of a contract, wherever its source sits under contracts/contracts
+function findArtifact(dir, contract) {
+  if (!fs.existsSync(dir)) return null;
+  const direct = path.join(dir, `${contract}.sol`, `${contract}.json`);
+  if (fs.existsSync(direct)) return direct;
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (!entry.isDirectory() || entry.name.endsWith('.sol')) continue;
+    const found = findArtifact(path.join(dir, entry.name), contract);
+    if (found) return found;
+  }
+  return null;
+}
+
 // Load ABI JSON helpers
 function loadABI(contract) {
   const abiPath = path.join(__dirname, '../../../frontend/src/services/abis', `${contract}.json`);
-  if (!fs.existsSync(abiPath)) {
+  // Without the frontend checkout, fall back to the Hardhat artifacts of a local compile
+  const found = fs.existsSync(abiPath)
+    ? abiPath
+    : findArtifact(path.join(__dirname, '../../../contracts/artifacts/contracts'), contract);
+  if (!found) {
     throw new Error(`ABI file missing for ${contract}`);
   }
-  return require(abiPath).abi; // the json includes .abi property per Hardhat artifact
+  return require(found).abi; // the json includes .abi property per Hardhat artifact
 }
 
 let cached;
@@ -29,20 +59,65 @@ async function getContracts() {
   const network = process.env.NETWORK || 'sepolia';
   const deployment = loadDeployment(network);
 
-  const providerUrl = process.env.RPC_URL || `https://${network}.infura.io/v3/${process.env.INFURA_API_KEY}`;
+  const isLocal = LOCAL_NETWORKS.includes(network);
+  const providerUrl = process.env.RPC_URL
+    || (isLocal ? LOCAL_RPC_URL : `https://${network}.infura.io/v3/${process.env.INFURA_API_KEY}`);
   const provider = new ethers.JsonRpcProvider(providerUrl);
 
+  // A local node signs with its first unlocked account when no key is configured
   const privateKey = process.env.PRIVATE_KEY;
-  if (!privateKey) throw new Error('PRIVATE_KEY missing in env');
+  if (!privateKey && !isLocal) throw new Error('PRIVATE_KEY missing in env');
+
+  const signer = privateKey ? new ethers.Wallet(privateKey, provider) : await provider.getSigner(0);
 
-  const signer = new ethers.Wallet(privateKey, provider);
+  // Key that signs DNS attestations; must be registered as an oracle in IssuerRegistry
+  const oracle = process.env.ORACLE_PRIVATE_KEY ? new ethers.Wallet(process.env.ORACLE_PRIVATE_KEY, provider) : signer;
 
   const issuerRegistry = new ethers.Contract(deployment.issuerRegistry, loadABI('IssuerRegistry'), signer);
   const soulboundNFT = new ethers.Contract(deployment.soulboundNFT, loadABI('SoulboundNFT'), signer);
   const zkVerifier = new ethers.Contract(deployment.zkVerifier, loadABI('ZKVerifier'), signer);
+  const certificateFactory = deployment.certificateFactory
+    ? new ethers.Contract(deployment.certificateFactory, loadABI('CertificateFactory'), signer)
+    : null;
+  const adminCouncil = deployment.adminCouncil
+    ? new ethers.Contract(deployment.adminCouncil, loadABI('AdminCouncil'), signer)
+    : null;
 
-  cached = { provider, signer, issuerRegistry, soulboundNFT, zkVerifier };
+  cached = { deployment, provider, signer, oracle, issuerRegistry, soulboundNFT, zkVerifier, certificateFactory, adminCouncil };
   return cached;
 }
 
-module.exports = { getContracts }; 
\ No newline at end of file
+/**
+ * Use these contracts instead of connecting to the deployment of NETWORK, e.g. contracts deployed on the
+ * in-process Hardhat network
+ * @param {Object|null} contracts - same shape as getContracts() returns; null reconnects on the next call
+ */
+function setContracts(contracts) {
+  cached = contracts;
+}
+
+/**
+ * SoulboundNFT instance for a collection address (factory clones share the implementation ABI)
+ */
+async function getCollection(address) {
+  const { signer } = await getContracts();
+  return new ethers.Contract(ethers.getAddress(address), loadABI('SoulboundNFT'), signer);
+}
+
+/**
+ * Issuer a collection belongs to: the creator of a CertificateFactory collection, or the owner of the
+ * deployment's own SoulboundNFT
+ * @param {string} address
+ * @returns {Promise<string|null>} null when the collection is not part of this deployment
+ */
+async function getCollectionIssuer(address) {
+  const { soulboundNFT, certificateFactory } = await getContracts();
+  const collection = ethers.getAddress(address);
+  if (collection === ethers.getAddress(soulboundNFT.target)) return soulboundNFT.owner();
+  if (!certificateFactory) return null;
+
+  const issuer = await certificateFactory.issuerOfCollection(collection);
+  return issuer === ethers.ZeroAddress ? null : issuer;
+}
+
+module.exports = { getContracts, setContracts, getCollection, getCollectionIssuer, listDeployments }; 
\ No newline at end of file
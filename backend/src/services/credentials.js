@@ -0,0 +1,323 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { getContracts, getCollection } = require('./contracts');
+const { findPreparedLeaf } = require('./metadata');
+const { canonicalJson } = require('./verification');
+const { getStore } = require('./storage');
+
+const VC_CONTEXT = ['https://www.w3.org/2018/credentials/v1', 'https://w3id.org/security/suites/eip712sig-2021/v1'];
+
+const PROOF_TYPE = 'EthereumEip712Signature2021';
+
+// IIssuerRegistry.IssuerTier
+const TIERS = ['None', 'Manual', 'T2', 'T1'];
+
+/**
+ * The issuer signs this struct rather than the whole document: documentHash binds every other field
+ * (keccak256 of the canonical JSON of the credential without its proof)
+ */
+const CREDENTIAL_TYPES = {
+  Credential: [
+    { name: 'id', type: 'string' },
+    { name: 'issuer', type: 'address' },
+    { name: 'holder', type: 'address' },
+    { name: 'contract', type: 'address' },
+    { name: 'tokenId', type: 'uint256' },
+    { name: 'issuanceDate', type: 'string' },
+    { name: 'documentHash', type: 'bytes32' },
+  ],
+};
+
+function toDid(chainId, address) {
+  return `did:pkh:eip155:${chainId}:${ethers.getAddress(address)}`;
+}
+
+/**
+ * Address of a did:pkh:eip155 DID, null for other DID methods
+ */
+function addressOfDid(did) {
+  const match = /^did:pkh:eip155:\d+:(0x[0-9a-fA-F]{40})$/.exec(String(did));
+  return match ? ethers.getAddress(match[1]) : null;
+}
+
+function isoDate(seconds) {
+  return new Date(seconds * 1000).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Unsigned W3C VC (JSON-LD) of a certificate. Deterministic for a given token, so the issuer can sign it offline.
+ * credentialStatus points back to the token; verifiers read SoulboundNFT.certificateStatus for it.
+ * @param {string} contractAddress - SoulboundNFT collection
+ * @param {string|number} tokenId
+ */
+async function buildCredential(contractAddress, tokenId) {
+  const { provider, issuerRegistry } = await getContracts();
+  const collection = await getCollection(contractAddress);
+  const [{ chainId }, collectionName, holder, data, credentialId, { leaf }] = await Promise.all([
+    provider.getNetwork(),
+    collection.name(),
+    collection.ownerOf(tokenId),
+    collection.getCertificateData(tokenId),
+    collection.credentialIdOf(tokenId),
+    findPreparedLeaf(collection, tokenId),
+  ]);
+  const issuerData = await issuerRegistry.getIssuerData(data.issuer);
+
+  const credential = {
+    '@context': VC_CONTEXT,
+    id: `urn:decentracert:eip155:${chainId}:${collection.target}:${tokenId}`,
+    type: ['VerifiableCredential', 'DecentraCertCertificate'],
+    issuer: { id: toDid(chainId, data.issuer), name: issuerData.name, tier: TIERS[Number(data.issuerLevel)] },
+    issuanceDate: isoDate(Number(data.issuedTimestamp)),
+    credentialSubject: {
+      id: toDid(chainId, holder),
+      certificate: {
+        collection: collectionName,
+        contract: collection.target,
+        tokenId: tokenId.toString(),
+        credentialId: credentialId === ethers.ZeroHash ? undefined : credentialId,
+        credential: leaf ? leaf.credential : undefined,
+        ...((leaf && leaf.fields) || {}),
+        metadataURI: data.metadataURI || undefined,
+      },
+    },
+    credentialStatus: {
+      id: `eip155:${chainId}:${collection.target}/${tokenId}`,
+      type: 'DecentraCertSoulboundStatus',
+      chainId: chainId.toString(),
+      contract: collection.target,
+      tokenId: tokenId.toString(),
+    },
+  };
+  if (data.expiresAt > 0n) credential.expirationDate = isoDate(Number(data.expiresAt));
+
+  // Drop undefined fields so the stored, signed and served documents serialise identically
+  return JSON.parse(JSON.stringify(credential));
+}
+
+/**
+ * EIP-712 typed data the issuer wallet signs for a credential (eth_signTypedData_v4)
+ * @param {Object} credential - unsigned credential from buildCredential
+ */
+function credentialTypedData(credential) {
+  const status = credential.credentialStatus;
+  const { proof, ...document } = credential;
+  return {
+    domain: { name: 'DecentraCert Verifiable Credential', version: '1', chainId: Number(status.chainId), verifyingContract: status.contract },
+    types: CREDENTIAL_TYPES,
+    primaryType: 'Credential',
+    message: {
+      id: credential.id,
+      issuer: addressOfDid(credential.issuer.id),
+      holder: addressOfDid(credential.credentialSubject.id),
+      contract: status.contract,
+      tokenId: status.tokenId,
+      issuanceDate: credential.issuanceDate,
+      documentHash: ethers.id(canonicalJson(document)),
+    },
+  };
+}
+
+function withProof(credential, signature, created = isoDate(Math.floor(Date.now() / 1000))) {
+  const { domain, types, primaryType } = credentialTypedData(credential);
+  return {
+    ...credential,
+    proof: {
+      type: PROOF_TYPE,
+      created,
+      proofPurpose: 'assertionMethod',
+      verificationMethod: `${credential.issuer.id}#blockchainAccountId`,
+      proofValue: signature,
+      eip712: { domain, types, primaryType },
+    },
+  };
+}
+
+function credentialKey(contractAddress, tokenId) {
+  return `${ethers.getAddress(contractAddress).toLowerCase()}:${tokenId}`;
+}
+
+/**
+ * Signed credential of a certificate from the 'credentials' store. When none is stored and the backend wallet
+ * is the certificate issuer, the credential is signed and stored on the fly.
+ * @returns {Promise<{ credential: Object|null, draft?: Object, typedData?: Object }>} without a credential, the
+ *   draft and typed data the issuer must sign (see attachIssuerProof)
+ */
+async function exportCredential(contractAddress, tokenId) {
+  const store = getStore('credentials');
+  const stored = await store.get(credentialKey(contractAddress, tokenId));
+
+  const draft = await buildCredential(contractAddress, tokenId);
+  const { proof, ...storedDocument } = stored || {};
+
+  // Reissue when the on-chain or prepared data behind the credential changed since it was signed
+  if (stored && canonicalJson(storedDocument) === canonicalJson(draft)) return { credential: stored };
+
+  const { signer } = await getContracts();
+  const typedData = credentialTypedData(draft);
+  if (typedData.message.issuer !== signer.address) return { credential: null, draft, typedData };
+
+  const signature = await signer.signTypedData(typedData.domain, typedData.types, typedData.message);
+  const credential = withProof(draft, signature);
+  await store.set(credentialKey(contractAddress, tokenId), credential);
+  return { credential };
+}
+
+/**
+ * Store a credential signed by an issuer wallet the backend does not control
+ * @param {string} contractAddress
+ * @param {string|number} tokenId
+ * @param {string} signature - issuer's eth_signTypedData_v4 signature of credentialTypedData(draft)
+ * @returns {Promise<Object>} the signed credential
+ */
+async function attachIssuerProof(contractAddress, tokenId, signature) {
+  const draft = await buildCredential(contractAddress, tokenId);
+  const typedData = credentialTypedData(draft);
+  const signerAddress = ethers.verifyTypedData(typedData.domain, typedData.types, typedData.message, signature);
+  if (signerAddress !== typedData.message.issuer) throw new Error('Signature is not from the certificate issuer');
+
+  const credential = withProof(draft, signature);
+  await getStore('credentials').set(credentialKey(contractAddress, tokenId), credential);
+  return credential;
+}
+
+function base64UrlJson(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * JWT-VC encoding of a credential, signed ES256K by the backend wallet. Only possible when the backend wallet is
+ * the issuer: browser wallets cannot sign raw JWT digests.
+ * @param {Object} credential - signed or unsigned credential; its JSON-LD proof is not carried over
+ * @returns {Promise<string>}
+ */
+async function toJwtCredential(credential) {
+  const { signer } = await getContracts();
+  const issuer = addressOfDid(credential.issuer.id);
+  if (issuer !== signer.address) throw new Error('JWT-VCs can only be signed when the backend wallet is the issuer');
+
+  const { proof, ...vc } = credential;
+  const header = { alg: 'ES256K', typ: 'JWT', kid: `${credential.issuer.id}#blockchainAccountId` };
+  const payload = {
+    iss: credential.issuer.id,
+    sub: credential.credentialSubject.id,
+    jti: credential.id,
+    nbf: Math.floor(Date.parse(credential.issuanceDate) / 1000),
+    vc,
+  };
+  if (credential.expirationDate) payload.exp = Math.floor(Date.parse(credential.expirationDate) / 1000);
+
+  const input = `${base64UrlJson(header)}.${base64UrlJson(payload)}`;
+  const digest = crypto.createHash('sha256').update(input).digest();
+  const { r, s } = signer.signingKey.sign(digest);
+  return `${input}.${Buffer.from(ethers.getBytes(ethers.concat([r, s]))).toString('base64url')}`;
+}
+
+/**
+ * Decode a JWT-VC and recover the address that signed it
+ * @returns {{ credential: Object, signer: string }}
+ */
+function decodeJwtCredential(jwt) {
+  const [header, payload, signature] = String(jwt).split('.');
+  if (!signature) throw new Error('Malformed JWT');
+
+  const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString());
+  if (alg !== 'ES256K') throw new Error(`Unsupported JWT alg ${alg}`);
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  if (!claims.vc) throw new Error('JWT carries no vc claim');
+
+  const digest = crypto.createHash('sha256').update(`${header}.${payload}`).digest();
+  const bytes = Buffer.from(signature, 'base64url');
+  if (bytes.length !== 64) throw new Error('Malformed ES256K signature');
+
+  // ES256K signatures carry no recovery bit; the issuer DID names the expected key
+  const expected = addressOfDid(claims.iss);
+  const r = ethers.hexlify(bytes.subarray(0, 32));
+  const s = ethers.hexlify(bytes.subarray(32));
+  const recovered = [27, 28].map((v) => ethers.recoverAddress(digest, { r, s, v }));
+  const signer = recovered.find((address) => address === expected) || recovered[0];
+
+  return { credential: { ...claims.vc, issuer: claims.vc.issuer || { id: claims.iss } }, signer, claims };
+}
+
+/**
+ * Verify a credential (JSON-LD object with an EIP-712 proof, or JWT-VC string) and cross-check it against the
+ * chain: the token's issuer, holder, issuance and expiry, its status, and the issuer's standing in IssuerRegistry
+ * @param {Object|string} input
+ * @returns {Promise<{ valid: boolean, format: string, checks: Object<string, boolean>, credential: Object }>}
+ */
+async function verifyCredential(input) {
+  let format;
+  let credential;
+  let signer;
+  if (typeof input === 'string') {
+    format = 'jwt';
+    ({ credential, signer } = decodeJwtCredential(input));
+  } else {
+    format = 'jsonld';
+    credential = input;
+    const { proof } = credential;
+    if (!proof || proof.type !== PROOF_TYPE || !proof.proofValue) throw new Error(`Credential has no ${PROOF_TYPE} proof`);
+    const { domain, types, message } = credentialTypedData(credential);
+    signer = ethers.verifyTypedData(domain, types, message, proof.proofValue);
+  }
+
+  const status = credential.credentialStatus;
+  if (!status || status.type !== 'DecentraCertSoulboundStatus' || !ethers.isAddress(status.contract)) {
+    throw new Error('Credential has no DecentraCert credentialStatus');
+  }
+  const issuer = addressOfDid(credential.issuer && credential.issuer.id);
+  const holder = addressOfDid(credential.credentialSubject && credential.credentialSubject.id);
+
+  const { provider, issuerRegistry } = await getContracts();
+  const collection = await getCollection(status.contract);
+  const [{ chainId }, certificateStatus] = await Promise.all([
+    provider.getNetwork(),
+    collection.certificateStatus(status.tokenId),
+  ]);
+
+  const checks = {
+    signature: signer === issuer,
+    chain: chainId.toString() === String(status.chainId),
+    issued: Number(certificateStatus) !== 0, // CertificateStatus.NONE: never issued or burned
+  };
+  if (checks.issued) {
+    const [data, owner] = await Promise.all([
+      collection.getCertificateData(status.tokenId),
+      collection.ownerOf(status.tokenId),
+    ]);
+    const currentKey = await issuerRegistry.resolveIssuer(data.issuer);
+    const [verified, issuerData] = await Promise.all([
+      issuerRegistry.isVerifiedIssuer(currentKey),
+      issuerRegistry.getIssuerData(currentKey),
+    ]);
+    const expiresAt = Number(data.expiresAt);
+    Object.assign(checks, {
+      issuer: data.issuer === issuer,
+      holder: owner === holder,
+      issuanceDate: credential.issuanceDate === isoDate(Number(data.issuedTimestamp)),
+      expirationDate: (credential.expirationDate || null) === (expiresAt ? isoDate(expiresAt) : null),
+      status: Number(certificateStatus) === 1, // CertificateStatus.VALID
+      issuerActive: verified && issuerData.isActive,
+    });
+  }
+
+  return {
+    valid: Object.values(checks).every(Boolean),
+    format,
+    checks,
+    signer,
+    credential,
+  };
+}
+
+module.exports = {
+  VC_CONTEXT,
+  buildCredential,
+  credentialTypedData,
+  exportCredential,
+  attachIssuerProof,
+  toJwtCredential,
+  decodeJwtCredential,
+  verifyCredential,
+};
@@ -0,0 +1,49 @@
+const { Resolver } = require('dns').promises;
+require('dotenv').config();
+
+// Resolver used for TXT lookups. Anything exposing resolveTxt(hostname) => string[][] works,
+// e.g. a dns.promises.Resolver pointed at a local stub DNS server in tests.
+let resolver;
+
+/**
+ * Create a resolver that queries the given DNS servers
+ * @param {string[]} [servers] - e.g. ['127.0.0.1:5353']; system defaults when omitted
+ */
+function createResolver(servers) {
+  const instance = new Resolver();
+  if (servers && servers.length > 0) instance.setServers(servers);
+  return instance;
+}
+
+function getResolver() {
+  if (!resolver) {
+    const servers = process.env.DNS_SERVERS ? process.env.DNS_SERVERS.split(',').map((s) => s.trim()) : [];
+    resolver = createResolver(servers);
+  }
+  return resolver;
+}
+
+/**
+ * Swap the resolver used for TXT lookups
+ * @param {{ resolveTxt: (hostname: string) => Promise<string[][]> }} custom
+ */
+function setResolver(custom) {
+  resolver = custom;
+}
+
+/**
+ * Resolve TXT records of a host, joining the character-string chunks of each record
+ * @param {string} hostname
+ * @returns {Promise<string[]>} one string per TXT record, [] when the name does not exist
+ */
+async function resolveTxt(hostname) {
+  try {
+    const records = await getResolver().resolveTxt(hostname);
+    return records.map((chunks) => chunks.join(''));
+  } catch (err) {
+    if (err.code === 'ENOTFOUND' || err.code === 'ENODATA') return [];
+    throw err;
+  }
+}
+
+module.exports = { createResolver, setResolver, resolveTxt };
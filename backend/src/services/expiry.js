@@ -0,0 +1,43 @@
+const { getCollection } = require('./contracts');
+
+// Number of getCertificateData calls sent to the RPC node at once
+const BATCH_SIZE = 20;
+
+/**
+ * List certificates of a collection whose expiry falls within a window
+ * @param {string} contractAddress - SoulboundNFT collection
+ * @param {number} withinSeconds - window length starting now
+ * @param {boolean} [includeExpired] - also list certificates that already expired
+ * @returns {Promise<{ tokenId: string, holder: string, issuer: string, expiresAt: number, expired: boolean }[]>}
+ */
+async function listExpiringCertificates(contractAddress, withinSeconds, includeExpired = false) {
+  const collection = await getCollection(contractAddress);
+  const total = Number(await collection.totalMinted());
+  const now = Math.floor(Date.now() / 1000);
+  const until = now + withinSeconds;
+
+  const results = [];
+  for (let start = 1; start <= total; start += BATCH_SIZE) {
+    const tokenIds = [];
+    for (let id = start; id < start + BATCH_SIZE && id <= total; id++) tokenIds.push(id);
+
+    const batch = await Promise.all(
+      tokenIds.map(async (tokenId) => {
+        // Burned tokens revert; skip them
+        const data = await collection.getCertificateData(tokenId).catch(() => null);
+        if (!data || data.expiresAt === 0n) return null;
+
+        const expiresAt = Number(data.expiresAt);
+        if (expiresAt > until || (!includeExpired && expiresAt < now)) return null;
+
+        const holder = await collection.ownerOf(tokenId);
+        return { tokenId: tokenId.toString(), holder, issuer: data.issuer, expiresAt, expired: expiresAt < now };
+      })
+    );
+    results.push(...batch.filter(Boolean));
+  }
+
+  return results.sort((a, b) => a.expiresAt - b.expiresAt);
+}
+
+module.exports = { listExpiringCertificates };
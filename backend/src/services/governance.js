@@ -0,0 +1,208 @@
+const { getContracts } = require('./contracts');
+
+// DecentraCertRoles roles, plus ZKVerifier's own ROOT_PUBLISHER_ROLE
+const ROLES = ['DEFAULT_ADMIN_ROLE', 'REGISTRAR_ROLE', 'REVIEWER_ROLE', 'CIRCUIT_ADMIN_ROLE', 'PAUSER_ROLE', 'ROOT_PUBLISHER_ROLE'];
+
+/**
+ * Actions the council can be asked to perform, by name: the contract (getContracts key) and function called
+ */
+const ACTIONS = {
+  manualVerifyIssuer: { contract: 'issuerRegistry', fn: 'manualVerifyIssuer' },
+  deactivateIssuer: { contract: 'issuerRegistry', fn: 'deactivateIssuer' },
+  reactivateIssuer: { contract: 'issuerRegistry', fn: 'reactivateIssuer' },
+  addOracle: { contract: 'issuerRegistry', fn: 'addOracle' },
+  removeOracle: { contract: 'issuerRegistry', fn: 'removeOracle' },
+  initiateRecoveryRotation: { contract: 'issuerRegistry', fn: 'initiateRecoveryRotation' },
+  cancelKeyRotation: { contract: 'issuerRegistry', fn: 'cancelKeyRotation' },
+  deactivateCircuit: { contract: 'zkVerifier', fn: 'deactivateCircuit' },
+  reactivateCircuit: { contract: 'zkVerifier', fn: 'reactivateCircuit' },
+  setCircuitKind: { contract: 'zkVerifier', fn: 'setCircuitKind' },
+  setThreshold: { contract: 'adminCouncil', fn: 'setThreshold' },
+  setMinDelay: { contract: 'adminCouncil', fn: 'setMinDelay' },
+};
+
+// Role changes name their contract: { action: 'grantRole', contract: 'issuerRegistry', args: ['REGISTRAR_ROLE', '0x…'] }
+const ROLE_ACTIONS = ['grantRole', 'revokeRole'];
+const ROLE_TARGETS = ['issuerRegistry', 'zkVerifier', 'adminCouncil'];
+
+async function requireCouncil() {
+  const contracts = await getContracts();
+  if (!contracts.adminCouncil) throw new Error('No adminCouncil in the deployment file');
+  return contracts;
+}
+
+/**
+ * Target and calldata of an action
+ * @param {string} action - key of ACTIONS, or grantRole / revokeRole
+ * @param {Array} args - function arguments; role names are accepted for roles
+ * @param {string} [contractName] - grantRole / revokeRole: one of ROLE_TARGETS
+ */
+async function encodeAction(action, args, contractName) {
+  const contracts = await requireCouncil();
+
+  if (ROLE_ACTIONS.includes(action)) {
+    if (!ROLE_TARGETS.includes(contractName)) throw new Error(`contract must be one of ${ROLE_TARGETS.join(', ')}`);
+    const [role, account] = args;
+    const contract = contracts[contractName];
+    const roleId = ROLES.includes(role) ? await contract[role]() : role;
+    return { target: contract.target, data: contract.interface.encodeFunctionData(action, [roleId, account]) };
+  }
+
+  const definition = ACTIONS[action];
+  if (!definition) throw new Error(`Unknown action ${action}`);
+  const contract = contracts[definition.contract];
+  return { target: contract.target, data: contract.interface.encodeFunctionData(definition.fn, args) };
+}
+
+/**
+ * Propose an action from the backend wallet (must be a council reviewer); counts as its approval
+ * @param {{ action: string, args: Array, contract?: string, description?: string }} request
+ */
+async function proposeAction({ action, args = [], contract, description = '' }) {
+  const { adminCouncil } = await requireCouncil();
+  const { target, data } = await encodeAction(action, args, contract);
+
+  const tx = await adminCouncil.propose(target, data, description);
+  const receipt = await tx.wait();
+  const event = receipt.logs
+    .map((log) => adminCouncil.interface.parseLog(log))
+    .find((parsed) => parsed && parsed.name === 'ProposalCreated');
+
+  return { proposalId: event.args.proposalId.toString(), target, data, txHash: tx.hash };
+}
+
+/**
+ * EIP-712 typed data a reviewer signs to approve a proposal without sending a transaction
+ * @param {string|number} proposalId
+ */
+async function getApprovalTypedData(proposalId) {
+  const { provider, adminCouncil } = await requireCouncil();
+  const { chainId } = await provider.getNetwork();
+  return {
+    domain: { name: 'DecentraCert AdminCouncil', version: '1', chainId, verifyingContract: adminCouncil.target },
+    types: { ProposalApproval: [{ name: 'proposalId', type: 'uint256' }] },
+    message: { proposalId: proposalId.toString() },
+  };
+}
+
+/**
+ * Approve a proposal, from the backend wallet or by relaying a reviewer's signed approval
+ * @param {string|number} proposalId
+ * @param {{ approver?: string, signature?: string }} [signed]
+ */
+async function approveProposal(proposalId, { approver, signature } = {}) {
+  const { adminCouncil } = await requireCouncil();
+  const tx = signature
+    ? await adminCouncil.approveBySig(proposalId, approver, signature)
+    : await adminCouncil.approve(proposalId);
+  await tx.wait();
+  return getProposal(proposalId).then((proposal) => ({ ...proposal, txHash: tx.hash }));
+}
+
+/**
+ * Execute an approved proposal whose delay has passed
+ * @param {string|number} proposalId
+ */
+async function executeProposal(proposalId) {
+  const { adminCouncil } = await requireCouncil();
+  const tx = await adminCouncil.execute(proposalId);
+  await tx.wait();
+  return { proposalId: proposalId.toString(), txHash: tx.hash };
+}
+
+/**
+ * Name and arguments of a proposed call, when it targets a known contract
+ */
+function decodeCall(contracts, target, data) {
+  for (const name of ROLE_TARGETS) {
+    const contract = contracts[name];
+    if (!contract || contract.target.toLowerCase() !== target.toLowerCase()) continue;
+    const parsed = contract.interface.parseTransaction({ data });
+    if (parsed) return { contract: name, function: parsed.name, args: parsed.args.map((arg) => arg.toString()) };
+  }
+  return null;
+}
+
+/**
+ * A proposal with its decoded call and status: pending (awaiting approvals), queued (timelocked),
+ * ready (executable), executed or cancelled
+ * @param {string|number} proposalId
+ */
+async function getProposal(proposalId) {
+  const contracts = await requireCouncil();
+  const { provider, adminCouncil } = contracts;
+  const [proposal, threshold, block] = await Promise.all([
+    adminCouncil.getProposal(proposalId),
+    adminCouncil.threshold(),
+    provider.getBlock('latest'),
+  ]);
+  if (proposal.id === 0n) return null;
+
+  let status = 'pending';
+  if (proposal.executed) status = 'executed';
+  else if (proposal.cancelled) status = 'cancelled';
+  else if (proposal.eta !== 0n && proposal.approvals >= threshold) {
+    status = BigInt(block.timestamp) >= proposal.eta ? 'ready' : 'queued';
+  }
+
+  return {
+    proposalId: proposal.id.toString(),
+    status,
+    target: proposal.target,
+    data: proposal.data,
+    call: decodeCall(contracts, proposal.target, proposal.data),
+    description: proposal.description,
+    proposer: proposal.proposer,
+    approvals: Number(proposal.approvals),
+    threshold: Number(threshold),
+    eta: Number(proposal.eta) || null,
+  };
+}
+
+/**
+ * Proposals created since a block, newest first
+ * @param {number} [fromBlock]
+ */
+async function listProposals(fromBlock = 0) {
+  const { adminCouncil } = await requireCouncil();
+  const events = await adminCouncil.queryFilter(adminCouncil.filters.ProposalCreated(), fromBlock);
+  const proposals = await Promise.all(events.map((event) => getProposal(event.args.proposalId)));
+  return proposals.reverse();
+}
+
+/**
+ * Roles an account holds on IssuerRegistry, ZKVerifier and the council
+ * @param {string} account
+ * @returns {Promise<Object<string, string[]>>} role names by contract
+ */
+async function getRoles(account) {
+  const contracts = await getContracts();
+  const result = {};
+  for (const name of ROLE_TARGETS) {
+    const contract = contracts[name];
+    if (!contract) continue;
+
+    const roles = await Promise.all(
+      ROLES.map(async (role) => {
+        // Not every contract defines every role
+        const roleId = await contract[role]().catch(() => null);
+        return roleId && (await contract.hasRole(roleId, account)) ? role : null;
+      })
+    );
+    result[name] = roles.filter(Boolean);
+  }
+  return result;
+}
+
+module.exports = {
+  ROLES,
+  ACTIONS,
+  ROLE_ACTIONS,
+  proposeAction,
+  getApprovalTypedData,
+  approveProposal,
+  executeProposal,
+  getProposal,
+  listProposals,
+  getRoles,
+};
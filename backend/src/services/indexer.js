@@ -0,0 +1,500 @@
+const { ethers } = require('ethers');
+const { getContracts } = require('./contracts');
+const { getStore } = require('./storage');
+require('dotenv').config();
+
+// Blocks behind the head left unindexed; they are the most likely to be reorganised
+const CONFIRMATIONS = Number(process.env.INDEXER_CONFIRMATIONS || 2);
+
+// Blocks whose changes are journaled so a reorg can be rolled back; deeper reorgs need a full reindex
+const REORG_DEPTH = Number(process.env.INDEXER_REORG_DEPTH || 64);
+
+// Blocks per eth_getLogs request
+const BATCH_SIZE = Number(process.env.INDEXER_BATCH_SIZE || 2000);
+
+// Minimum time between two syncs triggered by queries
+const POLL_INTERVAL = Number(process.env.INDEXER_POLL_INTERVAL || 15000);
+
+const MAX_PAGE_SIZE = 100;
+
+// IIssuerRegistry.IssuerTier
+const TIERS = ['NONE', 'MANUAL', 'T2', 'T1'];
+
+/**
+ * Records kept in the index store, keyed by:
+ *   state                          { lastBlock, blocks: { [number]: hash } } - hashes of recently indexed blocks
+ *   journal:<block>                [{ key, previous }] - values overwritten while applying the block
+ *   issuer:<address>               { address, name, tier, isActive, verifiedBlock, updatedBlock,
+ *                                    previousKeys?, rotatedTo? } - rotated keys point to the current record
+ *   collection:<address>           { address, issuer, name, symbol, createdBlock }
+ *   certificate:<collection>:<id>  { collection, tokenId, holder, issuer, mintedBlock, txHash, burned,
+ *                                    recoveredFrom?, recoveredTo? } - token IDs linked by a wallet recovery
+ *   wallet:<address>               [certificate keys] - certificates ever held, burned ones included
+ *   holders:<collection>           { [holder]: number of certificates held }
+ *   proof:<id>                     { id, owner, circuitId, createdBlock, txHash, revoked }
+ *   circuit:<id>                   [proof IDs]
+ * Addresses in keys are lower-case; addresses in records are checksummed.
+ */
+
+function keyOf(...parts) {
+  return parts.map((part) => String(part).toLowerCase()).join(':');
+}
+
+/**
+ * @param {number} [offset]
+ * @param {number} [limit]
+ */
+function paginate(items, offset = 0, limit = 20) {
+  const size = Math.min(Math.max(Number(limit) || 20, 1), MAX_PAGE_SIZE);
+  const start = Math.max(Number(offset) || 0, 0);
+  return { items: items.slice(start, start + size), total: items.length, offset: start, limit: size };
+}
+
+/**
+ * Indexer following IssuerRegistry, CertificateFactory, SoulboundNFT collections and ZKVerifier events
+ * @param {Object} options
+ * @param {import('ethers').Provider} options.provider
+ * @param {import('ethers').Contract} options.issuerRegistry
+ * @param {import('ethers').Contract} options.zkVerifier
+ * @param {import('ethers').Contract} [options.certificateFactory] - collections it creates are followed too
+ * @param {import('ethers').Contract} [options.soulboundNFT] - standalone collection; its ABI parses every collection's logs
+ * @param {import('ethers').Interface} [options.collectionInterface] - defaults to soulboundNFT.interface
+ * @param {import('./storage').Store} options.store
+ * @param {number} [options.startBlock] - first block to index (deployment block)
+ * @param {number} [options.confirmations]
+ * @param {number} [options.reorgDepth]
+ * @param {number} [options.batchSize]
+ */
+function createIndexer({
+  provider,
+  issuerRegistry,
+  zkVerifier,
+  certificateFactory,
+  soulboundNFT,
+  collectionInterface = soulboundNFT && soulboundNFT.interface,
+  store,
+  startBlock = 0,
+  confirmations = CONFIRMATIONS,
+  reorgDepth = REORG_DEPTH,
+  batchSize = BATCH_SIZE,
+}) {
+  let syncing = null;
+  let lastSyncAt = 0;
+  let timer = null;
+
+  // The state is copied in and out of the store, so changes of a block whose write failed are not kept
+  function copyState(state) {
+    return { lastBlock: state.lastBlock, blocks: { ...state.blocks } };
+  }
+
+  async function getState() {
+    const state = await store.get('state');
+    return state ? copyState(state) : { lastBlock: startBlock - 1, blocks: {} };
+  }
+
+  async function trackedCollections() {
+    const keys = await store.keys();
+    const addresses = keys.filter((key) => key.startsWith('collection:')).map((key) => key.slice('collection:'.length));
+    if (soulboundNFT) addresses.push(soulboundNFT.target.toLowerCase());
+    return [...new Set(addresses)];
+  }
+
+  /**
+   * Undo the journaled changes of every indexed block above `block`, in one store update
+   */
+  async function rollbackTo(block, state) {
+    const changes = new Map();
+    for (let number = state.lastBlock; number > block; number--) {
+      const journal = await store.get(`journal:${number}`);
+      if (journal) {
+        // Walking down from the head, the value before the oldest change is written last
+        for (const { key, previous } of [...journal].reverse()) changes.set(key, previous);
+        changes.set(`journal:${number}`, null);
+      }
+      delete state.blocks[number];
+    }
+    state.lastBlock = block;
+    changes.set('state', copyState(state));
+    await store.setMany([...changes]);
+  }
+
+  /**
+   * Compare the stored hashes of recent blocks with the chain and roll back past the fork point
+   * @returns {Promise<number|null>} the block rolled back to, null without reorg
+   */
+  async function handleReorg(state) {
+    const numbers = Object.keys(state.blocks).map(Number).sort((a, b) => b - a);
+    if (numbers.length === 0) return null;
+
+    const head = await provider.getBlock(numbers[0]);
+    if (head && head.hash === state.blocks[numbers[0]]) return null;
+
+    for (const number of numbers.slice(1)) {
+      const block = await provider.getBlock(number);
+      if (block && block.hash === state.blocks[number]) {
+        await rollbackTo(number, state);
+        return number;
+      }
+    }
+    throw new Error(`Reorg deeper than the ${reorgDepth} journaled blocks; delete the index store to reindex`);
+  }
+
+  /**
+   * Apply the logs of one block, journaling the previous value of every key it changes. The changes, the
+   * journal and the state marking the block as indexed are written in one store update, so a crash never
+   * leaves a block half-applied or applied without being recorded (and applied again by the next sync).
+   */
+  async function applyBlock(blockNumber, logs, state) {
+    const journal = [];
+    const pending = new Map();
+
+    async function read(key) {
+      return pending.has(key) ? pending.get(key) : store.get(key);
+    }
+    async function write(key, value) {
+      if (!pending.has(key)) journal.push({ key, previous: await store.get(key) });
+      pending.set(key, value);
+    }
+
+    async function setHolder(certificateKey, certificate, holder) {
+      if (certificate.holder) {
+        const holdersKey = keyOf('holders', certificate.collection);
+        const holders = { ...((await read(holdersKey)) || {}) };
+        holders[certificate.holder] = (holders[certificate.holder] || 1) - 1;
+        if (holders[certificate.holder] <= 0) delete holders[certificate.holder];
+        await write(holdersKey, holders);
+      }
+      if (holder) {
+        const holdersKey = keyOf('holders', certificate.collection);
+        const holders = { ...((await read(holdersKey)) || {}) };
+        holders[holder] = (holders[holder] || 0) + 1;
+        await write(holdersKey, holders);
+
+        const walletKey = keyOf('wallet', holder);
+        const wallet = (await read(walletKey)) || [];
+        if (!wallet.includes(certificateKey)) await write(walletKey, [...wallet, certificateKey]);
+      }
+    }
+
+    for (const { log, parsed, source } of logs) {
+      const { name, args } = parsed;
+
+      if (source === 'registry' && name === 'IssuerKeyRotated') {
+        const oldKey = keyOf('issuer', args.oldKey);
+        const issuer = await read(oldKey);
+        if (issuer) {
+          await write(keyOf('issuer', args.newKey), {
+            ...issuer,
+            address: args.newKey,
+            previousKeys: [...(issuer.previousKeys || []), issuer.address],
+            updatedBlock: blockNumber,
+          });
+          await write(oldKey, { ...issuer, isActive: false, rotatedTo: args.newKey, updatedBlock: blockNumber });
+        }
+      } else if (source === 'registry') {
+        const issuerKey = keyOf('issuer', args.issuer);
+        const issuer = await read(issuerKey);
+        if (name === 'IssuerVerified') {
+          await write(issuerKey, {
+            address: args.issuer,
+            name: args.name,
+            tier: TIERS[Number(args.tier)],
+            isActive: true,
+            verifiedBlock: blockNumber,
+            updatedBlock: blockNumber,
+          });
+        } else if (issuer && name === 'IssuerUpgraded') {
+          await write(issuerKey, { ...issuer, tier: TIERS[Number(args.toTier)], updatedBlock: blockNumber });
+        } else if (issuer && name === 'IssuerStatusChanged') {
+          await write(issuerKey, { ...issuer, isActive: args.isActive, updatedBlock: blockNumber });
+        }
+      } else if (source === 'factory' && name === 'CollectionCreated') {
+        await write(keyOf('collection', args.collection), {
+          address: args.collection,
+          issuer: args.issuer,
+          name: args.name,
+          symbol: args.symbol,
+          createdBlock: blockNumber,
+        });
+      } else if (source === 'collection') {
+        const collection = ethers.getAddress(log.address);
+        const certificateKey = keyOf('certificate', collection, args.tokenId);
+        if (name === 'CertificateMinted') {
+          const certificate = {
+            collection,
+            tokenId: args.tokenId.toString(),
+            holder: null,
+            issuer: args.issuer,
+            mintedBlock: blockNumber,
+            txHash: log.transactionHash,
+            burned: false,
+          };
+          await setHolder(certificateKey, certificate, args.recipient);
+          await write(certificateKey, { ...certificate, holder: args.recipient });
+        } else if (name === 'CertificateRecovered') {
+          // The old token's burn was applied by its Transfer event; the new token's mint carries no CertificateMinted
+          const oldKey = keyOf('certificate', collection, args.oldTokenId);
+          const old = await read(oldKey);
+          if (old) {
+            const certificate = {
+              ...old,
+              tokenId: args.newTokenId.toString(),
+              holder: null,
+              mintedBlock: blockNumber,
+              txHash: log.transactionHash,
+              burned: false,
+              recoveredFrom: old.tokenId,
+            };
+            const newKey = keyOf('certificate', collection, args.newTokenId);
+            await setHolder(newKey, certificate, args.newHolder);
+            await write(newKey, { ...certificate, holder: args.newHolder });
+            await write(oldKey, { ...old, recoveredTo: args.newTokenId.toString() });
+          }
+        } else if (name === 'Transfer' && args.from !== ethers.ZeroAddress) {
+          const certificate = await read(certificateKey);
+          if (certificate) {
+            const burned = args.to === ethers.ZeroAddress;
+            await setHolder(certificateKey, certificate, burned ? null : args.to);
+            await write(certificateKey, { ...certificate, holder: burned ? certificate.holder : args.to, burned });
+          }
+        }
+      } else if (source === 'zk') {
+        const proofKey = keyOf('proof', args.proofId);
+        if (name === 'ProofCreated') {
+          await write(proofKey, {
+            id: args.proofId.toString(),
+            owner: args.owner,
+            circuitId: args.circuitId.toString(),
+            createdBlock: blockNumber,
+            txHash: log.transactionHash,
+            revoked: false,
+          });
+          const circuitKey = keyOf('circuit', args.circuitId);
+          await write(circuitKey, [...((await read(circuitKey)) || []), args.proofId.toString()]);
+        } else if (name === 'ProofRevoked') {
+          const proof = await read(proofKey);
+          if (proof) await write(proofKey, { ...proof, revoked: true });
+        }
+      }
+    }
+
+    state.blocks[blockNumber] = logs[0].log.blockHash;
+    state.lastBlock = blockNumber;
+    const entries = [...pending];
+    if (journal.length > 0) entries.push([`journal:${blockNumber}`, journal]);
+    entries.push(['state', copyState(state)]);
+    await store.setMany(entries);
+  }
+
+  async function fetchLogs(addresses, fromBlock, toBlock) {
+    if (addresses.length === 0) return [];
+    return provider.getLogs({ address: addresses, fromBlock, toBlock });
+  }
+
+  function parse(contract, source, log) {
+    try {
+      const parsed = (contract.interface || contract).parseLog(log);
+      return parsed ? { log, parsed, source } : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Index one range of blocks. Collections created in the range are followed from their creation block.
+   */
+  async function indexRange(fromBlock, toBlock, state) {
+    const entries = [];
+
+    const registryAddress = issuerRegistry.target.toLowerCase();
+    const zkAddress = zkVerifier.target.toLowerCase();
+    const factoryAddress = certificateFactory ? certificateFactory.target.toLowerCase() : null;
+
+    const coreLogs = await fetchLogs([registryAddress, zkAddress, factoryAddress].filter(Boolean), fromBlock, toBlock);
+    for (const log of coreLogs) {
+      const address = log.address.toLowerCase();
+      if (address === registryAddress) entries.push(parse(issuerRegistry, 'registry', log));
+      else if (address === zkAddress) entries.push(parse(zkVerifier, 'zk', log));
+      else entries.push(parse(certificateFactory, 'factory', log));
+    }
+
+    const created = entries
+      .filter((entry) => entry && entry.source === 'factory' && entry.parsed.name === 'CollectionCreated')
+      .map((entry) => entry.parsed.args.collection.toLowerCase());
+    const collections = [...new Set([...(await trackedCollections()), ...created])];
+    if (collectionInterface) {
+      for (const log of await fetchLogs(collections, fromBlock, toBlock)) {
+        entries.push(parse(collectionInterface, 'collection', log));
+      }
+    }
+
+    const byBlock = new Map();
+    entries
+      .filter(Boolean)
+      .sort((a, b) => a.log.blockNumber - b.log.blockNumber || a.log.index - b.log.index)
+      .forEach((entry) => {
+        if (!byBlock.has(entry.log.blockNumber)) byBlock.set(entry.log.blockNumber, []);
+        byBlock.get(entry.log.blockNumber).push(entry);
+      });
+
+    for (const [blockNumber, logs] of byBlock) {
+      await applyBlock(blockNumber, logs, state);
+    }
+
+    const last = await provider.getBlock(toBlock);
+    state.blocks[toBlock] = last.hash;
+    state.lastBlock = toBlock;
+
+    // Forget hashes and journals that fell out of the reorg window
+    const expired = [];
+    for (const number of Object.keys(state.blocks).map(Number)) {
+      if (number <= toBlock - reorgDepth) {
+        delete state.blocks[number];
+        expired.push([`journal:${number}`, null]);
+      }
+    }
+    await store.setMany([...expired, ['state', copyState(state)]]);
+  }
+
+  /**
+   * Catch up with the chain head minus the confirmations, rolling back reorganised blocks first
+   * @returns {Promise<{ lastBlock: number, rolledBackTo: number|null }>}
+   */
+  async function sync() {
+    if (syncing) return syncing;
+    syncing = (async () => {
+      const state = await getState();
+      const rolledBackTo = await handleReorg(state);
+
+      const target = (await provider.getBlockNumber()) - confirmations;
+      for (let from = state.lastBlock + 1; from <= target; from += batchSize) {
+        await indexRange(from, Math.min(from + batchSize - 1, target), state);
+      }
+      lastSyncAt = Date.now();
+      return { lastBlock: state.lastBlock, rolledBackTo };
+    })();
+    try {
+      return await syncing;
+    } finally {
+      syncing = null;
+    }
+  }
+
+  /**
+   * Sync unless the index was synced within the poll interval; used before answering queries
+   */
+  async function ensureFresh() {
+    if (Date.now() - lastSyncAt >= POLL_INTERVAL) await sync();
+  }
+
+  /**
+   * Poll for new blocks until stop() is called
+   * @param {number} [interval] - milliseconds between syncs
+   */
+  function start(interval = POLL_INTERVAL) {
+    if (timer) return;
+    const tick = async () => {
+      try {
+        await sync();
+      } catch (err) {
+        console.error('indexer sync error:', err);
+      }
+      if (timer) timer = setTimeout(tick, interval);
+    };
+    timer = setTimeout(tick, 0);
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  async function records(prefix) {
+    const keys = (await store.keys()).filter((key) => key.startsWith(prefix));
+    return Promise.all(keys.map((key) => store.get(key)));
+  }
+
+  /**
+   * @param {{ tier?: string, active?: boolean, offset?: number, limit?: number }} [query]
+   */
+  async function listIssuers({ tier, active, offset, limit } = {}) {
+    const issuers = (await records('issuer:'))
+      .filter((issuer) => !issuer.rotatedTo)
+      .filter((issuer) => !tier || issuer.tier === tier)
+      .filter((issuer) => active === undefined || issuer.isActive === active)
+      .sort((a, b) => a.verifiedBlock - b.verifiedBlock);
+    return paginate(issuers, offset, limit);
+  }
+
+  /**
+   * Certificates a wallet holds (or held, with includeBurned)
+   * @param {string} address
+   * @param {{ includeBurned?: boolean, offset?: number, limit?: number }} [query]
+   */
+  async function getWalletCertificates(address, { includeBurned = false, offset, limit } = {}) {
+    const holder = ethers.getAddress(address);
+    const keys = (await store.get(keyOf('wallet', holder))) || [];
+    const certificates = (await Promise.all(keys.map((key) => store.get(key))))
+      .filter((certificate) => certificate && certificate.holder === holder)
+      .filter((certificate) => includeBurned || !certificate.burned);
+    return paginate(certificates, offset, limit);
+  }
+
+  /**
+   * Current holders of a collection with the number of its certificates each holds
+   * @param {string} address
+   * @param {{ offset?: number, limit?: number }} [query]
+   */
+  async function getCollectionHolders(address, { offset, limit } = {}) {
+    const holders = Object.entries((await store.get(keyOf('holders', address))) || {})
+      .map(([holder, count]) => ({ holder, count }))
+      .sort((a, b) => b.count - a.count || a.holder.localeCompare(b.holder));
+    return paginate(holders, offset, limit);
+  }
+
+  /**
+   * Proofs recorded for a circuit, oldest first
+   * @param {string|number} circuitId
+   * @param {{ includeRevoked?: boolean, offset?: number, limit?: number }} [query]
+   */
+  async function getCircuitProofs(circuitId, { includeRevoked = true, offset, limit } = {}) {
+    const ids = (await store.get(keyOf('circuit', circuitId))) || [];
+    const proofs = (await Promise.all(ids.map((id) => store.get(keyOf('proof', id)))))
+      .filter((proof) => proof && (includeRevoked || !proof.revoked));
+    return paginate(proofs, offset, limit);
+  }
+
+  async function status() {
+    const state = await getState();
+    return { lastBlock: state.lastBlock, lastSyncAt: lastSyncAt || null, confirmations, reorgDepth };
+  }
+
+  return {
+    sync,
+    ensureFresh,
+    start,
+    stop,
+    status,
+    listIssuers,
+    getWalletCertificates,
+    getCollectionHolders,
+    getCircuitProofs,
+  };
+}
+
+let indexer;
+
+/**
+ * Indexer over the contracts of the configured deployment, persisted in the 'index' store.
+ * Indexing starts at INDEXER_START_BLOCK, or at the deployment's blockNumber.
+ */
+async function getIndexer() {
+  if (indexer) return indexer;
+
+  const contracts = await getContracts();
+  const startBlock = Number(process.env.INDEXER_START_BLOCK || contracts.deployment.blockNumber || 0);
+  indexer = createIndexer({ ...contracts, store: getStore('index'), startBlock });
+  return indexer;
+}
+
+module.exports = { TIERS, createIndexer, getIndexer, paginate };
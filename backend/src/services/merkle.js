@@ -0,0 +1,284 @@
+const keccak256 = require('keccak256');
+const { MerkleTree } = require('merkletreejs');
+const { ethers } = require('ethers');
+
+/**
+ * Canonical whitelist leaves and trees, shared by the backend, contracts/scripts and the contract tests.
+ *
+ * Leaves are double-hashed like SoulboundNFT._leaf: keccak256(keccak256(abi.encode(recipient, credentialId))),
+ * with credentialId 0 for address-only certificates. Hashing twice keeps a leaf from ever being the 64-byte
+ * concatenation of two inner nodes, so a proof of an inner node cannot pass as a leaf (second preimage).
+ * Claim code leaves (SoulboundNFT._claimCodeLeaf) commit to the code's key instead of a wallet:
+ * keccak256(keccak256(abi.encode(claimKey, emailHash, credentialId))).
+ * Pairs are sorted before hashing, as MerkleProof expects.
+ */
+
+/**
+ * A leaf: a wallet, or the key of a claim code for a recipient without one (see services/claimCodes.js)
+ * @typedef {Object} Leaf
+ * @property {string} [address]
+ * @property {string} [claimKey]
+ * @property {string|null} [emailHash] - claim codes only
+ * @property {string|null} [credentialId]
+ */
+
+const ENCODINGS = {
+  // SoulboundNFT._leaf since the leaves were double-hashed
+  'double-keccak-abi': ({ address, claimKey, emailHash, credentialId }) =>
+    ethers.keccak256(ethers.keccak256(claimKey
+      ? ethers.AbiCoder.defaultAbiCoder().encode(
+        ['address', 'bytes32', 'bytes32'],
+        [claimKey, emailHash || ethers.ZeroHash, credentialId || ethers.ZeroHash]
+      )
+      : ethers.AbiCoder.defaultAbiCoder().encode(['address', 'bytes32'], [address, credentialId || ethers.ZeroHash]))),
+  // Collections deployed before: keccak256(abi.encodePacked(recipient[, credentialId]))
+  'packed-keccak': ({ address, claimKey, credentialId }) => {
+    if (claimKey) throw new Error('Claim code leaves need the double-keccak-abi encoding');
+    return credentialId && credentialId !== ethers.ZeroHash
+      ? ethers.solidityPackedKeccak256(['address', 'bytes32'], [address, credentialId])
+      : ethers.solidityPackedKeccak256(['address'], [address]);
+  },
+};
+
+const DEFAULT_ENCODING = 'double-keccak-abi';
+
+// Tree dumps: { format, version, leafEncoding, padded, root,
+//   leaves: [{ address, credentialId, credential?, hash } or { claimKey, emailHash, credentialId, credential?, hash }] }
+const DUMP_FORMAT = 'decentracert-merkle-tree';
+const DUMP_VERSION = 1;
+
+// Zero leaves have no known preimage, so padding entries can never be minted
+const PADDING_LEAF = ethers.ZeroHash;
+
+function encoderOf(encoding) {
+  const encoder = ENCODINGS[encoding];
+  if (!encoder) throw new Error(`Unknown leaf encoding ${encoding}; expected one of ${Object.keys(ENCODINGS).join(', ')}`);
+  return encoder;
+}
+
+// Wallet or claim key a leaf is for, for messages
+function labelOf(leaf) {
+  return leaf.claimKey ? `claim key ${leaf.claimKey}` : leaf.address;
+}
+
+/**
+ * @param {Leaf} recipient
+ * @param {string} [encoding]
+ * @returns {string} bytes32 hex
+ */
+function leafHash(recipient, encoding = DEFAULT_ENCODING) {
+  return encoderOf(encoding)(recipient).toLowerCase();
+}
+
+function toBuffer(hex) {
+  return Buffer.from(hex.slice(2), 'hex');
+}
+
+/**
+ * Padded trees are perfect binary trees: every leaf sits at the same depth, which
+ * MerkleProof.multiProofVerify needs. Unpadded trees promote odd nodes instead and only support single proofs.
+ * @param {Leaf[]} recipients
+ * @param {{ padded?: boolean, encoding?: string }} [options]
+ * @returns {MerkleTree}
+ */
+function buildTree(recipients, { padded = true, encoding = DEFAULT_ENCODING } = {}) {
+  const leaves = recipients.map((recipient) => leafHash(recipient, encoding));
+  if (padded) {
+    let size = 1;
+    while (size < leaves.length) size *= 2;
+    while (leaves.length < size) leaves.push(PADDING_LEAF);
+  }
+  return new MerkleTree(leaves.map(toBuffer), keccak256, { sortPairs: true });
+}
+
+/**
+ * @param {MerkleTree} tree
+ * @param {Leaf} recipient
+ * @param {string} [encoding]
+ * @returns {string[]} empty when the recipient is not a leaf
+ */
+function getProof(tree, recipient, encoding = DEFAULT_ENCODING) {
+  return tree.getHexProof(toBuffer(leafHash(recipient, encoding)));
+}
+
+/**
+ * Check a proof off-chain, as SoulboundNFT.isEligibleFor does
+ * @param {string} root
+ * @param {string[]} proof
+ * @param {Leaf} recipient
+ * @param {string} [encoding]
+ */
+function verifyProof(root, proof, recipient, encoding = DEFAULT_ENCODING) {
+  return MerkleTree.verify(proof, toBuffer(leafHash(recipient, encoding)), root, keccak256, { sortPairs: true });
+}
+
+/**
+ * Multiproof for a set of leaves, in the format SoulboundNFT.batchMint passes to MerkleProof.multiProofVerify
+ * @param {MerkleTree} tree - padded tree
+ * @param {Leaf[]} recipients - leaves of the tree, without duplicates
+ * @param {string} [encoding]
+ * @returns {{ recipients: Object[], proof: string[], proofFlags: boolean[] }} recipients re-ordered to the
+ *   leaf order the proof expects
+ */
+function getMultiProof(tree, recipients, encoding = DEFAULT_ENCODING) {
+  const layers = tree.getLayers();
+  const byIndex = new Map();
+  for (const recipient of recipients) {
+    const index = tree.getLeafIndex(toBuffer(leafHash(recipient, encoding)));
+    if (index === -1) throw new Error(`${labelOf(recipient)} is not a leaf of ${tree.getHexRoot()}`);
+    byIndex.set(index, recipient);
+  }
+
+  // Walk up the tree level by level in index order, which is the order multiProofVerify
+  // consumes leaves and intermediate hashes in
+  let indices = [...byIndex.keys()].sort((a, b) => a - b);
+  const ordered = indices.map((index) => byIndex.get(index));
+  const proof = [];
+  const proofFlags = [];
+
+  for (let level = 0; level < layers.length - 1; level++) {
+    const layer = layers[level];
+    const next = [];
+    for (let j = 0; j < indices.length; j++) {
+      const index = indices[j];
+      const sibling = index ^ 1;
+      if (sibling >= layer.length) throw new Error('Multiproofs need a padded tree');
+      if (indices[j + 1] === sibling) {
+        proofFlags.push(true);
+        j++;
+      } else {
+        proofFlags.push(false);
+        proof.push(tree.bufferToHex(layer[sibling]));
+      }
+      next.push(index >> 1);
+    }
+    indices = next;
+  }
+
+  return { recipients: ordered, proof, proofFlags };
+}
+
+/**
+ * Versioned JSON dump of a tree, enough to rebuild it and every proof
+ * @param {(Leaf & { credential?: string })[]} recipients
+ * @param {{ padded?: boolean, encoding?: string }} [options]
+ */
+function dumpTree(recipients, { padded = true, encoding = DEFAULT_ENCODING } = {}) {
+  return {
+    format: DUMP_FORMAT,
+    version: DUMP_VERSION,
+    leafEncoding: encoding,
+    padded,
+    root: buildTree(recipients, { padded, encoding }).getHexRoot().toLowerCase(),
+    leaves: recipients.map((recipient) => ({
+      ...(recipient.claimKey
+        ? { claimKey: recipient.claimKey, emailHash: recipient.emailHash || null }
+        : { address: recipient.address }),
+      credentialId: recipient.credentialId || null,
+      ...(recipient.credential ? { credential: recipient.credential } : {}),
+      hash: leafHash(recipient, encoding),
+    })),
+  };
+}
+
+// First encoding the leaves match in; encodings that cannot hash them (claim codes in packed-keccak) do not
+function encodingMatching(matches) {
+  return Object.keys(ENCODINGS).find((encoding) => {
+    try {
+      return matches(encoding);
+    } catch (err) {
+      return false;
+    }
+  });
+}
+
+/**
+ * Check a tree dump before its root goes on-chain: every leaf hash must match its address and credential
+ * under the dump's encoding, the leaves must rebuild to the dumped root, and that root to expectedRoot
+ * (e.g. the root a collection is about to be deployed with). Leaves or roots produced with another
+ * encoding are named, since that is the usual cause of proofs failing isEligible.
+ * @param {Object} dump - see dumpTree
+ * @param {string} [expectedRoot]
+ * @returns {{ valid: boolean, root: string|null, errors: string[] }}
+ */
+function checkTree(dump, expectedRoot) {
+  if (!dump || dump.format !== DUMP_FORMAT) return { valid: false, root: null, errors: [`Not a ${DUMP_FORMAT} dump`] };
+  if (dump.version !== DUMP_VERSION) {
+    return { valid: false, root: null, errors: [`Unsupported dump version ${dump.version}; expected ${DUMP_VERSION}`] };
+  }
+  if (!ENCODINGS[dump.leafEncoding]) return { valid: false, root: null, errors: [`Unknown leaf encoding ${dump.leafEncoding}`] };
+  if (!Array.isArray(dump.leaves) || dump.leaves.length === 0) return { valid: false, root: null, errors: ['Dump has no leaves'] };
+
+  const errors = [];
+  const seen = new Set();
+  dump.leaves.forEach((leaf, index) => {
+    if (!ethers.isAddress(leaf.claimKey || leaf.address)) {
+      errors.push(`Leaf ${index}: invalid address ${leaf.claimKey || leaf.address}`);
+      return;
+    }
+    if ([leaf.credentialId, leaf.emailHash].some((value) => value && !ethers.isHexString(value, 32))) {
+      errors.push(`Leaf ${index}: credentialId and emailHash must be bytes32`);
+      return;
+    }
+    if (leaf.claimKey && dump.leafEncoding !== DEFAULT_ENCODING) {
+      errors.push(`Leaf ${index}: claim code leaves need the ${DEFAULT_ENCODING} encoding`);
+      return;
+    }
+
+    const hash = leafHash(leaf, dump.leafEncoding);
+    if (seen.has(hash)) errors.push(`Leaf ${index}: duplicate of an earlier leaf (${labelOf(leaf)})`);
+    seen.add(hash);
+
+    if (leaf.hash && leaf.hash.toLowerCase() !== hash) {
+      const other = encodingMatching((encoding) => leafHash(leaf, encoding) === leaf.hash.toLowerCase());
+      errors.push(other
+        ? `Leaf ${index} (${labelOf(leaf)}) is hashed with ${other}, not ${dump.leafEncoding}`
+        : `Leaf ${index} (${labelOf(leaf)}) hash does not match its address and credential`);
+    }
+  });
+  if (errors.length > 0) return { valid: false, root: null, errors };
+
+  const root = buildTree(dump.leaves, { padded: dump.padded, encoding: dump.leafEncoding }).getHexRoot().toLowerCase();
+  if (dump.root && dump.root.toLowerCase() !== root) {
+    errors.push(`Dumped root ${dump.root} does not match the leaves, which give ${root}`);
+  }
+  if (expectedRoot && expectedRoot.toLowerCase() !== root) {
+    const other = encodingMatching((encoding) =>
+      buildTree(dump.leaves, { padded: dump.padded, encoding }).getHexRoot().toLowerCase() === expectedRoot.toLowerCase());
+    errors.push(other
+      ? `Root ${expectedRoot} was built with ${other} leaves, not ${dump.leafEncoding}`
+      : `Tree root ${root} does not match the expected root ${expectedRoot}`);
+  }
+
+  return { valid: errors.length === 0, root, errors };
+}
+
+/**
+ * Rebuild a tree from a dump, refusing dumps checkTree flags
+ * @param {Object} dump - see dumpTree
+ * @param {string} [expectedRoot]
+ * @returns {{ tree: MerkleTree, root: string, recipients: Object[], encoding: string, padded: boolean }}
+ */
+function loadTree(dump, expectedRoot) {
+  const { valid, root, errors } = checkTree(dump, expectedRoot);
+  if (!valid) throw new Error(`Invalid Merkle tree dump: ${errors.join('; ')}`);
+
+  const recipients = dump.leaves.map(({ hash, ...recipient }) => recipient);
+  const tree = buildTree(recipients, { padded: dump.padded, encoding: dump.leafEncoding });
+  return { tree, root, recipients, encoding: dump.leafEncoding, padded: dump.padded };
+}
+
+module.exports = {
+  ENCODINGS,
+  DEFAULT_ENCODING,
+  DUMP_FORMAT,
+  DUMP_VERSION,
+  leafHash,
+  buildTree,
+  getProof,
+  verifyProof,
+  getMultiProof,
+  dumpTree,
+  checkTree,
+  loadTree,
+};
@@ -0,0 +1,193 @@
+const { ethers } = require('ethers');
+const { getContracts, getCollection } = require('./contracts');
+const { getPreparedCollection, recipientsOf } = require('./collections');
+const { computeCid, contentHash } = require('./cid');
+const { getStore } = require('./storage');
+require('dotenv').config();
+
+// Where wallets and marketplaces fetch images from, e.g. https://ipfs.io/ipfs; ipfs:// links when unset
+const IPFS_GATEWAY_URL = process.env.IPFS_GATEWAY_URL ? process.env.IPFS_GATEWAY_URL.replace(/\/$/, '') : null;
+
+// IIssuerRegistry.IssuerTier
+const TIERS = ['None', 'Manual', 'T2', 'T1'];
+
+/**
+ * Generated metadata of a token as persisted in the 'metadata' store
+ * @typedef {Object} TokenMetadata
+ * @property {string} contract
+ * @property {string} tokenId
+ * @property {string} cid - CID of the metadata JSON
+ * @property {string} contentHash - sha256 of the metadata JSON, what anchorContentHash stores
+ * @property {string} imageCid - CID of the SVG certificate
+ */
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Render the certificate image
+ * @param {{ title: string, name: string, course: string, grade?: string, date: string, issuer: string, tokenId: string }} fields
+ * @returns {string} SVG document
+ */
+function renderSvg(fields) {
+  const lines = [
+    { y: 140, size: 44, weight: 'bold', text: fields.title },
+    { y: 220, size: 22, text: 'This certifies that' },
+    { y: 290, size: 40, weight: 'bold', text: fields.name },
+    { y: 350, size: 22, text: 'has successfully completed' },
+    { y: 410, size: 32, text: fields.course },
+    fields.grade ? { y: 460, size: 24, text: `Grade: ${fields.grade}` } : null,
+    { y: 560, size: 20, text: `Issued by ${fields.issuer} on ${fields.date}` },
+    { y: 620, size: 14, text: `Certificate #${fields.tokenId}` },
+  ].filter(Boolean);
+
+  const text = lines
+    .map(
+      (line) =>
+        `<text x="500" y="${line.y}" font-size="${line.size}"${line.weight ? ` font-weight="${line.weight}"` : ''}` +
+        ` text-anchor="middle">${escapeXml(line.text)}</text>`
+    )
+    .join('');
+
+  return (
+    '<svg xmlns="http://www.w3.org/2000/svg" width="1000" height="700" viewBox="0 0 1000 700" font-family="Georgia, serif">' +
+    '<rect width="1000" height="700" fill="#fdfbf5"/>' +
+    '<rect x="20" y="20" width="960" height="660" fill="none" stroke="#1f3a5f" stroke-width="6"/>' +
+    `<g fill="#1f3a5f">${text}</g></svg>`
+  );
+}
+
+function imageUrl(cid) {
+  return IPFS_GATEWAY_URL ? `${IPFS_GATEWAY_URL}/${cid}` : `ipfs://${cid}`;
+}
+
+/**
+ * Build the ERC-721 metadata JSON of a token. The output only depends on its inputs, so
+ * regenerating it yields the same CID and content hash.
+ */
+function buildMetadata({ tokenId, collectionName, description, recipient, fields, credential, issuer, issuedAt, imageCid }) {
+  const attributes = [
+    { trait_type: 'Recipient', value: fields.name },
+    { trait_type: 'Course', value: fields.course },
+    fields.grade ? { trait_type: 'Grade', value: fields.grade } : null,
+    { trait_type: 'Date', value: fields.date },
+    credential ? { trait_type: 'Credential', value: credential } : null,
+    { trait_type: 'Issuer', value: issuer.name },
+    { trait_type: 'Issuer Tier', value: TIERS[issuer.tier] },
+    { trait_type: 'Issued At', display_type: 'date', value: issuedAt },
+  ].filter(Boolean);
+
+  return JSON.stringify({
+    name: `${fields.course} - ${fields.name}`,
+    description: description || `${collectionName} certificate #${tokenId} issued to ${recipient}`,
+    image: imageUrl(imageCid),
+    attributes,
+  });
+}
+
+async function putContent(data, contentType) {
+  const cid = computeCid(data);
+  await getStore('content').set(cid, { contentType, data });
+  return cid;
+}
+
+/**
+ * Stored content by CID
+ * @param {string} cid
+ * @returns {Promise<{ contentType: string, data: string }|null>}
+ */
+async function getContent(cid) {
+  return getStore('content').get(cid);
+}
+
+/**
+ * The prepared collection of a collection's current Merkle root and the leaf a token was minted from
+ * @param {import('ethers').Contract} collection - SoulboundNFT instance
+ * @param {string|number} tokenId
+ * @returns {Promise<{ record: Object|null, leaf: Object|null }>} nulls when the root was not prepared by this backend
+ */
+async function findPreparedLeaf(collection, tokenId) {
+  const [merkleRoot, holder, credentialId, claimKey] = await Promise.all([
+    collection.getMerkleRoot(),
+    collection.ownerOf(tokenId),
+    collection.credentialIdOf(tokenId),
+    collection.claimKeyOf(tokenId),
+  ]);
+  const record = await getPreparedCollection(merkleRoot);
+  // Certificates redeemed with a claim code are found by the code's key, the holder was not known yet
+  const leaf = record
+    ? recipientsOf(record).find((r) => (claimKey === ethers.ZeroAddress ? r.address === holder : r.claimKey === claimKey)
+        && (r.credentialId || ethers.ZeroHash) === credentialId.toLowerCase())
+    : null;
+  return { record, leaf: leaf || null };
+}
+
+/**
+ * Generate (or return the already generated) metadata and image of a minted token.
+ * Per-recipient fields (name, course, grade, date) come from the prepared collection of the
+ * collection's current Merkle root; on-chain data fills in the rest.
+ * @param {string} contractAddress - SoulboundNFT collection
+ * @param {string|number} tokenId
+ * @returns {Promise<TokenMetadata>}
+ */
+async function generateMetadata(contractAddress, tokenId) {
+  const collection = await getCollection(contractAddress);
+  const key = `${collection.target.toLowerCase()}:${tokenId}`;
+  const existing = await getStore('metadata').get(key);
+  if (existing) return existing;
+
+  const { issuerRegistry } = await getContracts();
+  const [collectionName, holder, data, { record, leaf }] = await Promise.all([
+    collection.name(),
+    collection.ownerOf(tokenId),
+    collection.getCertificateData(tokenId),
+    findPreparedLeaf(collection, tokenId),
+  ]);
+  const issuerData = await issuerRegistry.getIssuerData(data.issuer);
+  const extra = (leaf && leaf.fields) || {};
+  const issuedAt = Number(data.issuedTimestamp);
+
+  const fields = {
+    title: (record && record.metadata.title) || collectionName,
+    name: extra.name || holder,
+    course: extra.course || (record && record.metadata.course) || collectionName,
+    grade: extra.grade,
+    date: extra.date || new Date(issuedAt * 1000).toISOString().slice(0, 10),
+    issuer: issuerData.name,
+    tokenId: tokenId.toString(),
+  };
+
+  const imageCid = await putContent(renderSvg(fields), 'image/svg+xml');
+  const json = buildMetadata({
+    tokenId: fields.tokenId,
+    collectionName,
+    description: record && record.metadata.description,
+    recipient: holder,
+    fields,
+    credential: leaf && leaf.credential,
+    issuer: { name: issuerData.name, tier: Number(data.issuerLevel) },
+    issuedAt,
+    imageCid,
+  });
+  const cid = await putContent(json, 'application/json');
+
+  const result = { contract: collection.target, tokenId: fields.tokenId, cid, contentHash: contentHash(json), imageCid };
+  await getStore('metadata').set(key, result);
+  return result;
+}
+
+/**
+ * Metadata already generated for a token
+ * @returns {Promise<TokenMetadata|null>}
+ */
+async function getTokenMetadata(contractAddress, tokenId) {
+  return getStore('metadata').get(`${ethers.getAddress(contractAddress).toLowerCase()}:${tokenId}`);
+}
+
+module.exports = { renderSvg, buildMetadata, findPreparedLeaf, generateMetadata, getTokenMetadata, getContent };
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { getContracts } = require('./contracts');
+
+// Default time holders get to answer a presentation request
+const DEFAULT_CHALLENGE_TTL = 24 * 60 * 60;
+
+// ZKVerifier.CircuitKind.MEMBERSHIP
+const MEMBERSHIP_KIND = 1n;
+
+/**
+ * Publish a presentation request from the backend wallet, which acts as the verifier
+ * @param {number|string} circuitId - circuit the holder must present a proof of
+ * @param {number} [ttl] - seconds the request stays open
+ * @returns {Promise<{ challengeId: string, verifier: string, circuitId: string, nonce: string, expiresAt: number, txHash: string }>}
+ */
+async function createPresentationRequest(circuitId, ttl = DEFAULT_CHALLENGE_TTL) {
+  const { zkVerifier } = await getContracts();
+  const nonce = ethers.hexlify(crypto.randomBytes(32));
+
+  const tx = await zkVerifier.createChallenge(circuitId, nonce, ttl);
+  const receipt = await tx.wait();
+  const event = receipt.logs
+    .map((log) => zkVerifier.interface.parseLog(log))
+    .find((parsed) => parsed && parsed.name === 'ChallengeCreated');
+
+  return {
+    challengeId: event.args.challengeId.toString(),
+    verifier: event.args.verifier,
+    circuitId: event.args.circuitId.toString(),
+    nonce,
+    expiresAt: Number(event.args.expiresAt),
+    txHash: tx.hash,
+  };
+}
+
+/**
+ * Scope a membership proof answering a presentation request must be made for (ZKVerifier.challengeScope)
+ * @param {number|string} challengeId
+ * @param {string} holder - wallet that will present the proof
+ * @returns {Promise<string>} decimal field element, to pass as `scope` to POST /api/proof/membership/inputs
+ */
+async function getChallengeScope(challengeId, holder) {
+  const { zkVerifier } = await getContracts();
+  return (await zkVerifier.challengeScope(challengeId, holder)).toString();
+}
+
+/**
+ * Status of a presentation request and, once answered, whether the presented proof is bound to it:
+ * owned by the holder who presented it (for membership proofs: made for the challenge scope of that
+ * holder), of the requested circuit, created after the challenge and still valid for the challenge's verifier
+ * @param {number|string} challengeId
+ */
+async function getPresentationStatus(challengeId) {
+  const { provider, zkVerifier } = await getContracts();
+  const challenge = await zkVerifier.getChallenge(challengeId);
+  const now = (await provider.getBlock('latest')).timestamp;
+
+  const result = {
+    challengeId: challenge.id.toString(),
+    verifier: challenge.verifier,
+    circuitId: challenge.circuitId.toString(),
+    nonce: challenge.nonce,
+    createdAt: Number(challenge.createdAt),
+    expiresAt: Number(challenge.expiresAt),
+  };
+
+  if (challenge.proofId === 0n) {
+    let status = 'open';
+    if (challenge.isCancelled) status = 'cancelled';
+    else if (now > Number(challenge.expiresAt)) status = 'expired';
+    return { ...result, status, verified: false };
+  }
+
+  const proofId = challenge.proofId;
+  const [proof, presentedTo, validForVerifier, kind] = await Promise.all([
+    zkVerifier.getProofData(proofId),
+    zkVerifier.getPresentation(proofId),
+    zkVerifier['verifyProof(uint256,address)'](proofId, challenge.verifier),
+    zkVerifier.circuitKindOf(challenge.circuitId),
+  ]);
+  let bound;
+  if (kind === MEMBERSHIP_KIND) {
+    const [claim, scope] = await Promise.all([
+      zkVerifier.getMembershipClaim(proofId),
+      zkVerifier.challengeScope(challenge.id, challenge.holder),
+    ]);
+    bound = { scope: claim.scope === scope };
+  } else {
+    bound = { owner: proof.owner === challenge.holder };
+  }
+  const checks = {
+    ...bound,
+    circuit: proof.circuitId === challenge.circuitId,
+    fresh: proof.createdAt >= challenge.createdAt,
+    presentedHere: presentedTo === challenge.id,
+    valid: validForVerifier,
+  };
+
+  return {
+    ...result,
+    status: 'answered',
+    verified: Object.values(checks).every(Boolean),
+    checks,
+    holder: challenge.holder,
+    proofId: proofId.toString(),
+    proofHash: proof.proofHash,
+  };
+}
+
+/**
+ * Audit trail of a verifier's presentation requests, newest first
+ * @param {string} verifier
+ * @param {number} [fromBlock]
+ */
+async function listPresentations(verifier, fromBlock = 0) {
+  const { zkVerifier } = await getContracts();
+  const events = await zkVerifier.queryFilter(zkVerifier.filters.ChallengeCreated(null, verifier), fromBlock);
+  const challengeIds = [...new Set(events.map((event) => event.args.challengeId.toString()))].reverse();
+  return Promise.all(challengeIds.map(getPresentationStatus));
+}
+
+module.exports = { DEFAULT_CHALLENGE_TTL, createPresentationRequest, getChallengeScope, getPresentationStatus, listPresentations };
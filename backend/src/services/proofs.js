@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const snarkjs = require('snarkjs');
+const { ethers } = require('ethers');
+const { getContracts, getCollection } = require('./contracts');
+const { ATTRIBUTES, encodeAttribute, decodeDisclosure } = require('./attributes');
+
+const CIRCUITS_DIR = path.join(__dirname, '../../../contracts/circuits');
+
+// Circuits whose proofs can be checked off-chain, by name of their directory under contracts/circuits
+const CIRCUITS = ['membership', 'disclosure'];
+
+const verificationKeys = new Map(); // key: circuit => verification key JSON
+
+function getVerificationKey(circuit) {
+  if (!verificationKeys.has(circuit)) {
+    const file = path.join(CIRCUITS_DIR, circuit, 'verification_key.json');
+    verificationKeys.set(circuit, JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+  return verificationKeys.get(circuit);
+}
+
+/**
+ * Human-readable form of a disclosed or bounding value; text attributes stay hashed
+ */
+function formatAttribute(name, value) {
+  if (name === 'date') return value.length === 8 ? `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6)}` : value;
+  if (name === 'holder') return ethers.getAddress(ethers.toBeHex(BigInt(value), 20));
+  return value;
+}
+
+/**
+ * Check a disclosure against the certificate it claims to be about
+ * @param {string[]} publicSignals
+ * @param {{ collection: string, tokenId: string|number, expected?: Object<string, string> }} context
+ *   expected: plain values the verifier wants the disclosed attributes to match
+ */
+async function checkDisclosure(publicSignals, { collection: collectionAddress, tokenId, expected = {} }) {
+  const { attributesRoot, disclosed, ranges } = decodeDisclosure(publicSignals);
+  const collection = await getCollection(collectionAddress);
+  const [committedRoot, status] = await Promise.all([
+    collection.attributesRootOf(tokenId),
+    collection.certificateStatus(tokenId),
+  ]);
+
+  const mismatches = Object.entries(expected)
+    .filter(([name, value]) => {
+      if (!ATTRIBUTES.includes(name) || disclosed[name] === undefined) return true;
+      return encodeAttribute(name, value).toString() !== disclosed[name];
+    })
+    .map(([name]) => name);
+
+  const checks = {
+    attributesRoot: committedRoot.toString() === attributesRoot,
+    certificateValid: Number(status) === 1, // CertificateStatus.VALID
+    expected: mismatches.length === 0,
+  };
+  return {
+    checks,
+    contract: collection.target,
+    tokenId: tokenId.toString(),
+    disclosed: Object.fromEntries(Object.entries(disclosed).map(([name, value]) => [name, formatAttribute(name, value)])),
+    ranges: Object.fromEntries(
+      Object.entries(ranges).map(([name, { min, max }]) => [
+        name,
+        { min: formatAttribute(name, min), max: formatAttribute(name, max) },
+      ])
+    ),
+    mismatches,
+  };
+}
+
+/**
+ * Check a membership proof's snapshot root and nullifier against ZKVerifier. A nullifier already consumed
+ * on-chain fails the nullifierFresh check: the holder has proven for this collection and scope before.
+ * @param {string[]} publicSignals - [nullifierHash, root, collection, minTier, scope]
+ */
+async function checkMembership(publicSignals) {
+  if (publicSignals.length !== 5) throw new Error('Not a membership proof');
+  const [nullifierHash, root, collection, minTier, scope] = publicSignals;
+  const { zkVerifier } = await getContracts();
+  const contract = ethers.getAddress(ethers.toBeHex(BigInt(collection), 20));
+
+  const [rootValid, nullifierUsed] = await Promise.all([
+    zkVerifier.isHolderRootValid(contract, root),
+    zkVerifier.isNullifierUsed(scope, nullifierHash),
+  ]);
+  return {
+    checks: { holderRoot: rootValid, nullifierFresh: !nullifierUsed },
+    contract,
+    minTier: Number(minTier),
+    scope,
+    nullifierHash,
+    nullifierUsed,
+  };
+}
+
+/**
+ * Verify a snarkjs Groth16 proof off-chain and check its public signals against on-chain state
+ * @param {Object} params
+ * @param {'membership'|'disclosure'} params.circuit
+ * @param {Object} params.proof - snarkjs proof object
+ * @param {string[]} params.publicSignals
+ * @param {string} [params.collection] - disclosure: SoulboundNFT of the certificate
+ * @param {string|number} [params.tokenId] - disclosure: the certificate
+ * @param {Object<string, string>} [params.expected] - disclosure: values the disclosed attributes must match
+ * @returns {Promise<{ valid: boolean, proofValid: boolean, checks: Object<string, boolean> }>} valid when the
+ *   proof and every check pass
+ */
+async function verifySubmittedProof({ circuit, proof, publicSignals, ...context }) {
+  if (!CIRCUITS.includes(circuit)) throw new Error(`Unknown circuit ${circuit}`);
+
+  const proofValid = await snarkjs.groth16.verify(getVerificationKey(circuit), publicSignals, proof);
+  const result = circuit === 'membership' ? await checkMembership(publicSignals) : await checkDisclosure(publicSignals, context);
+
+  return {
+    circuit,
+    valid: proofValid && Object.values(result.checks).every(Boolean),
+    proofValid,
+    ...result,
+  };
+}
+
+module.exports = { CIRCUITS, verifySubmittedProof };
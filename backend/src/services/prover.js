@@ -0,0 +1,147 @@
+const path = require('path');
+const snarkjs = require('snarkjs');
+const { ethers } = require('ethers');
+const { getContracts } = require('./contracts');
+const { getPoseidon } = require('./snapshots');
+require('dotenv').config();
+
+const CIRCUIT_DIR = path.join(__dirname, '../../../contracts/circuits/membership');
+const MEMBERSHIP_WASM = process.env.MEMBERSHIP_WASM_PATH || path.join(CIRCUIT_DIR, 'membership.wasm');
+const MEMBERSHIP_ZKEY = process.env.MEMBERSHIP_ZKEY_PATH || path.join(CIRCUIT_DIR, 'membership_final.zkey');
+
+// BN254 scalar field; identity secrets and circuit signals are reduced into it
+const SNARK_SCALAR_FIELD = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+// The holder wallet signs this EIP-712 statement to derive its identity secret deterministically
+const IDENTITY_STATEMENT = 'DecentraCert holder identity v1. The signature is your identity secret: never send it anywhere.';
+
+const IDENTITY_TYPES = {
+  Identity: [
+    { name: 'holder', type: 'address' },
+    { name: 'statement', type: 'string' },
+  ],
+};
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * EIP-712 domain of requests holders sign for their proofs, bound to the chain and ZKVerifier deployment
+ */
+async function getProofsDomain() {
+  const { provider, zkVerifier } = await getContracts();
+  const { chainId } = await provider.getNetwork();
+  return { name: 'DecentraCert Proofs', version: '1', chainId: chainId.toString(), verifyingContract: zkVerifier.target };
+}
+
+/**
+ * EIP-712 typed data a holder wallet signs (eth_signTypedData_v4) to derive its identity
+ * @param {string} holder
+ */
+async function getIdentityTypedData(holder) {
+  return {
+    domain: await getProofsDomain(),
+    types: IDENTITY_TYPES,
+    primaryType: 'Identity',
+    message: { holder: ethers.getAddress(holder), statement: IDENTITY_STATEMENT },
+  };
+}
+
+/**
+ * Identity secret and commitment for a holder's signature of getIdentityTypedData. Runs in the holder's
+ * client: the signature is the secret, so it never reaches the backend, which only learns the commitment
+ * the wallet registers with ZKVerifier.registerIdentity.
+ * @param {{ domain: Object, message: { holder: string, statement: string } }} typedData
+ * @param {string} signature - eth_signTypedData_v4 signature
+ * @returns {Promise<{ address: string, secret: bigint, commitment: string }>}
+ */
+async function deriveIdentity({ domain, message }, signature) {
+  const address = ethers.verifyTypedData(domain, IDENTITY_TYPES, message, signature);
+  if (address !== ethers.getAddress(message.holder)) throw new Error('Identity was signed by another wallet');
+  const secret = BigInt(ethers.keccak256(signature)) % SNARK_SCALAR_FIELD;
+  const poseidon = await getPoseidon();
+  return { address, secret, commitment: poseidon([secret]).toString() };
+}
+
+/**
+ * Scope as a field element: decimal strings are used as is, anything else (e.g. a verifier's
+ * domain) is hashed
+ * @param {string|number} scope
+ */
+function toScope(scope) {
+  if (/^\d+$/.test(String(scope))) return (BigInt(scope) % SNARK_SCALAR_FIELD).toString();
+  return (BigInt(ethers.id(String(scope))) % SNARK_SCALAR_FIELD).toString();
+}
+
+/**
+ * Calldata for ZKVerifier.createMembershipProof, in the order of `snarkjs zkey export soliditycalldata`
+ */
+function encodeGroth16Proof(proof, publicSignals) {
+  const proofData = coder.encode(
+    ['uint256[2]', 'uint256[2][2]', 'uint256[2]'],
+    [
+      proof.pi_a.slice(0, 2),
+      [[proof.pi_b[0][1], proof.pi_b[0][0]], [proof.pi_b[1][1], proof.pi_b[1][0]]],
+      proof.pi_c.slice(0, 2),
+    ]
+  );
+  return { proofData, publicInputs: coder.encode(['uint256[]'], [publicSignals]) };
+}
+
+/**
+ * Inputs of the membership circuit for a certificate of a holder snapshot, all but the holder's `secret`
+ * @param {Object} params
+ * @param {import('./snapshots').HolderSnapshot} params.snapshot
+ * @param {Object} params.witness - the certificate's leaf, from getMembershipWitness
+ * @param {number} params.minTier - IssuerTier (0 NONE, 1 MANUAL, 2 T2, 3 T1)
+ * @param {string|number} params.scope - verifier scope the nullifier is bound to
+ * @returns {Object<string, string|string[]|number[]>}
+ */
+function getMembershipInputs({ snapshot, witness, minTier, scope }) {
+  return {
+    root: snapshot.root,
+    collection: BigInt(snapshot.collection).toString(),
+    minTier: minTier.toString(),
+    scope: toScope(scope),
+    tokenId: witness.tokenId,
+    tier: witness.tier.toString(),
+    pathElements: witness.pathElements,
+    pathIndices: witness.pathIndices,
+  };
+}
+
+/**
+ * Prove that the holder of `secret` owns a certificate of a holder snapshot, issued by an issuer of at
+ * least `minTier`. The proof reveals neither the wallet nor the token. Runs in the holder's client, with
+ * the proving artifacts served under /api/proof/membership/artifacts.
+ * @param {Object} params
+ * @param {Object} params.inputs - from getMembershipInputs
+ * @param {bigint} params.secret - identity secret, from deriveIdentity
+ * @param {string} [params.wasm] - membership.wasm path or URL
+ * @param {string} [params.zkey] - membership_final.zkey path or URL
+ * @returns {Promise<{ proof: Object, publicSignals: string[], proofData: string, publicInputs: string, nullifierHash: string, root: string }>}
+ */
+async function proveMembership({ inputs, secret, wasm = MEMBERSHIP_WASM, zkey = MEMBERSHIP_ZKEY }) {
+  const input = { ...inputs, secret: secret.toString() };
+  const { proof, publicSignals } = await snarkjs.groth16.fullProve(input, wasm, zkey);
+
+  return {
+    proof,
+    publicSignals,
+    ...encodeGroth16Proof(proof, publicSignals),
+    nullifierHash: publicSignals[0],
+    root: inputs.root,
+  };
+}
+
+module.exports = {
+  MEMBERSHIP_WASM,
+  MEMBERSHIP_ZKEY,
+  IDENTITY_TYPES,
+  getProofsDomain,
+  getIdentityTypedData,
+  deriveIdentity,
+  toScope,
+  encodeGroth16Proof,
+  getMembershipInputs,
+  proveMembership,
+};
@@ -0,0 +1,108 @@
+const { ethers } = require('ethers');
+const { getCollection } = require('./contracts');
+const { getCollectionDomain } = require('./vouchers');
+require('dotenv').config();
+
+// How long a holder's signed recovery request can be relayed (seconds)
+const RECOVERY_REQUEST_TTL = Number(process.env.RECOVERY_REQUEST_TTL || 24 * 3600);
+
+// Must match RECOVERY_REQUEST_TYPEHASH in SoulboundNFT.sol
+const RECOVERY_REQUEST_TYPES = {
+  RecoveryRequest: [
+    { name: 'tokenId', type: 'uint256' },
+    { name: 'newHolder', type: 'address' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+/**
+ * EIP-712 typed data the holder's new wallet signs to request that a certificate be re-bound to it
+ * @param {string} collectionAddress - SoulboundNFT collection
+ * @param {string|number} tokenId
+ * @param {string} newHolder
+ */
+async function getRecoveryTypedData(collectionAddress, tokenId, newHolder) {
+  const domain = await getCollectionDomain(ethers.getAddress(collectionAddress));
+  return {
+    domain: { ...domain, chainId: domain.chainId.toString() },
+    types: RECOVERY_REQUEST_TYPES,
+    message: {
+      tokenId: tokenId.toString(),
+      newHolder: ethers.getAddress(newHolder),
+      deadline: Math.floor(Date.now() / 1000) + RECOVERY_REQUEST_TTL,
+    },
+  };
+}
+
+/**
+ * Submit a recovery request signed by the new wallet, so it needs no ether
+ * @param {string} collectionAddress
+ * @param {string|number} tokenId
+ * @param {{ newHolder: string, deadline: number, signature: string }} request
+ */
+async function relayRecoveryRequest(collectionAddress, tokenId, { newHolder, deadline, signature }) {
+  const collection = await getCollection(collectionAddress);
+  const tx = await collection.requestRecoveryBySig(tokenId, newHolder, deadline, signature);
+  await tx.wait();
+  return { ...(await getRecovery(collectionAddress, tokenId)), txHash: tx.hash };
+}
+
+/**
+ * Approve a pending recovery with the backend wallet, which counts as the issuer when it owns the collection
+ * or issued the certificate, and as an admin when it is a registrar of the issuer registry
+ * @param {string} collectionAddress
+ * @param {string|number} tokenId
+ * @param {string} newHolder - wallet whose control by the holder was checked; the contract rejects any other request
+ * @returns {Promise<{ status: 'approved'|'recovered', newTokenId: string|null, txHash: string }>}
+ */
+async function approveRecovery(collectionAddress, tokenId, newHolder) {
+  const collection = await getCollection(collectionAddress);
+  const tx = await collection.approveRecovery(tokenId, ethers.getAddress(newHolder));
+  const receipt = await tx.wait();
+  const event = receipt.logs
+    .map((log) => collection.interface.parseLog(log))
+    .find((parsed) => parsed && parsed.name === 'CertificateRecovered');
+
+  return event
+    ? { status: 'recovered', newTokenId: event.args.newTokenId.toString(), txHash: tx.hash }
+    : { status: 'approved', newTokenId: null, txHash: tx.hash };
+}
+
+/**
+ * Recovery state of a certificate: the pending request and the tokens it is linked to by past recoveries
+ * @param {string} collectionAddress
+ * @param {string|number} tokenId
+ */
+async function getRecovery(collectionAddress, tokenId) {
+  const collection = await getCollection(collectionAddress);
+  const [request, requiresAdmin, recoveredFrom, recoveredTo] = await Promise.all([
+    collection.getRecoveryRequest(tokenId),
+    collection.recoveryRequiresAdmin(),
+    collection.recoveredFrom(tokenId),
+    collection.recoveredTo(tokenId),
+  ]);
+
+  const pending = request.newHolder === ethers.ZeroAddress ? null : {
+    newHolder: request.newHolder,
+    requestedAt: Number(request.requestedAt),
+    issuerApproved: request.issuerApproved,
+    adminApproved: request.adminApproved,
+  };
+
+  return {
+    contract: collection.target,
+    tokenId: tokenId.toString(),
+    pending,
+    requiresAdmin,
+    recoveredFrom: recoveredFrom === 0n ? null : recoveredFrom.toString(),
+    recoveredTo: recoveredTo === 0n ? null : recoveredTo.toString(),
+  };
+}
+
+module.exports = {
+  RECOVERY_REQUEST_TYPES,
+  getRecoveryTypedData,
+  relayRecoveryRequest,
+  approveRecovery,
+  getRecovery,
+};
@@ -0,0 +1,55 @@
+const { getContracts } = require('./contracts');
+const { getRegistryDomain } = require('./attestations');
+
+// Must match the *_TYPEHASH constants in IssuerRegistry.sol
+const REGISTRATION_TYPES = {
+  t1: {
+    IssuerRegistration: [
+      { name: 'issuerName', type: 'string' },
+      { name: 'domain', type: 'string' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' },
+    ],
+  },
+  t2: {
+    SocialRegistration: [
+      { name: 'issuerName', type: 'string' },
+      { name: 'socialMediaUrl', type: 'string' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' },
+    ],
+  },
+  upgrade: {
+    DomainUpgrade: [
+      { name: 'domain', type: 'string' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' },
+    ],
+  },
+  application: {
+    ManualApplication: [
+      { name: 'issuerName', type: 'string' },
+      { name: 'evidenceHash', type: 'bytes32' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' },
+    ],
+  },
+};
+
+/**
+ * Everything an issuer wallet needs to sign a registration request with eth_signTypedData_v4
+ * @param {string} address - issuer wallet
+ */
+async function getRegistrationTypedData(address) {
+  const { issuerRegistry } = await getContracts();
+  const nonce = await issuerRegistry.nonces(address);
+  const domain = await getRegistryDomain();
+
+  return {
+    nonce: nonce.toString(),
+    domain: { ...domain, chainId: domain.chainId.toString() },
+    types: REGISTRATION_TYPES,
+  };
+}
+
+module.exports = { REGISTRATION_TYPES, getRegistrationTypedData };
@@ -0,0 +1,79 @@
+/**
+ * Roster CSV import for the issuer CLI. The first row names the columns; `address` is required and
+ * `credential`, `name`, `course`, `grade`, `date` and `field` are optional, as in POST /api/certificate/prepare.
+ */
+
+const COLUMNS = ['address', 'credential', 'name', 'course', 'grade', 'date', 'field'];
+
+// Split CSV text into rows of fields with the line each starts on; fields may be double-quoted, with "" for a literal quote
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push({ fields: row, line: start });
+      row = [];
+      field = '';
+      start = ++line;
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw new Error('Unterminated quoted field');
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ fields: row, line: start });
+  }
+
+  // Blank lines carry no entry
+  return rows.filter(({ fields }) => fields.some((value) => value.trim() !== ''));
+}
+
+/**
+ * @param {string} text - CSV with a header row
+ * @returns {{ address: string, credential?: string, name?: string, course?: string, grade?: string, date?: string, field?: string }[]}
+ *   entries for collections.toRecipients
+ * @throws {Error} on unknown columns, a missing address column or rows with the wrong number of fields
+ */
+function parseRoster(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) throw new Error('Roster is empty');
+
+  const columns = header.fields.map((column) => column.trim().toLowerCase());
+  const unknown = columns.filter((column) => !COLUMNS.includes(column));
+  if (unknown.length > 0) throw new Error(`Unknown roster columns: ${unknown.join(', ')}; expected ${COLUMNS.join(', ')}`);
+  if (!columns.includes('address')) throw new Error('Roster needs an address column');
+  if (rows.length === 0) throw new Error('Roster has no entries');
+
+  return rows.map(({ fields, line }) => {
+    if (fields.length !== columns.length) {
+      throw new Error(`Line ${line}: expected ${columns.length} fields, found ${fields.length}`);
+    }
+    return Object.fromEntries(columns.map((column, i) => [column, fields[i].trim()]));
+  });
+}
+
+module.exports = { parseRoster, COLUMNS };
@@ -0,0 +1,177 @@
+const { buildPoseidon } = require('circomlibjs');
+const { ethers } = require('ethers');
+const { getContracts, getCollection, getCollectionIssuer } = require('./contracts');
+const { getStore } = require('./storage');
+
+// Must match HolderMembership(16) in contracts/circuits/membership/membership.circom
+const TREE_DEPTH = 16;
+
+/**
+ * Holder snapshot as persisted in the 'holder-snapshots' store under `<collection>:<root>`
+ * (and under `<collection>` for the latest one)
+ * @typedef {Object} HolderSnapshot
+ * @property {string} collection - checksummed SoulboundNFT address
+ * @property {string} root - decimal Poseidon root, as published with ZKVerifier.publishHolderRoot
+ * @property {{ tokenId: string, holder: string, commitment: string, tier: number }[]} entries - leaves in tree order
+ * @property {number} createdAt - unix seconds
+ * @property {string} [txHash] - publishHolderRoot transaction
+ */
+
+let poseidonPromise;
+
+/**
+ * Poseidon hash over field elements, returning a BigInt
+ * @returns {Promise<(inputs: (bigint|string|number)[]) => bigint>}
+ */
+async function getPoseidon() {
+  if (!poseidonPromise) poseidonPromise = buildPoseidon();
+  const poseidon = await poseidonPromise;
+  return (inputs) => poseidon.F.toObject(poseidon(inputs.map((input) => BigInt(input))));
+}
+
+/**
+ * Snapshot leaf: Poseidon(identityCommitment, collection, tokenId, tier)
+ */
+function holderLeaf(poseidon, { commitment, collection, tokenId, tier }) {
+  return poseidon([commitment, BigInt(collection), tokenId, tier]);
+}
+
+/**
+ * Sparse Poseidon Merkle tree of depth TREE_DEPTH; empty leaves are 0
+ * @param {bigint[]} leaves
+ * @returns {Promise<{ root: bigint, proofOf: (index: number) => { pathElements: string[], pathIndices: number[] } }>}
+ */
+async function buildHolderTree(leaves) {
+  if (leaves.length > 2 ** TREE_DEPTH) throw new Error(`Holder snapshots are limited to ${2 ** TREE_DEPTH} certificates`);
+  const poseidon = await getPoseidon();
+
+  // zeros[level] is the root of an empty subtree of that height
+  const zeros = [0n];
+  for (let level = 1; level <= TREE_DEPTH; level++) zeros.push(poseidon([zeros[level - 1], zeros[level - 1]]));
+
+  const layers = [leaves.map(BigInt)];
+  for (let level = 0; level < TREE_DEPTH; level++) {
+    const layer = layers[level];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      next.push(poseidon([layer[i], i + 1 < layer.length ? layer[i + 1] : zeros[level]]));
+    }
+    layers.push(next.length > 0 ? next : [zeros[level + 1]]);
+  }
+
+  function proofOf(index) {
+    const pathElements = [];
+    const pathIndices = [];
+    for (let level = 0, i = index; level < TREE_DEPTH; level++, i >>= 1) {
+      const sibling = layers[level][i ^ 1];
+      pathElements.push((sibling === undefined ? zeros[level] : sibling).toString());
+      pathIndices.push(i & 1);
+    }
+    return { pathElements, pathIndices };
+  }
+
+  return { root: layers[TREE_DEPTH][0], proofOf };
+}
+
+/**
+ * Valid certificates of a collection whose holders registered an identity commitment in ZKVerifier.
+ * Tiers are the issuers' current IssuerRegistry tiers; certificates of deactivated issuers are left out.
+ * @param {string} collectionAddress - a collection of this deployment
+ * @returns {Promise<HolderSnapshot>} not yet persisted or published
+ */
+async function buildHolderSnapshot(collectionAddress) {
+  const { zkVerifier, issuerRegistry } = await getContracts();
+  if (!(await getCollectionIssuer(collectionAddress))) throw new Error(`${collectionAddress} is not a collection of this deployment`);
+  const collection = await getCollection(collectionAddress);
+  const poseidon = await getPoseidon();
+
+  // Current tier of each issuer key met, null while the issuer is deactivated
+  const tiers = new Map();
+  async function issuerTier(issuer) {
+    if (!tiers.has(issuer)) {
+      const { tier, isActive } = await issuerRegistry.getIssuerData(await issuerRegistry.resolveIssuer(issuer));
+      tiers.set(issuer, isActive ? Number(tier) : null);
+    }
+    return tiers.get(issuer);
+  }
+
+  const entries = [];
+  const total = Number(await collection.totalMinted());
+  for (let tokenId = 1; tokenId <= total; tokenId++) {
+    if (!(await collection.isValid(tokenId))) continue;
+
+    const holder = await collection.ownerOf(tokenId);
+    const commitment = await zkVerifier.identityCommitmentOf(holder);
+    if (commitment === 0n) continue;
+
+    const tier = await issuerTier((await collection.getCertificateData(tokenId)).issuer);
+    if (tier === null) continue;
+
+    entries.push({ tokenId: tokenId.toString(), holder, commitment: commitment.toString(), tier });
+  }
+
+  const leaves = entries.map((entry) => holderLeaf(poseidon, { ...entry, collection: collection.target }));
+  const { root } = await buildHolderTree(leaves);
+
+  return { collection: collection.target, root: root.toString(), entries, createdAt: Math.floor(Date.now() / 1000) };
+}
+
+/**
+ * Snapshot the current holders of a collection and publish the root with ZKVerifier.publishHolderRoot
+ * (the backend wallet must be a ZKVerifier admin)
+ * @param {string} collectionAddress
+ * @returns {Promise<HolderSnapshot>}
+ */
+async function publishHolderSnapshot(collectionAddress) {
+  const { zkVerifier } = await getContracts();
+  const snapshot = await buildHolderSnapshot(collectionAddress);
+
+  const tx = await zkVerifier.publishHolderRoot(snapshot.collection, snapshot.root);
+  await tx.wait();
+  snapshot.txHash = tx.hash;
+
+  const store = getStore('holder-snapshots');
+  await store.set(`${snapshot.collection}:${snapshot.root}`, snapshot);
+  await store.set(snapshot.collection, snapshot);
+  return snapshot;
+}
+
+/**
+ * @param {string} collectionAddress
+ * @param {string} [root] - latest snapshot when omitted
+ * @returns {Promise<HolderSnapshot|null>}
+ */
+async function getHolderSnapshot(collectionAddress, root) {
+  const collection = ethers.getAddress(collectionAddress);
+  return getStore('holder-snapshots').get(root ? `${collection}:${root}` : collection);
+}
+
+/**
+ * Private inputs locating a certificate in a snapshot, or null when it is not in it
+ * @param {HolderSnapshot} snapshot
+ * @param {string|number} tokenId
+ * @returns {Promise<{ tokenId: string, tier: number, commitment: string, pathElements: string[], pathIndices: number[] }|null>}
+ */
+async function getMembershipWitness(snapshot, tokenId) {
+  const index = snapshot.entries.findIndex((entry) => entry.tokenId === tokenId.toString());
+  if (index === -1) return null;
+
+  const poseidon = await getPoseidon();
+  const leaves = snapshot.entries.map((entry) => holderLeaf(poseidon, { ...entry, collection: snapshot.collection }));
+  const tree = await buildHolderTree(leaves);
+  if (tree.root.toString() !== snapshot.root) throw new Error(`Snapshot ${snapshot.root} does not rebuild to the same root`);
+
+  const { tokenId: id, tier, commitment } = snapshot.entries[index];
+  return { tokenId: id, tier, commitment, ...tree.proofOf(index) };
+}
+
+module.exports = {
+  TREE_DEPTH,
+  getPoseidon,
+  holderLeaf,
+  buildHolderTree,
+  buildHolderSnapshot,
+  publishHolderSnapshot,
+  getHolderSnapshot,
+  getMembershipWitness,
+};
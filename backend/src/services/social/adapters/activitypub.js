@@ -0,0 +1,54 @@
+const { htmlToText } = require('../html');
+
+// Mastodon-style status URLs: /@user/<id> and /users/<user>/statuses/<id>
+const STATUS_PATHS = [/^\/@([A-Za-z0-9_.-]+)\/(\d+)\/?$/, /^\/users\/([A-Za-z0-9_.-]+)\/statuses\/(\d+)\/?$/];
+const ACCEPT = { accept: 'application/activity+json' };
+
+async function getObject(http, id, kind) {
+  const response = await http.get(id, { headers: ACCEPT });
+  if (response.status !== 200) throw new Error(`${kind} not found (server returned ${response.status})`);
+  return JSON.parse(response.body);
+}
+
+/**
+ * Mastodon and other ActivityPub servers: the post is fetched as an ActivityStreams Note and its author
+ * is the `preferredUsername` of the actor it is attributed to. Handles are `user@host`. Any host matches,
+ * so the post and author URLs go through the default HTTP client's check that they resolve to public addresses.
+ * @param {{ http: import('../http').HttpClient }} options
+ * @returns {import('../index').PlatformAdapter}
+ */
+function createActivityPubAdapter({ http }) {
+  return {
+    platform: 'mastodon',
+
+    matches(url) {
+      return url.protocol === 'https:' && STATUS_PATHS.some((pattern) => pattern.test(url.pathname));
+    },
+
+    normalizeHandle(handle) {
+      return String(handle).trim().replace(/^@/, '').toLowerCase();
+    },
+
+    async fetchPost(url) {
+      const note = await getObject(http, url.href, 'Post');
+      if (note.type !== 'Note' || !note.id || !note.attributedTo) throw new Error('URL is not an ActivityPub post');
+
+      // Both the note and its author must live on the server that was asked, or any server could claim them
+      const host = url.host;
+      if (new URL(note.id).host !== host || new URL(note.attributedTo).host !== host) {
+        throw new Error('ActivityPub post is hosted on another server');
+      }
+      const actor = await getObject(http, note.attributedTo, 'Author');
+      if (actor.id !== note.attributedTo || !actor.preferredUsername) throw new Error('Invalid ActivityPub author');
+
+      return {
+        platform: 'mastodon',
+        url: note.id,
+        handle: this.normalizeHandle(`${actor.preferredUsername}@${host}`),
+        text: htmlToText(note.content || ''),
+      };
+    },
+  };
+}
+
+module.exports = { createActivityPubAdapter };
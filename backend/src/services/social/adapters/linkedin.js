@@ -0,0 +1,62 @@
+const { htmlToText } = require('../html');
+
+const POST_PATHS = [
+  // /posts/<author>_<slug>-activity-<id>-<suffix>
+  { pattern: /^\/posts\/[^/]*-activity-(\d+)-[^/]*\/?$/, type: 'activity' },
+  // /feed/update/urn:li:activity:<id>
+  { pattern: /^\/feed\/update\/urn:li:(activity|share|ugcPost):(\d+)\/?$/ },
+];
+const ACTOR_LINK = /href="https:\/\/(?:[a-z]{2,3}\.|www\.)?linkedin\.com\/(company|school|in)\/([^/?"]+)[^"]*"[^>]*data-tracking-control-name="[^"]*actor/;
+const COMMENTARY = /<p[^>]*attributed-text-segment-list__content[^>]*>([\s\S]*?)<\/p>/;
+
+function parsePost(url) {
+  for (const { pattern, type } of POST_PATHS) {
+    const match = url.pathname.match(pattern);
+    if (match) return type ? { type, id: match[1] } : { type: match[1], id: match[2] };
+  }
+  return null;
+}
+
+/**
+ * LinkedIn posts, read from the public embed page. Handles are `company/<slug>` (the default),
+ * `school/<slug>` or `in/<slug>`.
+ * @param {{ http: import('../http').HttpClient }} options
+ * @returns {import('../index').PlatformAdapter}
+ */
+function createLinkedInAdapter({ http }) {
+  return {
+    platform: 'linkedin',
+
+    matches(url) {
+      return /(^|\.)linkedin\.com$/.test(url.hostname) && parsePost(url) !== null;
+    },
+
+    normalizeHandle(handle) {
+      const path = String(handle)
+        .trim()
+        .toLowerCase()
+        .replace(/^https?:\/\/[^/]*linkedin\.com\//, '')
+        .replace(/\/+$/, '');
+      return path.includes('/') ? path : `company/${path}`;
+    },
+
+    async fetchPost(url) {
+      const { type, id } = parsePost(url);
+      const response = await http.get(`https://www.linkedin.com/embed/feed/update/urn:li:${type}:${id}`);
+      if (response.status !== 200) throw new Error(`Post not found (LinkedIn returned ${response.status})`);
+
+      const actor = response.body.match(ACTOR_LINK);
+      if (!actor) throw new Error('Could not find the author of the LinkedIn post');
+      const commentary = response.body.match(COMMENTARY);
+
+      return {
+        platform: 'linkedin',
+        url: `https://www.linkedin.com/feed/update/urn:li:${type}:${id}`,
+        handle: this.normalizeHandle(`${actor[1]}/${decodeURIComponent(actor[2])}`),
+        text: htmlToText(commentary ? commentary[1] : response.body),
+      };
+    },
+  };
+}
+
+module.exports = { createLinkedInAdapter };
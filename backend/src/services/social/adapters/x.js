@@ -0,0 +1,44 @@
+const { htmlToText } = require('../html');
+
+const HOSTS = ['twitter.com', 'www.twitter.com', 'mobile.twitter.com', 'x.com', 'www.x.com'];
+const STATUS_PATH = /^\/([A-Za-z0-9_]{1,15})\/status\/(\d+)\/?$/;
+
+/**
+ * X (Twitter) posts, read through the public oEmbed endpoint (no API key)
+ * @param {{ http: import('../http').HttpClient }} options
+ * @returns {import('../index').PlatformAdapter}
+ */
+function createXAdapter({ http }) {
+  return {
+    platform: 'x',
+
+    matches(url) {
+      return HOSTS.includes(url.hostname) && STATUS_PATH.test(url.pathname);
+    },
+
+    normalizeHandle(handle) {
+      return String(handle).trim().replace(/^@/, '').toLowerCase();
+    },
+
+    async fetchPost(url) {
+      const [, user, id] = url.pathname.match(STATUS_PATH);
+      const endpoint = `https://publish.twitter.com/oembed?url=${encodeURIComponent(`https://twitter.com/${user}/status/${id}`)}&omit_script=true&dnt=true`;
+      const response = await http.get(endpoint);
+      if (response.status !== 200) throw new Error(`Post not found (X returned ${response.status})`);
+
+      // The author comes from oEmbed, not from the URL, which X redirects whatever user it names
+      const { author_url: authorUrl, html } = JSON.parse(response.body);
+      const handle = this.normalizeHandle(new URL(authorUrl).pathname.split('/')[1]);
+      const paragraph = html.match(/<p[^>]*>([\s\S]*?)<\/p>/);
+
+      return {
+        platform: 'x',
+        url: `https://x.com/${handle}/status/${id}`,
+        handle,
+        text: htmlToText(paragraph ? paragraph[1] : html),
+      };
+    },
+  };
+}
+
+module.exports = { createXAdapter };
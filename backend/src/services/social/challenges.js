@@ -0,0 +1,68 @@
+const { ethers } = require('ethers');
+const { getSocialVerifier, socialMessage, socialPostText } = require('./index');
+const { getStore } = require('../storage');
+require('dotenv').config();
+
+// How long an issued challenge can be answered (seconds)
+const CHALLENGE_TTL = Number(process.env.SOCIAL_CHALLENGE_TTL || 3600);
+
+// Issued challenges live in the 'social-challenges' store (key: challenge => { address, platform, handle, expiresAt })
+// so they survive restarts and are shared by every instance of the API
+function getChallengeStore() {
+  return getStore('social-challenges');
+}
+
+/**
+ * Issue a challenge for a wallet to sign and publish from a social media account
+ * @param {string} address - issuer wallet the challenge is tied to
+ * @param {string} platform - x, linkedin or mastodon
+ * @param {string} handle - account the issuer claims, e.g. `acme`, `company/acme` or `acme@mastodon.social`
+ */
+async function createSocialChallenge(address, platform, handle) {
+  const challenge = ethers.hexlify(ethers.randomBytes(32));
+  const entry = {
+    address: ethers.getAddress(address),
+    platform,
+    handle: getSocialVerifier().normalizeHandle(platform, handle),
+    expiresAt: Math.floor(Date.now() / 1000) + CHALLENGE_TTL,
+  };
+  await getChallengeStore().set(challenge, entry);
+
+  // The wallet signs `message` (personal_sign) and the account publishes `postTemplate` with the signature
+  return {
+    challenge,
+    ...entry,
+    message: socialMessage({ ...entry, challenge }),
+    postTemplate: socialPostText('<signature>'),
+  };
+}
+
+/**
+ * Check that a challenge was issued to the wallet and that the post at `url`, written by the claimed
+ * handle, carries the wallet's signature of it. The challenge stays valid until consumeSocialChallenge,
+ * so a relayed registration that fails on-chain can be retried with it.
+ * @returns {Promise<{ address: string, socialMediaUrl: string, handle: string, challenge: string }>}
+ */
+async function verifySocialChallenge(challenge, address, url) {
+  const store = getChallengeStore();
+  const entry = await store.get(challenge);
+  if (!entry) throw new Error('Unknown challenge');
+  if (entry.expiresAt < Math.floor(Date.now() / 1000)) {
+    await store.delete(challenge);
+    throw new Error('Challenge expired');
+  }
+  if (entry.address !== ethers.getAddress(address)) throw new Error('Challenge was issued for another wallet');
+
+  const post = await getSocialVerifier().verifyPost({ ...entry, url, challenge });
+  return { address: entry.address, socialMediaUrl: post.url, handle: post.handle, challenge };
+}
+
+/**
+ * Drop a challenge once the attestation it backed was handed out or its registration was mined
+ * @param {string} challenge
+ */
+async function consumeSocialChallenge(challenge) {
+  await getChallengeStore().delete(challenge);
+}
+
+module.exports = { createSocialChallenge, verifySocialChallenge, consumeSocialChallenge };
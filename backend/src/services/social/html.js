@@ -0,0 +1,23 @@
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', mdash: '—' };
+
+/**
+ * Plain text of an HTML fragment: tags dropped, line breaks kept, entities decoded
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+  return String(html)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li)>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1));
+        return String.fromCodePoint(code);
+      }
+      return ENTITIES[entity.toLowerCase()] || match;
+    })
+    .trim();
+}
+
+module.exports = { htmlToText };
@@ -0,0 +1,105 @@
+const dns = require('dns').promises;
+const net = require('net');
+require('dotenv').config();
+
+// Post fetches give up after this many milliseconds
+const FETCH_TIMEOUT = Number(process.env.SOCIAL_FETCH_TIMEOUT || 10000);
+
+const MAX_REDIRECTS = 5;
+
+// Addresses a post URL must not lead to: this network, private, shared (CGNAT), loopback, link-local,
+// unique-local, multicast and reserved ranges. BlockList checks IPv4-mapped IPv6 addresses against the IPv4 ranges.
+const NON_PUBLIC = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) {
+  NON_PUBLIC.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  NON_PUBLIC.addSubnet(prefix, bits, 'ipv6');
+}
+
+/**
+ * Whether an IP address is reachable on the public internet
+ * @param {string} address - IPv4 or IPv6
+ * @returns {boolean}
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !NON_PUBLIC.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Throw unless every address a host resolves to is public, so posts cannot point the backend at internal services
+ * @param {string} hostname - as in URL.hostname, IPv6 literals in brackets
+ * @param {(hostname: string) => Promise<{ address: string }[]>} lookup
+ */
+async function assertPublicHost(hostname, lookup) {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+  const addresses = net.isIP(host) ? [{ address: host }] : await lookup(host);
+  const local = addresses.find(({ address }) => !isPublicAddress(address));
+  if (addresses.length === 0 || local) {
+    throw new Error(`Refusing to fetch ${host}: it resolves to ${local ? `the non-public address ${local.address}` : 'no address'}`);
+  }
+}
+
+/**
+ * HTTP client the platform adapters fetch posts with. Anything exposing this get() works, e.g.
+ * createFixtureClient to replay recorded responses offline.
+ *
+ * @typedef {Object} HttpClient
+ * @property {(url: string, options?: { headers?: Object }) => Promise<{ status: number, body: string }>} get
+ */
+
+/**
+ * Client backed by fetch. Post URLs come from issuers, so it only fetches http(s) URLs on hosts resolving to public
+ * addresses, and checks each redirect the same way. The connection resolves the host again, a rebinding window
+ * this does not close.
+ * @param {{ timeout?: number, lookup?: (hostname: string) => Promise<{ address: string }[]> }} [options] - lookup
+ *   resolves every address of a host, dns.lookup by default
+ * @returns {HttpClient}
+ */
+function createHttpClient({ timeout = FETCH_TIMEOUT, lookup = (hostname) => dns.lookup(hostname, { all: true }) } = {}) {
+  return {
+    async get(url, { headers = {} } = {}) {
+      const signal = AbortSignal.timeout(timeout);
+      let target = new URL(url);
+      for (let redirects = 0; ; redirects++) {
+        if (target.protocol !== 'https:' && target.protocol !== 'http:') throw new Error(`Refusing to fetch ${target.href}`);
+        await assertPublicHost(target.hostname, lookup);
+
+        const response = await fetch(target, {
+          headers: { 'user-agent': 'DecentraCert-Verifier/1.0', ...headers },
+          redirect: 'manual',
+          signal,
+        });
+        const location = response.headers.get('location');
+        if (response.status < 300 || response.status >= 400 || !location) {
+          return { status: response.status, body: await response.text() };
+        }
+        if (redirects === MAX_REDIRECTS) throw new Error(`Too many redirects fetching ${url}`);
+        target = new URL(location, target);
+      }
+    },
+  };
+}
+
+/**
+ * Client replaying recorded responses; unknown URLs answer 404
+ * @param {Object<string, { status: number, body: string|Object }>} responses - by request URL
+ * @returns {HttpClient}
+ */
+function createFixtureClient(responses) {
+  return {
+    async get(url) {
+      const recorded = responses[url];
+      if (!recorded) return { status: 404, body: '' };
+      const body = typeof recorded.body === 'string' ? recorded.body : JSON.stringify(recorded.body);
+      return { status: recorded.status, body };
+    },
+  };
+}
+
+module.exports = { createHttpClient, createFixtureClient, isPublicAddress };
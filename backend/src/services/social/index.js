@@ -0,0 +1,126 @@
+const { ethers } = require('ethers');
+const { createHttpClient } = require('./http');
+const { createXAdapter } = require('./adapters/x');
+const { createLinkedInAdapter } = require('./adapters/linkedin');
+const { createActivityPubAdapter } = require('./adapters/activitypub');
+
+/**
+ * @typedef {Object} SocialPost
+ * @property {string} platform
+ * @property {string} url - canonical URL of the post, recorded on-chain
+ * @property {string} handle - normalised handle of the author
+ * @property {string} text - plain text of the post
+ */
+
+/**
+ * Platform adapter. Add a platform by implementing these and passing it to createSocialVerifier.
+ *
+ * @typedef {Object} PlatformAdapter
+ * @property {string} platform
+ * @property {(url: URL) => boolean} matches - whether the URL is a post on this platform
+ * @property {(handle: string) => string} normalizeHandle
+ * @property {(url: URL) => Promise<SocialPost>} fetchPost
+ */
+
+// Signatures are 65 bytes; the post carries one as `decentracert-sig=0x…`
+const SIGNATURE_PATTERN = /0x[0-9a-fA-F]{130}/g;
+
+/**
+ * Message the issuer wallet signs (EIP-191) and publishes the signature of
+ * @param {{ address: string, platform: string, handle: string, challenge: string }} claim
+ * @returns {string}
+ */
+function socialMessage({ address, platform, handle, challenge }) {
+  return [
+    'DecentraCert issuer verification',
+    `Issuer: ${ethers.getAddress(address)}`,
+    `Account: ${platform}:${handle}`,
+    `Challenge: ${challenge}`,
+  ].join('\n');
+}
+
+/**
+ * Text to publish, with the wallet signature of socialMessage
+ * @param {string} signature
+ * @returns {string}
+ */
+function socialPostText(signature) {
+  return `Verifying our certificate issuer wallet on DecentraCert: decentracert-sig=${signature}`;
+}
+
+/**
+ * Verifier fetching posts through platform adapters
+ * @param {{ http?: import('./http').HttpClient, adapters?: PlatformAdapter[] }} [options] - adapters are tried in order;
+ *   the default set (X, LinkedIn, ActivityPub) uses `http`
+ */
+function createSocialVerifier({ http = createHttpClient(), adapters } = {}) {
+  // ActivityPub matches any host, so it comes last
+  const platforms = adapters || [createXAdapter({ http }), createLinkedInAdapter({ http }), createActivityPubAdapter({ http })];
+
+  function getAdapter(platform) {
+    const adapter = platforms.find((candidate) => candidate.platform === platform);
+    if (!adapter) throw new Error(`Unsupported platform ${platform}; use one of ${platforms.map((p) => p.platform).join(', ')}`);
+    return adapter;
+  }
+
+  return {
+    platforms: platforms.map((adapter) => adapter.platform),
+
+    /**
+     * Normalised form of a handle on a platform
+     */
+    normalizeHandle(platform, handle) {
+      return getAdapter(platform).normalizeHandle(handle);
+    },
+
+    /**
+     * Fetch a post and check that `handle` wrote it and that it carries a signature of the claim by `address`
+     * @param {{ url: string, address: string, platform: string, handle: string, challenge: string }} claim
+     * @returns {Promise<SocialPost>}
+     */
+    async verifyPost({ url, address, platform, handle, challenge }) {
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch (err) {
+        throw new Error('Invalid post URL');
+      }
+      const adapter = getAdapter(platform);
+      if (!adapter.matches(parsed)) throw new Error(`URL is not a ${platform} post`);
+
+      const post = await adapter.fetchPost(parsed);
+      const claimed = adapter.normalizeHandle(handle);
+      if (post.handle !== claimed) throw new Error(`Post was written by ${post.handle}, not ${claimed}`);
+
+      const message = socialMessage({ address, platform, handle: claimed, challenge });
+      const signatures = post.text.match(SIGNATURE_PATTERN) || [];
+      const signed = signatures.some((signature) => {
+        try {
+          return ethers.verifyMessage(message, signature) === ethers.getAddress(address);
+        } catch (err) {
+          return false;
+        }
+      });
+      if (!signed) throw new Error('Post does not contain a signature of the challenge by the issuer wallet');
+
+      return post;
+    },
+  };
+}
+
+let verifier;
+
+function getSocialVerifier() {
+  if (!verifier) verifier = createSocialVerifier();
+  return verifier;
+}
+
+/**
+ * Swap the verifier used for T2 challenges, e.g. one built on createFixtureClient
+ * @param {ReturnType<typeof createSocialVerifier>} custom
+ */
+function setSocialVerifier(custom) {
+  verifier = custom;
+}
+
+module.exports = { socialMessage, socialPostText, createSocialVerifier, getSocialVerifier, setSocialVerifier };
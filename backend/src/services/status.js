@@ -0,0 +1,77 @@
+const { ethers } = require('ethers');
+const { getCollection } = require('./contracts');
+
+// SoulboundNFT.CertificateStatus
+const STATUSES = ['not_issued', 'valid', 'suspended', 'revoked', 'expired'];
+
+// Reason codes issuers pass to revokeCertificate / suspendCertificate
+const REASONS = {
+  0: 'unspecified',
+  1: 'fraud',
+  2: 'issued_in_error',
+  3: 'superseded',
+  4: 'under_review',
+  5: 'requirements_not_met',
+};
+
+/**
+ * Explain the on-chain status of a certificate
+ * @param {string} contractAddress - SoulboundNFT collection
+ * @param {string|number} tokenId
+ */
+async function getCertificateStatus(contractAddress, tokenId) {
+  const collection = await getCollection(contractAddress);
+  const status = STATUSES[Number(await collection.certificateStatus(tokenId))];
+
+  const result = { contract: collection.target, tokenId: tokenId.toString(), status };
+
+  if (status === 'not_issued') {
+    const recoveredTo = await collection.recoveredTo(tokenId);
+    if (recoveredTo !== 0n) {
+      return {
+        ...result,
+        recoveredTo: recoveredTo.toString(),
+        explanation: `The certificate was moved to its holder's new wallet after a recovery and is now token ${recoveredTo}.`,
+      };
+    }
+    return { ...result, explanation: 'No certificate with this token ID exists in the collection (never issued or burned).' };
+  }
+
+  const [holder, issuer, record, expiresAt, recoveredFrom] = await Promise.all([
+    collection.ownerOf(tokenId),
+    collection.issuerOf(tokenId),
+    collection.getStatusRecord(tokenId),
+    collection.getExpiresAt(tokenId),
+    collection.recoveredFrom(tokenId),
+  ]);
+  Object.assign(result, { holder, issuer, expiresAt: Number(expiresAt) || null });
+  if (recoveredFrom !== 0n) result.recoveredFrom = recoveredFrom.toString();
+
+  if (status === 'valid') {
+    const until = result.expiresAt ? ` until ${new Date(result.expiresAt * 1000).toISOString()}` : '';
+    return { ...result, explanation: `The certificate was issued and is in good standing${until}.` };
+  }
+
+  if (status === 'expired') {
+    return {
+      ...result,
+      explanation: `The certificate's validity period ended on ${new Date(result.expiresAt * 1000).toISOString()}; the issuer can renew it.`,
+    };
+  }
+
+  const reasonCode = Number(record.reasonCode);
+  const change = {
+    reasonCode,
+    reason: REASONS[reasonCode] || 'unknown',
+    changedAt: Number(record.updatedAt),
+    changedBy: record.updatedBy === ethers.ZeroAddress ? null : record.updatedBy,
+  };
+  const verb = status === 'revoked' ? 'permanently revoked' : 'suspended';
+  return {
+    ...result,
+    ...change,
+    explanation: `The certificate was ${verb} by ${change.changedBy} on ${new Date(change.changedAt * 1000).toISOString()} (reason: ${change.reason}).`,
+  };
+}
+
+module.exports = { getCertificateStatus, STATUSES, REASONS };
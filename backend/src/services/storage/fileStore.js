@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+
+// How long a write waits for another writer's lock, and when a lock left by a crashed writer is broken (ms)
+const LOCK_TIMEOUT = 10000;
+const STALE_LOCK_AGE = 30000;
+const LOCK_RETRY_INTERVAL = 25;
+
+/**
+ * Store persisted as a single JSON file, for one server or several processes sharing a volume.
+ * Reads reload the file whenever it changed on disk. Writes take an exclusive lock file, re-read the
+ * file, apply the change and rewrite it atomically (temp file + rename), so concurrent writers never
+ * drop each other's keys and a crash never leaves it half-written.
+ * @param {string} filePath
+ * @returns {import('./index').Store}
+ */
+function createFileStore(filePath) {
+  const lockPath = `${filePath}.lock`;
+  let cache = { version: null, data: {} };
+  let queue = Promise.resolve(); // serialises this process's writes
+
+  async function load() {
+    let stat;
+    try {
+      stat = await fs.promises.stat(filePath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      cache = { version: null, data: {} };
+      return cache.data;
+    }
+
+    // Every write renames a new file into place, so the inode changes even within one mtime tick
+    const version = `${stat.ino}:${stat.mtimeMs}:${stat.size}`;
+    if (version !== cache.version) {
+      cache = { version, data: JSON.parse(await fs.promises.readFile(filePath, 'utf8')) };
+    }
+    return cache.data;
+  }
+
+  async function acquireLock() {
+    const started = Date.now();
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    for (;;) {
+      try {
+        await (await fs.promises.open(lockPath, 'wx')).close();
+        return;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+
+      const lock = await fs.promises.stat(lockPath).catch(() => null);
+      if (lock && Date.now() - lock.mtimeMs > STALE_LOCK_AGE) {
+        await fs.promises.rm(lockPath, { force: true });
+      } else if (Date.now() - started > LOCK_TIMEOUT) {
+        throw new Error(`Timed out waiting for the lock on ${filePath}`);
+      } else {
+        await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_INTERVAL));
+      }
+    }
+  }
+
+  function update(change) {
+    const run = queue.then(async () => {
+      await acquireLock();
+      try {
+        const data = { ...(await load()) };
+        change(data);
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2));
+        await fs.promises.rename(tmpPath, filePath);
+      } finally {
+        await fs.promises.rm(lockPath, { force: true });
+      }
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    async get(key) {
+      const entries = await load();
+      return Object.prototype.hasOwnProperty.call(entries, key) ? entries[key] : null;
+    },
+    async set(key, value) {
+      await update((entries) => {
+        entries[key] = value;
+      });
+    },
+    async setMany(changes) {
+      await update((entries) => {
+        for (const [key, value] of changes) {
+          if (value === null) delete entries[key];
+          else entries[key] = value;
+        }
+      });
+    },
+    async delete(key) {
+      await update((entries) => {
+        delete entries[key];
+      });
+    },
+    async keys() {
+      return Object.keys(await load());
+    },
+  };
+}
+
+module.exports = { createFileStore };
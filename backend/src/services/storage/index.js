@@ -0,0 +1,83 @@
+const os = require('os');
+const path = require('path');
+const { createFileStore } = require('./fileStore');
+const { createMemoryStore } = require('./memoryStore');
+const { createKvStore } = require('./kvStore');
+require('dotenv').config();
+
+/**
+ * Key-value store interface implemented by every storage driver (STORAGE_DRIVER=file, kv or memory).
+ * Values must be JSON-serialisable. Implement these five methods to plug in another backend
+ * (DynamoDB, Postgres...) and register it with setStoreFactory.
+ *
+ * @typedef {Object} Store
+ * @property {(key: string) => Promise<any|null>} get
+ * @property {(key: string, value: any) => Promise<void>} set
+ * @property {(entries: [string, any][]) => Promise<void>} setMany - writes every entry in one atomic
+ *   update; a null value deletes the key
+ * @property {(key: string) => Promise<void>} delete
+ * @property {() => Promise<string[]>} keys
+ */
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '../../../data');
+
+// Upstash-compatible REST endpoint of the kv driver; Vercel KV and the Upstash integrations set these
+const KV_REST_URL = process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL;
+const KV_REST_TOKEN = process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN;
+const KV_PREFIX = process.env.KV_PREFIX || 'decentracert';
+
+// Creates the store backing a namespace, e.g. 'collections'
+let storeFactory;
+
+const stores = new Map(); // key: namespace => Store
+
+// Serverless functions get a read-only bundle and a scratch /tmp that is neither shared nor kept
+function isServerless() {
+  return Boolean(process.env.VERCEL || process.env.NETLIFY || process.env.AWS_LAMBDA_FUNCTION_NAME);
+}
+
+function fileStoreDir() {
+  const dataDir = process.env.STORAGE_DIR;
+  if (!isServerless()) return dataDir || DEFAULT_DATA_DIR;
+
+  const tmpDir = os.tmpdir();
+  if (!dataDir || path.resolve(dataDir) === tmpDir || path.resolve(dataDir).startsWith(`${tmpDir}${path.sep}`)) {
+    throw new Error('The file store needs STORAGE_DIR on a durable shared volume in serverless functions; set STORAGE_DRIVER=kv or mount one');
+  }
+  return dataDir;
+}
+
+// kv when a KV endpoint is configured, else file
+function defaultStoreFactory(namespace) {
+  const driver = process.env.STORAGE_DRIVER || (KV_REST_URL ? 'kv' : 'file');
+  if (driver === 'memory') return createMemoryStore();
+  if (driver === 'file') return createFileStore(path.join(fileStoreDir(), `${namespace}.json`));
+  if (driver === 'kv') {
+    if (!KV_REST_URL || !KV_REST_TOKEN) throw new Error('STORAGE_DRIVER=kv needs KV_REST_API_URL and KV_REST_API_TOKEN');
+    return createKvStore({ url: KV_REST_URL, token: KV_REST_TOKEN, key: `${KV_PREFIX}:${namespace}` });
+  }
+  throw new Error(`Unknown STORAGE_DRIVER ${driver}`);
+}
+
+/**
+ * Store for a namespace (one file per namespace with the file driver, one Redis hash with kv)
+ * @param {string} namespace
+ * @returns {Store}
+ */
+function getStore(namespace) {
+  if (!stores.has(namespace)) {
+    stores.set(namespace, (storeFactory || defaultStoreFactory)(namespace));
+  }
+  return stores.get(namespace);
+}
+
+/**
+ * Replace the driver used for every namespace
+ * @param {(namespace: string) => Store} factory
+ */
+function setStoreFactory(factory) {
+  storeFactory = factory;
+  stores.clear();
+}
+
+module.exports = { getStore, setStoreFactory, createFileStore, createMemoryStore, createKvStore };
@@ -0,0 +1,65 @@
+/**
+ * Store kept in a Redis hash behind an Upstash-compatible REST API (Upstash Redis, Vercel KV), for
+ * serverless deployments where no instance keeps a disk. Every command is a single HTTPS request, so
+ * no connection outlives a function invocation; each write is one atomic Redis command
+ * (or a MULTI/EXEC transaction for setMany).
+ * @param {Object} options
+ * @param {string} options.url - REST endpoint, e.g. https://<db>.upstash.io
+ * @param {string} options.token - REST token with write access
+ * @param {string} options.key - Redis hash holding the namespace, e.g. decentracert:collections
+ * @returns {import('./index').Store}
+ */
+function createKvStore({ url, token, key }) {
+  const endpoint = url.replace(/\/$/, '');
+
+  async function request(pathname, payload, name) {
+    const res = await fetch(`${endpoint}${pathname}`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok || body.error) throw new Error(`KV ${name} failed: ${body.error || `HTTP ${res.status}`}`);
+    return body;
+  }
+
+  async function command(...args) {
+    return (await request('', args, args[0])).result;
+  }
+
+  // Runs the commands in a MULTI/EXEC transaction, so they apply together or not at all
+  async function transaction(commands) {
+    const results = await request('/multi-exec', commands, 'MULTI');
+    const failed = results.find((result) => result.error);
+    if (failed) throw new Error(`KV MULTI failed: ${failed.error}`);
+  }
+
+  return {
+    async get(field) {
+      const value = await command('HGET', key, field);
+      return value === null ? null : JSON.parse(value);
+    },
+    async set(field, value) {
+      await command('HSET', key, field, JSON.stringify(value));
+    },
+    async setMany(entries) {
+      // The last entry of a field wins, as when writing them in order
+      const latest = [...new Map(entries)];
+      const sets = latest.filter(([, value]) => value !== null).flatMap(([field, value]) => [field, JSON.stringify(value)]);
+      const deletes = latest.filter(([, value]) => value === null).map(([field]) => field);
+      const commands = [];
+      if (sets.length > 0) commands.push(['HSET', key, ...sets]);
+      if (deletes.length > 0) commands.push(['HDEL', key, ...deletes]);
+      if (commands.length === 1) await command(...commands[0]);
+      else if (commands.length > 1) await transaction(commands);
+    },
+    async delete(field) {
+      await command('HDEL', key, field);
+    },
+    async keys() {
+      return command('HKEYS', key);
+    },
+  };
+}
+
+module.exports = { createKvStore };
@@ -0,0 +1,30 @@
+/**
+ * Process-local store; contents are lost on restart
+ * @returns {import('./index').Store}
+ */
+function createMemoryStore() {
+  const data = new Map();
+
+  return {
+    async get(key) {
+      return data.has(key) ? data.get(key) : null;
+    },
+    async set(key, value) {
+      data.set(key, value);
+    },
+    async setMany(entries) {
+      for (const [key, value] of entries) {
+        if (value === null) data.delete(key);
+        else data.set(key, value);
+      }
+    },
+    async delete(key) {
+      data.delete(key);
+    },
+    async keys() {
+      return [...data.keys()];
+    },
+  };
+}
+
+module.exports = { createMemoryStore };
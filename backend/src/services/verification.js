@@ -0,0 +1,186 @@
+const { ethers } = require('ethers');
+const { getContracts, getCollection, getCollectionIssuer } = require('./contracts');
+const { getCertificateStatus } = require('./status');
+const { getTokenMetadata, getContent } = require('./metadata');
+const { contentHash } = require('./cid');
+const { getStore } = require('./storage');
+require('dotenv').config();
+
+// Public base of short links, e.g. https://decentracert.app/v; relative /v links when unset
+const VERIFY_BASE_URL = process.env.VERIFY_BASE_URL ? process.env.VERIFY_BASE_URL.replace(/\/$/, '') : '/v';
+
+// Verification page short links redirect to, with ?contract=&tokenId=; the JSON report when unset
+const VERIFY_PAGE_URL = process.env.VERIFY_PAGE_URL || null;
+
+// IIssuerRegistry.IssuerTier
+const TIERS = ['None', 'Manual', 'T2', 'T1'];
+
+// Bumped whenever fields are added to or removed from the report
+const REPORT_VERSION = 1;
+
+/**
+ * JSON with object keys sorted, so a report serialises to the same string it was signed as
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Digest the backend signs: keccak256 of the canonical JSON of the report, signed as an EIP-191 message
+ * @param {Object} report
+ * @returns {string} 0x-prefixed bytes32
+ */
+function reportDigest(report) {
+  return ethers.id(canonicalJson(report));
+}
+
+/**
+ * Recover the address that signed a report
+ * @param {Object} report
+ * @param {string} signature
+ * @returns {string} checksummed signer address
+ */
+function recoverReportSigner(report, signature) {
+  return ethers.verifyMessage(ethers.getBytes(reportDigest(report)), signature);
+}
+
+/**
+ * Short, QR-friendly code for a certificate: 8 base64url characters of keccak256(chainId, contract, tokenId),
+ * remembered in the 'short-links' store so /v/<code> can resolve it
+ */
+async function getShortLink(chainId, contract, tokenId) {
+  const digest = ethers.solidityPackedKeccak256(['uint256', 'address', 'uint256'], [chainId, contract, tokenId]);
+  const code = Buffer.from(ethers.getBytes(digest).slice(0, 6)).toString('base64url');
+
+  const store = getStore('short-links');
+  if (!(await store.get(code))) await store.set(code, { contract, tokenId: tokenId.toString() });
+  return { code, url: `${VERIFY_BASE_URL}/${code}` };
+}
+
+/**
+ * Certificate a short link code stands for
+ * @param {string} code
+ * @returns {Promise<{ contract: string, tokenId: string }|null>}
+ */
+async function resolveShortLink(code) {
+  return getStore('short-links').get(code);
+}
+
+/**
+ * Where a short link redirects: the configured verification page, else the JSON report
+ */
+function verificationUrl(contract, tokenId) {
+  if (VERIFY_PAGE_URL) return `${VERIFY_PAGE_URL}?contract=${contract}&tokenId=${tokenId}`;
+  return `/api/verify/${contract}/${tokenId}`;
+}
+
+/**
+ * Compare the anchored metadata hash with the metadata this backend serves for the token
+ * @returns {Promise<{ anchoredHash: string|null, contentHash: string|null, cid: string|null, intact: boolean|null }>}
+ *   intact is null when there is nothing to compare (no anchor or no generated metadata)
+ */
+async function checkMetadata(collection, tokenId) {
+  const anchored = await collection.contentHashOf(tokenId);
+  const anchoredHash = anchored === ethers.ZeroHash ? null : anchored;
+
+  const metadata = await getTokenMetadata(collection.target, tokenId);
+  const content = metadata ? await getContent(metadata.cid) : null;
+  const servedHash = content ? contentHash(content.data) : null;
+
+  return {
+    anchoredHash,
+    contentHash: servedHash,
+    cid: metadata ? metadata.cid : null,
+    intact: anchoredHash && servedHash ? anchoredHash === servedHash : null,
+  };
+}
+
+/**
+ * Signed answer to "is this certificate legit?": holder, issuer tier at issue and today, issuer activity,
+ * revocation/expiry status and metadata integrity, signed by the backend wallet. Only collections of this
+ * deployment are reported on: any contract can claim an issuer in getCertificateData.
+ * @param {string} contractAddress - SoulboundNFT collection
+ * @param {string|number} tokenId
+ * @returns {Promise<{ report: Object, signature: string, signer: string }|null>} null when the certificate
+ *   was never issued or was burned, or the contract is not a collection of this deployment
+ */
+async function buildVerificationReport(contractAddress, tokenId) {
+  const { provider, signer, issuerRegistry } = await getContracts();
+  const collectionIssuer = await getCollectionIssuer(contractAddress);
+  if (!collectionIssuer) return null;
+  const collection = await getCollection(contractAddress);
+
+  const status = await getCertificateStatus(collection.target, tokenId);
+  if (status.status === 'not_issued') return null;
+
+  const [{ chainId }, block, data, credentialId, metadata] = await Promise.all([
+    provider.getNetwork(),
+    provider.getBlock('latest'),
+    collection.getCertificateData(tokenId),
+    collection.credentialIdOf(tokenId),
+    checkMetadata(collection, tokenId),
+  ]);
+  // Certificates issued before a key rotation are judged by the issuer's current key
+  const [currentAddress, collectionOwner] = await Promise.all([
+    issuerRegistry.resolveIssuer(data.issuer),
+    issuerRegistry.resolveIssuer(collectionIssuer),
+  ]);
+  const issuerData = await issuerRegistry.getIssuerData(currentAddress);
+
+  const issuer = {
+    address: data.issuer,
+    currentAddress,
+    name: issuerData.name,
+    tierAtIssue: TIERS[Number(data.issuerLevel)],
+    tierToday: TIERS[Number(issuerData.tier)],
+    isActive: issuerData.isActive,
+  };
+  const checks = {
+    status: status.status === 'valid',
+    // The certificate names the issuer that owns the collection
+    issuerOfCollection: currentAddress === collectionOwner,
+    issuerActive: issuer.isActive,
+    metadata: metadata.intact !== false,
+  };
+
+  const report = {
+    version: REPORT_VERSION,
+    chainId: chainId.toString(),
+    contract: collection.target,
+    tokenId: tokenId.toString(),
+    holder: status.holder,
+    credentialId: credentialId === ethers.ZeroHash ? null : credentialId,
+    issuedAt: Number(data.issuedTimestamp),
+    expiresAt: Number(data.expiresAt) || null,
+    status: status.status,
+    explanation: status.explanation,
+    reason: status.reason,
+    issuer,
+    metadata,
+    checks,
+    verified: Object.values(checks).every(Boolean),
+    blockNumber: block.number,
+    checkedAt: block.timestamp,
+    shortLink: (await getShortLink(chainId, collection.target, tokenId)).url,
+  };
+
+  const signature = await signer.signMessage(ethers.getBytes(reportDigest(report)));
+  return { report, signature, signer: signer.address };
+}
+
+module.exports = {
+  buildVerificationReport,
+  recoverReportSigner,
+  reportDigest,
+  canonicalJson,
+  resolveShortLink,
+  verificationUrl,
+};
@@ -0,0 +1,60 @@
+const { getCollection, getContracts } = require('./contracts');
+require('dotenv').config();
+
+// How long a signed claim voucher can be redeemed (seconds)
+const VOUCHER_TTL = Number(process.env.CLAIM_VOUCHER_TTL || 7 * 24 * 3600);
+
+// Must match CLAIM_VOUCHER_TYPEHASH in SoulboundNFT.sol
+const CLAIM_VOUCHER_TYPES = {
+  ClaimVoucher: [
+    { name: 'recipient', type: 'address' },
+    { name: 'credentialId', type: 'bytes32' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+async function getCollectionDomain(collectionAddress) {
+  const { provider } = await getContracts();
+  const { chainId } = await provider.getNetwork();
+  return {
+    name: 'DecentraCert SoulboundNFT',
+    version: '1',
+    chainId,
+    verifyingContract: collectionAddress,
+  };
+}
+
+/**
+ * Sign a claim voucher with the backend wallet, which must own the collection (or be the current key of the
+ * issuer that owns it, after a key rotation)
+ * @param {string} collectionAddress - checksummed SoulboundNFT collection
+ * @param {string} recipient - checksummed address the certificate is minted to
+ * @param {string} credentialId - bytes32, ZeroHash for address-only certificates
+ * @returns {Promise<{ voucher: Object, signature: string, domain: Object, types: Object }>}
+ */
+async function signClaimVoucher(collectionAddress, recipient, credentialId) {
+  const { signer, issuerRegistry } = await getContracts();
+  const collection = await getCollection(collectionAddress);
+
+  const owner = await issuerRegistry.resolveIssuer(await collection.owner());
+  if (owner !== signer.address) {
+    throw new Error('Backend wallet does not own this collection and cannot sign its vouchers');
+  }
+
+  const domain = await getCollectionDomain(collectionAddress);
+  const voucher = {
+    recipient,
+    credentialId,
+    deadline: Math.floor(Date.now() / 1000) + VOUCHER_TTL,
+  };
+  const signature = await signer.signTypedData(domain, CLAIM_VOUCHER_TYPES, voucher);
+
+  return {
+    voucher,
+    signature,
+    domain: { ...domain, chainId: domain.chainId.toString() },
+    types: CLAIM_VOUCHER_TYPES,
+  };
+}
+
+module.exports = { CLAIM_VOUCHER_TYPES, getCollectionDomain, signClaimVoucher };
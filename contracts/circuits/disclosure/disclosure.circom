@@ -0,0 +1,90 @@
+pragma circom 2.1.6;
+
+include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/comparators.circom";
+include "circomlib/circuits/bitify.circom";
+
+// Selective disclosure of certificate attributes. The issuer commits to `attributesRoot`, the Poseidon
+// Merkle root of N = 2^depth leaves Poseidon(index, value, salt), in SoulboundNFT. The holder reveals
+// the attributes selected by the bits of `revealMask` (disclosed[i] is 0 for hidden ones) and proves
+// minValues[i] <= value <= maxValues[i] for those selected by `rangeMask`, whose values must fit in 64 bits.
+// Salts keep hidden low-entropy values (grades, dates) from being brute-forced from the root.
+template AttributeDisclosure(depth) {
+    var N = 1 << depth;
+
+    signal input attributesRoot;
+    signal input revealMask;
+    signal input rangeMask;
+    signal input minValues[N];
+    signal input maxValues[N];
+
+    signal input values[N];
+    signal input salts[N];
+
+    signal output disclosed[N];
+
+    component revealBits = Num2Bits(N);
+    revealBits.in <== revealMask;
+    component rangeBits = Num2Bits(N);
+    rangeBits.in <== rangeMask;
+
+    component leaves[N];
+    component valueBits[N];
+    component minBits[N];
+    component maxBits[N];
+    component aboveMin[N];
+    component belowMax[N];
+    signal ranged[N];
+
+    for (var i = 0; i < N; i++) {
+        leaves[i] = Poseidon(3);
+        leaves[i].inputs[0] <== i;
+        leaves[i].inputs[1] <== values[i];
+        leaves[i].inputs[2] <== salts[i];
+
+        disclosed[i] <== revealBits.out[i] * values[i];
+
+        // Unranged attributes compare 0 against their bounds, which the verifier leaves at 0
+        ranged[i] <== rangeBits.out[i] * values[i];
+        valueBits[i] = Num2Bits(64);
+        valueBits[i].in <== ranged[i];
+        minBits[i] = Num2Bits(64);
+        minBits[i].in <== minValues[i];
+        maxBits[i] = Num2Bits(64);
+        maxBits[i].in <== maxValues[i];
+
+        aboveMin[i] = GreaterEqThan(64);
+        aboveMin[i].in[0] <== ranged[i];
+        aboveMin[i].in[1] <== minValues[i];
+        aboveMin[i].out === 1;
+
+        belowMax[i] = LessEqThan(64);
+        belowMax[i].in[0] <== ranged[i];
+        belowMax[i].in[1] <== maxValues[i];
+        belowMax[i].out === 1;
+    }
+
+    // Perfect binary tree over the leaves, hashed level by level
+    component nodes[N - 1];
+    for (var i = 0; i < N / 2; i++) {
+        nodes[i] = Poseidon(2);
+        nodes[i].inputs[0] <== leaves[2 * i].out;
+        nodes[i].inputs[1] <== leaves[2 * i + 1].out;
+    }
+    var offset = 0;
+    var width = N / 2;
+    var next = N / 2;
+    while (width > 1) {
+        for (var i = 0; i < width / 2; i++) {
+            nodes[next + i] = Poseidon(2);
+            nodes[next + i].inputs[0] <== nodes[offset + 2 * i].out;
+            nodes[next + i].inputs[1] <== nodes[offset + 2 * i + 1].out;
+        }
+        offset += width;
+        next += width / 2;
+        width = width / 2;
+    }
+    nodes[N - 2].out === attributesRoot;
+}
+
+component main {public [attributesRoot, revealMask, rangeMask, minValues, maxValues]} = AttributeDisclosure(3);
@@ -0,0 +1,88 @@
+pragma circom 2.1.6;
+
+include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/comparators.circom";
+include "circomlib/circuits/bitify.circom";
+
+// Recomputes a Poseidon Merkle root from a leaf and its authentication path
+template MerkleRoot(depth) {
+    signal input leaf;
+    signal input pathElements[depth];
+    signal input pathIndices[depth]; // 0 = current node is the left child, 1 = right child
+    signal output root;
+
+    component hashers[depth];
+    signal nodes[depth + 1];
+    signal left[depth];
+    signal right[depth];
+    nodes[0] <== leaf;
+
+    for (var i = 0; i < depth; i++) {
+        pathIndices[i] * (1 - pathIndices[i]) === 0;
+
+        left[i] <== nodes[i] + pathIndices[i] * (pathElements[i] - nodes[i]);
+        right[i] <== pathElements[i] + pathIndices[i] * (nodes[i] - pathElements[i]);
+
+        hashers[i] = Poseidon(2);
+        hashers[i].inputs[0] <== left[i];
+        hashers[i].inputs[1] <== right[i];
+        nodes[i + 1] <== hashers[i].out;
+    }
+
+    root <== nodes[depth];
+}
+
+// Proves that the holder of `secret` owns a certificate of `collection`, issued by an issuer
+// of at least `minTier`, in the holder snapshot with Merkle root `root`, without revealing the
+// wallet, token ID or tier. Snapshot leaves are Poseidon(identityCommitment, collection, tokenId, tier)
+// with identityCommitment = Poseidon(secret) registered by the wallet in ZKVerifier.
+// nullifierHash is unique per holder, collection and scope, so a verifier can accept one proof per holder.
+template HolderMembership(depth) {
+    signal input root;
+    signal input collection;
+    signal input minTier;
+    signal input scope;
+
+    signal input secret;
+    signal input tokenId;
+    signal input tier;
+    signal input pathElements[depth];
+    signal input pathIndices[depth];
+
+    signal output nullifierHash;
+
+    component commitment = Poseidon(1);
+    commitment.inputs[0] <== secret;
+
+    component leaf = Poseidon(4);
+    leaf.inputs[0] <== commitment.out;
+    leaf.inputs[1] <== collection;
+    leaf.inputs[2] <== tokenId;
+    leaf.inputs[3] <== tier;
+
+    component tree = MerkleRoot(depth);
+    tree.leaf <== leaf.out;
+    for (var i = 0; i < depth; i++) {
+        tree.pathElements[i] <== pathElements[i];
+        tree.pathIndices[i] <== pathIndices[i];
+    }
+    tree.root === root;
+
+    // IssuerTier fits in 8 bits; range-check both sides before comparing
+    component tierBits = Num2Bits(8);
+    tierBits.in <== tier;
+    component minTierBits = Num2Bits(8);
+    minTierBits.in <== minTier;
+    component tierCheck = GreaterEqThan(8);
+    tierCheck.in[0] <== tier;
+    tierCheck.in[1] <== minTier;
+    tierCheck.out === 1;
+
+    component nullifier = Poseidon(3);
+    nullifier.inputs[0] <== secret;
+    nullifier.inputs[1] <== collection;
+    nullifier.inputs[2] <== scope;
+    nullifierHash <== nullifier.out;
+}
+
+component main {public [root, collection, minTier, scope]} = HolderMembership(16);
@@ -0,0 +1,12 @@
+pragma circom 2.1.6;
+
+// Reference circuit: proves knowledge of two factors a, b of a public product c
+template Multiplier() {
+    signal input a;
+    signal input b;
+    signal output c;
+
+    c <== a * b;
+}
+
+component main = Multiplier();
@@ -0,0 +1,128 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "./interfaces/ICertificateFactory.sol";
+import "./interfaces/ISoulboundNFT.sol";
+import "./interfaces/IIssuerRegistry.sol";
+
+/**
+ * @title CertificateFactory
+ * @dev Deploys minimal-proxy (EIP-1167) SoulboundNFT collections owned by verified issuers
+ */
+contract CertificateFactory is ICertificateFactory {
+    // SoulboundNFT implementation every collection delegates to
+    address private immutable _implementation;
+    
+    // Address of the issuer registry contract
+    address private immutable _issuerRegistry;
+    
+    // Mapping from issuer to the collections it created
+    mapping(address => address[]) private _issuerCollections;
+    
+    // Mapping from collection to the issuer that created it
+    mapping(address => address) private _collectionIssuer;
+    
+    // All collections created by this factory
+    address[] private _allCollections;
+    
+    /**
+     * @dev Constructor for CertificateFactory
+     * @param implementationAddress Address of the SoulboundNFT implementation contract
+     * @param issuerRegistryAddress Address of the issuer registry contract
+     */
+    constructor(address implementationAddress, address issuerRegistryAddress) {
+        require(implementationAddress != address(0), "CertificateFactory: Invalid implementation address");
+        require(issuerRegistryAddress != address(0), "CertificateFactory: Invalid registry address");
+        _implementation = implementationAddress;
+        _issuerRegistry = issuerRegistryAddress;
+    }
+    
+    /**
+     * @dev Creates a new certificate collection owned by the calling verified issuer
+     * @param name Name of the NFT collection
+     * @param symbol Symbol of the NFT collection
+     * @param merkleRoot Merkle root for whitelisting recipients
+     * @param baseTokenURI Base URI for metadata
+     * @return collection The address of the new collection
+     */
+    function createCollection(
+        string calldata name,
+        string calldata symbol,
+        bytes32 merkleRoot,
+        string calldata baseTokenURI
+    ) external override returns (address collection) {
+        require(
+            IIssuerRegistry(_issuerRegistry).isVerifiedIssuer(msg.sender),
+            "CertificateFactory: Caller is not a verified issuer"
+        );
+        
+        collection = Clones.clone(_implementation);
+        ISoulboundNFT(collection).initialize(name, symbol, merkleRoot, _issuerRegistry, baseTokenURI, msg.sender);
+        
+        _issuerCollections[msg.sender].push(collection);
+        _collectionIssuer[collection] = msg.sender;
+        _allCollections.push(collection);
+        
+        emit CollectionCreated(msg.sender, collection, name, symbol, merkleRoot);
+    }
+    
+    /**
+     * @dev Gets all collections created by an issuer
+     * @param issuer The issuer address
+     * @return An array of collection addresses
+     */
+    function getCollectionsByIssuer(address issuer) external view override returns (address[] memory) {
+        return _issuerCollections[issuer];
+    }
+    
+    /**
+     * @dev Gets the number of collections created by an issuer
+     * @param issuer The issuer address
+     * @return The number of collections
+     */
+    function getCollectionCount(address issuer) external view returns (uint256) {
+        return _issuerCollections[issuer].length;
+    }
+    
+    /**
+     * @dev Gets the issuer that created a collection
+     * @param collection The collection address
+     * @return The issuer address, or address(0) if the collection was not created by this factory
+     */
+    function issuerOfCollection(address collection) external view override returns (address) {
+        return _collectionIssuer[collection];
+    }
+    
+    /**
+     * @dev Gets the total number of collections created by this factory
+     * @return The number of collections
+     */
+    function totalCollections() external view returns (uint256) {
+        return _allCollections.length;
+    }
+    
+    /**
+     * @dev Gets a collection by index in the list of all collections
+     * @param index The index in the collection list
+     * @return The collection address
+     */
+    function collectionByIndex(uint256 index) external view returns (address) {
+        require(index < _allCollections.length, "CertificateFactory: Index out of bounds");
+        return _allCollections[index];
+    }
+    
+    /**
+     * @dev Gets the SoulboundNFT implementation address
+     */
+    function implementation() external view returns (address) {
+        return _implementation;
+    }
+    
+    /**
+     * @dev Gets the issuer registry address
+     */
+    function issuerRegistry() external view returns (address) {
+        return _issuerRegistry;
+    }
+}
@@ -1,14 +1,40 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
 import "./interfaces/IIssuerRegistry.sol";
+import "./access/DecentraCertRoles.sol";
 
 /**
  * @title IssuerRegistry
- * @dev Implementation of the issuer registry for verifying certificate issuers
+ * @dev Implementation of the issuer registry for verifying certificate issuers. Manual verification and
+ * issuer deactivation need REGISTRAR_ROLE, decisions on manual verification applications REVIEWER_ROLE;
+ * registrations, applications, upgrades and key rotations stop while the registry is paused. An issuer
+ * identity can move to a new key; retired keys stay linked to it so certificates they issued keep resolving.
  */
-contract IssuerRegistry is IIssuerRegistry, Ownable {
+contract IssuerRegistry is IIssuerRegistry, DecentraCertRoles, EIP712, Nonces {
+    // EIP-712 type of the statement an oracle signs after checking the DNS TXT record
+    bytes32 private constant DOMAIN_ATTESTATION_TYPEHASH =
+        keccak256("DomainAttestation(address issuer,string domain,bytes32 challenge,uint256 deadline)");
+    
+    // EIP-712 type of the statement an oracle signs after checking the issuer's social media post
+    bytes32 private constant SOCIAL_ATTESTATION_TYPEHASH = keccak256(
+        "SocialAttestation(address issuer,string socialMediaUrl,string handle,bytes32 challenge,uint256 deadline)"
+    );
+    
+    // EIP-712 types of the requests an issuer wallet signs to register itself through a relayer
+    bytes32 private constant ISSUER_REGISTRATION_TYPEHASH =
+        keccak256("IssuerRegistration(string issuerName,string domain,uint256 nonce,uint256 deadline)");
+    bytes32 private constant SOCIAL_REGISTRATION_TYPEHASH =
+        keccak256("SocialRegistration(string issuerName,string socialMediaUrl,uint256 nonce,uint256 deadline)");
+    bytes32 private constant DOMAIN_UPGRADE_TYPEHASH =
+        keccak256("DomainUpgrade(string domain,uint256 nonce,uint256 deadline)");
+    bytes32 private constant MANUAL_APPLICATION_TYPEHASH =
+        keccak256("ManualApplication(string issuerName,bytes32 evidenceHash,uint256 nonce,uint256 deadline)");
+    
     // Mapping from issuer address to issuer data
     mapping(address => IssuerData) private _issuers;
     
@@ -18,18 +44,49 @@ contract IssuerRegistry is IIssuerRegistry, Ownable {
     // Mapping from hashed social media URL to issuer address
     mapping(bytes32 => address) private _socialMediaToIssuer;
     
-    // Admin addresses for manual verification
-    mapping(address => bool) private _admins;
+    // Oracle addresses trusted to attest DNS TXT challenges
+    mapping(address => bool) private _oracles;
+    
+    // Challenges already consumed by a T1 or T2 verification or upgrade
+    mapping(bytes32 => bool) private _usedChallenges;
+    
+    // Delay before a registrar-initiated key rotation completes, during which a registrar can cancel it
+    uint256 public constant RECOVERY_DELAY = 7 days;
+    
+    // Delay before an issuer-initiated key rotation completes, during which a registrar can cancel it if the
+    // key was stolen
+    uint256 public constant ROTATION_DELAY = 2 days;
+    
+    // Mapping from issuer address to the hash of its DNS-verified domain
+    mapping(address => bytes32) private _issuerDomain;
+    
+    // Mapping from issuer address to its pending key rotation
+    mapping(address => KeyRotation) private _pendingRotations;
+    
+    // Key lineage: retired key => key that replaced it, new key => key it replaced
+    mapping(address => address) private _successor;
+    mapping(address => address) private _predecessor;
+    
+    // Mapping from retired key to the time it was rotated out
+    mapping(address => uint256) private _retiredAt;
+    
+    uint256 private _applicationIdCounter;
+    
+    // Mapping from application ID to manual verification application
+    mapping(uint256 => Application) private _applications;
+    
+    // Mapping from applicant to its pending application ID (0 when none)
+    mapping(address => uint256) private _pendingApplication;
     
     /**
-     * @dev Emitted when an admin is added.
+     * @dev Emitted when a DNS oracle is added.
      */
-    event AdminAdded(address indexed admin);
+    event OracleAdded(address indexed oracle);
 
     /**
-     * @dev Emitted when an admin is removed.
+     * @dev Emitted when a DNS oracle is removed.
      */
-    event AdminRemoved(address indexed admin);
+    event OracleRemoved(address indexed oracle);
 
     /**
      * @dev Emitted when an issuer is deactivated or reactivated.
@@ -63,42 +120,119 @@ contract IssuerRegistry is IIssuerRegistry, Ownable {
     /**
      * @dev Constructor for IssuerRegistry
      */
-    constructor() Ownable(msg.sender) {
-        // Add deployer as admin
-        _admins[msg.sender] = true;
+    constructor() EIP712("DecentraCert IssuerRegistry", "1") {
+        // Deployer holds every role and is the first DNS oracle
+        _grantAllRoles(msg.sender);
+        _oracles[msg.sender] = true;
     }
     
     /**
-     * @dev Modifier to restrict function access to admins
+     * @dev Modifier to restrict function access to reviewers
      */
-    modifier onlyAdmin() {
-        require(_admins[msg.sender], "IssuerRegistry: Caller is not an admin");
+    modifier onlyReviewer() {
+        require(hasRole(REVIEWER_ROLE, msg.sender), "IssuerRegistry: Caller is not a reviewer");
         _;
     }
     
     /**
-     * @dev Add an admin
-     * @param admin The address to add as admin
+     * @dev Modifier to restrict function access to registrars
+     */
+    modifier onlyRegistrar() {
+        require(hasRole(REGISTRAR_ROLE, msg.sender), "IssuerRegistry: Caller is not a registrar");
+        _;
+    }
+    
+    /**
+     * @dev Add a DNS oracle
+     * @param oracle The address to trust for DNS attestations
+     */
+    function addOracle(address oracle) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _oracles[oracle] = true;
+        emit OracleAdded(oracle);
+    }
+    
+    /**
+     * @dev Remove a DNS oracle
+     * @param oracle The address to stop trusting for DNS attestations
+     */
+    function removeOracle(address oracle) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _oracles[oracle] = false;
+        emit OracleRemoved(oracle);
+    }
+    
+    /**
+     * @dev Check if an address is a DNS oracle.
+     */
+    function isOracle(address addr) external view returns (bool) {
+        return _oracles[addr];
+    }
+    
+    /**
+     * @dev Check if a DNS challenge has already been consumed.
      */
-    function addAdmin(address admin) external onlyOwner {
-        _admins[admin] = true;
-        emit AdminAdded(admin);
+    function isChallengeUsed(bytes32 challenge) external view returns (bool) {
+        return _usedChallenges[challenge];
     }
     
     /**
-     * @dev Remove an admin
-     * @param admin The address to remove as admin
+     * @dev Validates an oracle attestation for an issuer and domain and marks its challenge as used
+     * @param issuer The issuer wallet the challenge was issued to
+     * @param domain The domain whose TXT record was checked
+     * @param attestation The oracle attestation
+     * @return domainHash The case-insensitive hash of the domain
      */
-    function removeAdmin(address admin) external onlyOwner {
-        _admins[admin] = false;
-        emit AdminRemoved(admin);
+    function _consumeDomainAttestation(
+        address issuer,
+        string calldata domain,
+        DomainAttestation calldata attestation
+    ) private returns (bytes32 domainHash) {
+        require(block.timestamp <= attestation.deadline, "IssuerRegistry: Attestation expired");
+        require(!_usedChallenges[attestation.challenge], "IssuerRegistry: Challenge already used");
+        
+        domainHash = _hash(domain);
+        bytes32 structHash = keccak256(
+            abi.encode(DOMAIN_ATTESTATION_TYPEHASH, issuer, domainHash, attestation.challenge, attestation.deadline)
+        );
+        address oracle = ECDSA.recover(_hashTypedDataV4(structHash), attestation.signature);
+        require(_oracles[oracle], "IssuerRegistry: Invalid DNS attestation");
+        
+        _usedChallenges[attestation.challenge] = true;
+        
+        emit DomainAttested(issuer, domainHash, oracle, attestation.challenge);
     }
     
     /**
-     * @dev Check if an address is admin.
+     * @dev Validates an oracle attestation for an issuer and social media post and marks its challenge as used
+     * @param issuer The issuer wallet the challenge was issued to
+     * @param socialMediaUrl The URL of the post that was checked
+     * @param attestation The oracle attestation
+     * @return urlHash The case-insensitive hash of the URL
      */
-    function isAdmin(address addr) external view returns (bool) {
-        return _admins[addr];
+    function _consumeSocialAttestation(
+        address issuer,
+        string calldata socialMediaUrl,
+        SocialAttestation calldata attestation
+    ) private returns (bytes32 urlHash) {
+        require(block.timestamp <= attestation.deadline, "IssuerRegistry: Attestation expired");
+        require(!_usedChallenges[attestation.challenge], "IssuerRegistry: Challenge already used");
+        
+        urlHash = _hash(socialMediaUrl);
+        bytes32 structHash = keccak256(
+            abi.encode(
+                SOCIAL_ATTESTATION_TYPEHASH,
+                issuer,
+                urlHash,
+                keccak256(bytes(attestation.handle)),
+                attestation.challenge,
+                attestation.deadline
+            )
+        );
+        address oracle = ECDSA.recover(_hashTypedDataV4(structHash), attestation.signature);
+        require(_oracles[oracle], "IssuerRegistry: Invalid social attestation");
+        
+        _usedChallenges[attestation.challenge] = true;
+        
+        emit SocialAttested(issuer, urlHash, oracle, attestation.handle);
     }
     
     /**
@@ -106,75 +240,97 @@ contract IssuerRegistry is IIssuerRegistry, Ownable {
      * @param issuerName The name of the issuer organization
      * @param domain The domain name used for verification
      * @param verificationData Additional data used in verification process
+     * @param attestation Oracle attestation of the DNS TXT challenge for the caller and domain
      */
     function verifyIssuerT1(
         string calldata issuerName,
         string calldata domain,
-        string calldata verificationData
+        string calldata verificationData,
+        DomainAttestation calldata attestation
     ) external override {
-        // In a real implementation, this would involve checking DNS TXT records
-        // For this demo, we'll simulate the verification
-        
-        bytes32 domainHash = _hash(domain);
-        // Ensure domain isn't already registered
-        require(_domainToIssuer[domainHash] == address(0), "IssuerRegistry: Domain already registered");
-        
-        // Create issuer data
-        _issuers[msg.sender] = IssuerData({
-            issuerAddress: msg.sender,
-            tier: IssuerTier.T1,
-            name: issuerName,
-            verificationData: verificationData,
-            verifiedAt: block.timestamp,
-            isActive: true
-        });
-        
-        // Register domain
-        _domainToIssuer[domainHash] = msg.sender;
+        _verifyT1(msg.sender, issuerName, domain, verificationData, attestation);
+    }
+    
+    /**
+     * @dev Verifies an issuer with T1 verification (DNS) from a registration signed by the issuer wallet.
+     * Anyone may relay the request; the issuer recorded is the signer, not the caller.
+     * @param issuer The issuer wallet that signed the registration
+     * @param registration The signed registration request
+     * @param signature EIP-712 signature of the registration by the issuer (or ERC-1271 contract wallet)
+     * @param attestation Oracle attestation of the DNS TXT challenge for the issuer and domain
+     */
+    function verifyIssuerT1BySig(
+        address issuer,
+        IssuerRegistration calldata registration,
+        bytes calldata signature,
+        DomainAttestation calldata attestation
+    ) external override {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                ISSUER_REGISTRATION_TYPEHASH,
+                keccak256(bytes(registration.issuerName)),
+                keccak256(bytes(registration.domain)),
+                registration.nonce,
+                registration.deadline
+            )
+        );
+        _consumeIssuerSignature(issuer, structHash, registration.nonce, registration.deadline, signature);
         
-        emit IssuerVerified(msg.sender, IssuerTier.T1, issuerName);
+        _verifyT1(issuer, registration.issuerName, registration.domain, registration.domain, attestation);
     }
     
     /**
      * @dev Verifies an issuer with T2 verification (social media)
      * @param issuerName The name of the issuer organization
      * @param socialMediaUrl The URL of the social media post used for verification
+     * @param attestation Oracle attestation of the social media post for the caller and URL
      */
     function verifyIssuerT2(
         string calldata issuerName,
-        string calldata socialMediaUrl
+        string calldata socialMediaUrl,
+        SocialAttestation calldata attestation
     ) external override {
-        // In a real implementation, this would involve checking the social media post
-        // For this demo, we'll simulate the verification
-        
-        bytes32 urlHash = _hash(socialMediaUrl);
-        require(_socialMediaToIssuer[urlHash] == address(0), "IssuerRegistry: Social media URL already registered");
-        
-        // Create issuer data
-        _issuers[msg.sender] = IssuerData({
-            issuerAddress: msg.sender,
-            tier: IssuerTier.T2,
-            name: issuerName,
-            verificationData: socialMediaUrl,
-            verifiedAt: block.timestamp,
-            isActive: true
-        });
-        
-        // Register social media URL
-        _socialMediaToIssuer[urlHash] = msg.sender;
+        _verifyT2(msg.sender, issuerName, socialMediaUrl, attestation);
+    }
+    
+    /**
+     * @dev Verifies an issuer with T2 verification (social media) from a registration signed by the issuer wallet
+     * @param issuer The issuer wallet that signed the registration
+     * @param registration The signed registration request
+     * @param signature EIP-712 signature of the registration by the issuer (or ERC-1271 contract wallet)
+     * @param attestation Oracle attestation of the social media post for the issuer and URL
+     */
+    function verifyIssuerT2BySig(
+        address issuer,
+        SocialRegistration calldata registration,
+        bytes calldata signature,
+        SocialAttestation calldata attestation
+    ) external override {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                SOCIAL_REGISTRATION_TYPEHASH,
+                keccak256(bytes(registration.issuerName)),
+                keccak256(bytes(registration.socialMediaUrl)),
+                registration.nonce,
+                registration.deadline
+            )
+        );
+        _consumeIssuerSignature(issuer, structHash, registration.nonce, registration.deadline, signature);
         
-        emit IssuerVerified(msg.sender, IssuerTier.T2, issuerName);
+        _verifyT2(issuer, registration.issuerName, registration.socialMediaUrl, attestation);
     }
     
     /**
-     * @dev Manually verifies an issuer (only admin)
+     * @dev Manually verifies an issuer (registrar only)
      * @param issuerAddress The address to be verified
      * @param issuerName The name of the issuer organization
      */
     function manualVerifyIssuer(
         address issuerAddress,
         string calldata issuerName
-    ) external override onlyAdmin {
+    ) external override onlyRegistrar whenNotPaused {
+        _requireCurrentKey(issuerAddress);
+        
         // Create issuer data
         _issuers[issuerAddress] = IssuerData({
             issuerAddress: issuerAddress,
@@ -188,39 +344,441 @@ contract IssuerRegistry is IIssuerRegistry, Ownable {
         emit IssuerVerified(issuerAddress, IssuerTier.MANUAL, issuerName);
     }
     
+    /**
+     * @dev Applies for manual verification
+     * @param issuerName The name of the issuer organization
+     * @param evidenceHash Hash of the evidence documents submitted off-chain
+     * @return The ID of the application
+     */
+    function submitApplication(
+        string calldata issuerName,
+        bytes32 evidenceHash
+    ) external override returns (uint256) {
+        return _submitApplication(msg.sender, issuerName, evidenceHash);
+    }
+    
+    /**
+     * @dev Applies for manual verification from an application signed by the issuer wallet, so the
+     * backend can relay applications of wallets without gas
+     * @param applicant The issuer wallet that signed the application
+     * @param application The signed application
+     * @param signature EIP-712 signature of the application by the applicant (or ERC-1271 contract wallet)
+     * @return The ID of the application
+     */
+    function submitApplicationBySig(
+        address applicant,
+        ManualApplication calldata application,
+        bytes calldata signature
+    ) external override returns (uint256) {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                MANUAL_APPLICATION_TYPEHASH,
+                keccak256(bytes(application.issuerName)),
+                application.evidenceHash,
+                application.nonce,
+                application.deadline
+            )
+        );
+        _consumeIssuerSignature(applicant, structHash, application.nonce, application.deadline, signature);
+        
+        return _submitApplication(applicant, application.issuerName, application.evidenceHash);
+    }
+    
+    /**
+     * @dev Records a reviewer's decision on a pending application (reviewer only). Approval does not verify
+     * the issuer: a registrar still calls manualVerifyIssuer.
+     * @param applicationId The ID of the application
+     * @param approved Whether the application is approved
+     * @param commentHash Hash of the reviewer's comment
+     */
+    function reviewApplication(
+        uint256 applicationId,
+        bool approved,
+        bytes32 commentHash
+    ) external override onlyReviewer {
+        Application storage application = _applications[applicationId];
+        require(application.status == ApplicationStatus.PENDING, "IssuerRegistry: Application is not pending");
+        
+        application.status = approved ? ApplicationStatus.APPROVED : ApplicationStatus.REJECTED;
+        application.reviewer = msg.sender;
+        application.reviewedAt = block.timestamp;
+        application.commentHash = commentHash;
+        delete _pendingApplication[application.applicant];
+        
+        emit ApplicationReviewed(applicationId, msg.sender, approved, commentHash);
+    }
+    
+    /**
+     * @dev Gets a manual verification application
+     * @param applicationId The ID of the application
+     * @return The application
+     */
+    function getApplication(uint256 applicationId) external view override returns (Application memory) {
+        return _applications[applicationId];
+    }
+    
+    /**
+     * @dev Gets the pending application of an applicant
+     * @param applicant The applicant
+     * @return The ID of the pending application, 0 if none
+     */
+    function getPendingApplication(address applicant) external view returns (uint256) {
+        return _pendingApplication[applicant];
+    }
+    
     /**
      * @dev Upgrades an issuer from T2 to T1
      * @param domain The domain name used for verification
      * @param verificationData Additional data used in verification process
+     * @param attestation Oracle attestation of the DNS TXT challenge for the caller and domain
      */
     function upgradeToT1(
         string calldata domain,
-        string calldata verificationData
+        string calldata verificationData,
+        DomainAttestation calldata attestation
     ) external override {
-        // Ensure caller is a T2 issuer
-        require(_issuers[msg.sender].tier == IssuerTier.T2, "IssuerRegistry: Caller is not a T2 issuer");
+        _upgradeToT1(msg.sender, domain, verificationData, attestation);
+    }
+    
+    /**
+     * @dev Upgrades an issuer from T2 to T1 from an upgrade request signed by the issuer wallet
+     * @param issuer The issuer wallet that signed the upgrade
+     * @param upgrade The signed upgrade request
+     * @param signature EIP-712 signature of the upgrade by the issuer (or ERC-1271 contract wallet)
+     * @param attestation Oracle attestation of the DNS TXT challenge for the issuer and domain
+     */
+    function upgradeToT1BySig(
+        address issuer,
+        DomainUpgrade calldata upgrade,
+        bytes calldata signature,
+        DomainAttestation calldata attestation
+    ) external override {
+        bytes32 structHash = keccak256(
+            abi.encode(DOMAIN_UPGRADE_TYPEHASH, keccak256(bytes(upgrade.domain)), upgrade.nonce, upgrade.deadline)
+        );
+        _consumeIssuerSignature(issuer, structHash, upgrade.nonce, upgrade.deadline, signature);
+        
+        _upgradeToT1(issuer, upgrade.domain, upgrade.domain, attestation);
+    }
+    
+    /**
+     * @dev Checks an issuer's EIP-712 signature over a request and consumes its nonce
+     * @param issuer The expected signer
+     * @param structHash The EIP-712 struct hash of the request
+     * @param nonce The nonce carried by the request
+     * @param deadline The timestamp after which the request can no longer be relayed
+     * @param signature The issuer signature
+     */
+    function _consumeIssuerSignature(
+        address issuer,
+        bytes32 structHash,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata signature
+    ) private {
+        require(block.timestamp <= deadline, "IssuerRegistry: Signature expired");
+        require(
+            SignatureChecker.isValidSignatureNow(issuer, _hashTypedDataV4(structHash), signature),
+            "IssuerRegistry: Invalid issuer signature"
+        );
+        _useCheckedNonce(issuer, nonce);
+    }
+    
+    /**
+     * @dev Records a manual verification application; an applicant has at most one pending application
+     */
+    function _submitApplication(
+        address applicant,
+        string calldata issuerName,
+        bytes32 evidenceHash
+    ) private whenNotPaused returns (uint256) {
+        _requireCurrentKey(applicant);
+        require(evidenceHash != bytes32(0), "IssuerRegistry: Evidence hash required");
+        require(_pendingApplication[applicant] == 0, "IssuerRegistry: Application already pending");
+        
+        _applicationIdCounter++;
+        uint256 applicationId = _applicationIdCounter;
+        
+        _applications[applicationId] = Application({
+            id: applicationId,
+            applicant: applicant,
+            issuerName: issuerName,
+            evidenceHash: evidenceHash,
+            status: ApplicationStatus.PENDING,
+            submittedAt: block.timestamp,
+            reviewer: address(0),
+            reviewedAt: 0,
+            commentHash: bytes32(0)
+        });
+        _pendingApplication[applicant] = applicationId;
+        
+        emit ApplicationSubmitted(applicationId, applicant, evidenceHash);
+        return applicationId;
+    }
+    
+    /**
+     * @dev Records a T1 issuer once its DNS attestation checks out
+     */
+    function _verifyT1(
+        address issuer,
+        string calldata issuerName,
+        string calldata domain,
+        string calldata verificationData,
+        DomainAttestation calldata attestation
+    ) private whenNotPaused {
+        _requireCurrentKey(issuer);
+        
+        // The DNS TXT record is checked off-chain by an oracle, which signs the result
+        bytes32 domainHash = _consumeDomainAttestation(issuer, domain, attestation);
+        // Registered issuers change tier through upgradeToT1; a deactivated one stays deactivated
+        require(_issuers[issuer].tier == IssuerTier.NONE, "IssuerRegistry: Issuer already registered");
+        // Ensure domain isn't already registered
+        require(_domainToIssuer[domainHash] == address(0), "IssuerRegistry: Domain already registered");
+        
+        // Create issuer data
+        _issuers[issuer] = IssuerData({
+            issuerAddress: issuer,
+            tier: IssuerTier.T1,
+            name: issuerName,
+            verificationData: verificationData,
+            verifiedAt: block.timestamp,
+            isActive: true
+        });
+        
+        // Register domain
+        _domainToIssuer[domainHash] = issuer;
+        _issuerDomain[issuer] = domainHash;
+        
+        emit IssuerVerified(issuer, IssuerTier.T1, issuerName);
+    }
+    
+    /**
+     * @dev Records a T2 issuer once its social media attestation checks out
+     */
+    function _verifyT2(
+        address issuer,
+        string calldata issuerName,
+        string calldata socialMediaUrl,
+        SocialAttestation calldata attestation
+    ) private whenNotPaused {
+        _requireCurrentKey(issuer);
         
-        bytes32 domainHash = _hash(domain);
+        // The post is fetched off-chain by an oracle, which checks the issuer's signed message and the
+        // author handle and signs the result
+        bytes32 urlHash = _consumeSocialAttestation(issuer, socialMediaUrl, attestation);
+        require(_issuers[issuer].tier == IssuerTier.NONE, "IssuerRegistry: Issuer already registered");
+        require(_socialMediaToIssuer[urlHash] == address(0), "IssuerRegistry: Social media URL already registered");
+        
+        // Create issuer data
+        _issuers[issuer] = IssuerData({
+            issuerAddress: issuer,
+            tier: IssuerTier.T2,
+            name: issuerName,
+            verificationData: socialMediaUrl,
+            verifiedAt: block.timestamp,
+            isActive: true
+        });
+        
+        // Register social media URL
+        _socialMediaToIssuer[urlHash] = issuer;
+        
+        emit IssuerVerified(issuer, IssuerTier.T2, issuerName);
+    }
+    
+    /**
+     * @dev Moves a T2 issuer to T1 once its DNS attestation checks out
+     */
+    function _upgradeToT1(
+        address issuer,
+        string calldata domain,
+        string calldata verificationData,
+        DomainAttestation calldata attestation
+    ) private whenNotPaused {
+        // Ensure issuer is a T2 issuer
+        require(_issuers[issuer].tier == IssuerTier.T2, "IssuerRegistry: Caller is not a T2 issuer");
+        _requireCurrentKey(issuer);
+        
+        bytes32 domainHash = _consumeDomainAttestation(issuer, domain, attestation);
         // Ensure domain isn't already registered
         require(_domainToIssuer[domainHash] == address(0), "IssuerRegistry: Domain already registered");
         
         // Store old data for event
-        IssuerTier oldTier = _issuers[msg.sender].tier;
-        string memory oldVerificationData = _issuers[msg.sender].verificationData;
+        IssuerTier oldTier = _issuers[issuer].tier;
+        string memory oldVerificationData = _issuers[issuer].verificationData;
         
         // Update issuer data
-        _issuers[msg.sender].tier = IssuerTier.T1;
-        _issuers[msg.sender].verificationData = verificationData;
-        _issuers[msg.sender].verifiedAt = block.timestamp;
+        _issuers[issuer].tier = IssuerTier.T1;
+        _issuers[issuer].verificationData = verificationData;
+        _issuers[issuer].verifiedAt = block.timestamp;
         
         // Register domain
-        _domainToIssuer[domainHash] = msg.sender;
+        _domainToIssuer[domainHash] = issuer;
+        _issuerDomain[issuer] = domainHash;
         
         // Unregister social media URL
         bytes32 oldHash = _hash(oldVerificationData);
         _socialMediaToIssuer[oldHash] = address(0);
         
-        emit IssuerUpgraded(msg.sender, oldTier, IssuerTier.T1);
+        emit IssuerUpgraded(issuer, oldTier, IssuerTier.T1);
+    }
+    
+    /**
+     * @dev Starts moving the caller's issuer identity to a new wallet, which completes the rotation after
+     * ROTATION_DELAY. It cannot replace a pending recovery rotation, so a stolen key cannot undo a recovery.
+     * @param newKey The wallet taking over the identity
+     */
+    function initiateKeyRotation(address newKey) external override whenNotPaused {
+        require(_issuers[msg.sender].tier != IssuerTier.NONE, "IssuerRegistry: Not a registered issuer");
+        require(!_pendingRotations[msg.sender].recovery, "IssuerRegistry: Recovery rotation pending");
+        _initiateRotation(msg.sender, newKey, ROTATION_DELAY, false);
+    }
+    
+    /**
+     * @dev Starts moving an issuer identity to a new wallet without the issuer key (registrar only). The
+     * rotation completes after RECOVERY_DELAY, during which only a registrar can cancel it.
+     * @param issuer The current issuer key
+     * @param newKey The wallet taking over the identity
+     */
+    function initiateRecoveryRotation(address issuer, address newKey) external override onlyRegistrar whenNotPaused {
+        require(_issuers[issuer].tier != IssuerTier.NONE, "IssuerRegistry: Not a registered issuer");
+        _initiateRotation(issuer, newKey, RECOVERY_DELAY, true);
+    }
+    
+    /**
+     * @dev Records a pending rotation, replacing any earlier one
+     */
+    function _initiateRotation(address issuer, address newKey, uint256 delay, bool recovery) private {
+        _requireCurrentKey(issuer);
+        require(newKey != address(0) && newKey != issuer, "IssuerRegistry: Invalid new key");
+        require(
+            _issuers[newKey].tier == IssuerTier.NONE && _successor[newKey] == address(0),
+            "IssuerRegistry: New key already in use"
+        );
+        
+        uint256 eta = block.timestamp + delay;
+        _pendingRotations[issuer] = KeyRotation({ newKey: newKey, eta: eta, recovery: recovery });
+        
+        emit KeyRotationInitiated(issuer, newKey, eta, recovery);
+    }
+    
+    /**
+     * @dev Cancels a pending key rotation (registrar, or the issuer key for a rotation it initiated). The
+     * issuer key cannot cancel a recovery rotation, which exists because that key may be compromised.
+     * @param issuer The current issuer key
+     */
+    function cancelKeyRotation(address issuer) external override {
+        KeyRotation memory rotation = _pendingRotations[issuer];
+        address newKey = rotation.newKey;
+        require(newKey != address(0), "IssuerRegistry: No pending key rotation");
+        require(
+            (msg.sender == issuer && !rotation.recovery) || hasRole(REGISTRAR_ROLE, msg.sender),
+            "IssuerRegistry: Caller cannot cancel this rotation"
+        );
+        
+        delete _pendingRotations[issuer];
+        emit KeyRotationCancelled(issuer, newKey);
+    }
+    
+    /**
+     * @dev Completes a pending key rotation (new key only). The issuer data, domain and social media URL move
+     * to the new key; the old key is deactivated and linked to it, so certificates it issued still resolve to
+     * the issuer identity.
+     * @param issuer The current issuer key
+     */
+    function completeKeyRotation(address issuer) external override whenNotPaused {
+        KeyRotation memory rotation = _pendingRotations[issuer];
+        require(rotation.newKey != address(0), "IssuerRegistry: No pending key rotation");
+        require(msg.sender == rotation.newKey, "IssuerRegistry: Caller is not the new key");
+        require(block.timestamp >= rotation.eta, "IssuerRegistry: Key rotation is still timelocked");
+        // The new key may have registered an identity of its own since
+        require(_issuers[rotation.newKey].tier == IssuerTier.NONE, "IssuerRegistry: New key already in use");
+        
+        delete _pendingRotations[issuer];
+        
+        IssuerData storage data = _issuers[issuer];
+        _issuers[rotation.newKey] = IssuerData({
+            issuerAddress: rotation.newKey,
+            tier: data.tier,
+            name: data.name,
+            verificationData: data.verificationData,
+            verifiedAt: data.verifiedAt,
+            isActive: data.isActive
+        });
+        data.isActive = false;
+        
+        // Move the domain and social media URL registrations
+        bytes32 domainHash = _issuerDomain[issuer];
+        if (domainHash != bytes32(0)) {
+            _domainToIssuer[domainHash] = rotation.newKey;
+            _issuerDomain[rotation.newKey] = domainHash;
+            delete _issuerDomain[issuer];
+        }
+        if (data.tier == IssuerTier.T2) {
+            _socialMediaToIssuer[_hash(data.verificationData)] = rotation.newKey;
+        }
+        
+        _successor[issuer] = rotation.newKey;
+        _predecessor[rotation.newKey] = issuer;
+        _retiredAt[issuer] = block.timestamp;
+        
+        emit IssuerKeyRotated(issuer, rotation.newKey);
+    }
+    
+    /**
+     * @dev Reverts if a key was rotated out; retired keys cannot be verified, reactivated or rotated again
+     */
+    function _requireCurrentKey(address key) private view {
+        require(_successor[key] == address(0), "IssuerRegistry: Key was rotated");
+    }
+    
+    /**
+     * @dev Gets the pending key rotation of an issuer
+     * @param issuer The current issuer key
+     * @return The pending rotation, with a zero newKey if none
+     */
+    function getPendingKeyRotation(address issuer) external view returns (KeyRotation memory) {
+        return _pendingRotations[issuer];
+    }
+    
+    /**
+     * @dev Follows key rotations from a key to the current key of its issuer identity
+     * @param key Any key the issuer used, e.g. the issuer recorded on a certificate
+     * @return current The current key; `key` itself if it was never rotated
+     */
+    function resolveIssuer(address key) public view override returns (address current) {
+        current = key;
+        while (_successor[current] != address(0)) {
+            current = _successor[current];
+        }
+    }
+    
+    /**
+     * @dev Gets every key of an issuer identity
+     * @param key Any key the issuer used
+     * @return keys The keys, oldest first; the last one is current
+     */
+    function getIssuerLineage(address key) external view returns (address[] memory keys) {
+        address current = resolveIssuer(key);
+        uint256 length = 1;
+        for (address k = current; _predecessor[k] != address(0); k = _predecessor[k]) {
+            length++;
+        }
+        
+        keys = new address[](length);
+        address cursor = current;
+        for (uint256 i = length; i > 0; i--) {
+            keys[i - 1] = cursor;
+            cursor = _predecessor[cursor];
+        }
+    }
+    
+    /**
+     * @dev Gets when a key was rotated out
+     * @param key The key
+     * @return The rotation timestamp, 0 if the key is current
+     */
+    function keyRetiredAt(address key) external view returns (uint256) {
+        return _retiredAt[key];
     }
     
     /**
@@ -272,7 +830,7 @@ contract IssuerRegistry is IIssuerRegistry, Ownable {
      * @dev Deactivates an issuer
      * @param issuer The address to deactivate
      */
-    function deactivateIssuer(address issuer) external onlyAdmin {
+    function deactivateIssuer(address issuer) external onlyRegistrar {
         require(_issuers[issuer].tier != IssuerTier.NONE, "IssuerRegistry: Not a registered issuer");
         _issuers[issuer].isActive = false;
         emit IssuerStatusChanged(issuer, false);
@@ -282,8 +840,9 @@ contract IssuerRegistry is IIssuerRegistry, Ownable {
      * @dev Reactivates an issuer
      * @param issuer The address to reactivate
      */
-    function reactivateIssuer(address issuer) external onlyAdmin {
+    function reactivateIssuer(address issuer) external onlyRegistrar {
         require(_issuers[issuer].tier != IssuerTier.NONE, "IssuerRegistry: Not a registered issuer");
+        _requireCurrentKey(issuer);
         _issuers[issuer].isActive = true;
         emit IssuerStatusChanged(issuer, true);
     }
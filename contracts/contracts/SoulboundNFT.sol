@@ -3,18 +3,37 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/IAccessControl.sol";
 import "@openzeppelin/contracts/utils/Strings.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
 import "./interfaces/ISoulboundNFT.sol";
 import "./interfaces/IIssuerRegistry.sol";
 import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
 
 /**
  * @title SoulboundNFT
- * @dev Implementation of non-transferable (soulbound) NFTs for certificates
+ * @dev Implementation of non-transferable (soulbound) NFTs for certificates. Transfers are blocked; a holder
+ * who lost their wallet gets the certificate re-bound to a new one through an issuer-approved recovery.
  */
-contract SoulboundNFT is ERC721, Ownable, ISoulboundNFT {
+contract SoulboundNFT is ERC721, Ownable, Initializable, EIP712, ISoulboundNFT {
     using Strings for uint256;
     
+    // EIP-712 type of the vouchers the collection issuer signs for self-claims
+    bytes32 public constant CLAIM_VOUCHER_TYPEHASH =
+        keccak256("ClaimVoucher(address recipient,bytes32 credentialId,uint256 deadline)");
+    
+    // EIP-712 type of the recovery requests signed by a holder's new wallet
+    bytes32 public constant RECOVERY_REQUEST_TYPEHASH =
+        keccak256("RecoveryRequest(uint256 tokenId,address newHolder,uint256 deadline)");
+    
+    // EIP-712 type of the wallet a claim code's key binds its certificate to
+    bytes32 public constant CLAIM_CODE_TYPEHASH = keccak256("ClaimCodeRedemption(address recipient)");
+    
+    // IssuerRegistry role whose holders approve recoveries when the collection requires an admin
+    bytes32 private constant REGISTRAR_ROLE = keccak256("REGISTRAR_ROLE");
+    
     // Token counter for NFT IDs
     uint256 private _tokenIdCounter;
     
@@ -25,6 +44,9 @@ contract SoulboundNFT is ERC721, Ownable, ISoulboundNFT {
         string metadataURI;
         uint256 issuedAt;
         address recipient;
+        uint256 expiresAt; // 0 = never expires
+        bytes32 credentialId; // 0 for legacy address-only leaves
+        uint256 attributesRoot; // Poseidon root of the committed attributes, 0 = none
     }
     
     // Mapping from token ID to certificate data
@@ -39,14 +61,45 @@ contract SoulboundNFT is ERC721, Ownable, ISoulboundNFT {
     // Base URI for metadata
     string private _baseTokenURI;
     
-    // Mapping from recipient to has-certificate flag to prevent duplicates
-    mapping(address => bool) private _hasCertificate;
+    // Collection name and symbol, kept in storage so minimal-proxy clones can set them in initialize
+    string private _collectionName;
+    string private _collectionSymbol;
+    
+    // Mapping from Merkle leaf to claimed flag to prevent duplicates
+    mapping(bytes32 => bool) private _claimedLeaves;
+    
+    // Claimed leaves whose certificate was burned; only the collection issuer may mint them again
+    mapping(bytes32 => bool) private _burnedLeaves;
+    
+    // Mapping from token ID to its revocation/suspension record (status NONE means never changed)
+    mapping(uint256 => StatusRecord) private _statusRecords;
+    
+    // Validity period applied to newly minted certificates (seconds, 0 = no expiry)
+    uint256 private _defaultValidity;
+    
+    // Mapping from token ID to the sha256 digest of its metadata JSON (the digest inside its IPFS CID)
+    mapping(uint256 => bytes32) private _contentHashes;
+    
+    // Mapping from token ID to its pending recovery
+    mapping(uint256 => RecoveryRequest) private _recoveryRequests;
+    
+    // Links between a recovered certificate's burned token and the token it was re-bound as
+    mapping(uint256 => uint256) private _recoveredFrom;
+    mapping(uint256 => uint256) private _recoveredTo;
+    
+    // Whether recoveries need a registrar's approval on top of the issuer's
+    bool private _recoveryRequiresAdmin;
+    
+    // Mapping from token ID to the claim key of the code it was redeemed with
+    mapping(uint256 => address) private _claimKeys;
     
     // Error for soulbound transfers
     error SoulboundToken();
     
     event BaseURIUpdated(string oldBaseURI, string newBaseURI);
     event MerkleRootUpdated(bytes32 oldRoot, bytes32 newRoot);
+    event DefaultValidityUpdated(uint256 oldValidity, uint256 newValidity);
+    event RecoveryPolicyUpdated(bool requiresAdmin);
     
     /**
      * @dev Constructor for the SoulboundNFT contract
@@ -62,10 +115,89 @@ contract SoulboundNFT is ERC721, Ownable, ISoulboundNFT {
         bytes32 merkleRoot,
         address issuerRegistry,
         string memory baseTokenURI
-    ) ERC721(name, symbol) Ownable(msg.sender) {
+    ) ERC721(name, symbol) Ownable(msg.sender) EIP712("DecentraCert SoulboundNFT", "1") {
+        _collectionName = name;
+        _collectionSymbol = symbol;
+        _merkleRoot = merkleRoot;
+        _issuerRegistry = issuerRegistry;
+        _baseTokenURI = baseTokenURI;
+        
+        // Deployed instances are configured by the constructor; only clones are initialized
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Modifier to restrict status changes to the certificate's issuer or the collection owner. After an
+     * issuer key rotation, the current key of the issuer acts for certificates issued by its retired keys.
+     */
+    modifier onlyCertificateIssuer(uint256 tokenId) {
+        require(_exists(tokenId), "SoulboundNFT: Query for nonexistent token");
+        require(_isCertificateIssuer(tokenId, msg.sender), "SoulboundNFT: Caller is not the certificate issuer");
+        _;
+    }
+    
+    /**
+     * @dev Checks if an account is the current key of a certificate's issuer or the collection owner
+     */
+    function _isCertificateIssuer(uint256 tokenId, address account) private view returns (bool) {
+        return account == IIssuerRegistry(_issuerRegistry).resolveIssuer(_certificates[tokenId].issuer) ||
+            account == _collectionOwner();
+    }
+    
+    /**
+     * @dev Returns the current key of the collection owner. After an issuer key rotation the successor key acts
+     * for the collection and the retired key, which may be the lost one, no longer does.
+     */
+    function _collectionOwner() private view returns (address) {
+        return IIssuerRegistry(_issuerRegistry).resolveIssuer(owner());
+    }
+    
+    /**
+     * @dev Restricts onlyOwner functions to the current key of the collection owner
+     */
+    function _checkOwner() internal view override {
+        if (msg.sender != _collectionOwner()) {
+            revert OwnableUnauthorizedAccount(msg.sender);
+        }
+    }
+    
+    /**
+     * @dev Initializes a minimal-proxy clone of this contract (called once by CertificateFactory)
+     * @param collectionName Name of the NFT collection
+     * @param collectionSymbol Symbol of the NFT collection
+     * @param merkleRoot Merkle root for whitelisting recipients
+     * @param issuerRegistry Address of the issuer registry contract
+     * @param baseTokenURI Base URI for metadata
+     * @param collectionOwner Address that will own the collection
+     */
+    function initialize(
+        string calldata collectionName,
+        string calldata collectionSymbol,
+        bytes32 merkleRoot,
+        address issuerRegistry,
+        string calldata baseTokenURI,
+        address collectionOwner
+    ) external override initializer {
+        _collectionName = collectionName;
+        _collectionSymbol = collectionSymbol;
         _merkleRoot = merkleRoot;
         _issuerRegistry = issuerRegistry;
         _baseTokenURI = baseTokenURI;
+        _transferOwnership(collectionOwner);
+    }
+    
+    /**
+     * @dev Returns the collection name
+     */
+    function name() public view override returns (string memory) {
+        return _collectionName;
+    }
+    
+    /**
+     * @dev Returns the collection symbol
+     */
+    function symbol() public view override returns (string memory) {
+        return _collectionSymbol;
     }
     
     /**
@@ -94,52 +226,290 @@ contract SoulboundNFT is ERC721, Ownable, ISoulboundNFT {
     }
     
     /**
-     * @dev Mints a new certificate to a recipient
+     * @dev Mints a new certificate to a recipient whitelisted with an address-only leaf
      * @param recipient The address that will receive the certificate
      * @param merkleProof The Merkle proof that verifies the recipient is eligible
      * @return The token ID of the minted certificate
      */
     function mintCertificate(address recipient, bytes32[] calldata merkleProof) public override returns (uint256) {
-        // Verify issuer is authorized
+        return _mintLeaf(recipient, bytes32(0), _leaf(recipient, bytes32(0)), merkleProof);
+    }
+    
+    /**
+     * @dev Mints a specific credential (course, level, year...) to a recipient. The same wallet
+     * can hold several credentials of one collection; each (recipient, credentialId) leaf mints once.
+     * @param recipient The address that will receive the certificate
+     * @param credentialId Certificate type ID or credential hash committed to in the leaf
+     * @param merkleProof The Merkle proof that verifies the recipient is eligible for the credential
+     * @return The token ID of the minted certificate
+     */
+    function mintCredential(
+        address recipient,
+        bytes32 credentialId,
+        bytes32[] calldata merkleProof
+    ) public override returns (uint256) {
+        require(credentialId != bytes32(0), "SoulboundNFT: Invalid credential ID");
+        return _mintLeaf(recipient, credentialId, _leaf(recipient, credentialId), merkleProof);
+    }
+    
+    /**
+     * @dev Mints a certificate and commits to its attributes in the same transaction
+     * @param recipient The address that will receive the certificate
+     * @param credentialId The credential committed to in the leaf (0 for address-only leaves)
+     * @param merkleProof The Merkle proof of the leaf
+     * @param attributesRoot Poseidon root of the certificate's salted attributes (see commitAttributes)
+     * @return tokenId The token ID of the minted certificate
+     */
+    function mintWithAttributes(
+        address recipient,
+        bytes32 credentialId,
+        bytes32[] calldata merkleProof,
+        uint256 attributesRoot
+    ) external returns (uint256 tokenId) {
+        tokenId = _mintLeaf(recipient, credentialId, _leaf(recipient, credentialId), merkleProof);
+        _commitAttributes(tokenId, attributesRoot);
+    }
+    
+    /**
+     * @dev Mints certificates to a cohort of whitelisted recipients in one transaction, verifying all
+     * leaves against a single multiproof. Recipients whose credential was already issued are skipped
+     * (tokenId 0 and a CertificateMintSkipped event) instead of reverting the whole batch.
+     * @param recipients The addresses that will receive certificates, in the leaf order the multiproof expects
+     * @param credentialIds The credential of each recipient (0 for address-only leaves)
+     * @param proof Sibling hashes of the multiproof
+     * @param proofFlags Multiproof flags as expected by MerkleProof.multiProofVerify
+     * @return tokenIds The token ID minted to each recipient, 0 where the recipient was skipped
+     */
+    function batchMint(
+        address[] calldata recipients,
+        bytes32[] calldata credentialIds,
+        bytes32[] calldata proof,
+        bool[] calldata proofFlags
+    ) external override returns (uint256[] memory tokenIds) {
+        require(recipients.length == credentialIds.length, "SoulboundNFT: Array length mismatch");
+        _checkMinter();
+        
+        bytes32[] memory leaves = new bytes32[](recipients.length);
+        for (uint256 i = 0; i < recipients.length; i++) {
+            leaves[i] = _leaf(recipients[i], credentialIds[i]);
+        }
         require(
-            IIssuerRegistry(_issuerRegistry).isVerifiedIssuer(msg.sender),
-            "SoulboundNFT: Caller is not a verified issuer"
+            MerkleProof.multiProofVerifyCalldata(proof, proofFlags, _merkleRoot, leaves),
+            "SoulboundNFT: Recipients are not eligible"
+        );
+        
+        tokenIds = new uint256[](recipients.length);
+        for (uint256 i = 0; i < recipients.length; i++) {
+            if (_claimedLeaves[leaves[i]]) {
+                emit CertificateMintSkipped(recipients[i], credentialIds[i]);
+                continue;
+            }
+            tokenIds[i] = _issue(msg.sender, recipients[i], credentialIds[i]);
+        }
+    }
+    
+    /**
+     * @dev Lets a whitelisted recipient mint their own certificate with a Merkle proof.
+     * The certificate is attributed to the collection owner, who must be a verified issuer.
+     * @param credentialId The credential committed to in the leaf (0 for address-only leaves)
+     * @param merkleProof The Merkle proof of the caller's leaf
+     * @return The token ID of the minted certificate
+     */
+    function claimCertificate(bytes32 credentialId, bytes32[] calldata merkleProof) external override returns (uint256) {
+        require(
+            MerkleProof.verify(merkleProof, _merkleRoot, _leaf(msg.sender, credentialId)),
+            "SoulboundNFT: Recipient is not eligible"
+        );
+        return _issue(_collectionIssuer(), msg.sender, credentialId);
+    }
+    
+    /**
+     * @dev Mints the certificate described by a voucher the collection owner signed off-chain.
+     * Anyone may submit the voucher (e.g. a relayer); the certificate always goes to voucher.recipient.
+     * A voucher is single use because its (recipient, credentialId) leaf is marked as claimed.
+     * @param voucher The recipient, credential and deadline that were signed
+     * @param signature EIP-712 signature of the voucher by the collection owner (EOA or ERC-1271 wallet)
+     * @return The token ID of the minted certificate
+     */
+    function claimWithVoucher(ClaimVoucher calldata voucher, bytes calldata signature) external override returns (uint256) {
+        require(block.timestamp <= voucher.deadline, "SoulboundNFT: Voucher expired");
+        
+        address issuer = _collectionIssuer();
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(abi.encode(CLAIM_VOUCHER_TYPEHASH, voucher.recipient, voucher.credentialId, voucher.deadline))
+        );
+        require(
+            SignatureChecker.isValidSignatureNow(issuer, digest, signature),
+            "SoulboundNFT: Invalid voucher signature"
         );
         
+        return _issue(issuer, voucher.recipient, voucher.credentialId);
+    }
+    
+    /**
+     * @dev Redeems a claim code: its leaf commits to the key derived from the secret code instead of a wallet.
+     * The code never goes on-chain; its key signs the recipient, so a front-runner copying the transaction can
+     * only mint to that same wallet. Anyone may submit it (e.g. a relayer for a wallet without ether), and each
+     * code is single use because its leaf is marked as claimed. Attributed to the collection owner.
+     * @param code The claim key, email hash and credential of the leaf
+     * @param recipient The wallet the certificate is minted to
+     * @param merkleProof The Merkle proof of the leaf
+     * @param signature EIP-712 ClaimCodeRedemption signature of the recipient by the claim key
+     * @return tokenId The token ID of the minted certificate
+     */
+    function redeemClaimCode(
+        ClaimCode calldata code,
+        address recipient,
+        bytes32[] calldata merkleProof,
+        bytes calldata signature
+    ) external override returns (uint256 tokenId) {
+        require(recipient != address(0), "SoulboundNFT: Invalid recipient");
+        bytes32 leaf = _claimCodeLeaf(code);
+        require(!_claimedLeaves[leaf], "SoulboundNFT: Claim code already redeemed");
+        require(MerkleProof.verify(merkleProof, _merkleRoot, leaf), "SoulboundNFT: Claim code is not eligible");
+        
+        bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(CLAIM_CODE_TYPEHASH, recipient)));
+        require(
+            SignatureChecker.isValidSignatureNow(code.claimKey, digest, signature),
+            "SoulboundNFT: Invalid claim code signature"
+        );
+        
+        _claimedLeaves[leaf] = true;
+        tokenId = _issue(_collectionIssuer(), recipient, code.credentialId);
+        _claimKeys[tokenId] = code.claimKey;
+        
+        emit ClaimCodeRedeemed(code.claimKey, recipient, tokenId);
+    }
+    
+    /**
+     * @dev Mints the certificate for a whitelisted leaf on behalf of the calling collection issuer
+     * @param recipient The address that will receive the certificate
+     * @param credentialId The credential committed to in the leaf (0 for address-only leaves)
+     * @param leaf The Merkle leaf
+     * @param merkleProof The Merkle proof of the leaf
+     * @return The token ID of the minted certificate
+     */
+    function _mintLeaf(
+        address recipient,
+        bytes32 credentialId,
+        bytes32 leaf,
+        bytes32[] calldata merkleProof
+    ) private returns (uint256) {
+        _checkMinter();
+        
         // Verify recipient is in the whitelist
         require(
-            isEligible(recipient, merkleProof),
+            MerkleProof.verify(merkleProof, _merkleRoot, leaf),
             "SoulboundNFT: Recipient is not eligible"
         );
         
-        // Verify recipient does not already possess a certificate
-        require(!_hasCertificate[recipient], "SoulboundNFT: Recipient already possesses a certificate");
+        // Re-issue a burned certificate; self-claims keep failing on the claimed leaf
+        if (_burnedLeaves[leaf]) {
+            _burnedLeaves[leaf] = false;
+            _claimedLeaves[leaf] = false;
+        }
+        
+        return _issue(msg.sender, recipient, credentialId);
+    }
+    
+    /**
+     * @dev Checks that the caller is a verified issuer and owns the collection, so that an issuer cannot mint
+     * certificates credited to itself into another issuer's collection
+     */
+    function _checkMinter() private view {
+        require(
+            IIssuerRegistry(_issuerRegistry).isVerifiedIssuer(msg.sender),
+            "SoulboundNFT: Caller is not a verified issuer"
+        );
+        require(msg.sender == _collectionOwner(), "SoulboundNFT: Caller is not the collection issuer");
+    }
+    
+    /**
+     * @dev Returns the current key of the collection owner, which self-claims are attributed to, if it is a
+     * verified issuer
+     */
+    function _collectionIssuer() private view returns (address issuer) {
+        issuer = _collectionOwner();
+        require(
+            IIssuerRegistry(_issuerRegistry).isVerifiedIssuer(issuer),
+            "SoulboundNFT: Collection issuer is not verified"
+        );
+    }
+    
+    /**
+     * @dev Mints a certificate once authorization and eligibility have been checked
+     * @param issuer The issuer the certificate is attributed to
+     * @param recipient The address that will receive the certificate
+     * @param credentialId The credential committed to in the leaf (0 for address-only leaves)
+     * @return tokenId The token ID of the minted certificate
+     */
+    function _issue(address issuer, address recipient, bytes32 credentialId) private returns (uint256 tokenId) {
+        bytes32 leaf = _leaf(recipient, credentialId);
+        
+        // Verify this leaf was not minted already
+        require(!_claimedLeaves[leaf], "SoulboundNFT: Credential already issued to recipient");
         
         // Get issuer level
-        IIssuerRegistry.IssuerTier issuerTier = IIssuerRegistry(_issuerRegistry).getIssuerTier(msg.sender);
+        IIssuerRegistry.IssuerTier issuerTier = IIssuerRegistry(_issuerRegistry).getIssuerTier(issuer);
         
         // Increment token ID
         _tokenIdCounter++;
-        uint256 tokenId = _tokenIdCounter;
+        tokenId = _tokenIdCounter;
         
         // Mint NFT
         _mint(recipient, tokenId);
         
         // Store certificate data
         _certificates[tokenId] = Certificate({
-            issuer: msg.sender,
+            issuer: issuer,
             issuerLevel: uint8(issuerTier),
             metadataURI: string(abi.encodePacked(_baseTokenURI, tokenId.toString())),
             issuedAt: block.timestamp,
-            recipient: recipient
+            recipient: recipient,
+            expiresAt: _defaultValidity == 0 ? 0 : block.timestamp + _defaultValidity,
+            credentialId: credentialId,
+            attributesRoot: 0
         });
         
-        // Mark recipient as having a cert
-        _hasCertificate[recipient] = true;
-        
-        emit CertificateMinted(recipient, tokenId, msg.sender);
+        // Mark leaf as claimed
+        _claimedLeaves[leaf] = true;
         
-        return tokenId;
+        emit CertificateMinted(recipient, tokenId, issuer);
+    }
+    
+    /**
+     * @dev Computes the Merkle leaf of a recipient and credential (0 for address-only certificates)
+     * Leaves are hashed twice so that no leaf can be the concatenation of two inner nodes (second preimage).
+     * Must match leafHash in backend/src/services/merkle.js.
+     */
+    function _leaf(address recipient, bytes32 credentialId) private pure returns (bytes32) {
+        return keccak256(bytes.concat(keccak256(abi.encode(recipient, credentialId))));
+    }
+    
+    /**
+     * @dev Computes the Merkle leaf of a claim code. Its three-word preimage cannot collide with a wallet leaf.
+     * Must match leafHash in backend/src/services/merkle.js.
+     */
+    function _claimCodeLeaf(ClaimCode calldata code) private pure returns (bytes32) {
+        return keccak256(bytes.concat(keccak256(abi.encode(code.claimKey, code.emailHash, code.credentialId))));
+    }
+    
+    /**
+     * @dev Checks if a claim code was redeemed
+     * @param code The claim key, email hash and credential of the leaf
+     * @return True if the code's certificate was minted
+     */
+    function isClaimCodeRedeemed(ClaimCode calldata code) external view returns (bool) {
+        return _claimedLeaves[_claimCodeLeaf(code)];
+    }
+    
+    /**
+     * @dev Gets the claim key of the code a certificate was redeemed with
+     * @param tokenId The token ID
+     * @return The claim key, the zero address if the certificate was not minted from a claim code
+     */
+    function claimKeyOf(uint256 tokenId) external view returns (address) {
+        return _claimKeys[tokenId];
     }
     
     /**
@@ -149,8 +519,42 @@ contract SoulboundNFT is ERC721, Ownable, ISoulboundNFT {
      * @return True if the address is eligible, false otherwise
      */
     function isEligible(address recipient, bytes32[] calldata merkleProof) public view override returns (bool) {
-        bytes32 leaf = keccak256(abi.encodePacked(recipient));
-        return MerkleProof.verify(merkleProof, _merkleRoot, leaf);
+        return MerkleProof.verify(merkleProof, _merkleRoot, _leaf(recipient, bytes32(0)));
+    }
+    
+    /**
+     * @dev Checks if an address is eligible to claim a specific credential
+     * @param recipient The address to check eligibility for
+     * @param credentialId The credential committed to in the leaf
+     * @param merkleProof The Merkle proof to verify eligibility
+     * @return True if the address is eligible for the credential, false otherwise
+     */
+    function isEligibleFor(
+        address recipient,
+        bytes32 credentialId,
+        bytes32[] calldata merkleProof
+    ) external view returns (bool) {
+        return MerkleProof.verify(merkleProof, _merkleRoot, _leaf(recipient, credentialId));
+    }
+    
+    /**
+     * @dev Checks if a recipient's credential has already been minted
+     * @param recipient The recipient address
+     * @param credentialId The credential (0 for address-only leaves)
+     * @return True if the leaf has been claimed
+     */
+    function hasClaimed(address recipient, bytes32 credentialId) external view returns (bool) {
+        return _claimedLeaves[_leaf(recipient, credentialId)];
+    }
+    
+    /**
+     * @dev Gets the credential a token was minted for
+     * @param tokenId The token ID
+     * @return The credential ID (0 for address-only leaves)
+     */
+    function credentialIdOf(uint256 tokenId) external view returns (bytes32) {
+        require(_exists(tokenId), "SoulboundNFT: Query for nonexistent token");
+        return _certificates[tokenId].credentialId;
     }
     
     /**
@@ -160,12 +564,14 @@ contract SoulboundNFT is ERC721, Ownable, ISoulboundNFT {
      * @return issuerLevel The level of the issuer (T1, T2, etc.)
      * @return metadataURI The URI for the certificate metadata
      * @return issuedTimestamp The timestamp when the certificate was issued
+     * @return expiresAt The timestamp after which the certificate is expired (0 = never)
      */
     function getCertificateData(uint256 tokenId) external view override returns (
         address issuer,
         uint8 issuerLevel,
         string memory metadataURI,
-        uint256 issuedTimestamp
+        uint256 issuedTimestamp,
+        uint256 expiresAt
     ) {
         require(_exists(tokenId), "SoulboundNFT: Query for nonexistent token");
         
@@ -175,8 +581,366 @@ contract SoulboundNFT is ERC721, Ownable, ISoulboundNFT {
             cert.issuer,
             cert.issuerLevel,
             cert.metadataURI,
-            cert.issuedAt
+            cert.issuedAt,
+            cert.expiresAt
+        );
+    }
+    
+    /**
+     * @dev Gets the status of a certificate
+     * @param tokenId The token ID to check
+     * @return The certificate status, NONE if the token was never issued or was burned
+     */
+    function certificateStatus(uint256 tokenId) public view override returns (CertificateStatus) {
+        if (!_exists(tokenId)) return CertificateStatus.NONE;
+        CertificateStatus status = _statusRecords[tokenId].status;
+        if (status != CertificateStatus.NONE && status != CertificateStatus.VALID) return status;
+        
+        uint256 expiresAt = _certificates[tokenId].expiresAt;
+        if (expiresAt != 0 && block.timestamp > expiresAt) return CertificateStatus.EXPIRED;
+        return CertificateStatus.VALID;
+    }
+    
+    /**
+     * @dev Checks if a certificate exists and is neither revoked, suspended nor expired
+     * @param tokenId The token ID to check
+     * @return True if the certificate is currently valid
+     */
+    function isValid(uint256 tokenId) external view returns (bool) {
+        return certificateStatus(tokenId) == CertificateStatus.VALID;
+    }
+    
+    /**
+     * @dev Gets the expiry timestamp of a token
+     * @param tokenId The token ID
+     * @return The timestamp after which the certificate is expired (0 = never)
+     */
+    function getExpiresAt(uint256 tokenId) external view returns (uint256) {
+        require(_exists(tokenId), "SoulboundNFT: Query for nonexistent token");
+        return _certificates[tokenId].expiresAt;
+    }
+    
+    /**
+     * @dev Extends the validity of an expiring certificate (also revives an expired one)
+     * @param tokenId The token ID to renew
+     * @param newExpiresAt The new expiry timestamp, later than both now and the current expiry
+     */
+    function renewCertificate(uint256 tokenId, uint256 newExpiresAt) external onlyCertificateIssuer(tokenId) {
+        require(
+            certificateStatus(tokenId) != CertificateStatus.REVOKED,
+            "SoulboundNFT: Certificate already revoked"
+        );
+        uint256 oldExpiresAt = _certificates[tokenId].expiresAt;
+        require(oldExpiresAt != 0, "SoulboundNFT: Certificate does not expire");
+        require(
+            newExpiresAt > oldExpiresAt && newExpiresAt > block.timestamp,
+            "SoulboundNFT: Renewal must extend validity"
+        );
+        
+        _certificates[tokenId].expiresAt = newExpiresAt;
+        emit CertificateRenewed(tokenId, msg.sender, oldExpiresAt, newExpiresAt);
+    }
+    
+    /**
+     * @dev Sets the expiry of a single certificate, overriding the collection default
+     * @param tokenId The token ID
+     * @param expiresAt The new expiry timestamp (0 = never expires)
+     */
+    function setCertificateExpiry(uint256 tokenId, uint256 expiresAt) external onlyCertificateIssuer(tokenId) {
+        uint256 oldExpiresAt = _certificates[tokenId].expiresAt;
+        _certificates[tokenId].expiresAt = expiresAt;
+        emit CertificateExpiryUpdated(tokenId, oldExpiresAt, expiresAt);
+    }
+    
+    /**
+     * @dev Anchors the hash of a certificate's off-chain metadata so tampering with it is detectable.
+     * Re-anchoring replaces the hash; every change stays visible through ContentHashAnchored events.
+     * @param tokenId The token ID
+     * @param contentHash sha256 digest of the metadata JSON served for the token
+     */
+    function anchorContentHash(uint256 tokenId, bytes32 contentHash) external onlyCertificateIssuer(tokenId) {
+        require(contentHash != bytes32(0), "SoulboundNFT: Invalid content hash");
+        _contentHashes[tokenId] = contentHash;
+        emit ContentHashAnchored(tokenId, msg.sender, contentHash);
+    }
+    
+    /**
+     * @dev Gets the anchored metadata hash of a certificate
+     * @param tokenId The token ID
+     * @return The sha256 digest of the metadata JSON (0 if never anchored)
+     */
+    function contentHashOf(uint256 tokenId) external view returns (bytes32) {
+        require(_exists(tokenId), "SoulboundNFT: Query for nonexistent token");
+        return _contentHashes[tokenId];
+    }
+    
+    /**
+     * @dev Commits to the attributes of a certificate minted without them. The commitment is final:
+     * disclosure proofs stay bound to it, so wrong attributes are fixed by revoking and reissuing.
+     * @param tokenId The token ID
+     * @param attributesRoot Poseidon root of the leaves Poseidon(index, value, salt) of the disclosure circuit
+     */
+    function commitAttributes(uint256 tokenId, uint256 attributesRoot) external onlyCertificateIssuer(tokenId) {
+        _commitAttributes(tokenId, attributesRoot);
+    }
+    
+    /**
+     * @dev Stores the attributes commitment of a certificate, once
+     */
+    function _commitAttributes(uint256 tokenId, uint256 attributesRoot) private {
+        require(attributesRoot != 0, "SoulboundNFT: Invalid attributes root");
+        require(_certificates[tokenId].attributesRoot == 0, "SoulboundNFT: Attributes already committed");
+        _certificates[tokenId].attributesRoot = attributesRoot;
+        emit AttributesCommitted(tokenId, attributesRoot);
+    }
+    
+    /**
+     * @dev Gets the attributes commitment of a certificate
+     * @param tokenId The token ID
+     * @return The Poseidon root (0 if no attributes were committed)
+     */
+    function attributesRootOf(uint256 tokenId) external view override returns (uint256) {
+        require(_exists(tokenId), "SoulboundNFT: Query for nonexistent token");
+        return _certificates[tokenId].attributesRoot;
+    }
+    
+    /**
+     * @dev Gets the last revocation/suspension record of a certificate
+     * @param tokenId The token ID
+     * @return The status record (zeroed if the status never changed since minting)
+     */
+    function getStatusRecord(uint256 tokenId) external view returns (StatusRecord memory) {
+        require(_exists(tokenId), "SoulboundNFT: Query for nonexistent token");
+        return _statusRecords[tokenId];
+    }
+    
+    /**
+     * @dev Permanently revokes a certificate while keeping the token as evidence.
+     * Callable by the certificate's issuer or the collection owner.
+     * @param tokenId The token ID to revoke
+     * @param reasonCode Application-defined reason (e.g. fraud, issued in error)
+     */
+    function revokeCertificate(uint256 tokenId, uint8 reasonCode) external onlyCertificateIssuer(tokenId) {
+        require(
+            certificateStatus(tokenId) != CertificateStatus.REVOKED,
+            "SoulboundNFT: Certificate already revoked"
+        );
+        _setStatus(tokenId, CertificateStatus.REVOKED, reasonCode);
+        emit CertificateRevoked(tokenId, msg.sender, reasonCode);
+    }
+    
+    /**
+     * @dev Temporarily suspends a valid certificate
+     * @param tokenId The token ID to suspend
+     * @param reasonCode Application-defined reason
+     */
+    function suspendCertificate(uint256 tokenId, uint8 reasonCode) external onlyCertificateIssuer(tokenId) {
+        require(certificateStatus(tokenId) == CertificateStatus.VALID, "SoulboundNFT: Certificate is not valid");
+        _setStatus(tokenId, CertificateStatus.SUSPENDED, reasonCode);
+        emit CertificateSuspended(tokenId, msg.sender, reasonCode);
+    }
+    
+    /**
+     * @dev Reinstates a suspended certificate
+     * @param tokenId The token ID to reinstate
+     */
+    function reinstateCertificate(uint256 tokenId) external onlyCertificateIssuer(tokenId) {
+        require(
+            certificateStatus(tokenId) == CertificateStatus.SUSPENDED,
+            "SoulboundNFT: Certificate is not suspended"
+        );
+        _setStatus(tokenId, CertificateStatus.VALID, 0);
+        emit CertificateReinstated(tokenId, msg.sender);
+    }
+    
+    /**
+     * @dev Records a status change
+     */
+    function _setStatus(uint256 tokenId, CertificateStatus status, uint8 reasonCode) private {
+        _statusRecords[tokenId] = StatusRecord({
+            status: status,
+            reasonCode: reasonCode,
+            updatedAt: block.timestamp,
+            updatedBy: msg.sender
+        });
+    }
+    
+    /**
+     * @dev Requests that a certificate be re-bound to the calling wallet, which proves control of it.
+     * Only the holder or the certificate issuer may replace a pending request (and its approvals).
+     * @param tokenId The certificate to recover
+     */
+    function requestRecovery(uint256 tokenId) external override {
+        _requestRecovery(tokenId, msg.sender);
+    }
+    
+    /**
+     * @dev Relays a recovery request signed by the new wallet, which may hold no ether
+     * @param tokenId The certificate to recover
+     * @param newHolder The wallet that signed the request
+     * @param deadline Timestamp after which the signature is no longer accepted
+     * @param signature EIP-712 RecoveryRequest signature of newHolder (EOA or ERC-1271 wallet)
+     */
+    function requestRecoveryBySig(
+        uint256 tokenId,
+        address newHolder,
+        uint256 deadline,
+        bytes calldata signature
+    ) external override {
+        require(block.timestamp <= deadline, "SoulboundNFT: Recovery request expired");
+        bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(RECOVERY_REQUEST_TYPEHASH, tokenId, newHolder, deadline)));
+        require(
+            SignatureChecker.isValidSignatureNow(newHolder, digest, signature),
+            "SoulboundNFT: Invalid recovery signature"
         );
+        _requestRecovery(tokenId, newHolder);
+    }
+    
+    /**
+     * @dev Records a recovery request. A pending request can only be replaced by the holder or the certificate
+     * issuer, so a third party cannot swap in its own wallet before the issuer approves.
+     */
+    function _requestRecovery(uint256 tokenId, address newHolder) private {
+        require(_exists(tokenId), "SoulboundNFT: Query for nonexistent token");
+        require(
+            certificateStatus(tokenId) != CertificateStatus.REVOKED,
+            "SoulboundNFT: Certificate already revoked"
+        );
+        require(newHolder != address(0) && newHolder != _ownerOf(tokenId), "SoulboundNFT: Invalid new holder");
+        // Replaying a signed request must not wipe the approvals it already collected
+        address pending = _recoveryRequests[tokenId].newHolder;
+        require(pending != newHolder, "SoulboundNFT: Recovery already requested");
+        require(
+            pending == address(0) || msg.sender == _ownerOf(tokenId) || _isCertificateIssuer(tokenId, msg.sender),
+            "SoulboundNFT: Recovery already pending"
+        );
+        
+        _recoveryRequests[tokenId] = RecoveryRequest({
+            newHolder: newHolder,
+            requestedAt: block.timestamp,
+            issuerApproved: false,
+            adminApproved: false
+        });
+        emit RecoveryRequested(tokenId, newHolder);
+    }
+    
+    /**
+     * @dev Approves a pending recovery, as the certificate issuer (or collection owner) or as a registrar of
+     * the issuer registry. The approval that completes the quorum re-binds the certificate.
+     * @param tokenId The certificate to recover
+     * @param expectedNewHolder The wallet the approver checked the holder controls; must be the pending request's
+     * @return newTokenId The token ID of the re-bound certificate, 0 while approvals are missing
+     */
+    function approveRecovery(uint256 tokenId, address expectedNewHolder) external override returns (uint256 newTokenId) {
+        RecoveryRequest storage request = _recoveryRequests[tokenId];
+        require(request.newHolder != address(0), "SoulboundNFT: No pending recovery");
+        require(request.newHolder == expectedNewHolder, "SoulboundNFT: Recovery holder mismatch");
+        
+        if (_isCertificateIssuer(tokenId, msg.sender)) {
+            request.issuerApproved = true;
+        } else {
+            require(
+                IAccessControl(_issuerRegistry).hasRole(REGISTRAR_ROLE, msg.sender),
+                "SoulboundNFT: Caller cannot approve recovery"
+            );
+            request.adminApproved = true;
+        }
+        emit RecoveryApproved(tokenId, msg.sender);
+        
+        if (request.issuerApproved && (request.adminApproved || !_recoveryRequiresAdmin)) {
+            newTokenId = _recover(tokenId);
+        }
+    }
+    
+    /**
+     * @dev Cancels a pending recovery (holder, requester, certificate issuer or collection owner)
+     * @param tokenId The certificate
+     */
+    function cancelRecovery(uint256 tokenId) external override {
+        address newHolder = _recoveryRequests[tokenId].newHolder;
+        require(newHolder != address(0), "SoulboundNFT: No pending recovery");
+        require(
+            msg.sender == newHolder || msg.sender == _ownerOf(tokenId) || _isCertificateIssuer(tokenId, msg.sender),
+            "SoulboundNFT: Caller cannot cancel recovery"
+        );
+        
+        delete _recoveryRequests[tokenId];
+        emit RecoveryCancelled(tokenId, newHolder);
+    }
+    
+    /**
+     * @dev Burns the certificate and mints it again to the new holder under a new token ID, keeping its issuer,
+     * issuance date, tier snapshot, expiry, status, attributes and metadata. The old holder's leaf stays claimed,
+     * so the lost wallet cannot claim the certificate again.
+     */
+    function _recover(uint256 tokenId) private returns (uint256 newTokenId) {
+        address newHolder = _recoveryRequests[tokenId].newHolder;
+        delete _recoveryRequests[tokenId];
+        
+        Certificate memory cert = _certificates[tokenId];
+        bytes32 leaf = _leaf(newHolder, cert.credentialId);
+        require(!_claimedLeaves[leaf], "SoulboundNFT: Credential already issued to recipient");
+        _claimedLeaves[leaf] = true;
+        
+        address oldHolder = _ownerOf(tokenId);
+        _burn(tokenId);
+        
+        _tokenIdCounter++;
+        newTokenId = _tokenIdCounter;
+        _mint(newHolder, newTokenId);
+        
+        cert.recipient = newHolder;
+        _certificates[newTokenId] = cert;
+        _contentHashes[newTokenId] = _contentHashes[tokenId];
+        _statusRecords[newTokenId] = _statusRecords[tokenId];
+        _claimKeys[newTokenId] = _claimKeys[tokenId];
+        _recoveredFrom[newTokenId] = tokenId;
+        _recoveredTo[tokenId] = newTokenId;
+        
+        emit CertificateRecovered(tokenId, newTokenId, oldHolder, newHolder);
+    }
+    
+    /**
+     * @dev Gets the pending recovery of a certificate
+     * @param tokenId The token ID
+     * @return The request, with a zero newHolder if none is pending
+     */
+    function getRecoveryRequest(uint256 tokenId) external view returns (RecoveryRequest memory) {
+        return _recoveryRequests[tokenId];
+    }
+    
+    /**
+     * @dev Gets the burned token a recovered certificate was re-bound from
+     * @param tokenId The token ID
+     * @return The old token ID, 0 if the token was minted normally
+     */
+    function recoveredFrom(uint256 tokenId) external view returns (uint256) {
+        return _recoveredFrom[tokenId];
+    }
+    
+    /**
+     * @dev Gets the token a certificate was re-bound as after a recovery
+     * @param tokenId The (burned) token ID
+     * @return The new token ID, 0 if the certificate was not recovered
+     */
+    function recoveredTo(uint256 tokenId) external view returns (uint256) {
+        return _recoveredTo[tokenId];
+    }
+    
+    /**
+     * @dev Sets whether recoveries need a registrar's approval on top of the issuer's
+     * @param requiresAdmin True to require both approvals
+     */
+    function setRecoveryRequiresAdmin(bool requiresAdmin) external onlyOwner {
+        _recoveryRequiresAdmin = requiresAdmin;
+        emit RecoveryPolicyUpdated(requiresAdmin);
+    }
+    
+    /**
+     * @dev Checks whether recoveries need a registrar's approval on top of the issuer's
+     */
+    function recoveryRequiresAdmin() external view returns (bool) {
+        return _recoveryRequiresAdmin;
     }
     
     /**
@@ -219,6 +983,32 @@ contract SoulboundNFT is ERC721, Ownable, ISoulboundNFT {
         emit BaseURIUpdated(old, newBaseURI);
     }
     
+    /**
+     * @dev Updates the validity period applied to certificates minted from now on
+     * @param validity Validity in seconds (0 = certificates do not expire)
+     */
+    function setDefaultValidity(uint256 validity) external onlyOwner {
+        uint256 old = _defaultValidity;
+        _defaultValidity = validity;
+        emit DefaultValidityUpdated(old, validity);
+    }
+    
+    /**
+     * @dev Gets the validity period applied to newly minted certificates
+     * @return Validity in seconds (0 = certificates do not expire)
+     */
+    function getDefaultValidity() external view returns (uint256) {
+        return _defaultValidity;
+    }
+    
+    /**
+     * @dev Gets the number of certificates minted so far (token IDs run from 1 to this value)
+     * @return The number of minted certificates, including burned ones
+     */
+    function totalMinted() external view returns (uint256) {
+        return _tokenIdCounter;
+    }
+    
     /**
      * @dev Updates the Merkle root
      * @param newMerkleRoot The new Merkle root
@@ -269,15 +1059,16 @@ contract SoulboundNFT is ERC721, Ownable, ISoulboundNFT {
 
     /**
      * @dev Burns a certificate. Callable by the token owner or contract owner.
-     * Clearing the recipient flag enables re-issuing if needed.
+     * The leaf stays claimed, so a holder cannot burn a revoked or suspended certificate and claim a fresh
+     * one with the same proof or voucher; the collection issuer can re-issue it with mintCertificate/mintCredential.
      */
     function burn(uint256 tokenId) external {
         address tokenOwner = _ownerOf(tokenId);
         require(
-            msg.sender == tokenOwner || msg.sender == owner(),
+            msg.sender == tokenOwner || msg.sender == _collectionOwner(),
             "SoulboundNFT: Not authorised to burn"
         );
         _burn(tokenId);
-        _hasCertificate[tokenOwner] = false;
+        _burnedLeaves[_leaf(tokenOwner, _certificates[tokenId].credentialId)] = true;
     }
 } 
\ No newline at end of file
@@ -1,20 +1,46 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
 import "./interfaces/IZKVerifier.sol";
+import "./interfaces/ISoulboundNFT.sol";
+import "./access/DecentraCertRoles.sol";
 
 /**
  * @title ZKVerifier
- * @dev Contract for managing zero-knowledge proof verification for certificates
+ * @dev Contract for managing zero-knowledge proof verification for certificates. Circuit management needs
+ * CIRCUIT_ADMIN_ROLE; proof submissions and presentations stop while the verifier is paused.
  */
-contract ZKVerifier is IZKVerifier, Ownable {
+contract ZKVerifier is IZKVerifier, DecentraCertRoles {
+    using Strings for uint256;
+    
+    // Size of the ABI-encoded proof of each proving system
+    uint256 private constant GROTH16_PROOF_LENGTH = 8 * 32;
+    uint256 private constant PLONK_PROOF_LENGTH = 24 * 32;
+    
+    // Publishes holder snapshot roots; held by the backend wallet that builds the snapshots
+    bytes32 public constant ROOT_PUBLISHER_ROLE = keccak256("ROOT_PUBLISHER_ROLE");
+    
+    // BN254 scalar field, the range of circuit signals
+    uint256 private constant SNARK_SCALAR_FIELD =
+        21888242871839275222246405745257275088548364400416034343698204186575808495617;
+    
+    // How long a superseded holder snapshot root keeps being accepted, for proofs generated just before
+    uint256 public constant HOLDER_ROOT_GRACE_PERIOD = 1 hours;
+    
+    // Longest time a presentation request stays open
+    uint256 public constant MAX_CHALLENGE_TTL = 30 days;
+    
     // Counter for circuit IDs
     uint256 private _circuitIdCounter;
     
     // Counter for proof IDs
     uint256 private _proofIdCounter;
     
+    // Counter for challenge IDs
+    uint256 private _challengeIdCounter;
+    
     // Mapping from circuit ID to circuit data
     mapping(uint256 => VerifierCircuit) private _circuits;
     
@@ -24,54 +50,73 @@ contract ZKVerifier is IZKVerifier, Ownable {
     // Mapping from owner to proof IDs
     mapping(address => uint256[]) private _ownerProofs;
     
-    // Admin addresses
-    mapping(address => bool) private _admins;
+    // Mapping from circuit ID to how its proofs are recorded
+    mapping(uint256 => CircuitKind) private _circuitKinds;
     
-    /**
-     * @dev Constructor for ZKVerifier
-     */
-    constructor() Ownable(msg.sender) {
-        // Add deployer as admin
-        _admins[msg.sender] = true;
-    }
+    // Mapping from account to its identity commitment
+    mapping(address => uint256) private _identityCommitments;
     
-    /**
-     * @dev Modifier to restrict function access to admins
-     */
-    modifier onlyAdmin() {
-        require(_admins[msg.sender], "ZKVerifier: Caller is not an admin");
-        _;
-    }
+    // Latest holder snapshot root of each collection
+    mapping(address => uint256) private _latestHolderRoots;
+    
+    // Mapping from collection and superseded root to the time it stops being accepted
+    mapping(address => mapping(uint256 => uint256)) private _holderRootExpiry;
+    
+    // Mapping from scope to consumed nullifier hashes
+    mapping(uint256 => mapping(uint256 => bool)) private _nullifiers;
+    
+    // Mapping from proof ID to the claim of a membership proof
+    mapping(uint256 => MembershipClaim) private _membershipClaims;
+    
+    // Mapping from proof ID to the certificate of a disclosure proof
+    mapping(uint256 => DisclosureClaim) private _disclosureClaims;
+    
+    // Mapping from challenge ID to challenge data
+    mapping(uint256 => Challenge) private _challenges;
+    
+    // Mapping from verifier to the nonces of its challenges
+    mapping(address => mapping(bytes32 => bool)) private _challengeNonces;
+    
+    // Mapping from proof ID to the challenge it was presented to
+    mapping(uint256 => uint256) private _presentations;
+    
+    // Hashes of the proofs recorded so far, so the same proof bytes cannot be recorded twice
+    mapping(bytes32 => bool) private _recordedProofs;
     
     /**
-     * @dev Add an admin
-     * @param admin The address to add as admin
+     * @dev Constructor for ZKVerifier
      */
-    function addAdmin(address admin) external onlyOwner {
-        _admins[admin] = true;
+    constructor() {
+        // Deployer holds every role
+        _grantAllRoles(msg.sender);
+        _grantRole(ROOT_PUBLISHER_ROLE, msg.sender);
     }
     
     /**
-     * @dev Remove an admin
-     * @param admin The address to remove as admin
+     * @dev Modifier to restrict function access to circuit admins
      */
-    function removeAdmin(address admin) external onlyOwner {
-        _admins[admin] = false;
+    modifier onlyCircuitAdmin() {
+        require(hasRole(CIRCUIT_ADMIN_ROLE, msg.sender), "ZKVerifier: Caller is not a circuit admin");
+        _;
     }
     
     /**
-     * @dev Registers a new verifier circuit (admin only)
+     * @dev Registers a new verifier circuit (circuit admin only)
      * @param name The name of the circuit
      * @param description The description of the circuit
-     * @param verifierContract The address of the verifier contract
+     * @param verifierContract The address of the verifier contract (e.g. exported with snarkjs zkey export solidityverifier)
+     * @param proofSystem The proving system the verifier contract implements
+     * @param publicInputCount The number of public signals of the circuit
      * @return The ID of the registered circuit
      */
     function registerCircuit(
         string calldata name,
         string calldata description,
-        address verifierContract
-    ) external override onlyAdmin returns (uint256) {
-        require(verifierContract != address(0), "ZKVerifier: Invalid verifier contract address");
+        address verifierContract,
+        ProofSystem proofSystem,
+        uint256 publicInputCount
+    ) external override onlyCircuitAdmin returns (uint256) {
+        require(verifierContract.code.length > 0, "ZKVerifier: Invalid verifier contract address");
         
         // Increment circuit ID
         _circuitIdCounter++;
@@ -83,7 +128,9 @@ contract ZKVerifier is IZKVerifier, Ownable {
             name: name,
             description: description,
             verifierContract: verifierContract,
-            isActive: true
+            isActive: true,
+            proofSystem: proofSystem,
+            publicInputCount: publicInputCount
         });
         
         emit CircuitRegistered(circuitId, name, verifierContract);
@@ -92,10 +139,12 @@ contract ZKVerifier is IZKVerifier, Ownable {
     }
     
     /**
-     * @dev Creates a new ZK proof
+     * @dev Verifies a proof with the circuit's verifier contract and records it. The caller becomes the proof's
+     * owner, which does not show they generated it: anyone who saw a generic proof can record it too.
      * @param circuitId The ID of the circuit to use
-     * @param proofData The raw proof data
-     * @param publicInputs The public inputs for the proof
+     * @param proofData The ABI-encoded proof, in the order of `snarkjs zkey export soliditycalldata`:
+     * (uint256[2] a, uint256[2][2] b, uint256[2] c) for Groth16, uint256[24] for PLONK
+     * @param publicInputs The ABI-encoded public signals, abi.encode(uint256[])
      * @param validityPeriod How long the proof should be valid for (in seconds)
      * @return The ID of the created proof
      */
@@ -105,19 +154,71 @@ contract ZKVerifier is IZKVerifier, Ownable {
         bytes calldata publicInputs,
         uint256 validityPeriod
     ) external override returns (uint256) {
+        require(_circuitKinds[circuitId] == CircuitKind.GENERIC, "ZKVerifier: Circuit needs a dedicated entry point");
+        return _createProof(circuitId, proofData, publicInputs, validityPeriod);
+    }
+    
+    /**
+     * @dev Verifies a membership proof, checks its holder snapshot root and consumes its nullifier.
+     * Verifiers read the attested claim with getMembershipClaim and should check its scope is theirs.
+     * @param circuitId The ID of a membership circuit
+     * @param proofData The ABI-encoded proof (see createProof)
+     * @param publicInputs abi.encode(uint256[]) of [nullifierHash, root, collection, minTier, scope]
+     * @param validityPeriod How long the proof should be valid for (in seconds)
+     * @return proofId The ID of the created proof
+     */
+    function createMembershipProof(
+        uint256 circuitId,
+        bytes calldata proofData,
+        bytes calldata publicInputs,
+        uint256 validityPeriod
+    ) external override returns (uint256 proofId) {
+        require(_circuitKinds[circuitId] == CircuitKind.MEMBERSHIP, "ZKVerifier: Not a membership circuit");
+        
+        uint256[] memory signals = abi.decode(publicInputs, (uint256[]));
+        require(signals.length == 5, "ZKVerifier: Wrong number of public inputs");
+        require(signals[2] <= type(uint160).max, "ZKVerifier: Invalid collection");
+        
+        MembershipClaim memory claim = MembershipClaim({
+            collection: address(uint160(signals[2])),
+            root: signals[1],
+            minTier: signals[3],
+            scope: signals[4],
+            nullifierHash: signals[0]
+        });
+        require(isHolderRootValid(claim.collection, claim.root), "ZKVerifier: Unknown holder root");
+        require(!_nullifiers[claim.scope][claim.nullifierHash], "ZKVerifier: Nullifier already used");
+        _nullifiers[claim.scope][claim.nullifierHash] = true;
+        
+        proofId = _createProof(circuitId, proofData, publicInputs, validityPeriod);
+        _membershipClaims[proofId] = claim;
+        
+        emit MembershipProven(proofId, claim.collection, claim.scope, claim.nullifierHash);
+    }
+    
+    /**
+     * @dev Verifies a proof with the circuit's verifier contract and stores it
+     */
+    function _createProof(
+        uint256 circuitId,
+        bytes calldata proofData,
+        bytes calldata publicInputs,
+        uint256 validityPeriod
+    ) private whenNotPaused returns (uint256) {
         require(_circuits[circuitId].isActive, "ZKVerifier: Circuit is not active");
+        require(_verify(_circuits[circuitId], proofData, publicInputs), "ZKVerifier: Invalid proof");
         
-        // In a real implementation, we would actually verify the proof
-        // using the circuit's verifier contract
-        // For this demo, we'll assume the proof is valid
+        // Calculate proof hash; this only stops the same bytes from being recorded twice. It does not bind the
+        // proof to msg.sender: Groth16 proofs can be re-randomised, so a copied generic proof can be recorded
+        // again by another account. Membership proofs are bound by their nullifier (and challenge scope) instead.
+        bytes32 proofHash = keccak256(abi.encodePacked(proofData, publicInputs));
+        require(!_recordedProofs[proofHash], "ZKVerifier: Proof already recorded");
+        _recordedProofs[proofHash] = true;
         
         // Increment proof ID
         _proofIdCounter++;
         uint256 proofId = _proofIdCounter;
         
-        // Calculate proof hash
-        bytes32 proofHash = keccak256(abi.encodePacked(proofData, publicInputs));
-        
         // Calculate expiration time
         uint256 expiresAt = block.timestamp + validityPeriod;
         
@@ -141,7 +242,208 @@ contract ZKVerifier is IZKVerifier, Ownable {
     }
     
     /**
-     * @dev Convenience wrapper that skips the optional verifierAddress ACL.
+     * @dev Verifies a disclosure of the caller's certificate. The certificate must be valid and the proof
+     * made against the attributes root its issuer committed in the collection.
+     * @param circuitId The ID of a disclosure circuit
+     * @param proofData The ABI-encoded proof (see createProof)
+     * @param publicInputs abi.encode(uint256[]) of disclosed[8], attributesRoot, revealMask, rangeMask,
+     * minValues[8], maxValues[8]
+     * @param collection The SoulboundNFT collection of the certificate
+     * @param tokenId The certificate
+     * @param validityPeriod How long the proof should be valid for (in seconds)
+     * @return proofId The ID of the created proof
+     */
+    function createDisclosureProof(
+        uint256 circuitId,
+        bytes calldata proofData,
+        bytes calldata publicInputs,
+        address collection,
+        uint256 tokenId,
+        uint256 validityPeriod
+    ) external override returns (uint256 proofId) {
+        require(_circuitKinds[circuitId] == CircuitKind.DISCLOSURE, "ZKVerifier: Not a disclosure circuit");
+        require(IERC721(collection).ownerOf(tokenId) == msg.sender, "ZKVerifier: Caller is not the certificate holder");
+        require(
+            ISoulboundNFT(collection).certificateStatus(tokenId) == ISoulboundNFT.CertificateStatus.VALID,
+            "ZKVerifier: Certificate is not valid"
+        );
+        
+        uint256[] memory signals = abi.decode(publicInputs, (uint256[]));
+        require(signals.length == 27, "ZKVerifier: Wrong number of public inputs");
+        uint256 attributesRoot = ISoulboundNFT(collection).attributesRootOf(tokenId);
+        require(attributesRoot != 0 && signals[8] == attributesRoot, "ZKVerifier: Attributes root mismatch");
+        
+        proofId = _createProof(circuitId, proofData, publicInputs, validityPeriod);
+        _disclosureClaims[proofId] = DisclosureClaim({collection: collection, tokenId: tokenId});
+        
+        emit AttributesDisclosed(proofId, collection, tokenId, signals);
+    }
+    
+    /**
+     * @dev Sets how proofs of a circuit are recorded; membership and disclosure circuits must have the
+     * public signals their entry point decodes
+     * @param circuitId The ID of the circuit
+     * @param kind The circuit kind
+     */
+    function setCircuitKind(uint256 circuitId, CircuitKind kind) external onlyCircuitAdmin {
+        require(_circuits[circuitId].id != 0, "ZKVerifier: Circuit does not exist");
+        uint256 count = _circuits[circuitId].publicInputCount;
+        require(
+            kind == CircuitKind.GENERIC ||
+                (kind == CircuitKind.MEMBERSHIP && count == 5) ||
+                (kind == CircuitKind.DISCLOSURE && count == 27),
+            "ZKVerifier: Wrong number of public inputs"
+        );
+        _circuitKinds[circuitId] = kind;
+    }
+    
+    /**
+     * @dev Gets how proofs of a circuit are recorded
+     * @param circuitId The ID of the circuit
+     * @return The circuit kind
+     */
+    function circuitKindOf(uint256 circuitId) external view returns (CircuitKind) {
+        return _circuitKinds[circuitId];
+    }
+    
+    /**
+     * @dev Registers (or replaces) the caller's identity commitment. Holder snapshots only
+     * include certificates whose holder registered a commitment.
+     * @param identityCommitment Poseidon(secret), a BN254 scalar field element
+     */
+    function registerIdentity(uint256 identityCommitment) external override whenNotPaused {
+        require(
+            identityCommitment != 0 && identityCommitment < SNARK_SCALAR_FIELD,
+            "ZKVerifier: Invalid identity commitment"
+        );
+        _identityCommitments[msg.sender] = identityCommitment;
+        emit IdentityRegistered(msg.sender, identityCommitment);
+    }
+    
+    /**
+     * @dev Gets the identity commitment of an account
+     * @param account The account
+     * @return The commitment (0 if none registered)
+     */
+    function identityCommitmentOf(address account) external view returns (uint256) {
+        return _identityCommitments[account];
+    }
+    
+    /**
+     * @dev Publishes the Poseidon Merkle root of a collection's holder snapshot (root publisher only).
+     * The previous root keeps being accepted for HOLDER_ROOT_GRACE_PERIOD.
+     * @param collection The SoulboundNFT collection
+     * @param root The snapshot root
+     */
+    function publishHolderRoot(address collection, uint256 root) external override onlyRole(ROOT_PUBLISHER_ROLE) {
+        require(root != 0 && root < SNARK_SCALAR_FIELD, "ZKVerifier: Invalid holder root");
+        
+        uint256 previous = _latestHolderRoots[collection];
+        if (previous != 0 && previous != root) {
+            _holderRootExpiry[collection][previous] = block.timestamp + HOLDER_ROOT_GRACE_PERIOD;
+        }
+        _latestHolderRoots[collection] = root;
+        
+        emit HolderRootPublished(collection, root);
+    }
+    
+    /**
+     * @dev Gets the latest holder snapshot root of a collection
+     * @param collection The SoulboundNFT collection
+     * @return The root (0 if none published)
+     */
+    function getLatestHolderRoot(address collection) external view returns (uint256) {
+        return _latestHolderRoots[collection];
+    }
+    
+    /**
+     * @dev Checks if membership proofs against a holder snapshot root are accepted
+     * @param collection The SoulboundNFT collection
+     * @param root The snapshot root
+     * @return True for the latest root and for superseded roots within the grace period
+     */
+    function isHolderRootValid(address collection, uint256 root) public view returns (bool) {
+        if (root == 0) return false;
+        if (root == _latestHolderRoots[collection]) return true;
+        return block.timestamp <= _holderRootExpiry[collection][root];
+    }
+    
+    /**
+     * @dev Gets what a membership proof attests
+     * @param proofId The ID of the proof
+     * @return The claim (zeroed if the proof is not a membership proof)
+     */
+    function getMembershipClaim(uint256 proofId) external view returns (MembershipClaim memory) {
+        return _membershipClaims[proofId];
+    }
+    
+    /**
+     * @dev Gets the certificate a disclosure proof was made for
+     * @param proofId The ID of the proof
+     * @return The claim (zeroed if the proof is not a disclosure proof)
+     */
+    function getDisclosureClaim(uint256 proofId) external view returns (DisclosureClaim memory) {
+        return _disclosureClaims[proofId];
+    }
+    
+    /**
+     * @dev Checks if a nullifier hash was consumed in a scope
+     * @param scope The verifier scope
+     * @param nullifierHash The nullifier hash
+     * @return True if a membership proof with this nullifier was recorded in the scope
+     */
+    function isNullifierUsed(uint256 scope, uint256 nullifierHash) external view returns (bool) {
+        return _nullifiers[scope][nullifierHash];
+    }
+    
+    /**
+     * @dev Checks a proof against a circuit's verifier contract without recording it
+     * @param circuitId The ID of the circuit
+     * @param proofData The ABI-encoded proof (see createProof)
+     * @param publicInputs The ABI-encoded public signals, abi.encode(uint256[])
+     * @return True if the verifier contract accepts the proof
+     */
+    function checkProof(
+        uint256 circuitId,
+        bytes calldata proofData,
+        bytes calldata publicInputs
+    ) external view override returns (bool) {
+        require(_circuits[circuitId].id != 0, "ZKVerifier: Circuit does not exist");
+        return _verify(_circuits[circuitId], proofData, publicInputs);
+    }
+    
+    /**
+     * @dev Calls the verifier contract of a circuit. snarkjs verifiers take fixed-size arrays, so the
+     * selector depends on the number of public signals and the arguments are packed 32-byte words.
+     */
+    function _verify(
+        VerifierCircuit storage circuit,
+        bytes calldata proofData,
+        bytes calldata publicInputs
+    ) private view returns (bool) {
+        uint256[] memory signals = abi.decode(publicInputs, (uint256[]));
+        require(signals.length == circuit.publicInputCount, "ZKVerifier: Wrong number of public inputs");
+        
+        string memory signature;
+        if (circuit.proofSystem == ProofSystem.GROTH16) {
+            require(proofData.length == GROTH16_PROOF_LENGTH, "ZKVerifier: Invalid proof length");
+            signature = "verifyProof(uint256[2],uint256[2][2],uint256[2],uint256[";
+        } else {
+            require(proofData.length == PLONK_PROOF_LENGTH, "ZKVerifier: Invalid proof length");
+            signature = "verifyProof(uint256[24],uint256[";
+        }
+        bytes4 selector = bytes4(keccak256(abi.encodePacked(signature, signals.length.toString(), "])")));
+        
+        (bool success, bytes memory result) = circuit.verifierContract.staticcall(
+            abi.encodePacked(selector, proofData, signals)
+        );
+        return success && result.length == 32 && abi.decode(result, (bool));
+    }
+    
+    /**
+     * @dev Checks only that a recorded proof is neither revoked nor expired. It does not check that the proof
+     * was presented to anyone, so it says nothing about who made it or for which request; verifiers use
+     * verifyProof(proofId, verifier) or verifyPresentation.
      */
     function verifyProof(uint256 proofId) external view returns (bool) {
         return _isProofValid(proofId);
@@ -159,35 +461,147 @@ contract ZKVerifier is IZKVerifier, Ownable {
     }
     
     /**
-     * @dev Verifies a ZK proof
+     * @dev Verifies a ZK proof presented to a verifier
      * @param proofId The ID of the proof to verify
-     * @param verifierAddress The address of the verifier (if restricted)
-     * @return True if the proof is valid, false otherwise
+     * @param verifierAddress The verifier whose challenge the proof must have answered
+     * @return True if the proof is valid and was presented to verifierAddress, false otherwise
      */
     function verifyProof(uint256 proofId, address verifierAddress) external view override returns (bool) {
-        ProofData memory proof = _proofs[proofId];
-        
-        // Check if proof exists
-        if (proof.id == 0) {
+        if (!_isProofValid(proofId)) {
             return false;
         }
         
-        // Check if proof is revoked
-        if (proof.isRevoked) {
-            return false;
-        }
+        // A proof only counts for the verifier whose challenge it answered
+        uint256 challengeId = _presentations[proofId];
+        return challengeId != 0 && _challenges[challengeId].verifier == verifierAddress;
+    }
+    
+    /**
+     * @dev Publishes a presentation request. Holders answer with presentProof, so a proof counts for
+     * one verifier and one request only.
+     * @param circuitId The circuit the presented proof must be of
+     * @param nonce Value unique among the caller's challenges, binding the presentation to this request
+     * @param ttl How long the challenge can be answered (in seconds)
+     * @return challengeId The ID of the challenge
+     */
+    function createChallenge(
+        uint256 circuitId,
+        bytes32 nonce,
+        uint256 ttl
+    ) external override whenNotPaused returns (uint256 challengeId) {
+        require(_circuits[circuitId].isActive, "ZKVerifier: Circuit is not active");
+        require(ttl > 0 && ttl <= MAX_CHALLENGE_TTL, "ZKVerifier: Invalid challenge TTL");
+        require(!_challengeNonces[msg.sender][nonce], "ZKVerifier: Nonce already used");
+        _challengeNonces[msg.sender][nonce] = true;
         
-        // Check if proof is expired
-        if (block.timestamp > proof.expiresAt) {
-            return false;
-        }
+        _challengeIdCounter++;
+        challengeId = _challengeIdCounter;
         
-        // Optional ACL enforcement if verifierAddress specified
-        if (verifierAddress != address(0) && !_admins[verifierAddress]) {
-            return false;
+        _challenges[challengeId] = Challenge({
+            id: challengeId,
+            verifier: msg.sender,
+            circuitId: circuitId,
+            nonce: nonce,
+            createdAt: block.timestamp,
+            expiresAt: block.timestamp + ttl,
+            proofId: 0,
+            holder: address(0),
+            isCancelled: false
+        });
+        
+        emit ChallengeCreated(challengeId, msg.sender, circuitId, nonce, block.timestamp + ttl);
+    }
+    
+    /**
+     * @dev Presents a proof to answer a challenge. The proof must be of the requested circuit, created after
+     * the challenge and never presented before, which stops replaying it to another verifier or request.
+     * A membership proof must be made for challengeScope(challengeId, caller): the binding is in its public
+     * signals, so a copy recorded by someone watching the mempool can still only be presented by the holder.
+     * Other proofs must be owned by the caller.
+     * @param challengeId The ID of the challenge
+     * @param proofId The ID of the proof
+     */
+    function presentProof(uint256 challengeId, uint256 proofId) external override whenNotPaused {
+        Challenge storage challenge = _challenges[challengeId];
+        require(challenge.id != 0, "ZKVerifier: Challenge does not exist");
+        require(!challenge.isCancelled, "ZKVerifier: Challenge was cancelled");
+        require(challenge.proofId == 0, "ZKVerifier: Challenge already answered");
+        require(block.timestamp <= challenge.expiresAt, "ZKVerifier: Challenge expired");
+        
+        ProofData memory proof = _proofs[proofId];
+        if (_circuitKinds[proof.circuitId] == CircuitKind.MEMBERSHIP) {
+            require(
+                _membershipClaims[proofId].scope == challengeScope(challengeId, msg.sender),
+                "ZKVerifier: Proof is not bound to this challenge"
+            );
+        } else {
+            require(proof.owner == msg.sender, "ZKVerifier: Caller is not the proof owner");
         }
+        require(_isProofValid(proofId), "ZKVerifier: Proof is not valid");
+        require(_presentations[proofId] == 0, "ZKVerifier: Proof already presented");
+        require(proof.circuitId == challenge.circuitId, "ZKVerifier: Wrong circuit");
+        require(proof.createdAt >= challenge.createdAt, "ZKVerifier: Proof predates the challenge");
         
-        return true;
+        challenge.proofId = proofId;
+        challenge.holder = msg.sender;
+        _presentations[proofId] = challengeId;
+        
+        emit ProofPresented(challengeId, proofId, msg.sender, challenge.verifier);
+    }
+    
+    /**
+     * @dev Gets the scope a membership proof answering a challenge must be made for: a hash of the chain, the
+     * verifier, the challenge nonce and the presenting holder, reduced into the circuit's field
+     * @param challengeId The ID of the challenge
+     * @param holder The account that will present the proof
+     * @return The scope
+     */
+    function challengeScope(uint256 challengeId, address holder) public view override returns (uint256) {
+        Challenge storage challenge = _challenges[challengeId];
+        require(challenge.id != 0, "ZKVerifier: Challenge does not exist");
+        return uint256(keccak256(abi.encode(block.chainid, challenge.verifier, challenge.nonce, holder))) %
+            SNARK_SCALAR_FIELD;
+    }
+    
+    /**
+     * @dev Withdraws an unanswered challenge
+     * @param challengeId The ID of the challenge
+     */
+    function cancelChallenge(uint256 challengeId) external {
+        Challenge storage challenge = _challenges[challengeId];
+        require(challenge.verifier == msg.sender, "ZKVerifier: Caller is not the challenge verifier");
+        require(challenge.proofId == 0, "ZKVerifier: Challenge already answered");
+        challenge.isCancelled = true;
+        emit ChallengeCancelled(challengeId);
+    }
+    
+    /**
+     * @dev Checks that a challenge was answered with a proof that is still valid
+     * @param challengeId The ID of the challenge
+     * @return True if the presented proof is valid, false if unanswered, revoked or expired
+     */
+    function verifyPresentation(uint256 challengeId) external view returns (bool) {
+        uint256 proofId = _challenges[challengeId].proofId;
+        return proofId != 0 && _isProofValid(proofId);
+    }
+    
+    /**
+     * @dev Gets a challenge
+     * @param challengeId The ID of the challenge
+     * @return The challenge data
+     */
+    function getChallenge(uint256 challengeId) external view returns (Challenge memory) {
+        require(_challenges[challengeId].id != 0, "ZKVerifier: Challenge does not exist");
+        return _challenges[challengeId];
+    }
+    
+    /**
+     * @dev Gets the challenge a proof was presented to
+     * @param proofId The ID of the proof
+     * @return The challenge ID (0 if never presented)
+     */
+    function getPresentation(uint256 proofId) external view returns (uint256) {
+        return _presentations[proofId];
     }
     
     /**
@@ -200,9 +614,9 @@ contract ZKVerifier is IZKVerifier, Ownable {
         // Check if proof exists
         require(proof.id != 0, "ZKVerifier: Proof does not exist");
         
-        // Check if caller is the owner or an admin
+        // Check if caller is the owner or a circuit admin
         require(
-            proof.owner == msg.sender || _admins[msg.sender],
+            proof.owner == msg.sender || hasRole(CIRCUIT_ADMIN_ROLE, msg.sender),
             "ZKVerifier: Caller is not authorized to revoke this proof"
         );
         
@@ -272,17 +686,19 @@ contract ZKVerifier is IZKVerifier, Ownable {
      * @dev Deactivate a circuit
      * @param circuitId The ID of the circuit to deactivate
      */
-    function deactivateCircuit(uint256 circuitId) external onlyAdmin {
+    function deactivateCircuit(uint256 circuitId) external onlyCircuitAdmin {
         require(_circuits[circuitId].id != 0, "ZKVerifier: Circuit does not exist");
         _circuits[circuitId].isActive = false;
+        emit CircuitStatusChanged(circuitId, false);
     }
     
     /**
      * @dev Reactivate a circuit
      * @param circuitId The ID of the circuit to reactivate
      */
-    function reactivateCircuit(uint256 circuitId) external onlyAdmin {
+    function reactivateCircuit(uint256 circuitId) external onlyCircuitAdmin {
         require(_circuits[circuitId].id != 0, "ZKVerifier: Circuit does not exist");
         _circuits[circuitId].isActive = true;
+        emit CircuitStatusChanged(circuitId, true);
     }
 } 
\ No newline at end of file
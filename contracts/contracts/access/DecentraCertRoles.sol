@@ -0,0 +1,51 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+
+/**
+ * @title DecentraCertRoles
+ * @dev Role model shared by IssuerRegistry and ZKVerifier. The deployer starts with every role; production
+ * deployments grant REGISTRAR_ROLE and CIRCUIT_ADMIN_ROLE to an AdminCouncil instead, so that the actions they
+ * guard need several approvals and a delay.
+ */
+abstract contract DecentraCertRoles is AccessControl, Pausable {
+    // Manually verifies, deactivates and reactivates issuers
+    bytes32 public constant REGISTRAR_ROLE = keccak256("REGISTRAR_ROLE");
+
+    // Reviews manual verification requests and approves AdminCouncil proposals
+    bytes32 public constant REVIEWER_ROLE = keccak256("REVIEWER_ROLE");
+
+    // Registers, configures, deactivates and reactivates ZK circuits
+    bytes32 public constant CIRCUIT_ADMIN_ROLE = keccak256("CIRCUIT_ADMIN_ROLE");
+
+    // Halts and resumes verifications and proof submissions in an emergency
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    /**
+     * @dev Grants an account the admin role and every operational role
+     * @param account The account to grant the roles to
+     */
+    function _grantAllRoles(address account) internal {
+        _grantRole(DEFAULT_ADMIN_ROLE, account);
+        _grantRole(REGISTRAR_ROLE, account);
+        _grantRole(REVIEWER_ROLE, account);
+        _grantRole(CIRCUIT_ADMIN_ROLE, account);
+        _grantRole(PAUSER_ROLE, account);
+    }
+
+    /**
+     * @dev Pauses the contract (pauser only)
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    /**
+     * @dev Unpauses the contract (pauser only)
+     */
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+}
@@ -0,0 +1,271 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/extensions/AccessControlEnumerable.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "../interfaces/IAdminCouncil.sol";
+
+/**
+ * @title AdminCouncil
+ * @dev Threshold-and-timelock executor for sensitive registry actions. Granted REGISTRAR_ROLE on IssuerRegistry
+ * and CIRCUIT_ADMIN_ROLE on ZKVerifier, it performs manualVerifyIssuer, deactivateIssuer, deactivateCircuit...
+ * once `threshold` reviewers approved the call and `minDelay` passed. The council administers itself: reviewers,
+ * threshold and delay only change through its own proposals.
+ */
+contract AdminCouncil is IAdminCouncil, AccessControlEnumerable, EIP712 {
+    // Same identifier as DecentraCertRoles.REVIEWER_ROLE
+    bytes32 public constant REVIEWER_ROLE = keccak256("REVIEWER_ROLE");
+
+    // Longest delay the council can impose on itself, so it cannot lock itself out
+    uint256 public constant MAX_DELAY = 30 days;
+
+    bytes32 private constant PROPOSAL_APPROVAL_TYPEHASH = keccak256("ProposalApproval(uint256 proposalId)");
+
+    // Number of approvals a proposal needs
+    uint256 public threshold;
+
+    // Seconds between a proposal reaching the threshold and its execution
+    uint256 public minDelay;
+
+    uint256 private _proposalIdCounter;
+
+    mapping(uint256 => Proposal) private _proposals;
+
+    // Mapping from proposal ID to reviewers that approved it
+    mapping(uint256 => mapping(address => bool)) private _approvedBy;
+
+    // Mapping from proposal ID to its approvers in approval order, recounted against the current reviewers
+    mapping(uint256 => address[]) private _approvers;
+
+    /**
+     * @dev Constructor for AdminCouncil
+     * @param reviewers The initial reviewers
+     * @param initialThreshold The number of approvals a proposal needs
+     * @param initialDelay The delay between approval and execution, in seconds
+     */
+    constructor(
+        address[] memory reviewers,
+        uint256 initialThreshold,
+        uint256 initialDelay
+    ) EIP712("DecentraCert AdminCouncil", "1") {
+        require(
+            initialThreshold > 0 && initialThreshold <= reviewers.length,
+            "AdminCouncil: Invalid threshold"
+        );
+        require(initialDelay <= MAX_DELAY, "AdminCouncil: Invalid delay");
+
+        _grantRole(DEFAULT_ADMIN_ROLE, address(this));
+        for (uint256 i = 0; i < reviewers.length; i++) {
+            _grantRole(REVIEWER_ROLE, reviewers[i]);
+        }
+        threshold = initialThreshold;
+        minDelay = initialDelay;
+    }
+
+    /**
+     * @dev Modifier to restrict function access to the council itself (executed proposals)
+     */
+    modifier onlyCouncil() {
+        require(msg.sender == address(this), "AdminCouncil: Caller is not the council");
+        _;
+    }
+
+    /**
+     * @dev Modifier to restrict function access to reviewers
+     */
+    modifier onlyReviewer() {
+        require(hasRole(REVIEWER_ROLE, msg.sender), "AdminCouncil: Caller is not a reviewer");
+        _;
+    }
+
+    /**
+     * @dev Proposes a call (reviewer only); the proposer's approval is counted
+     * @param target The contract to call
+     * @param data The calldata
+     * @param description Why the call is needed
+     * @return proposalId The ID of the proposal
+     */
+    function propose(
+        address target,
+        bytes calldata data,
+        string calldata description
+    ) external override onlyReviewer returns (uint256 proposalId) {
+        require(target.code.length > 0, "AdminCouncil: Target is not a contract");
+
+        _proposalIdCounter++;
+        proposalId = _proposalIdCounter;
+
+        Proposal storage proposal = _proposals[proposalId];
+        proposal.id = proposalId;
+        proposal.target = target;
+        proposal.data = data;
+        proposal.description = description;
+        proposal.proposer = msg.sender;
+
+        emit ProposalCreated(proposalId, msg.sender, target, data, description);
+
+        _approve(proposalId, msg.sender);
+    }
+
+    /**
+     * @dev Approves a pending proposal (reviewer only)
+     * @param proposalId The ID of the proposal
+     */
+    function approve(uint256 proposalId) external override onlyReviewer {
+        _approve(proposalId, msg.sender);
+    }
+
+    /**
+     * @dev Approves a pending proposal on behalf of a reviewer who signed the approval, so a relayer
+     * can collect approvals off-chain
+     * @param proposalId The ID of the proposal
+     * @param approver The reviewer that signed the approval
+     * @param signature EIP-712 signature of ProposalApproval(proposalId) by the approver (or ERC-1271 contract wallet)
+     */
+    function approveBySig(uint256 proposalId, address approver, bytes calldata signature) external override {
+        require(hasRole(REVIEWER_ROLE, approver), "AdminCouncil: Approver is not a reviewer");
+        bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(PROPOSAL_APPROVAL_TYPEHASH, proposalId)));
+        require(
+            SignatureChecker.isValidSignatureNow(approver, digest, signature),
+            "AdminCouncil: Invalid approver signature"
+        );
+
+        _approve(proposalId, approver);
+    }
+
+    /**
+     * @dev Records an approval and queues the proposal once it reaches the threshold
+     */
+    function _approve(uint256 proposalId, address approver) private {
+        Proposal storage proposal = _proposals[proposalId];
+        require(proposal.id != 0, "AdminCouncil: Proposal does not exist");
+        require(!proposal.executed && !proposal.cancelled, "AdminCouncil: Proposal is not pending");
+        require(!_approvedBy[proposalId][approver], "AdminCouncil: Already approved");
+
+        _approvedBy[proposalId][approver] = true;
+        _approvers[proposalId].push(approver);
+        uint256 approvals = _currentApprovals(proposalId);
+        emit ProposalApproved(proposalId, approver, approvals);
+
+        if (proposal.eta == 0 && approvals >= threshold) {
+            proposal.eta = block.timestamp + minDelay;
+            emit ProposalQueued(proposalId, proposal.eta);
+        }
+    }
+
+    /**
+     * @dev Counts the approvals of a proposal given by accounts that are still reviewers, so removing a
+     * reviewer also withdraws their approvals of pending proposals
+     */
+    function _currentApprovals(uint256 proposalId) private view returns (uint256 approvals) {
+        address[] storage approvers = _approvers[proposalId];
+        for (uint256 i = 0; i < approvers.length; i++) {
+            if (hasRole(REVIEWER_ROLE, approvers[i])) {
+                approvals++;
+            }
+        }
+    }
+
+    /**
+     * @dev Executes an approved proposal once its delay has passed. Anyone can execute; reverts of the
+     * target are bubbled up and leave the proposal pending.
+     * @param proposalId The ID of the proposal
+     */
+    function execute(uint256 proposalId) external override {
+        Proposal storage proposal = _proposals[proposalId];
+        require(proposal.id != 0, "AdminCouncil: Proposal does not exist");
+        require(!proposal.executed && !proposal.cancelled, "AdminCouncil: Proposal is not pending");
+        require(
+            proposal.eta != 0 && _currentApprovals(proposalId) >= threshold,
+            "AdminCouncil: Proposal is not approved"
+        );
+        require(block.timestamp >= proposal.eta, "AdminCouncil: Proposal is still timelocked");
+
+        proposal.executed = true;
+        Address.functionCall(proposal.target, proposal.data);
+
+        emit ProposalExecuted(proposalId);
+    }
+
+    /**
+     * @dev Cancels a pending proposal (proposer or council)
+     * @param proposalId The ID of the proposal
+     */
+    function cancel(uint256 proposalId) external override {
+        Proposal storage proposal = _proposals[proposalId];
+        require(proposal.id != 0, "AdminCouncil: Proposal does not exist");
+        require(!proposal.executed && !proposal.cancelled, "AdminCouncil: Proposal is not pending");
+        require(
+            msg.sender == proposal.proposer || msg.sender == address(this),
+            "AdminCouncil: Caller cannot cancel this proposal"
+        );
+
+        proposal.cancelled = true;
+        emit ProposalCancelled(proposalId);
+    }
+
+    /**
+     * @dev Sets the number of approvals proposals need (council only)
+     * @param newThreshold The new threshold, at most the number of reviewers
+     */
+    function setThreshold(uint256 newThreshold) external onlyCouncil {
+        require(
+            newThreshold > 0 && newThreshold <= getRoleMemberCount(REVIEWER_ROLE),
+            "AdminCouncil: Invalid threshold"
+        );
+        emit ThresholdUpdated(threshold, newThreshold);
+        threshold = newThreshold;
+    }
+
+    /**
+     * @dev Sets the delay between approval and execution (council only)
+     * @param newDelay The new delay, in seconds
+     */
+    function setMinDelay(uint256 newDelay) external onlyCouncil {
+        require(newDelay <= MAX_DELAY, "AdminCouncil: Invalid delay");
+        emit MinDelayUpdated(minDelay, newDelay);
+        minDelay = newDelay;
+    }
+
+    /**
+     * @dev Revokes a role, refusing to leave fewer reviewers than the threshold so proposals stay executable.
+     * Covers revokeRole through the council and renounceRole by a reviewer.
+     */
+    function _revokeRole(bytes32 role, address account) internal override returns (bool revoked) {
+        revoked = super._revokeRole(role, account);
+        require(
+            role != REVIEWER_ROLE || getRoleMemberCount(REVIEWER_ROLE) >= threshold,
+            "AdminCouncil: Too few reviewers for the threshold"
+        );
+    }
+
+    /**
+     * @dev Gets a proposal
+     * @param proposalId The ID of the proposal
+     * @return proposal The proposal, with the approvals of current reviewers
+     */
+    function getProposal(uint256 proposalId) external view override returns (Proposal memory proposal) {
+        proposal = _proposals[proposalId];
+        proposal.approvals = _currentApprovals(proposalId);
+    }
+
+    /**
+     * @dev Checks whether a current reviewer approved a proposal
+     * @param proposalId The ID of the proposal
+     * @param reviewer The reviewer
+     * @return True if the reviewer approved it and still is a reviewer
+     */
+    function hasApproved(uint256 proposalId, address reviewer) external view returns (bool) {
+        return _approvedBy[proposalId][reviewer] && hasRole(REVIEWER_ROLE, reviewer);
+    }
+
+    /**
+     * @dev Gets the number of proposals created
+     * @return The number of proposals
+     */
+    function proposalCount() external view returns (uint256) {
+        return _proposalIdCounter;
+    }
+}
@@ -0,0 +1,107 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IAdminCouncil
+ * @dev Interface for the AdminCouncil contract that executes sensitive registry actions once enough
+ * reviewers approved them and a delay passed
+ */
+interface IAdminCouncil {
+    /**
+     * @dev Struct for a proposed call
+     */
+    struct Proposal {
+        uint256 id;
+        address target;
+        bytes data;
+        string description;
+        address proposer;
+        uint256 approvals; // approvals of accounts that are still reviewers
+        uint256 eta; // earliest execution time, set once approvals reach the threshold (0 = not approved yet)
+        bool executed;
+        bool cancelled;
+    }
+
+    /**
+     * @dev Proposes a call (reviewer only); the proposer's approval is counted
+     * @param target The contract to call, e.g. IssuerRegistry
+     * @param data The calldata, e.g. abi.encodeCall(IssuerRegistry.deactivateIssuer, (issuer))
+     * @param description Why the call is needed
+     * @return The ID of the proposal
+     */
+    function propose(address target, bytes calldata data, string calldata description) external returns (uint256);
+
+    /**
+     * @dev Approves a pending proposal (reviewer only)
+     * @param proposalId The ID of the proposal
+     */
+    function approve(uint256 proposalId) external;
+
+    /**
+     * @dev Approves a pending proposal on behalf of a reviewer who signed the approval
+     * @param proposalId The ID of the proposal
+     * @param approver The reviewer that signed the approval
+     * @param signature EIP-712 signature of ProposalApproval(proposalId) by the approver
+     */
+    function approveBySig(uint256 proposalId, address approver, bytes calldata signature) external;
+
+    /**
+     * @dev Executes an approved proposal once its delay has passed
+     * @param proposalId The ID of the proposal
+     */
+    function execute(uint256 proposalId) external;
+
+    /**
+     * @dev Cancels a pending proposal (proposer or council)
+     * @param proposalId The ID of the proposal
+     */
+    function cancel(uint256 proposalId) external;
+
+    /**
+     * @dev Gets a proposal
+     * @param proposalId The ID of the proposal
+     * @return The proposal
+     */
+    function getProposal(uint256 proposalId) external view returns (Proposal memory);
+
+    /**
+     * @dev Event emitted when a call is proposed
+     */
+    event ProposalCreated(
+        uint256 indexed proposalId,
+        address indexed proposer,
+        address indexed target,
+        bytes data,
+        string description
+    );
+
+    /**
+     * @dev Event emitted when a reviewer approves a proposal
+     */
+    event ProposalApproved(uint256 indexed proposalId, address indexed approver, uint256 approvals);
+
+    /**
+     * @dev Event emitted when a proposal reaches the approval threshold
+     */
+    event ProposalQueued(uint256 indexed proposalId, uint256 eta);
+
+    /**
+     * @dev Event emitted when a proposal is executed
+     */
+    event ProposalExecuted(uint256 indexed proposalId);
+
+    /**
+     * @dev Event emitted when a proposal is cancelled
+     */
+    event ProposalCancelled(uint256 indexed proposalId);
+
+    /**
+     * @dev Event emitted when the approval threshold changes
+     */
+    event ThresholdUpdated(uint256 oldThreshold, uint256 newThreshold);
+
+    /**
+     * @dev Event emitted when the execution delay changes
+     */
+    event MinDelayUpdated(uint256 oldDelay, uint256 newDelay);
+}
@@ -0,0 +1,48 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ICertificateFactory
+ * @dev Interface for the CertificateFactory contract that deploys per-issuer certificate collections
+ */
+interface ICertificateFactory {
+    /**
+     * @dev Creates a new certificate collection owned by the calling verified issuer
+     * @param name Name of the NFT collection
+     * @param symbol Symbol of the NFT collection
+     * @param merkleRoot Merkle root for whitelisting recipients
+     * @param baseTokenURI Base URI for metadata
+     * @return The address of the new collection
+     */
+    function createCollection(
+        string calldata name,
+        string calldata symbol,
+        bytes32 merkleRoot,
+        string calldata baseTokenURI
+    ) external returns (address);
+    
+    /**
+     * @dev Gets all collections created by an issuer
+     * @param issuer The issuer address
+     * @return An array of collection addresses
+     */
+    function getCollectionsByIssuer(address issuer) external view returns (address[] memory);
+    
+    /**
+     * @dev Gets the issuer that created a collection
+     * @param collection The collection address
+     * @return The issuer address, or address(0) if the collection was not created by this factory
+     */
+    function issuerOfCollection(address collection) external view returns (address);
+    
+    /**
+     * @dev Event emitted when a collection is created
+     */
+    event CollectionCreated(
+        address indexed issuer,
+        address indexed collection,
+        string name,
+        string symbol,
+        bytes32 merkleRoot
+    );
+}
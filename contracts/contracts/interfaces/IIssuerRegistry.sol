@@ -27,20 +27,149 @@ interface IIssuerRegistry {
         bool isActive;
     }
     
+    /**
+     * @dev Struct carrying an oracle's signed statement that the `_decentracert` TXT record
+     * of a domain contains the challenge issued to an issuer wallet
+     */
+    struct DomainAttestation {
+        bytes32 challenge;
+        uint256 deadline;
+        bytes signature;
+    }
+    
+    /**
+     * @dev Struct carrying an oracle's signed statement that a social media post by `handle` contains a
+     * message signed by the issuer wallet over the challenge issued to it
+     */
+    struct SocialAttestation {
+        string handle;
+        bytes32 challenge;
+        uint256 deadline;
+        bytes signature;
+    }
+    
+    /**
+     * @dev Registration request signed (EIP-712) by an issuer wallet for T1 verification
+     */
+    struct IssuerRegistration {
+        string issuerName;
+        string domain;
+        uint256 nonce;
+        uint256 deadline;
+    }
+    
+    /**
+     * @dev Registration request signed (EIP-712) by an issuer wallet for T2 verification
+     */
+    struct SocialRegistration {
+        string issuerName;
+        string socialMediaUrl;
+        uint256 nonce;
+        uint256 deadline;
+    }
+    
+    /**
+     * @dev Upgrade request signed (EIP-712) by a T2 issuer wallet
+     */
+    struct DomainUpgrade {
+        string domain;
+        uint256 nonce;
+        uint256 deadline;
+    }
+    
+    /**
+     * @dev Status of a manual verification application
+     */
+    enum ApplicationStatus { NONE, PENDING, APPROVED, REJECTED }
+    
+    /**
+     * @dev Manual verification application. Evidence documents and reviewer comments stay off-chain;
+     * only their hashes are recorded.
+     */
+    struct Application {
+        uint256 id;
+        address applicant;
+        string issuerName;
+        bytes32 evidenceHash;
+        ApplicationStatus status;
+        uint256 submittedAt;
+        address reviewer;
+        uint256 reviewedAt;
+        bytes32 commentHash;
+    }
+    
+    /**
+     * @dev Manual verification application signed (EIP-712) by an issuer wallet
+     */
+    struct ManualApplication {
+        string issuerName;
+        bytes32 evidenceHash;
+        uint256 nonce;
+        uint256 deadline;
+    }
+    
+    /**
+     * @dev Pending move of an issuer identity to a new wallet
+     */
+    struct KeyRotation {
+        address newKey;
+        uint256 eta; // Earliest completion time
+        bool recovery; // Initiated by a registrar rather than the issuer key
+    }
+    
     /**
      * @dev Verifies an issuer with T1 verification (DNS)
      * @param issuerName The name of the issuer organization
      * @param domain The domain name used for verification
      * @param verificationData Additional data used in verification process
+     * @param attestation Oracle attestation of the DNS TXT challenge for the caller and domain
      */
-    function verifyIssuerT1(string calldata issuerName, string calldata domain, string calldata verificationData) external;
+    function verifyIssuerT1(
+        string calldata issuerName,
+        string calldata domain,
+        string calldata verificationData,
+        DomainAttestation calldata attestation
+    ) external;
+    
+    /**
+     * @dev Verifies an issuer with T1 verification (DNS) from a registration signed by the issuer wallet
+     * @param issuer The issuer wallet that signed the registration
+     * @param registration The signed registration request
+     * @param signature EIP-712 signature of the registration by the issuer
+     * @param attestation Oracle attestation of the DNS TXT challenge for the issuer and domain
+     */
+    function verifyIssuerT1BySig(
+        address issuer,
+        IssuerRegistration calldata registration,
+        bytes calldata signature,
+        DomainAttestation calldata attestation
+    ) external;
     
     /**
      * @dev Verifies an issuer with T2 verification (social media)
      * @param issuerName The name of the issuer organization
      * @param socialMediaUrl The URL of the social media post used for verification
+     * @param attestation Oracle attestation of the social media post for the caller and URL
+     */
+    function verifyIssuerT2(
+        string calldata issuerName,
+        string calldata socialMediaUrl,
+        SocialAttestation calldata attestation
+    ) external;
+    
+    /**
+     * @dev Verifies an issuer with T2 verification (social media) from a registration signed by the issuer wallet
+     * @param issuer The issuer wallet that signed the registration
+     * @param registration The signed registration request
+     * @param signature EIP-712 signature of the registration by the issuer
+     * @param attestation Oracle attestation of the social media post for the issuer and URL
      */
-    function verifyIssuerT2(string calldata issuerName, string calldata socialMediaUrl) external;
+    function verifyIssuerT2BySig(
+        address issuer,
+        SocialRegistration calldata registration,
+        bytes calldata signature,
+        SocialAttestation calldata attestation
+    ) external;
     
     /**
      * @dev Manually verifies an issuer (only admin)
@@ -49,12 +178,100 @@ interface IIssuerRegistry {
      */
     function manualVerifyIssuer(address issuerAddress, string calldata issuerName) external;
     
+    /**
+     * @dev Applies for manual verification
+     * @param issuerName The name of the issuer organization
+     * @param evidenceHash Hash of the evidence documents submitted off-chain
+     * @return The ID of the application
+     */
+    function submitApplication(string calldata issuerName, bytes32 evidenceHash) external returns (uint256);
+    
+    /**
+     * @dev Applies for manual verification from an application signed by the issuer wallet
+     * @param applicant The issuer wallet that signed the application
+     * @param application The signed application
+     * @param signature EIP-712 signature of the application by the applicant (or ERC-1271 contract wallet)
+     * @return The ID of the application
+     */
+    function submitApplicationBySig(
+        address applicant,
+        ManualApplication calldata application,
+        bytes calldata signature
+    ) external returns (uint256);
+    
+    /**
+     * @dev Records a reviewer's decision on a pending application (reviewer only)
+     * @param applicationId The ID of the application
+     * @param approved Whether the application is approved
+     * @param commentHash Hash of the reviewer's comment
+     */
+    function reviewApplication(uint256 applicationId, bool approved, bytes32 commentHash) external;
+    
+    /**
+     * @dev Gets a manual verification application
+     * @param applicationId The ID of the application
+     * @return The application
+     */
+    function getApplication(uint256 applicationId) external view returns (Application memory);
+    
     /**
      * @dev Upgrades an issuer from T2 to T1
      * @param domain The domain name used for verification
      * @param verificationData Additional data used in verification process
+     * @param attestation Oracle attestation of the DNS TXT challenge for the caller and domain
+     */
+    function upgradeToT1(
+        string calldata domain,
+        string calldata verificationData,
+        DomainAttestation calldata attestation
+    ) external;
+    
+    /**
+     * @dev Upgrades an issuer from T2 to T1 from an upgrade request signed by the issuer wallet
+     * @param issuer The issuer wallet that signed the upgrade
+     * @param upgrade The signed upgrade request
+     * @param signature EIP-712 signature of the upgrade by the issuer
+     * @param attestation Oracle attestation of the DNS TXT challenge for the issuer and domain
+     */
+    function upgradeToT1BySig(
+        address issuer,
+        DomainUpgrade calldata upgrade,
+        bytes calldata signature,
+        DomainAttestation calldata attestation
+    ) external;
+    
+    /**
+     * @dev Starts moving the caller's issuer identity to a new wallet, which completes the rotation after a delay
+     * @param newKey The wallet taking over the identity
+     */
+    function initiateKeyRotation(address newKey) external;
+    
+    /**
+     * @dev Starts moving an issuer identity to a new wallet without the issuer key, e.g. after it was
+     * lost (registrar only); the rotation completes after a delay during which only a registrar can cancel it
+     * @param issuer The current issuer key
+     * @param newKey The wallet taking over the identity
+     */
+    function initiateRecoveryRotation(address issuer, address newKey) external;
+    
+    /**
+     * @dev Cancels a pending key rotation (registrar, or the issuer key unless it is a recovery rotation)
+     * @param issuer The current issuer key
+     */
+    function cancelKeyRotation(address issuer) external;
+    
+    /**
+     * @dev Completes a pending key rotation (new key only)
+     * @param issuer The current issuer key
+     */
+    function completeKeyRotation(address issuer) external;
+    
+    /**
+     * @dev Follows key rotations from a key to the current key of its issuer identity
+     * @param key Any key the issuer used, e.g. the issuer recorded on a certificate
+     * @return The current key; `key` itself if it was never rotated
      */
-    function upgradeToT1(string calldata domain, string calldata verificationData) external;
+    function resolveIssuer(address key) external view returns (address);
     
     /**
      * @dev Checks if an address is a verified issuer
@@ -86,4 +303,39 @@ interface IIssuerRegistry {
      * @dev Event emitted when an issuer is upgraded
      */
     event IssuerUpgraded(address indexed issuer, IssuerTier fromTier, IssuerTier toTier);
+    
+    /**
+     * @dev Event emitted when a social media attestation is consumed for an issuer
+     */
+    event SocialAttested(address indexed issuer, bytes32 indexed urlHash, address indexed oracle, string handle);
+    
+    /**
+     * @dev Event emitted when a key rotation is started
+     */
+    event KeyRotationInitiated(address indexed issuer, address indexed newKey, uint256 eta, bool recovery);
+    
+    /**
+     * @dev Event emitted when a pending key rotation is cancelled
+     */
+    event KeyRotationCancelled(address indexed issuer, address indexed newKey);
+    
+    /**
+     * @dev Event emitted when an issuer identity moves to a new key
+     */
+    event IssuerKeyRotated(address indexed oldKey, address indexed newKey);
+    
+    /**
+     * @dev Event emitted when an issuer applies for manual verification
+     */
+    event ApplicationSubmitted(uint256 indexed applicationId, address indexed applicant, bytes32 evidenceHash);
+    
+    /**
+     * @dev Event emitted when a reviewer decides on an application
+     */
+    event ApplicationReviewed(uint256 indexed applicationId, address indexed reviewer, bool approved, bytes32 commentHash);
+    
+    /**
+     * @dev Event emitted when a DNS attestation is consumed for an issuer
+     */
+    event DomainAttested(address indexed issuer, bytes32 indexed domainHash, address indexed oracle, bytes32 challenge);
 } 
\ No newline at end of file
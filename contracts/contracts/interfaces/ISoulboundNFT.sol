@@ -6,6 +6,82 @@ pragma solidity ^0.8.20;
  * @dev Interface for the SoulboundNFT contract
  */
 interface ISoulboundNFT {
+    /**
+     * @dev Enum representing the lifecycle status of a certificate
+     * NONE: Never issued (or burned)
+     * VALID: Issued and in good standing
+     * SUSPENDED: Temporarily invalid, can be reinstated by the issuer
+     * REVOKED: Permanently invalid, the token is kept as evidence
+     * EXPIRED: Validity period has lapsed, can be renewed by the issuer
+     */
+    enum CertificateStatus { NONE, VALID, SUSPENDED, REVOKED, EXPIRED }
+    
+    /**
+     * @dev Struct recording the last status change of a certificate
+     */
+    struct StatusRecord {
+        CertificateStatus status;
+        uint8 reasonCode;
+        uint256 updatedAt;
+        address updatedBy;
+    }
+    
+    /**
+     * @dev Struct for an issuer-signed voucher letting a recipient claim a certificate
+     * recipient: Address the certificate is minted to
+     * credentialId: Credential of the certificate (0 for address-only certificates)
+     * deadline: Timestamp after which the voucher can no longer be redeemed
+     */
+    struct ClaimVoucher {
+        address recipient;
+        bytes32 credentialId;
+        uint256 deadline;
+    }
+    
+    /**
+     * @dev Struct for the Merkle leaf of a claim code, for recipients without a wallet when the tree was built
+     * claimKey: Address of the key derived from the secret code; it signs the wallet the certificate goes to
+     * emailHash: keccak256 of the recipient's normalized email address (0 if the code is not tied to one)
+     * credentialId: Credential of the certificate (0 for address-only certificates)
+     */
+    struct ClaimCode {
+        address claimKey;
+        bytes32 emailHash;
+        bytes32 credentialId;
+    }
+    
+    /**
+     * @dev Struct for a pending move of a certificate to a holder's new wallet
+     * newHolder: Wallet the certificate is re-bound to; it requested the recovery, proving control
+     * requestedAt: Timestamp of the request
+     * issuerApproved: Approved by the certificate issuer or the collection owner
+     * adminApproved: Approved by a registrar of the issuer registry (needed if the collection requires it)
+     */
+    struct RecoveryRequest {
+        address newHolder;
+        uint256 requestedAt;
+        bool issuerApproved;
+        bool adminApproved;
+    }
+    
+    /**
+     * @dev Initializes a minimal-proxy clone of the certificate collection
+     * @param collectionName Name of the NFT collection
+     * @param collectionSymbol Symbol of the NFT collection
+     * @param merkleRoot Merkle root for whitelisting recipients
+     * @param issuerRegistry Address of the issuer registry contract
+     * @param baseTokenURI Base URI for metadata
+     * @param collectionOwner Address that will own the collection
+     */
+    function initialize(
+        string calldata collectionName,
+        string calldata collectionSymbol,
+        bytes32 merkleRoot,
+        address issuerRegistry,
+        string calldata baseTokenURI,
+        address collectionOwner
+    ) external;
+    
     /**
      * @dev Mints a new certificate to a recipient
      * @param recipient The address that will receive the certificate
@@ -14,6 +90,91 @@ interface ISoulboundNFT {
      */
     function mintCertificate(address recipient, bytes32[] calldata merkleProof) external returns (uint256);
     
+    /**
+     * @dev Mints a specific credential (course, level, year...) to a recipient
+     * @param recipient The address that will receive the certificate
+     * @param credentialId Certificate type ID or credential hash committed to in the leaf
+     * @param merkleProof The Merkle proof that verifies the recipient is eligible for the credential
+     * @return The token ID of the minted certificate
+     */
+    function mintCredential(address recipient, bytes32 credentialId, bytes32[] calldata merkleProof) external returns (uint256);
+    
+    /**
+     * @dev Mints certificates to a cohort of whitelisted recipients verified with one multiproof
+     * @param recipients The addresses that will receive certificates, in multiproof leaf order
+     * @param credentialIds The credential of each recipient (0 for address-only leaves)
+     * @param proof Sibling hashes of the multiproof
+     * @param proofFlags Multiproof flags as expected by MerkleProof.multiProofVerify
+     * @return tokenIds The token ID minted to each recipient, 0 where the recipient was skipped
+     */
+    function batchMint(
+        address[] calldata recipients,
+        bytes32[] calldata credentialIds,
+        bytes32[] calldata proof,
+        bool[] calldata proofFlags
+    ) external returns (uint256[] memory tokenIds);
+    
+    /**
+     * @dev Lets a whitelisted recipient mint their own certificate with a Merkle proof
+     * @param credentialId The credential committed to in the leaf (0 for address-only leaves)
+     * @param merkleProof The Merkle proof of the caller's leaf
+     * @return The token ID of the minted certificate
+     */
+    function claimCertificate(bytes32 credentialId, bytes32[] calldata merkleProof) external returns (uint256);
+    
+    /**
+     * @dev Mints the certificate described by a voucher signed by the collection owner
+     * @param voucher The recipient, credential and deadline that were signed
+     * @param signature EIP-712 signature of the voucher
+     * @return The token ID of the minted certificate
+     */
+    function claimWithVoucher(ClaimVoucher calldata voucher, bytes calldata signature) external returns (uint256);
+    
+    /**
+     * @dev Redeems a claim code leaf, minting its certificate to the wallet the code's key signed
+     * @param code The claim key, email hash and credential of the leaf
+     * @param recipient The wallet the certificate is minted to
+     * @param merkleProof The Merkle proof of the leaf
+     * @param signature EIP-712 signature of the recipient by the claim key
+     * @return The token ID of the minted certificate
+     */
+    function redeemClaimCode(
+        ClaimCode calldata code,
+        address recipient,
+        bytes32[] calldata merkleProof,
+        bytes calldata signature
+    ) external returns (uint256);
+    
+    /**
+     * @dev Requests that a certificate be re-bound to the calling wallet, e.g. after its holder lost the
+     * original wallet. The certificate issuer (and a registrar, if the collection requires it) must approve.
+     * @param tokenId The certificate to recover
+     */
+    function requestRecovery(uint256 tokenId) external;
+    
+    /**
+     * @dev Relays a recovery request signed by the new wallet
+     * @param tokenId The certificate to recover
+     * @param newHolder The wallet that signed the request
+     * @param deadline Timestamp after which the signature is no longer accepted
+     * @param signature EIP-712 RecoveryRequest signature of newHolder
+     */
+    function requestRecoveryBySig(uint256 tokenId, address newHolder, uint256 deadline, bytes calldata signature) external;
+    
+    /**
+     * @dev Approves a pending recovery; the final approval re-binds the certificate
+     * @param tokenId The certificate to recover
+     * @param expectedNewHolder The wallet being approved; must match the pending request
+     * @return newTokenId The token ID of the re-bound certificate, 0 while approvals are missing
+     */
+    function approveRecovery(uint256 tokenId, address expectedNewHolder) external returns (uint256 newTokenId);
+    
+    /**
+     * @dev Cancels a pending recovery (holder, requester, certificate issuer or collection owner)
+     * @param tokenId The certificate
+     */
+    function cancelRecovery(uint256 tokenId) external;
+    
     /**
      * @dev Checks if an address is eligible to claim a certificate
      * @param recipient The address to check eligibility for
@@ -29,16 +190,103 @@ interface ISoulboundNFT {
      * @return issuerLevel The level of the issuer (T1, T2, etc.)
      * @return metadataURI The URI for the certificate metadata
      * @return issuedTimestamp The timestamp when the certificate was issued
+     * @return expiresAt The timestamp after which the certificate is expired (0 = never)
      */
     function getCertificateData(uint256 tokenId) external view returns (
         address issuer,
         uint8 issuerLevel,
         string memory metadataURI,
-        uint256 issuedTimestamp
+        uint256 issuedTimestamp,
+        uint256 expiresAt
     );
     
+    /**
+     * @dev Gets the status of a certificate
+     * @param tokenId The token ID to check
+     * @return The certificate status, NONE if the token was never issued
+     */
+    function certificateStatus(uint256 tokenId) external view returns (CertificateStatus);
+    
+    /**
+     * @dev Gets the Poseidon root of a certificate's committed attributes, checked by disclosure proofs
+     * @param tokenId The token ID
+     * @return The root (0 if no attributes were committed)
+     */
+    function attributesRootOf(uint256 tokenId) external view returns (uint256);
+    
     /**
      * @dev Event emitted when a certificate is minted
      */
     event CertificateMinted(address indexed recipient, uint256 indexed tokenId, address indexed issuer);
+    
+    /**
+     * @dev Event emitted when batchMint skips a recipient whose credential was already issued
+     */
+    event CertificateMintSkipped(address indexed recipient, bytes32 indexed credentialId);
+    
+    /**
+     * @dev Event emitted when a claim code is redeemed
+     */
+    event ClaimCodeRedeemed(address indexed claimKey, address indexed recipient, uint256 indexed tokenId);
+    
+    /**
+     * @dev Event emitted when a certificate is revoked
+     */
+    event CertificateRevoked(uint256 indexed tokenId, address indexed revoker, uint8 reasonCode);
+    
+    /**
+     * @dev Event emitted when a certificate is suspended
+     */
+    event CertificateSuspended(uint256 indexed tokenId, address indexed suspender, uint8 reasonCode);
+    
+    /**
+     * @dev Event emitted when a suspended certificate is reinstated
+     */
+    event CertificateReinstated(uint256 indexed tokenId, address indexed reinstater);
+    
+    /**
+     * @dev Event emitted when the issuer extends the validity of a certificate
+     */
+    event CertificateRenewed(uint256 indexed tokenId, address indexed renewer, uint256 oldExpiresAt, uint256 newExpiresAt);
+    
+    /**
+     * @dev Event emitted when the issuer anchors the hash of a certificate's metadata
+     */
+    event ContentHashAnchored(uint256 indexed tokenId, address indexed anchoredBy, bytes32 contentHash);
+    
+    /**
+     * @dev Event emitted when the issuer commits to the attributes of a certificate
+     */
+    event AttributesCommitted(uint256 indexed tokenId, uint256 attributesRoot);
+    
+    /**
+     * @dev Event emitted when the expiry of a single certificate is overridden
+     */
+    event CertificateExpiryUpdated(uint256 indexed tokenId, uint256 oldExpiresAt, uint256 newExpiresAt);
+    
+    /**
+     * @dev Event emitted when a wallet requests the recovery of a certificate
+     */
+    event RecoveryRequested(uint256 indexed tokenId, address indexed newHolder);
+    
+    /**
+     * @dev Event emitted when a recovery is approved
+     */
+    event RecoveryApproved(uint256 indexed tokenId, address indexed approver);
+    
+    /**
+     * @dev Event emitted when a pending recovery is cancelled
+     */
+    event RecoveryCancelled(uint256 indexed tokenId, address indexed newHolder);
+    
+    /**
+     * @dev Event emitted when a certificate is re-bound to a new wallet: the old token is burned and a new
+     * token with the same issuer, issuance date and tier snapshot is minted
+     */
+    event CertificateRecovered(
+        uint256 indexed oldTokenId,
+        uint256 indexed newTokenId,
+        address oldHolder,
+        address indexed newHolder
+    );
 } 
\ No newline at end of file
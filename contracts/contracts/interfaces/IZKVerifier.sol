@@ -6,6 +6,21 @@ pragma solidity ^0.8.20;
  * @dev Interface for the ZKVerifier contract that verifies zero-knowledge proofs for certificates
  */
 interface IZKVerifier {
+    /**
+     * @dev Enum representing the proving system of a circuit's verifier contract
+     * GROTH16: snarkjs Groth16 verifier, verifyProof(uint256[2],uint256[2][2],uint256[2],uint256[N])
+     * PLONK: snarkjs PLONK verifier, verifyProof(uint256[24],uint256[N])
+     */
+    enum ProofSystem { GROTH16, PLONK }
+    
+    /**
+     * @dev Enum representing how proofs of a circuit are recorded
+     * GENERIC: createProof, public signals are not interpreted
+     * MEMBERSHIP: createMembershipProof, holder snapshot root and nullifier checked (5 public signals)
+     * DISCLOSURE: createDisclosureProof, attributes root checked against the certificate (27 public signals)
+     */
+    enum CircuitKind { GENERIC, MEMBERSHIP, DISCLOSURE }
+    
     /**
      * @dev Struct containing information about a registered verifier circuit
      */
@@ -15,6 +30,8 @@ interface IZKVerifier {
         string description;
         address verifierContract;
         bool isActive;
+        ProofSystem proofSystem;
+        uint256 publicInputCount;
     }
     
     /**
@@ -30,20 +47,69 @@ interface IZKVerifier {
         bool isRevoked;
     }
     
+    /**
+     * @dev Struct containing a verifier's presentation request
+     * The holder answers with a proof of `circuitId` created after the challenge; each challenge
+     * accepts one presentation and each proof can only be presented once. Membership proofs must be
+     * made for the challenge: their scope is challengeScope(challengeId, holder).
+     */
+    struct Challenge {
+        uint256 id;
+        address verifier;
+        uint256 circuitId;
+        bytes32 nonce;
+        uint256 createdAt;
+        uint256 expiresAt;
+        uint256 proofId; // 0 until a proof is presented
+        address holder;
+        bool isCancelled;
+    }
+    
+    /**
+     * @dev Struct containing what a membership proof attests (public signals of the membership circuit)
+     * The holder of an identity owns a certificate of `collection` issued by an issuer of at least
+     * `minTier`, listed in the holder snapshot `root`. `nullifierHash` is unique per holder, collection
+     * and `scope`, the value a verifier picks to bind proofs to itself.
+     */
+    struct MembershipClaim {
+        address collection;
+        uint256 root;
+        uint256 minTier;
+        uint256 scope;
+        uint256 nullifierHash;
+    }
+    
+    /**
+     * @dev Struct identifying the certificate a disclosure proof was made for. The disclosed values and
+     * predicates are the public signals, emitted with AttributesDisclosed and hashed into the proof's proofHash.
+     */
+    struct DisclosureClaim {
+        address collection;
+        uint256 tokenId;
+    }
+    
     /**
      * @dev Registers a new verifier circuit (admin only)
      * @param name The name of the circuit
      * @param description The description of the circuit
      * @param verifierContract The address of the verifier contract
+     * @param proofSystem The proving system the verifier contract implements
+     * @param publicInputCount The number of public signals of the circuit
      * @return The ID of the registered circuit
      */
-    function registerCircuit(string calldata name, string calldata description, address verifierContract) external returns (uint256);
+    function registerCircuit(
+        string calldata name,
+        string calldata description,
+        address verifierContract,
+        ProofSystem proofSystem,
+        uint256 publicInputCount
+    ) external returns (uint256);
     
     /**
-     * @dev Creates a new ZK proof
+     * @dev Verifies a proof with the circuit's verifier contract and records it
      * @param circuitId The ID of the circuit to use
-     * @param proofData The raw proof data
-     * @param publicInputs The public inputs for the proof
+     * @param proofData The ABI-encoded proof: (uint256[2], uint256[2][2], uint256[2]) for Groth16, uint256[24] for PLONK
+     * @param publicInputs The ABI-encoded public signals, abi.encode(uint256[])
      * @param validityPeriod How long the proof should be valid for (in seconds)
      * @return The ID of the created proof
      */
@@ -55,10 +121,92 @@ interface IZKVerifier {
     ) external returns (uint256);
     
     /**
-     * @dev Verifies a ZK proof
+     * @dev Verifies a membership proof, checks its holder snapshot root and consumes its nullifier
+     * @param circuitId The ID of a membership circuit
+     * @param proofData The ABI-encoded proof
+     * @param publicInputs abi.encode(uint256[]) of [nullifierHash, root, collection, minTier, scope]
+     * @param validityPeriod How long the proof should be valid for (in seconds)
+     * @return The ID of the created proof
+     */
+    function createMembershipProof(
+        uint256 circuitId,
+        bytes calldata proofData,
+        bytes calldata publicInputs,
+        uint256 validityPeriod
+    ) external returns (uint256);
+    
+    /**
+     * @dev Verifies a disclosure of the caller's certificate against the attributes root committed in the collection
+     * @param circuitId The ID of a disclosure circuit
+     * @param proofData The ABI-encoded proof
+     * @param publicInputs abi.encode(uint256[]) of disclosed[8], attributesRoot, revealMask, rangeMask,
+     * minValues[8], maxValues[8]
+     * @param collection The SoulboundNFT collection of the certificate
+     * @param tokenId The certificate
+     * @param validityPeriod How long the proof should be valid for (in seconds)
+     * @return The ID of the created proof
+     */
+    function createDisclosureProof(
+        uint256 circuitId,
+        bytes calldata proofData,
+        bytes calldata publicInputs,
+        address collection,
+        uint256 tokenId,
+        uint256 validityPeriod
+    ) external returns (uint256);
+    
+    /**
+     * @dev Registers (or replaces) the caller's identity commitment, Poseidon(secret)
+     * @param identityCommitment The commitment, a BN254 scalar field element
+     */
+    function registerIdentity(uint256 identityCommitment) external;
+    
+    /**
+     * @dev Publishes the Poseidon Merkle root of a collection's holder snapshot (admin only)
+     * @param collection The SoulboundNFT collection
+     * @param root The snapshot root
+     */
+    function publishHolderRoot(address collection, uint256 root) external;
+    
+    /**
+     * @dev Checks a proof against a circuit's verifier contract without recording it
+     * @param circuitId The ID of the circuit
+     * @param proofData The ABI-encoded proof
+     * @param publicInputs The ABI-encoded public signals
+     * @return True if the verifier contract accepts the proof
+     */
+    function checkProof(uint256 circuitId, bytes calldata proofData, bytes calldata publicInputs) external view returns (bool);
+    
+    /**
+     * @dev Publishes a presentation request for proofs of a circuit
+     * @param circuitId The circuit the presented proof must be of
+     * @param nonce Value unique among the caller's challenges, binding the presentation to this request
+     * @param ttl How long the challenge can be answered (in seconds)
+     * @return The ID of the challenge
+     */
+    function createChallenge(uint256 circuitId, bytes32 nonce, uint256 ttl) external returns (uint256);
+    
+    /**
+     * @dev Presents a proof to answer a challenge
+     * @param challengeId The ID of the challenge
+     * @param proofId The ID of a proof created after the challenge: owned by the caller, or for membership
+     * circuits, with the challenge scope of the caller
+     */
+    function presentProof(uint256 challengeId, uint256 proofId) external;
+    
+    /**
+     * @dev Gets the scope a membership proof answering a challenge must be made for
+     * @param challengeId The ID of the challenge
+     * @param holder The account that will present the proof
+     * @return The scope, a BN254 scalar field element
+     */
+    function challengeScope(uint256 challengeId, address holder) external view returns (uint256);
+    
+    /**
+     * @dev Verifies a ZK proof presented to a verifier
      * @param proofId The ID of the proof to verify
-     * @param verifierAddress The address of the verifier (if restricted)
-     * @return True if the proof is valid, false otherwise
+     * @param verifierAddress The verifier whose challenge the proof must have answered
+     * @return True if the proof is valid and was presented to verifierAddress, false otherwise
      */
     function verifyProof(uint256 proofId, address verifierAddress) external view returns (bool);
     
@@ -87,6 +235,11 @@ interface IZKVerifier {
      */
     event CircuitRegistered(uint256 indexed circuitId, string name, address verifierContract);
     
+    /**
+     * @dev Event emitted when a circuit is deactivated or reactivated
+     */
+    event CircuitStatusChanged(uint256 indexed circuitId, bool isActive);
+    
     /**
      * @dev Event emitted when a new proof is created
      */
@@ -96,4 +249,39 @@ interface IZKVerifier {
      * @dev Event emitted when a proof is revoked
      */
     event ProofRevoked(uint256 indexed proofId, address indexed revoker);
+    
+    /**
+     * @dev Event emitted when a verifier publishes a presentation request
+     */
+    event ChallengeCreated(uint256 indexed challengeId, address indexed verifier, uint256 indexed circuitId, bytes32 nonce, uint256 expiresAt);
+    
+    /**
+     * @dev Event emitted when a holder answers a challenge, recording who verified what
+     */
+    event ProofPresented(uint256 indexed challengeId, uint256 indexed proofId, address indexed holder, address verifier);
+    
+    /**
+     * @dev Event emitted when a verifier withdraws an unanswered challenge
+     */
+    event ChallengeCancelled(uint256 indexed challengeId);
+    
+    /**
+     * @dev Event emitted when an account registers its identity commitment
+     */
+    event IdentityRegistered(address indexed account, uint256 identityCommitment);
+    
+    /**
+     * @dev Event emitted when a holder snapshot root is published
+     */
+    event HolderRootPublished(address indexed collection, uint256 root);
+    
+    /**
+     * @dev Event emitted when a membership proof is recorded
+     */
+    event MembershipProven(uint256 indexed proofId, address indexed collection, uint256 indexed scope, uint256 nullifierHash);
+    
+    /**
+     * @dev Event emitted when a disclosure proof is recorded
+     */
+    event AttributesDisclosed(uint256 indexed proofId, address indexed collection, uint256 indexed tokenId, uint256[] publicSignals);
 } 
\ No newline at end of file
@@ -0,0 +1,350 @@
+// SPDX-License-Identifier: GPL-3.0
+/*
+    Copyright 2021 0KIMS association.
+
+    This file is generated with [snarkJS](https://github.com/iden3/snarkjs).
+
+    snarkJS is a free software: you can redistribute it and/or modify it
+    under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    snarkJS is distributed in the hope that it will be useful, but WITHOUT
+    ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+    or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public
+    License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with snarkJS. If not, see <https://www.gnu.org/licenses/>.
+*/
+
+pragma solidity >=0.7.0 <0.9.0;
+
+contract DisclosureVerifier {
+    // Scalar field size
+    uint256 constant r    = 21888242871839275222246405745257275088548364400416034343698204186575808495617;
+    // Base field size
+    uint256 constant q   = 21888242871839275222246405745257275088696311157297823662689037894645226208583;
+
+    // Verification Key data
+    uint256 constant alphax  = 13296041533403028850827807515078009243795330013261799680021091802018439221657;
+    uint256 constant alphay  = 17626124619247656355195093492546169249323818881381683661342437373964285791966;
+    uint256 constant betax1  = 15329199820969051771099732553673188416067670803652578096961743906127128842730;
+    uint256 constant betax2  = 8351183838663095326972740529750026361618052748587951408478995324676470830386;
+    uint256 constant betay1  = 13035619603639895085937513686271765511232119232868233825482907718991001501799;
+    uint256 constant betay2  = 16975034616736326279287547522001314952912044270727113437020806698817749773713;
+    uint256 constant gammax1 = 11559732032986387107991004021392285783925812861821192530917403151452391805634;
+    uint256 constant gammax2 = 10857046999023057135944570762232829481370756359578518086990519993285655852781;
+    uint256 constant gammay1 = 4082367875863433681332203403145435568316851327593401208105741076214120093531;
+    uint256 constant gammay2 = 8495653923123431417604973247489272438418190587263600148770280649306958101930;
+    uint256 constant deltax1 = 18171595090000826374898798001618004288695357958397416943547770903017633183913;
+    uint256 constant deltax2 = 19466499514882908217723204643871266259961706810150347360467538741564927876911;
+    uint256 constant deltay1 = 2062956372738051118634389893127092666402037416527072082074204421060184082361;
+    uint256 constant deltay2 = 11050982176155031929451984334086697838044321903456367687136904653868346699539;
+
+    
+    uint256 constant IC0x = 20897836520911497208439692045490277931635468193641412576241813408127955604004;
+    uint256 constant IC0y = 13342608164487960879276028900154926356427365092210818299829439942028887238277;
+    
+    uint256 constant IC1x = 18157234372115476647756061453573953159861104548911132966290717194353690179005;
+    uint256 constant IC1y = 12619804216255948670836298505267695338466627791567158840578812568008604296919;
+    
+    uint256 constant IC2x = 15998435828168361483865112298897047397551559955819506744517039084534736088296;
+    uint256 constant IC2y = 15646717960621744952924278834982762969708234862218279583985205331965672330134;
+    
+    uint256 constant IC3x = 6795039167869522232043512335326517765088296017609397307600406212809627573363;
+    uint256 constant IC3y = 21859956743740364809593360161146278242425838796379457301507516170154579820995;
+    
+    uint256 constant IC4x = 14290678030322044271965977594905709799645836533154257815424934575212419889468;
+    uint256 constant IC4y = 11380214901390341778271051169003698457556809582021997544795426549525369288282;
+    
+    uint256 constant IC5x = 21231492837251189418554056597381889721605556123512309795914828982585910530129;
+    uint256 constant IC5y = 18992201040397261994738270453079150728877747286320688183405310134247732065626;
+    
+    uint256 constant IC6x = 21685915841943010680872439434058639758862802246361689375193015500160006914671;
+    uint256 constant IC6y = 15711900620481638295372536347385422869132867106473485417098666888589166534681;
+    
+    uint256 constant IC7x = 1661892386095825763096421633471868906043818525862015476596921292032814423215;
+    uint256 constant IC7y = 17439610418915018885444556582660091356520263587263371796473100897289108253693;
+    
+    uint256 constant IC8x = 8783011806007541685041835265772500465545811295069595086072596416873394145412;
+    uint256 constant IC8y = 18784745615122054785971746416680507811069365367821935407391485686413954422909;
+    
+    uint256 constant IC9x = 5212280616712726912606539106063236127187659639230500237364665947048645338008;
+    uint256 constant IC9y = 17926493170350817267213252283954517775808680949067777330656013224928025646688;
+    
+    uint256 constant IC10x = 20109002042797829656491279006055704382198029434189696173837799620740856946811;
+    uint256 constant IC10y = 10312212391043326428373634986969013180290267101401875150507357093684585627664;
+    
+    uint256 constant IC11x = 3026340306471932742978217043148450681774911420118481204141051292836997404082;
+    uint256 constant IC11y = 16328407916407474700163298517920836272997563613883325404174857053842235897306;
+    
+    uint256 constant IC12x = 8583563718730701159148872757822830600338153054371177815320209077119856416844;
+    uint256 constant IC12y = 20616208611120201824732031520313999133432828623404814031009078827623629468673;
+    
+    uint256 constant IC13x = 9652043691746559200443587362589756848951602894160699638648857058972506979547;
+    uint256 constant IC13y = 11147104385191543919258565203677937991619329912614151355687613885905134570673;
+    
+    uint256 constant IC14x = 16335893396508726776273314814263585490701595380882551314295854861752176365992;
+    uint256 constant IC14y = 9616984580726644459246070888954079565813225401987893190168354556151532991722;
+    
+    uint256 constant IC15x = 10554390214584187095256383226403827844449102026698018061058603767379021015258;
+    uint256 constant IC15y = 21460981737576472543468007642320523932741495020136517714498285070735118581430;
+    
+    uint256 constant IC16x = 4739104639887545134542222243679792395187035813799476890541220588011007708394;
+    uint256 constant IC16y = 14209734237427867173827074296703316557625392329917496729277615111737133197716;
+    
+    uint256 constant IC17x = 4644365733303164018886984438080668405033140010291339863313841848297717806322;
+    uint256 constant IC17y = 4481360678591059731475232805660843226450293957816728343151067652696954626040;
+    
+    uint256 constant IC18x = 11807126184015958053825961482977001585919898505961163443996901135068349413855;
+    uint256 constant IC18y = 4488946842480228357254042560669682592273058885101183204386070880816052224745;
+    
+    uint256 constant IC19x = 9133028418240391247755812200233172729627133699432375061825394333605544621834;
+    uint256 constant IC19y = 8682229294025378210546372895673886870047192953003315694698032904984321884053;
+    
+    uint256 constant IC20x = 17727515055845205676264796203967954669974065229751474729836718947233167477105;
+    uint256 constant IC20y = 19799334854777316376278085893477488826403877180174893407881613970656208828647;
+    
+    uint256 constant IC21x = 18959705691714162261619452861686147363772386404220067052795099447651623007251;
+    uint256 constant IC21y = 900757328935771470214944090464574596429586325029353612866508588722983447254;
+    
+    uint256 constant IC22x = 18024634076785961701569028395787235990199581931800388986749160560986184107347;
+    uint256 constant IC22y = 540918198598633804500166881483345723928220394171027169064835686718811381341;
+    
+    uint256 constant IC23x = 13824373009926449911689033742735699293425995963876711280304226591758797553271;
+    uint256 constant IC23y = 760056956312815098063404153742544936403093360624444983210338750242914916229;
+    
+    uint256 constant IC24x = 20837688803633154552708636947897486213950119651179891004336161006132738857912;
+    uint256 constant IC24y = 7485226709387533631181489317128291704582443607950495977239426421075979956312;
+    
+    uint256 constant IC25x = 10350297833489571206024770438742916637917317169919624886621013224952152504734;
+    uint256 constant IC25y = 14416126673369401870018263036621208078508158399904014395180491734197554195020;
+    
+    uint256 constant IC26x = 12428411702230308789351782940271240310058537675400213170363181196040859513582;
+    uint256 constant IC26y = 21563755897651334057240155462877712171823312494809595603352161404594483236316;
+    
+    uint256 constant IC27x = 13833036459486812539700676083788187133555497244307611922743539737391604507352;
+    uint256 constant IC27y = 2441908265044852271212556452170712409101799153677269976899170145914811489114;
+    
+ 
+    // Memory data
+    uint16 constant pVk = 0;
+    uint16 constant pPairing = 128;
+
+    uint16 constant pLastMem = 896;
+
+    function verifyProof(uint[2] calldata _pA, uint[2][2] calldata _pB, uint[2] calldata _pC, uint[27] calldata _pubSignals) public view returns (bool) {
+        assembly {
+            function checkField(v) {
+                if iszero(lt(v, r)) {
+                    mstore(0, 0)
+                    return(0, 0x20)
+                }
+            }
+            
+            // G1 function to multiply a G1 value(x,y) to value in an address
+            function g1_mulAccC(pR, x, y, s) {
+                let success
+                let mIn := mload(0x40)
+                mstore(mIn, x)
+                mstore(add(mIn, 32), y)
+                mstore(add(mIn, 64), s)
+
+                success := staticcall(sub(gas(), 2000), 7, mIn, 96, mIn, 64)
+
+                if iszero(success) {
+                    mstore(0, 0)
+                    return(0, 0x20)
+                }
+
+                mstore(add(mIn, 64), mload(pR))
+                mstore(add(mIn, 96), mload(add(pR, 32)))
+
+                success := staticcall(sub(gas(), 2000), 6, mIn, 128, pR, 64)
+
+                if iszero(success) {
+                    mstore(0, 0)
+                    return(0, 0x20)
+                }
+            }
+
+            function checkPairing(pA, pB, pC, pubSignals, pMem) -> isOk {
+                let _pPairing := add(pMem, pPairing)
+                let _pVk := add(pMem, pVk)
+
+                mstore(_pVk, IC0x)
+                mstore(add(_pVk, 32), IC0y)
+
+                // Compute the linear combination vk_x
+                
+                g1_mulAccC(_pVk, IC1x, IC1y, calldataload(add(pubSignals, 0)))
+                
+                g1_mulAccC(_pVk, IC2x, IC2y, calldataload(add(pubSignals, 32)))
+                
+                g1_mulAccC(_pVk, IC3x, IC3y, calldataload(add(pubSignals, 64)))
+                
+                g1_mulAccC(_pVk, IC4x, IC4y, calldataload(add(pubSignals, 96)))
+                
+                g1_mulAccC(_pVk, IC5x, IC5y, calldataload(add(pubSignals, 128)))
+                
+                g1_mulAccC(_pVk, IC6x, IC6y, calldataload(add(pubSignals, 160)))
+                
+                g1_mulAccC(_pVk, IC7x, IC7y, calldataload(add(pubSignals, 192)))
+                
+                g1_mulAccC(_pVk, IC8x, IC8y, calldataload(add(pubSignals, 224)))
+                
+                g1_mulAccC(_pVk, IC9x, IC9y, calldataload(add(pubSignals, 256)))
+                
+                g1_mulAccC(_pVk, IC10x, IC10y, calldataload(add(pubSignals, 288)))
+                
+                g1_mulAccC(_pVk, IC11x, IC11y, calldataload(add(pubSignals, 320)))
+                
+                g1_mulAccC(_pVk, IC12x, IC12y, calldataload(add(pubSignals, 352)))
+                
+                g1_mulAccC(_pVk, IC13x, IC13y, calldataload(add(pubSignals, 384)))
+                
+                g1_mulAccC(_pVk, IC14x, IC14y, calldataload(add(pubSignals, 416)))
+                
+                g1_mulAccC(_pVk, IC15x, IC15y, calldataload(add(pubSignals, 448)))
+                
+                g1_mulAccC(_pVk, IC16x, IC16y, calldataload(add(pubSignals, 480)))
+                
+                g1_mulAccC(_pVk, IC17x, IC17y, calldataload(add(pubSignals, 512)))
+                
+                g1_mulAccC(_pVk, IC18x, IC18y, calldataload(add(pubSignals, 544)))
+                
+                g1_mulAccC(_pVk, IC19x, IC19y, calldataload(add(pubSignals, 576)))
+                
+                g1_mulAccC(_pVk, IC20x, IC20y, calldataload(add(pubSignals, 608)))
+                
+                g1_mulAccC(_pVk, IC21x, IC21y, calldataload(add(pubSignals, 640)))
+                
+                g1_mulAccC(_pVk, IC22x, IC22y, calldataload(add(pubSignals, 672)))
+                
+                g1_mulAccC(_pVk, IC23x, IC23y, calldataload(add(pubSignals, 704)))
+                
+                g1_mulAccC(_pVk, IC24x, IC24y, calldataload(add(pubSignals, 736)))
+                
+                g1_mulAccC(_pVk, IC25x, IC25y, calldataload(add(pubSignals, 768)))
+                
+                g1_mulAccC(_pVk, IC26x, IC26y, calldataload(add(pubSignals, 800)))
+                
+                g1_mulAccC(_pVk, IC27x, IC27y, calldataload(add(pubSignals, 832)))
+                
+
+                // -A
+                mstore(_pPairing, calldataload(pA))
+                mstore(add(_pPairing, 32), mod(sub(q, calldataload(add(pA, 32))), q))
+
+                // B
+                mstore(add(_pPairing, 64), calldataload(pB))
+                mstore(add(_pPairing, 96), calldataload(add(pB, 32)))
+                mstore(add(_pPairing, 128), calldataload(add(pB, 64)))
+                mstore(add(_pPairing, 160), calldataload(add(pB, 96)))
+
+                // alpha1
+                mstore(add(_pPairing, 192), alphax)
+                mstore(add(_pPairing, 224), alphay)
+
+                // beta2
+                mstore(add(_pPairing, 256), betax1)
+                mstore(add(_pPairing, 288), betax2)
+                mstore(add(_pPairing, 320), betay1)
+                mstore(add(_pPairing, 352), betay2)
+
+                // vk_x
+                mstore(add(_pPairing, 384), mload(add(pMem, pVk)))
+                mstore(add(_pPairing, 416), mload(add(pMem, add(pVk, 32))))
+
+
+                // gamma2
+                mstore(add(_pPairing, 448), gammax1)
+                mstore(add(_pPairing, 480), gammax2)
+                mstore(add(_pPairing, 512), gammay1)
+                mstore(add(_pPairing, 544), gammay2)
+
+                // C
+                mstore(add(_pPairing, 576), calldataload(pC))
+                mstore(add(_pPairing, 608), calldataload(add(pC, 32)))
+
+                // delta2
+                mstore(add(_pPairing, 640), deltax1)
+                mstore(add(_pPairing, 672), deltax2)
+                mstore(add(_pPairing, 704), deltay1)
+                mstore(add(_pPairing, 736), deltay2)
+
+
+                let success := staticcall(sub(gas(), 2000), 8, _pPairing, 768, _pPairing, 0x20)
+
+                isOk := and(success, mload(_pPairing))
+            }
+
+            let pMem := mload(0x40)
+            mstore(0x40, add(pMem, pLastMem))
+
+            // Validate that all evaluations ∈ F
+            
+            checkField(calldataload(add(_pubSignals, 0)))
+            
+            checkField(calldataload(add(_pubSignals, 32)))
+            
+            checkField(calldataload(add(_pubSignals, 64)))
+            
+            checkField(calldataload(add(_pubSignals, 96)))
+            
+            checkField(calldataload(add(_pubSignals, 128)))
+            
+            checkField(calldataload(add(_pubSignals, 160)))
+            
+            checkField(calldataload(add(_pubSignals, 192)))
+            
+            checkField(calldataload(add(_pubSignals, 224)))
+            
+            checkField(calldataload(add(_pubSignals, 256)))
+            
+            checkField(calldataload(add(_pubSignals, 288)))
+            
+            checkField(calldataload(add(_pubSignals, 320)))
+            
+            checkField(calldataload(add(_pubSignals, 352)))
+            
+            checkField(calldataload(add(_pubSignals, 384)))
+            
+            checkField(calldataload(add(_pubSignals, 416)))
+            
+            checkField(calldataload(add(_pubSignals, 448)))
+            
+            checkField(calldataload(add(_pubSignals, 480)))
+            
+            checkField(calldataload(add(_pubSignals, 512)))
+            
+            checkField(calldataload(add(_pubSignals, 544)))
+            
+            checkField(calldataload(add(_pubSignals, 576)))
+            
+            checkField(calldataload(add(_pubSignals, 608)))
+            
+            checkField(calldataload(add(_pubSignals, 640)))
+            
+            checkField(calldataload(add(_pubSignals, 672)))
+            
+            checkField(calldataload(add(_pubSignals, 704)))
+            
+            checkField(calldataload(add(_pubSignals, 736)))
+            
+            checkField(calldataload(add(_pubSignals, 768)))
+            
+            checkField(calldataload(add(_pubSignals, 800)))
+            
+            checkField(calldataload(add(_pubSignals, 832)))
+            
+
+            // Validate all evaluations
+            let isValid := checkPairing(_pA, _pB, _pC, _pubSignals, pMem)
+
+            mstore(0, isValid)
+             return(0, 0x20)
+         }
+     }
+ }
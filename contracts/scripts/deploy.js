@@ -7,6 +7,9 @@ const path = require("path");
 async function main() {
   console.log("Deploying contracts with the account:", (await ethers.getSigners())[0].address);
 
+  // First block the backend indexer has to scan
+  const blockNumber = await ethers.provider.getBlockNumber();
+
   // Deploy IssuerRegistry
   const IssuerRegistry = await ethers.getContractFactory("IssuerRegistry");
   const issuerRegistry = await IssuerRegistry.deploy();
@@ -31,6 +34,25 @@ async function main() {
   const soulboundNFTAddress = await soulboundNFT.getAddress();
   console.log("SoulboundNFT deployed to:", soulboundNFTAddress);
 
+  // Deploy the SoulboundNFT implementation cloned by CertificateFactory
+  const soulboundNFTImplementation = await SoulboundNFT.deploy(
+    "Certificate NFT Implementation",
+    "CERT",
+    merkleRoot,
+    issuerRegistryAddress,
+    ""
+  );
+  await soulboundNFTImplementation.waitForDeployment();
+  const soulboundNFTImplementationAddress = await soulboundNFTImplementation.getAddress();
+  console.log("SoulboundNFT implementation deployed to:", soulboundNFTImplementationAddress);
+
+  // Deploy CertificateFactory
+  const CertificateFactory = await ethers.getContractFactory("CertificateFactory");
+  const certificateFactory = await CertificateFactory.deploy(soulboundNFTImplementationAddress, issuerRegistryAddress);
+  await certificateFactory.waitForDeployment();
+  const certificateFactoryAddress = await certificateFactory.getAddress();
+  console.log("CertificateFactory deployed to:", certificateFactoryAddress);
+
   // Deploy ZKVerifier
   const ZKVerifier = await ethers.getContractFactory("ZKVerifier");
   const zkVerifier = await ZKVerifier.deploy();
@@ -38,12 +60,93 @@ async function main() {
   const zkVerifierAddress = await zkVerifier.getAddress();
   console.log("ZKVerifier deployed to:", zkVerifierAddress);
 
+  // Deploy the holder membership verifier and register it as a membership circuit
+  const MembershipVerifier = await ethers.getContractFactory("MembershipVerifier");
+  const membershipVerifier = await MembershipVerifier.deploy();
+  await membershipVerifier.waitForDeployment();
+  const membershipVerifierAddress = await membershipVerifier.getAddress();
+  const membershipCircuit = [
+    "Holder Membership",
+    "Holds a certificate of a collection from an issuer of at least minTier",
+    membershipVerifierAddress,
+    0, // ProofSystem.GROTH16
+    5
+  ];
+  const membershipCircuitId = await zkVerifier.registerCircuit.staticCall(...membershipCircuit);
+  await (await zkVerifier.registerCircuit(...membershipCircuit)).wait();
+  await (await zkVerifier.setCircuitKind(membershipCircuitId, 1)).wait(); // CircuitKind.MEMBERSHIP
+  console.log("MembershipVerifier deployed to:", membershipVerifierAddress, "(circuit", membershipCircuitId.toString() + ")");
+
+  // Deploy the attribute disclosure verifier and register it as a disclosure circuit
+  const DisclosureVerifier = await ethers.getContractFactory("DisclosureVerifier");
+  const disclosureVerifier = await DisclosureVerifier.deploy();
+  await disclosureVerifier.waitForDeployment();
+  const disclosureVerifierAddress = await disclosureVerifier.getAddress();
+  const disclosureCircuit = [
+    "Attribute Disclosure",
+    "Discloses chosen certificate attributes and proves range predicates on others",
+    disclosureVerifierAddress,
+    0, // ProofSystem.GROTH16
+    27
+  ];
+  const disclosureCircuitId = await zkVerifier.registerCircuit.staticCall(...disclosureCircuit);
+  await (await zkVerifier.registerCircuit(...disclosureCircuit)).wait();
+  await (await zkVerifier.setCircuitKind(disclosureCircuitId, 2)).wait(); // CircuitKind.DISCLOSURE
+  console.log("DisclosureVerifier deployed to:", disclosureVerifierAddress, "(circuit", disclosureCircuitId.toString() + ")");
+
+  // Deploy the AdminCouncil and hand it the sensitive roles
+  const [deployer] = await ethers.getSigners();
+  const isLocal = ["hardhat", "localhost"].includes(hre.network.name);
+  const councilReviewers = process.env.COUNCIL_REVIEWERS
+    ? process.env.COUNCIL_REVIEWERS.split(",").map((address) => address.trim())
+    : [deployer.address];
+  const councilThreshold = Number(process.env.COUNCIL_THRESHOLD || 1);
+  const councilMinDelay = Number(process.env.COUNCIL_MIN_DELAY || (isLocal ? 0 : 2 * 24 * 60 * 60));
+  const AdminCouncil = await ethers.getContractFactory("AdminCouncil");
+  const adminCouncil = await AdminCouncil.deploy(councilReviewers, councilThreshold, councilMinDelay);
+  await adminCouncil.waitForDeployment();
+  const adminCouncilAddress = await adminCouncil.getAddress();
+  console.log("AdminCouncil deployed to:", adminCouncilAddress, `(${councilThreshold} of ${councilReviewers.length}, ${councilMinDelay}s delay)`);
+
+  const DEFAULT_ADMIN_ROLE = await issuerRegistry.DEFAULT_ADMIN_ROLE();
+  const REGISTRAR_ROLE = await issuerRegistry.REGISTRAR_ROLE();
+  const CIRCUIT_ADMIN_ROLE = await zkVerifier.CIRCUIT_ADMIN_ROLE();
+  for (const [contract, role] of [
+    [issuerRegistry, REGISTRAR_ROLE],
+    [issuerRegistry, DEFAULT_ADMIN_ROLE],
+    [zkVerifier, CIRCUIT_ADMIN_ROLE],
+    [zkVerifier, DEFAULT_ADMIN_ROLE]
+  ]) {
+    await (await contract.grantRole(role, adminCouncilAddress)).wait();
+  }
+
+  // Outside local networks the deployer keeps only the operational roles (pauser, reviewer, root publisher)
+  if (!isLocal) {
+    for (const [contract, role] of [
+      [issuerRegistry, REGISTRAR_ROLE],
+      [zkVerifier, CIRCUIT_ADMIN_ROLE],
+      [issuerRegistry, DEFAULT_ADMIN_ROLE],
+      [zkVerifier, DEFAULT_ADMIN_ROLE]
+    ]) {
+      await (await contract.renounceRole(role, deployer.address)).wait();
+    }
+    console.log("Deployer renounced the registrar, circuit admin and default admin roles");
+  }
+
   // Write contract addresses to a file
   const deploymentInfo = {
     network: hre.network.name,
     issuerRegistry: issuerRegistryAddress,
     soulboundNFT: soulboundNFTAddress,
+    soulboundNFTImplementation: soulboundNFTImplementationAddress,
+    certificateFactory: certificateFactoryAddress,
     zkVerifier: zkVerifierAddress,
+    membershipVerifier: membershipVerifierAddress,
+    membershipCircuitId: Number(membershipCircuitId),
+    disclosureVerifier: disclosureVerifierAddress,
+    disclosureCircuitId: Number(disclosureCircuitId),
+    adminCouncil: adminCouncilAddress,
+    blockNumber,
     timestamp: new Date().toISOString()
   };
 
@@ -1,6 +1,5 @@
-const { MerkleTree } = require('merkletreejs');
-const keccak256 = require('keccak256');
-const { ethers } = require('ethers');
+const fs = require('fs');
+const merkle = require('../../backend/src/services/merkle');
 
 /**
  * Generate a Merkle Tree from a list of Ethereum addresses
@@ -8,14 +7,8 @@ const { ethers } = require('ethers');
  * @returns {object} Merkle Tree and root
  */
 function generateMerkleTree(addresses) {
-  // Convert addresses to leaves
-  const leaves = addresses.map(addr => 
-    // Hash each address with keccak256
-    keccak256(ethers.utils.defaultAbiCoder.encode(['address'], [addr]))
-  );
-
-  // Create Merkle Tree
-  const tree = new MerkleTree(leaves, keccak256, { sortPairs: true });
+  // Leaves are hashed by the module the backend and the contract tests share
+  const tree = merkle.buildTree(addresses.map((address) => ({ address })));
   const root = tree.getHexRoot();
 
   return { tree, root };
@@ -28,8 +21,7 @@ function generateMerkleTree(addresses) {
  * @returns {string[]} Merkle proof for the address
  */
 function generateProof(tree, address) {
-  const leaf = keccak256(ethers.utils.defaultAbiCoder.encode(['address'], [address]));
-  return tree.getHexProof(leaf);
+  return merkle.getProof(tree, { address });
 }
 
 /**
@@ -40,8 +32,41 @@ function generateProof(tree, address) {
  * @returns {boolean} True if proof is valid
  */
 function verifyProof(root, proof, address) {
-  const leaf = keccak256(ethers.utils.defaultAbiCoder.encode(['address'], [address]));
-  return MerkleTree.verify(proof, leaf, root, keccak256, { sortPairs: true });
+  return merkle.verifyProof(root, proof, { address });
+}
+
+/**
+ * Write the tree dump of a recipients file: a JSON array of addresses or of { address, credentialId }
+ * @param {string} input - recipients file
+ * @param {string} [output] - dump file, printed when omitted
+ */
+function build(input, output) {
+  const entries = JSON.parse(fs.readFileSync(input, 'utf8'));
+  const recipients = entries.map((entry) => (typeof entry === 'string' ? { address: entry } : entry));
+  const dump = merkle.dumpTree(recipients);
+
+  if (output) {
+    fs.writeFileSync(output, JSON.stringify(dump, null, 2));
+    console.log(`Merkle Root: ${dump.root} (${recipients.length} leaves) written to ${output}`);
+  } else {
+    console.log(JSON.stringify(dump, null, 2));
+  }
+}
+
+/**
+ * Check a tree dump, and that it rebuilds to the root a collection will be deployed with
+ * @param {string} input - dump file
+ * @param {string} [expectedRoot]
+ * @returns {boolean} True if the dump is valid
+ */
+function verify(input, expectedRoot) {
+  const { valid, root, errors } = merkle.checkTree(JSON.parse(fs.readFileSync(input, 'utf8')), expectedRoot);
+  if (valid) {
+    console.log(`Tree is valid, Merkle Root: ${root}`);
+  } else {
+    errors.forEach((error) => console.error(error));
+  }
+  return valid;
 }
 
 // Example usage
@@ -55,7 +80,7 @@ function example() {
   ];
 
   console.log('Generating Merkle tree for addresses:', addresses);
-  
+
   // Generate Merkle Tree
   const { tree, root } = generateMerkleTree(addresses);
   console.log('Merkle Root:', root);
@@ -80,10 +105,22 @@ module.exports = {
   generateMerkleTree,
   generateProof,
   verifyProof,
+  build,
+  verify,
   example
 };
 
-// Run example if this script is executed directly
+// Run directly:
+//   node scripts/merkle-tree.js build recipients.json [tree.json]
+//   node scripts/merkle-tree.js verify tree.json [expectedRoot]
+//   node scripts/merkle-tree.js (runs the example)
 if (require.main === module) {
-  example();
-} 
\ No newline at end of file
+  const [command, ...args] = process.argv.slice(2);
+  if (command === 'build') {
+    build(...args);
+  } else if (command === 'verify') {
+    process.exitCode = verify(...args) ? 0 : 1;
+  } else {
+    example();
+  }
+}
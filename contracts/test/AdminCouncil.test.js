@@ -0,0 +1,214 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("AdminCouncil", function () {
+  const DAY = 24 * 60 * 60;
+
+  let council;
+  let issuerRegistry;
+  let zkVerifier;
+  let owner;
+  let reviewer1;
+  let reviewer2;
+  let reviewer3;
+  let issuer;
+  let outsider;
+  let snapshot;
+
+  // Later suites sign deadlines from the wall clock; undo the time travel of the timelock tests
+  before(async function () {
+    snapshot = await network.provider.send("evm_snapshot");
+  });
+
+  after(async function () {
+    await network.provider.send("evm_revert", [snapshot]);
+  });
+
+  // Helper function to propose a call and return the proposal ID
+  async function propose(signer, target, data, description = "") {
+    const tx = await council.connect(signer).propose(await target.getAddress(), data, description);
+    const receipt = await tx.wait();
+    const event = receipt.logs
+      .map((log) => council.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "ProposalCreated");
+    return event.args.proposalId;
+  }
+
+  // Helper function to sign a proposal approval with a reviewer wallet
+  async function signApproval(signer, proposalId) {
+    const domain = {
+      name: "DecentraCert AdminCouncil",
+      version: "1",
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: await council.getAddress()
+    };
+    return signer.signTypedData(domain, { ProposalApproval: [{ name: "proposalId", type: "uint256" }] }, { proposalId });
+  }
+
+  beforeEach(async function () {
+    [owner, reviewer1, reviewer2, reviewer3, issuer, outsider] = await ethers.getSigners();
+
+    const AdminCouncil = await ethers.getContractFactory("AdminCouncil");
+    council = await AdminCouncil.deploy([reviewer1.address, reviewer2.address, reviewer3.address], 2, DAY);
+    await council.waitForDeployment();
+
+    // Hand the sensitive roles to the council and take them from the deployer
+    issuerRegistry = await (await ethers.getContractFactory("IssuerRegistry")).deploy();
+    zkVerifier = await (await ethers.getContractFactory("ZKVerifier")).deploy();
+    await issuerRegistry.grantRole(await issuerRegistry.REGISTRAR_ROLE(), await council.getAddress());
+    await issuerRegistry.renounceRole(await issuerRegistry.REGISTRAR_ROLE(), owner.address);
+    await zkVerifier.grantRole(await zkVerifier.CIRCUIT_ADMIN_ROLE(), await council.getAddress());
+    await zkVerifier.renounceRole(await zkVerifier.CIRCUIT_ADMIN_ROLE(), owner.address);
+  });
+
+  describe("Deployment", function () {
+    it("Should reject a threshold above the number of reviewers", async function () {
+      const AdminCouncil = await ethers.getContractFactory("AdminCouncil");
+      await expect(AdminCouncil.deploy([reviewer1.address], 2, DAY))
+        .to.be.revertedWith("AdminCouncil: Invalid threshold");
+    });
+  });
+
+  describe("Proposals", function () {
+    it("Should execute a manual verification after enough approvals and the delay", async function () {
+      const data = issuerRegistry.interface.encodeFunctionData("manualVerifyIssuer", [issuer.address, "Test Issuer Organization"]);
+      const proposalId = await propose(reviewer1, issuerRegistry, data, "Vetted by phone call");
+
+      await expect(council.execute(proposalId)).to.be.revertedWith("AdminCouncil: Proposal is not approved");
+
+      await expect(council.connect(reviewer2).approve(proposalId))
+        .to.emit(council, "ProposalQueued");
+      await expect(council.execute(proposalId)).to.be.revertedWith("AdminCouncil: Proposal is still timelocked");
+
+      await time.increase(DAY);
+      await expect(council.connect(outsider).execute(proposalId))
+        .to.emit(council, "ProposalExecuted")
+        .withArgs(proposalId);
+      expect(await issuerRegistry.isVerifiedIssuer(issuer.address)).to.be.true;
+      expect((await council.getProposal(proposalId)).executed).to.be.true;
+    });
+
+    it("Should keep a single key from deactivating issuers or circuits", async function () {
+      await expect(issuerRegistry.deactivateIssuer(issuer.address))
+        .to.be.revertedWith("IssuerRegistry: Caller is not a registrar");
+      await expect(zkVerifier.deactivateCircuit(1))
+        .to.be.revertedWith("ZKVerifier: Caller is not a circuit admin");
+    });
+
+    it("Should only let reviewers propose and approve", async function () {
+      const data = issuerRegistry.interface.encodeFunctionData("deactivateIssuer", [issuer.address]);
+      await expect(council.connect(outsider).propose(await issuerRegistry.getAddress(), data, ""))
+        .to.be.revertedWith("AdminCouncil: Caller is not a reviewer");
+
+      const proposalId = await propose(reviewer1, issuerRegistry, data);
+      await expect(council.connect(outsider).approve(proposalId))
+        .to.be.revertedWith("AdminCouncil: Caller is not a reviewer");
+      await expect(council.connect(reviewer1).approve(proposalId))
+        .to.be.revertedWith("AdminCouncil: Already approved");
+    });
+
+    it("Should accept approvals signed by reviewers", async function () {
+      const data = issuerRegistry.interface.encodeFunctionData("manualVerifyIssuer", [issuer.address, "Test Issuer Organization"]);
+      const proposalId = await propose(reviewer1, issuerRegistry, data);
+
+      await expect(council.approveBySig(proposalId, outsider.address, await signApproval(outsider, proposalId)))
+        .to.be.revertedWith("AdminCouncil: Approver is not a reviewer");
+      await expect(council.approveBySig(proposalId, reviewer2.address, await signApproval(reviewer3, proposalId)))
+        .to.be.revertedWith("AdminCouncil: Invalid approver signature");
+
+      await council.connect(outsider).approveBySig(proposalId, reviewer2.address, await signApproval(reviewer2, proposalId));
+      expect(await council.hasApproved(proposalId, reviewer2.address)).to.be.true;
+      expect((await council.getProposal(proposalId)).approvals).to.equal(2);
+    });
+
+    it("Should bubble up reverts of the target and leave the proposal pending", async function () {
+      // The issuer was never verified, so deactivating it reverts
+      const data = issuerRegistry.interface.encodeFunctionData("deactivateIssuer", [issuer.address]);
+      const proposalId = await propose(reviewer1, issuerRegistry, data);
+      await council.connect(reviewer2).approve(proposalId);
+      await time.increase(DAY);
+
+      await expect(council.execute(proposalId)).to.be.revertedWith("IssuerRegistry: Not a registered issuer");
+      expect((await council.getProposal(proposalId)).executed).to.be.false;
+    });
+
+    it("Should let the proposer cancel a pending proposal", async function () {
+      const data = issuerRegistry.interface.encodeFunctionData("manualVerifyIssuer", [issuer.address, "Test Issuer Organization"]);
+      const proposalId = await propose(reviewer1, issuerRegistry, data);
+
+      await expect(council.connect(reviewer2).cancel(proposalId))
+        .to.be.revertedWith("AdminCouncil: Caller cannot cancel this proposal");
+      await expect(council.connect(reviewer1).cancel(proposalId))
+        .to.emit(council, "ProposalCancelled");
+      await expect(council.connect(reviewer2).approve(proposalId))
+        .to.be.revertedWith("AdminCouncil: Proposal is not pending");
+    });
+  });
+
+  describe("Self-Governance", function () {
+    it("Should only change its settings through its own proposals", async function () {
+      await expect(council.connect(reviewer1).setThreshold(3))
+        .to.be.revertedWith("AdminCouncil: Caller is not the council");
+
+      const data = council.interface.encodeFunctionData("setThreshold", [3]);
+      const proposalId = await propose(reviewer1, council, data);
+      await council.connect(reviewer2).approve(proposalId);
+      await time.increase(DAY);
+
+      await expect(council.execute(proposalId))
+        .to.emit(council, "ThresholdUpdated")
+        .withArgs(2, 3);
+      expect(await council.threshold()).to.equal(3);
+    });
+
+    it("Should stop counting approvals of removed reviewers", async function () {
+      const data = issuerRegistry.interface.encodeFunctionData("manualVerifyIssuer", [issuer.address, "Test Issuer Organization"]);
+      const proposalId = await propose(reviewer1, issuerRegistry, data);
+      await council.connect(reviewer2).approve(proposalId);
+
+      const removal = await propose(
+        reviewer1,
+        council,
+        council.interface.encodeFunctionData("revokeRole", [await council.REVIEWER_ROLE(), reviewer2.address])
+      );
+      await council.connect(reviewer3).approve(removal);
+      await time.increase(DAY);
+      await council.execute(removal);
+
+      expect((await council.getProposal(proposalId)).approvals).to.equal(1);
+      expect(await council.hasApproved(proposalId, reviewer2.address)).to.be.false;
+      await expect(council.execute(proposalId)).to.be.revertedWith("AdminCouncil: Proposal is not approved");
+
+      await council.connect(reviewer3).approve(proposalId);
+      await expect(council.execute(proposalId)).to.emit(council, "ProposalExecuted");
+    });
+
+    it("Should reject a threshold above the number of reviewers", async function () {
+      const data = council.interface.encodeFunctionData("setThreshold", [4]);
+      const proposalId = await propose(reviewer1, council, data);
+      await council.connect(reviewer2).approve(proposalId);
+      await time.increase(DAY);
+
+      await expect(council.execute(proposalId)).to.be.revertedWith("AdminCouncil: Invalid threshold");
+    });
+
+    it("Should keep at least as many reviewers as the threshold", async function () {
+      const reviewerRole = await council.REVIEWER_ROLE();
+      const removal = await propose(reviewer1, council, council.interface.encodeFunctionData("revokeRole", [reviewerRole, reviewer3.address]));
+      await council.connect(reviewer2).approve(removal);
+      await time.increase(DAY);
+      await council.execute(removal);
+      expect(await council.getRoleMemberCount(reviewerRole)).to.equal(2);
+
+      // Two reviewers left for a threshold of two: neither can be removed nor leave
+      const next = await propose(reviewer1, council, council.interface.encodeFunctionData("revokeRole", [reviewerRole, reviewer2.address]));
+      await council.connect(reviewer2).approve(next);
+      await time.increase(DAY);
+      await expect(council.execute(next)).to.be.revertedWith("AdminCouncil: Too few reviewers for the threshold");
+      await expect(council.connect(reviewer2).renounceRole(reviewerRole, reviewer2.address))
+        .to.be.revertedWith("AdminCouncil: Too few reviewers for the threshold");
+      expect(await council.hasRole(reviewerRole, reviewer2.address)).to.be.true;
+    });
+  });
+});
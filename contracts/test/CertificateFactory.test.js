@@ -0,0 +1,151 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { MerkleTree } = require('merkletreejs');
+const keccak256 = require('keccak256');
+const { leafHash } = require('../../backend/src/services/merkle');
+
+describe("CertificateFactory", function () {
+  let issuerRegistry;
+  let implementation;
+  let certificateFactory;
+  let owner;
+  let issuer;
+  let otherIssuer;
+  let recipient;
+  let nonVerified;
+  let merkleRoot;
+  let proof;
+
+  // Helper function to create a leaf from an address
+  function createLeaf(address) {
+    return Buffer.from(
+      leafHash({ address }).slice(2),
+      'hex'
+    );
+  }
+
+  // Helper function to create a collection and return its SoulboundNFT instance
+  async function createCollection(signer, name, symbol) {
+    const tx = await certificateFactory.connect(signer).createCollection(name, symbol, merkleRoot, "ipfs://collection/");
+    const receipt = await tx.wait();
+    const event = receipt.logs
+      .map((log) => certificateFactory.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "CollectionCreated");
+    return ethers.getContractAt("SoulboundNFT", event.args.collection);
+  }
+
+  beforeEach(async function () {
+    [owner, issuer, otherIssuer, recipient, nonVerified] = await ethers.getSigners();
+
+    const leaves = [recipient.address].map(addr => createLeaf(addr));
+    const merkleTree = new MerkleTree(leaves, keccak256, { sortPairs: true });
+    merkleRoot = merkleTree.getHexRoot();
+    proof = merkleTree.getHexProof(createLeaf(recipient.address));
+
+    // Deploy IssuerRegistry and verify two issuers
+    const IssuerRegistry = await ethers.getContractFactory("IssuerRegistry");
+    issuerRegistry = await IssuerRegistry.deploy();
+    await issuerRegistry.waitForDeployment();
+    await issuerRegistry.manualVerifyIssuer(issuer.address, "Test Issuer Organization");
+    await issuerRegistry.manualVerifyIssuer(otherIssuer.address, "Other Issuer Organization");
+
+    // Deploy the SoulboundNFT implementation the clones delegate to
+    const SoulboundNFT = await ethers.getContractFactory("SoulboundNFT");
+    implementation = await SoulboundNFT.deploy(
+      "Certificate Implementation",
+      "CERT",
+      ethers.ZeroHash,
+      await issuerRegistry.getAddress(),
+      ""
+    );
+    await implementation.waitForDeployment();
+
+    // Deploy CertificateFactory
+    const CertificateFactory = await ethers.getContractFactory("CertificateFactory");
+    certificateFactory = await CertificateFactory.deploy(
+      await implementation.getAddress(),
+      await issuerRegistry.getAddress()
+    );
+    await certificateFactory.waitForDeployment();
+  });
+
+  describe("Collection Creation", function () {
+    it("Should let a verified issuer create a collection it owns", async function () {
+      const collection = await createCollection(issuer, "Data Science Track", "DST");
+
+      expect(await collection.owner()).to.equal(issuer.address);
+      expect(await collection.name()).to.equal("Data Science Track");
+      expect(await collection.symbol()).to.equal("DST");
+      expect(await collection.getMerkleRoot()).to.equal(merkleRoot);
+      expect(await certificateFactory.issuerOfCollection(await collection.getAddress())).to.equal(issuer.address);
+    });
+
+    it("Should emit CollectionCreated", async function () {
+      await expect(
+        certificateFactory.connect(issuer).createCollection("Data Science Track", "DST", merkleRoot, "")
+      ).to.emit(certificateFactory, "CollectionCreated");
+    });
+
+    it("Should prevent non-verified issuers from creating collections", async function () {
+      await expect(
+        certificateFactory.connect(nonVerified).createCollection("Fake Track", "FAKE", merkleRoot, "")
+      ).to.be.revertedWith("CertificateFactory: Caller is not a verified issuer");
+    });
+
+    it("Should prevent deactivated issuers from creating collections", async function () {
+      await issuerRegistry.deactivateIssuer(issuer.address);
+      await expect(
+        certificateFactory.connect(issuer).createCollection("Data Science Track", "DST", merkleRoot, "")
+      ).to.be.revertedWith("CertificateFactory: Caller is not a verified issuer");
+    });
+
+    it("Should mint certificates through a cloned collection", async function () {
+      const collection = await createCollection(issuer, "Data Science Track", "DST");
+
+      await collection.connect(issuer).mintCertificate(recipient.address, proof);
+
+      expect(await collection.ownerOf(1)).to.equal(recipient.address);
+      expect(await collection.tokenURI(1)).to.equal("ipfs://collection/1");
+    });
+
+    it("Should keep each clone's owner-only settings to its issuer", async function () {
+      const collection = await createCollection(issuer, "Data Science Track", "DST");
+
+      await expect(
+        collection.connect(otherIssuer).setMerkleRoot(ethers.ZeroHash)
+      ).to.be.revertedWithCustomError(collection, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should prevent re-initializing a clone or the implementation", async function () {
+      const collection = await createCollection(issuer, "Data Science Track", "DST");
+      const registryAddress = await issuerRegistry.getAddress();
+
+      await expect(
+        collection.initialize("Hijack", "HJK", ethers.ZeroHash, registryAddress, "", nonVerified.address)
+      ).to.be.revertedWithCustomError(collection, "InvalidInitialization");
+      await expect(
+        implementation.initialize("Hijack", "HJK", ethers.ZeroHash, registryAddress, "", nonVerified.address)
+      ).to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+    });
+  });
+
+  describe("Collection Registry", function () {
+    it("Should list collections per issuer", async function () {
+      const first = await createCollection(issuer, "Level 1", "L1");
+      const second = await createCollection(issuer, "Level 2", "L2");
+      const other = await createCollection(otherIssuer, "Workshop", "WS");
+
+      expect(await certificateFactory.getCollectionsByIssuer(issuer.address)).to.deep.equal([
+        await first.getAddress(),
+        await second.getAddress()
+      ]);
+      expect(await certificateFactory.getCollectionCount(otherIssuer.address)).to.equal(1);
+      expect(await certificateFactory.totalCollections()).to.equal(3);
+      expect(await certificateFactory.collectionByIndex(2)).to.equal(await other.getAddress());
+    });
+
+    it("Should return address(0) for collections it did not create", async function () {
+      expect(await certificateFactory.issuerOfCollection(await implementation.getAddress())).to.equal(ethers.ZeroAddress);
+    });
+  });
+});
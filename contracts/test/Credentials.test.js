@@ -0,0 +1,209 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { MerkleTree } = require('merkletreejs');
+const keccak256 = require('keccak256');
+const { leafHash } = require("../../backend/src/services/merkle");
+const { setContracts } = require("../../backend/src/services/contracts");
+const { setStoreFactory, createMemoryStore } = require("../../backend/src/services/storage");
+const {
+  credentialTypedData,
+  exportCredential,
+  attachIssuerProof,
+  toJwtCredential,
+  decodeJwtCredential,
+  verifyCredential
+} = require("../../backend/src/services/credentials");
+
+// Exercises the backend verifiable credential export and verification against contracts on the Hardhat network
+describe("Verifiable Credentials", function () {
+  let issuerRegistry;
+  let certificateFactory;
+  let implementation;
+  let collection;
+  let owner;
+  let recipient;
+  let outsider;
+  let issuer;
+  let snapshot;
+
+  const tokenId = 1;
+
+  // The key rotation test moves the chain clock; undo it for later suites
+  before(async function () {
+    snapshot = await network.provider.send("evm_snapshot");
+  });
+
+  after(async function () {
+    await network.provider.send("evm_revert", [snapshot]);
+    setContracts(null);
+    setStoreFactory(null);
+  });
+
+  function createLeaf(address) {
+    return Buffer.from(leafHash({ address }).slice(2), "hex");
+  }
+
+  // Helper function to point the backend at the deployment, signing with the given wallet
+  function useSigner(signer) {
+    setContracts({
+      provider: ethers.provider,
+      signer,
+      issuerRegistry,
+      soulboundNFT: implementation,
+      certificateFactory
+    });
+  }
+
+  // Helper function to re-encode the payload of a JWT while keeping its signature
+  function tamperJwt(jwt, change) {
+    const [header, payload, signature] = jwt.split(".");
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+    change(claims);
+    return `${header}.${Buffer.from(JSON.stringify(claims)).toString("base64url")}.${signature}`;
+  }
+
+  beforeEach(async function () {
+    [owner, recipient, outsider] = await ethers.getSigners();
+    setStoreFactory(() => createMemoryStore());
+
+    // JWT-VCs are signed with the raw key, so the issuer is a wallet rather than a Hardhat account
+    issuer = ethers.Wallet.createRandom().connect(ethers.provider);
+    await owner.sendTransaction({ to: issuer.address, value: ethers.parseEther("10") });
+
+    issuerRegistry = await (await ethers.getContractFactory("IssuerRegistry")).deploy();
+    const SoulboundNFT = await ethers.getContractFactory("SoulboundNFT");
+    implementation = await SoulboundNFT.deploy("Certificate Implementation", "CERT", ethers.ZeroHash, await issuerRegistry.getAddress(), "");
+    certificateFactory = await (await ethers.getContractFactory("CertificateFactory")).deploy(
+      await implementation.getAddress(),
+      await issuerRegistry.getAddress()
+    );
+    await issuerRegistry.manualVerifyIssuer(issuer.address, "Tech Academy");
+
+    const merkleTree = new MerkleTree([createLeaf(recipient.address)], keccak256, { sortPairs: true });
+    const tx = await certificateFactory.connect(issuer).createCollection("Data Science Track", "DST", merkleTree.getHexRoot(), "");
+    const event = (await tx.wait()).logs
+      .map((log) => certificateFactory.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "CollectionCreated");
+    collection = await ethers.getContractAt("SoulboundNFT", event.args.collection);
+    await collection.connect(issuer).mintCertificate(recipient.address, merkleTree.getHexProof(createLeaf(recipient.address)));
+
+    // The backend wallet is the issuer, so credentials are signed on export
+    useSigner(issuer);
+  });
+
+  it("Should export a JSON-LD credential that verifies against the chain", async function () {
+    const { credential } = await exportCredential(await collection.getAddress(), tokenId);
+    expect(credential.credentialSubject.id).to.equal(`did:pkh:eip155:1337:${recipient.address}`);
+    expect(credential.issuer).to.include({ id: `did:pkh:eip155:1337:${issuer.address}`, name: "Tech Academy", tier: "Manual" });
+
+    const result = await verifyCredential(credential);
+    expect(result).to.include({ valid: true, format: "jsonld", signer: issuer.address });
+    expect(result.checks).to.deep.equal({
+      signature: true,
+      chain: true,
+      issued: true,
+      issuer: true,
+      holder: true,
+      issuanceDate: true,
+      expirationDate: true,
+      status: true,
+      issuerActive: true
+    });
+
+    // Exporting again serves the stored credential
+    expect((await exportCredential(await collection.getAddress(), tokenId)).credential).to.deep.equal(credential);
+  });
+
+  it("Should export a JWT-VC that verifies against the chain", async function () {
+    const { credential } = await exportCredential(await collection.getAddress(), tokenId);
+    const jwt = await toJwtCredential(credential);
+
+    const decoded = decodeJwtCredential(jwt);
+    expect(decoded.signer).to.equal(issuer.address);
+    expect(decoded.claims).to.include({ iss: credential.issuer.id, sub: credential.credentialSubject.id, jti: credential.id });
+    expect(decoded.credential).to.not.have.property("proof");
+
+    const result = await verifyCredential(jwt);
+    expect(result).to.include({ valid: true, format: "jwt", signer: issuer.address });
+    expect(Object.values(result.checks).every(Boolean)).to.be.true;
+  });
+
+  it("Should reject a credential with a tampered field", async function () {
+    const { credential } = await exportCredential(await collection.getAddress(), tokenId);
+    const tampered = JSON.parse(JSON.stringify(credential));
+    tampered.credentialSubject.certificate.collection = "Data Science Masters";
+
+    const result = await verifyCredential(tampered);
+    expect(result.valid).to.be.false;
+    expect(result.checks.signature).to.be.false;
+
+    const jwt = tamperJwt(await toJwtCredential(credential), (claims) => {
+      claims.vc.credentialSubject.certificate.collection = "Data Science Masters";
+    });
+    const jwtResult = await verifyCredential(jwt);
+    expect(jwtResult.valid).to.be.false;
+    expect(jwtResult.checks.signature).to.be.false;
+  });
+
+  it("Should reject a credential signed by another wallet", async function () {
+    // Without the issuer key the backend only hands out the draft to sign
+    useSigner(outsider);
+    const { credential, draft, typedData } = await exportCredential(await collection.getAddress(), tokenId);
+    expect(credential).to.be.null;
+    expect(typedData).to.deep.equal(credentialTypedData(draft));
+    await expect(toJwtCredential(draft))
+      .to.be.rejectedWith("JWT-VCs can only be signed when the backend wallet is the issuer");
+
+    const forged = await outsider.signTypedData(typedData.domain, typedData.types, typedData.message);
+    await expect(attachIssuerProof(await collection.getAddress(), tokenId, forged))
+      .to.be.rejectedWith("Signature is not from the certificate issuer");
+
+    // The issuer's own wallet signs the draft instead
+    const signature = await issuer.signTypedData(typedData.domain, typedData.types, typedData.message);
+    const signed = await attachIssuerProof(await collection.getAddress(), tokenId, signature);
+    expect((await verifyCredential(signed)).valid).to.be.true;
+
+    const result = await verifyCredential({ ...signed, proof: { ...signed.proof, proofValue: forged } });
+    expect(result.valid).to.be.false;
+    expect(result.signer).to.equal(outsider.address);
+    expect(result.checks.signature).to.be.false;
+  });
+
+  it("Should report a revoked certificate", async function () {
+    const { credential } = await exportCredential(await collection.getAddress(), tokenId);
+    const jwt = await toJwtCredential(credential);
+    await collection.connect(issuer).revokeCertificate(tokenId, 1);
+
+    for (const input of [credential, jwt]) {
+      const result = await verifyCredential(input);
+      expect(result.valid).to.be.false;
+      expect(result.checks).to.include({ signature: true, issued: true, status: false, issuerActive: true });
+    }
+  });
+
+  it("Should keep verifying credentials after the issuer rotates its key", async function () {
+    const { credential } = await exportCredential(await collection.getAddress(), tokenId);
+    const jwt = await toJwtCredential(credential);
+
+    // The old key is deactivated and linked to the new one, which now holds the issuer identity
+    const newKey = ethers.Wallet.createRandom().connect(ethers.provider);
+    await owner.sendTransaction({ to: newKey.address, value: ethers.parseEther("1") });
+    await issuerRegistry.connect(issuer).initiateKeyRotation(newKey.address);
+    await time.increase(await issuerRegistry.ROTATION_DELAY());
+    await issuerRegistry.connect(newKey).completeKeyRotation(issuer.address);
+    expect(await issuerRegistry.isVerifiedIssuer(issuer.address)).to.be.false;
+
+    for (const input of [credential, jwt]) {
+      const result = await verifyCredential(input);
+      expect(result.valid).to.be.true;
+      expect(result.checks).to.include({ signature: true, issuer: true, issuerActive: true });
+    }
+
+    // Deactivating the identity through its current key reaches credentials signed by the old one
+    await issuerRegistry.deactivateIssuer(newKey.address);
+    const result = await verifyCredential(credential);
+    expect(result.valid).to.be.false;
+    expect(result.checks).to.include({ signature: true, issuerActive: false });
+  });
+});
@@ -0,0 +1,229 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { MerkleTree } = require('merkletreejs');
+const keccak256 = require('keccak256');
+const { leafHash } = require("../../backend/src/services/merkle");
+const { createIndexer } = require("../../backend/src/services/indexer");
+const { createMemoryStore } = require("../../backend/src/services/storage");
+
+// Exercises the backend event indexer against the Hardhat node
+describe("Indexer", function () {
+  const DAY = 24 * 60 * 60;
+
+  let issuerRegistry;
+  let certificateFactory;
+  let zkVerifier;
+  let collection;
+  let owner;
+  let issuer;
+  let recipient1;
+  let recipient2;
+  let merkleTree;
+  let indexer;
+  let startBlock;
+
+  function createLeaf(address) {
+    return Buffer.from(
+      leafHash({ address }).slice(2),
+      'hex'
+    );
+  }
+
+  async function mint(recipient) {
+    const proof = merkleTree.getHexProof(createLeaf(recipient.address));
+    await collection.connect(issuer).mintCertificate(recipient.address, proof);
+  }
+
+  beforeEach(async function () {
+    [owner, issuer, recipient1, recipient2] = await ethers.getSigners();
+    startBlock = await ethers.provider.getBlockNumber();
+
+    merkleTree = new MerkleTree([recipient1, recipient2].map((r) => createLeaf(r.address)), keccak256, { sortPairs: true });
+
+    issuerRegistry = await (await ethers.getContractFactory("IssuerRegistry")).deploy();
+    await issuerRegistry.manualVerifyIssuer(issuer.address, "Test Issuer Organization");
+
+    const SoulboundNFT = await ethers.getContractFactory("SoulboundNFT");
+    const implementation = await SoulboundNFT.deploy("Certificate Implementation", "CERT", ethers.ZeroHash, await issuerRegistry.getAddress(), "");
+    certificateFactory = await (await ethers.getContractFactory("CertificateFactory")).deploy(
+      await implementation.getAddress(),
+      await issuerRegistry.getAddress()
+    );
+    zkVerifier = await (await ethers.getContractFactory("ZKVerifier")).deploy();
+
+    const tx = await certificateFactory.connect(issuer).createCollection("Data Science Track", "DST", merkleTree.getHexRoot(), "");
+    const event = (await tx.wait()).logs
+      .map((log) => certificateFactory.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "CollectionCreated");
+    collection = await ethers.getContractAt("SoulboundNFT", event.args.collection);
+
+    indexer = createIndexer({
+      provider: ethers.provider,
+      issuerRegistry,
+      zkVerifier,
+      certificateFactory,
+      collectionInterface: implementation.interface,
+      store: createMemoryStore(),
+      startBlock: startBlock + 1,
+      confirmations: 0,
+      batchSize: 5,
+    });
+  });
+
+  it("Should index issuers and their status changes", async function () {
+    await issuerRegistry.deactivateIssuer(issuer.address);
+    await indexer.sync();
+
+    const page = await indexer.listIssuers();
+    expect(page.total).to.equal(1);
+    expect(page.items[0]).to.include({ address: issuer.address, name: "Test Issuer Organization", tier: "MANUAL", isActive: false });
+    expect((await indexer.listIssuers({ active: true })).total).to.equal(0);
+  });
+
+  it("Should list a rotated issuer under its new key", async function () {
+    // Attestation deadlines of later suites come from the wall clock; undo the rotation delay afterwards
+    const snapshot = await network.provider.send("evm_snapshot");
+    try {
+      await issuerRegistry.connect(issuer).initiateKeyRotation(recipient2.address);
+      await time.increase(await issuerRegistry.ROTATION_DELAY());
+      await issuerRegistry.connect(recipient2).completeKeyRotation(issuer.address);
+      await indexer.sync();
+
+      const page = await indexer.listIssuers();
+      expect(page.total).to.equal(1);
+      expect(page.items[0]).to.include({ address: recipient2.address, name: "Test Issuer Organization", isActive: true });
+      expect(page.items[0].previousKeys).to.deep.equal([issuer.address]);
+    } finally {
+      await network.provider.send("evm_revert", [snapshot]);
+    }
+  });
+
+  it("Should follow certificates of factory collections and drop burned ones", async function () {
+    await mint(recipient1);
+    await mint(recipient2);
+    await indexer.sync();
+
+    const wallet = await indexer.getWalletCertificates(recipient1.address);
+    expect(wallet.items).to.have.length(1);
+    expect(wallet.items[0]).to.include({ collection: await collection.getAddress(), tokenId: "1", issuer: issuer.address });
+    expect((await indexer.getCollectionHolders(await collection.getAddress())).total).to.equal(2);
+
+    await collection.connect(recipient1).burn(1);
+    await indexer.sync();
+
+    expect((await indexer.getWalletCertificates(recipient1.address)).total).to.equal(0);
+    expect((await indexer.getWalletCertificates(recipient1.address, { includeBurned: true })).items[0].burned).to.be.true;
+    const holders = await indexer.getCollectionHolders(await collection.getAddress());
+    expect(holders.items).to.deep.equal([{ holder: recipient2.address, count: 1 }]);
+  });
+
+  it("Should move recovered certificates to the new wallet and link the token IDs", async function () {
+    const [, , , , newWallet] = await ethers.getSigners();
+    await mint(recipient1);
+    await collection.connect(newWallet).requestRecovery(1);
+    await collection.connect(issuer).approveRecovery(1, newWallet.address);
+    await indexer.sync();
+
+    expect((await indexer.getWalletCertificates(recipient1.address)).total).to.equal(0);
+    const wallet = await indexer.getWalletCertificates(newWallet.address);
+    expect(wallet.items[0]).to.include({ tokenId: "2", issuer: issuer.address, recoveredFrom: "1" });
+    const old = (await indexer.getWalletCertificates(recipient1.address, { includeBurned: true })).items[0];
+    expect(old).to.include({ burned: true, recoveredTo: "2" });
+  });
+
+  it("Should index proofs by circuit and their revocation", async function () {
+    const multiplier = await (await ethers.getContractFactory("MultiplierGroth16Verifier")).deploy();
+    await zkVerifier.registerCircuit("Multiplier", "Knows factors of c", await multiplier.getAddress(), 0, 1);
+
+    const proof = require("./fixtures/multiplier/groth16-proof.json");
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+    const proofData = coder.encode(
+      ["uint256[2]", "uint256[2][2]", "uint256[2]"],
+      [proof.pi_a.slice(0, 2), [[proof.pi_b[0][1], proof.pi_b[0][0]], [proof.pi_b[1][1], proof.pi_b[1][0]]], proof.pi_c.slice(0, 2)]
+    );
+    await zkVerifier.connect(recipient1).createProof(1, proofData, coder.encode(["uint256[]"], [["33"]]), DAY);
+    await zkVerifier.connect(recipient1).revokeProof(1);
+    await indexer.sync();
+
+    const page = await indexer.getCircuitProofs(1);
+    expect(page.items).to.have.length(1);
+    expect(page.items[0]).to.include({ id: "1", owner: recipient1.address, revoked: true });
+    expect((await indexer.getCircuitProofs(1, { includeRevoked: false })).total).to.equal(0);
+  });
+
+  it("Should paginate results", async function () {
+    await mint(recipient1);
+    await mint(recipient2);
+    await indexer.sync();
+
+    const page = await indexer.getCollectionHolders(await collection.getAddress(), { offset: 1, limit: 1 });
+    expect(page).to.include({ total: 2, offset: 1, limit: 1 });
+    expect(page.items).to.have.length(1);
+  });
+
+  it("Should roll back blocks dropped by a reorg", async function () {
+    await mint(recipient1);
+    await indexer.sync();
+
+    const snapshot = await network.provider.send("evm_snapshot");
+    await mint(recipient2);
+    await indexer.sync();
+    expect((await indexer.getWalletCertificates(recipient2.address)).total).to.equal(1);
+
+    // Replace the block holding the second mint with a different chain of the same length
+    await network.provider.send("evm_revert", [snapshot]);
+    await network.provider.send("hardhat_mine", ["0x2"]);
+    const result = await indexer.sync();
+
+    expect(result.rolledBackTo).to.not.be.null;
+    expect((await indexer.getWalletCertificates(recipient2.address)).total).to.equal(0);
+    expect((await indexer.getWalletCertificates(recipient1.address)).total).to.equal(1);
+    expect((await indexer.getCollectionHolders(await collection.getAddress())).total).to.equal(1);
+  });
+
+  it("Should write each block in one update and resume after a failed write", async function () {
+    await mint(recipient1);
+    await mint(recipient2);
+
+    // The store fails the write of the second mint's block once, as a crash would
+    const store = createMemoryStore();
+    const walletKey = `wallet:${recipient2.address.toLowerCase()}`;
+    let crashed = false;
+    const crashing = {
+      ...store,
+      async set() {
+        throw new Error("Blocks are written with setMany");
+      },
+      async setMany(entries) {
+        if (!crashed && entries.some(([key]) => key === walletKey)) {
+          crashed = true;
+          throw new Error("Store unavailable");
+        }
+        return store.setMany(entries);
+      },
+    };
+    indexer = createIndexer({
+      provider: ethers.provider,
+      issuerRegistry,
+      zkVerifier,
+      certificateFactory,
+      collectionInterface: collection.interface,
+      store: crashing,
+      startBlock: startBlock + 1,
+      confirmations: 0,
+      batchSize: 5,
+    });
+
+    // Nothing of the failed block was written; the state stops at the first mint
+    await expect(indexer.sync()).to.be.rejectedWith("Store unavailable");
+    expect(await store.get(walletKey)).to.be.null;
+    expect((await store.get("state")).lastBlock).to.equal((await ethers.provider.getBlockNumber()) - 1);
+
+    await indexer.sync();
+    expect((await indexer.getWalletCertificates(recipient1.address)).total).to.equal(1);
+    expect((await indexer.getWalletCertificates(recipient2.address)).total).to.equal(1);
+    const holders = await indexer.getCollectionHolders(await collection.getAddress());
+    expect(holders.items).to.have.deep.members([{ holder: recipient1.address, count: 1 }, { holder: recipient2.address, count: 1 }]);
+  });
+});
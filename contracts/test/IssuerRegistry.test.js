@@ -1,5 +1,6 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("IssuerRegistry", function () {
   let IssuerRegistry;
@@ -9,6 +10,126 @@ describe("IssuerRegistry", function () {
   let issuer2;
   let admin;
 
+  // EIP-712 types of the DNS attestation signed by an oracle
+  const attestationTypes = {
+    DomainAttestation: [
+      { name: "issuer", type: "address" },
+      { name: "domain", type: "string" },
+      { name: "challenge", type: "bytes32" },
+      { name: "deadline", type: "uint256" }
+    ]
+  };
+
+  // Helper function to have an oracle attest a DNS TXT challenge for an issuer
+  async function attest(oracle, issuerAddress, domain, overrides = {}) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const value = {
+      issuer: issuerAddress,
+      domain: domain.toLowerCase(),
+      challenge: overrides.challenge || ethers.hexlify(ethers.randomBytes(32)),
+      deadline: overrides.deadline || Math.floor(Date.now() / 1000) + 3600
+    };
+    const signature = await oracle.signTypedData(
+      {
+        name: "DecentraCert IssuerRegistry",
+        version: "1",
+        chainId,
+        verifyingContract: await issuerRegistry.getAddress()
+      },
+      attestationTypes,
+      value
+    );
+    return { challenge: value.challenge, deadline: value.deadline, signature };
+  }
+
+  // EIP-712 types of the social media post attestation signed by an oracle
+  const socialAttestationTypes = {
+    SocialAttestation: [
+      { name: "issuer", type: "address" },
+      { name: "socialMediaUrl", type: "string" },
+      { name: "handle", type: "string" },
+      { name: "challenge", type: "bytes32" },
+      { name: "deadline", type: "uint256" }
+    ]
+  };
+
+  // Helper function to have an oracle attest an issuer's social media post
+  async function attestSocial(oracle, issuerAddress, socialMediaUrl, handle = "blockchainbootcamp", overrides = {}) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const value = {
+      issuer: issuerAddress,
+      socialMediaUrl: socialMediaUrl.toLowerCase(),
+      handle,
+      challenge: overrides.challenge || ethers.hexlify(ethers.randomBytes(32)),
+      deadline: overrides.deadline || Math.floor(Date.now() / 1000) + 3600
+    };
+    const signature = await oracle.signTypedData(
+      {
+        name: "DecentraCert IssuerRegistry",
+        version: "1",
+        chainId,
+        verifyingContract: await issuerRegistry.getAddress()
+      },
+      socialAttestationTypes,
+      value
+    );
+    return { handle, challenge: value.challenge, deadline: value.deadline, signature };
+  }
+
+  // EIP-712 types of the requests an issuer wallet signs for a relayer
+  const registrationTypes = {
+    IssuerRegistration: [
+      { name: "issuerName", type: "string" },
+      { name: "domain", type: "string" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ]
+  };
+  const socialRegistrationTypes = {
+    SocialRegistration: [
+      { name: "issuerName", type: "string" },
+      { name: "socialMediaUrl", type: "string" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ]
+  };
+  const upgradeTypes = {
+    DomainUpgrade: [
+      { name: "domain", type: "string" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ]
+  };
+  const applicationTypes = {
+    ManualApplication: [
+      { name: "issuerName", type: "string" },
+      { name: "evidenceHash", type: "bytes32" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ]
+  };
+
+  // Helper function to have an issuer wallet sign a registration request
+  async function signRequest(signer, types, fields, overrides = {}) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const request = {
+      ...fields,
+      nonce: overrides.nonce !== undefined ? overrides.nonce : await issuerRegistry.nonces(signer.address),
+      deadline: overrides.deadline || Math.floor(Date.now() / 1000) + 3600
+    };
+    const signature = await signer.signTypedData(
+      {
+        name: "DecentraCert IssuerRegistry",
+        version: "1",
+        chainId,
+        verifyingContract: await issuerRegistry.getAddress()
+      },
+      types,
+      request
+    );
+    return { request, signature };
+  }
+
   // Define tiers for clarity in tests
   const Tier = {
     NONE: 0,
@@ -26,16 +147,16 @@ describe("IssuerRegistry", function () {
     issuerRegistry = await IssuerRegistry.deploy();
     await issuerRegistry.waitForDeployment();
     
-    // Add admin
-    await issuerRegistry.addAdmin(admin.address);
+    // Add registrar
+    await issuerRegistry.grantRole(await issuerRegistry.REGISTRAR_ROLE(), admin.address);
   });
 
-  describe("Admin Management", function () {
-    it("Should allow owner to add admins", async function () {
-      // Owner adds an admin
-      await issuerRegistry.addAdmin(issuer1.address);
+  describe("Role Management", function () {
+    it("Should allow the role admin to add registrars", async function () {
+      // Owner grants the registrar role
+      await issuerRegistry.grantRole(await issuerRegistry.REGISTRAR_ROLE(), issuer1.address);
       
-      // Manually verify an issuer as the new admin to check if admin role works
+      // Manually verify an issuer as the new registrar to check if the role works
       await issuerRegistry.connect(issuer1).manualVerifyIssuer(
         issuer2.address,
         "Test Organization"
@@ -46,20 +167,49 @@ describe("IssuerRegistry", function () {
       expect(tier).to.equal(Tier.MANUAL);
     });
 
-    it("Should allow owner to remove admins", async function () {
-      // Owner adds an admin
-      await issuerRegistry.addAdmin(issuer1.address);
+    it("Should allow the role admin to remove registrars", async function () {
+      // Owner grants the registrar role
+      await issuerRegistry.grantRole(await issuerRegistry.REGISTRAR_ROLE(), issuer1.address);
       
-      // Owner removes the admin
-      await issuerRegistry.removeAdmin(issuer1.address);
+      // Owner revokes it
+      await issuerRegistry.revokeRole(await issuerRegistry.REGISTRAR_ROLE(), issuer1.address);
       
-      // Try to manually verify an issuer as the removed admin - should fail
+      // Try to manually verify an issuer as the removed registrar - should fail
       await expect(
         issuerRegistry.connect(issuer1).manualVerifyIssuer(
           issuer2.address,
           "Test Organization"
         )
-      ).to.be.revertedWith("IssuerRegistry: Caller is not an admin");
+      ).to.be.revertedWith("IssuerRegistry: Caller is not a registrar");
+    });
+
+    it("Should stop registrations while paused", async function () {
+      await issuerRegistry.pause();
+
+      await expect(
+        issuerRegistry.connect(issuer1).verifyIssuerT2(
+          "Community College",
+          "https://twitter.com/cc/status/1",
+          await attestSocial(owner, issuer1.address, "https://twitter.com/cc/status/1", "cc")
+        )
+      ).to.be.revertedWithCustomError(issuerRegistry, "EnforcedPause");
+      await expect(
+        issuerRegistry.connect(admin).manualVerifyIssuer(issuer2.address, "Test Organization")
+      ).to.be.revertedWithCustomError(issuerRegistry, "EnforcedPause");
+
+      await issuerRegistry.unpause();
+      await issuerRegistry.connect(issuer1).verifyIssuerT2(
+        "Community College",
+        "https://twitter.com/cc/status/1",
+        await attestSocial(owner, issuer1.address, "https://twitter.com/cc/status/1", "cc")
+      );
+      expect(await issuerRegistry.getIssuerTier(issuer1.address)).to.equal(Tier.T2);
+    });
+
+    it("Should only let pausers pause", async function () {
+      await expect(issuerRegistry.connect(admin).pause())
+        .to.be.revertedWithCustomError(issuerRegistry, "AccessControlUnauthorizedAccount")
+        .withArgs(admin.address, await issuerRegistry.PAUSER_ROLE());
     });
   });
 
@@ -68,7 +218,8 @@ describe("IssuerRegistry", function () {
       await issuerRegistry.connect(issuer1).verifyIssuerT1(
         "University of Blockchain",
         "blockchain.edu",
-        "TXT Record: decentracert-verify=0x123456"
+        "TXT Record: decentracert-verify=0x123456",
+        await attest(owner, issuer1.address, "blockchain.edu")
       );
       
       // Check if the issuer was verified
@@ -82,10 +233,87 @@ describe("IssuerRegistry", function () {
       expect(issuerData.isActive).to.be.true;
     });
 
+    it("Should reject T1 verification without an oracle attestation", async function () {
+      await expect(
+        issuerRegistry.connect(issuer1).verifyIssuerT1(
+          "University of Blockchain",
+          "blockchain.edu",
+          "TXT Record: decentracert-verify=0x123456",
+          await attest(issuer1, issuer1.address, "blockchain.edu")
+        )
+      ).to.be.revertedWith("IssuerRegistry: Invalid DNS attestation");
+    });
+
+    it("Should reject an attestation issued for another wallet", async function () {
+      await expect(
+        issuerRegistry.connect(issuer2).verifyIssuerT1(
+          "University of Blockchain",
+          "blockchain.edu",
+          "TXT Record: decentracert-verify=0x123456",
+          await attest(owner, issuer1.address, "blockchain.edu")
+        )
+      ).to.be.revertedWith("IssuerRegistry: Invalid DNS attestation");
+    });
+
+    it("Should reject expired attestations", async function () {
+      const latest = await ethers.provider.getBlock("latest");
+      await expect(
+        issuerRegistry.connect(issuer1).verifyIssuerT1(
+          "University of Blockchain",
+          "blockchain.edu",
+          "TXT Record: decentracert-verify=0x123456",
+          await attest(owner, issuer1.address, "blockchain.edu", { deadline: latest.timestamp - 1 })
+        )
+      ).to.be.revertedWith("IssuerRegistry: Attestation expired");
+    });
+
+    it("Should reject a challenge that was already used", async function () {
+      const attestation = await attest(owner, issuer1.address, "blockchain.edu");
+      await issuerRegistry.connect(issuer1).verifyIssuerT1(
+        "University of Blockchain",
+        "blockchain.edu",
+        "TXT Record: decentracert-verify=0x123456",
+        attestation
+      );
+      expect(await issuerRegistry.isChallengeUsed(attestation.challenge)).to.be.true;
+
+      await expect(
+        issuerRegistry.connect(issuer1).verifyIssuerT1(
+          "University of Blockchain",
+          "blockchain.edu",
+          "TXT Record: decentracert-verify=0x123456",
+          attestation
+        )
+      ).to.be.revertedWith("IssuerRegistry: Challenge already used");
+    });
+
+    it("Should accept attestations from added oracles only", async function () {
+      await issuerRegistry.addOracle(admin.address);
+      expect(await issuerRegistry.isOracle(admin.address)).to.be.true;
+      await issuerRegistry.connect(issuer1).verifyIssuerT1(
+        "University of Blockchain",
+        "Blockchain.edu",
+        "TXT Record: decentracert-verify=0x123456",
+        await attest(admin, issuer1.address, "Blockchain.edu")
+      );
+      expect(await issuerRegistry.getDomainIssuer("blockchain.edu")).to.equal(issuer1.address);
+
+      await issuerRegistry.removeOracle(admin.address);
+      await expect(
+        issuerRegistry.connect(issuer2).verifyIssuerT1(
+          "Other University",
+          "other.edu",
+          "TXT Record: decentracert-verify=0x654321",
+          await attest(admin, issuer2.address, "other.edu")
+        )
+      ).to.be.revertedWith("IssuerRegistry: Invalid DNS attestation");
+    });
+
     it("Should verify an issuer with T2 verification", async function () {
       await issuerRegistry.connect(issuer1).verifyIssuerT2(
         "Blockchain Bootcamp",
-        "https://twitter.com/blockchainbootcamp/status/123456789"
+        "https://twitter.com/blockchainbootcamp/status/123456789",
+        await attestSocial(owner, issuer1.address, "https://twitter.com/blockchainbootcamp/status/123456789")
       );
       
       // Check if the issuer was verified
@@ -99,6 +327,45 @@ describe("IssuerRegistry", function () {
       expect(issuerData.isActive).to.be.true;
     });
 
+    it("Should reject T2 verification without a matching oracle attestation", async function () {
+      const url = "https://twitter.com/blockchainbootcamp/status/123456789";
+
+      // Attested for another post, another wallet or by a non-oracle
+      await expect(
+        issuerRegistry.connect(issuer1).verifyIssuerT2(
+          "Blockchain Bootcamp",
+          url,
+          await attestSocial(owner, issuer1.address, "https://twitter.com/blockchainbootcamp/status/1")
+        )
+      ).to.be.revertedWith("IssuerRegistry: Invalid social attestation");
+      await expect(
+        issuerRegistry.connect(issuer1).verifyIssuerT2("Blockchain Bootcamp", url, await attestSocial(owner, issuer2.address, url))
+      ).to.be.revertedWith("IssuerRegistry: Invalid social attestation");
+      await expect(
+        issuerRegistry.connect(issuer1).verifyIssuerT2("Blockchain Bootcamp", url, await attestSocial(issuer2, issuer1.address, url))
+      ).to.be.revertedWith("IssuerRegistry: Invalid social attestation");
+    });
+
+    it("Should record the attested handle and consume the challenge", async function () {
+      const url = "https://twitter.com/blockchainbootcamp/status/123456789";
+      const attestation = await attestSocial(owner, issuer1.address, url);
+
+      await expect(issuerRegistry.connect(issuer1).verifyIssuerT2("Blockchain Bootcamp", url, attestation))
+        .to.emit(issuerRegistry, "SocialAttested")
+        .withArgs(issuer1.address, ethers.id(url), owner.address, "blockchainbootcamp");
+      expect(await issuerRegistry.isChallengeUsed(attestation.challenge)).to.be.true;
+
+      // A tampered handle no longer matches the oracle signature
+      const other = await attestSocial(owner, issuer2.address, "https://twitter.com/other/status/1", "other");
+      await expect(
+        issuerRegistry.connect(issuer2).verifyIssuerT2(
+          "Other",
+          "https://twitter.com/other/status/1",
+          { ...other, handle: "blockchainbootcamp" }
+        )
+      ).to.be.revertedWith("IssuerRegistry: Invalid social attestation");
+    });
+
     it("Should allow admin to manually verify an issuer", async function () {
       await issuerRegistry.connect(admin).manualVerifyIssuer(
         issuer1.address,
@@ -115,13 +382,210 @@ describe("IssuerRegistry", function () {
       expect(issuerData.isActive).to.be.true;
     });
 
-    it("Should prevent non-admins from manually verifying issuers", async function () {
+    it("Should prevent non-registrars from manually verifying issuers", async function () {
       await expect(
         issuerRegistry.connect(issuer1).manualVerifyIssuer(
           issuer2.address,
           "Rural Blockchain School"
         )
-      ).to.be.revertedWith("IssuerRegistry: Caller is not an admin");
+      ).to.be.revertedWith("IssuerRegistry: Caller is not a registrar");
+    });
+  });
+
+  describe("Signature-based Registration", function () {
+    it("Should record the signing wallet when a relayer submits a T1 registration", async function () {
+      const { request, signature } = await signRequest(issuer1, registrationTypes, {
+        issuerName: "University of Blockchain",
+        domain: "blockchain.edu"
+      });
+
+      // The relayer (owner) pays for the transaction
+      await issuerRegistry.connect(owner).verifyIssuerT1BySig(
+        issuer1.address,
+        request,
+        signature,
+        await attest(owner, issuer1.address, "blockchain.edu")
+      );
+
+      const issuerData = await issuerRegistry.getIssuerData(issuer1.address);
+      expect(issuerData.issuerAddress).to.equal(issuer1.address);
+      expect(issuerData.tier).to.equal(Tier.T1);
+      expect(issuerData.verificationData).to.equal("blockchain.edu");
+      expect(await issuerRegistry.getIssuerTier(owner.address)).to.equal(Tier.NONE);
+      expect(await issuerRegistry.getDomainIssuer("blockchain.edu")).to.equal(issuer1.address);
+      expect(await issuerRegistry.nonces(issuer1.address)).to.equal(1);
+    });
+
+    it("Should record the signing wallet when a relayer submits a T2 registration", async function () {
+      const { request, signature } = await signRequest(issuer1, socialRegistrationTypes, {
+        issuerName: "Blockchain Bootcamp",
+        socialMediaUrl: "https://twitter.com/blockchainbootcamp/status/123456789"
+      });
+
+      await issuerRegistry.connect(owner).verifyIssuerT2BySig(
+        issuer1.address,
+        request,
+        signature,
+        await attestSocial(owner, issuer1.address, request.socialMediaUrl)
+      );
+
+      expect(await issuerRegistry.getIssuerTier(issuer1.address)).to.equal(Tier.T2);
+      expect(await issuerRegistry.getSocialMediaIssuer(request.socialMediaUrl)).to.equal(issuer1.address);
+    });
+
+    it("Should let a relayer submit a signed upgrade to T1", async function () {
+      const t2 = await signRequest(issuer1, socialRegistrationTypes, {
+        issuerName: "Blockchain Bootcamp",
+        socialMediaUrl: "https://twitter.com/blockchainbootcamp/status/123456789"
+      });
+      await issuerRegistry.verifyIssuerT2BySig(
+        issuer1.address,
+        t2.request,
+        t2.signature,
+        await attestSocial(owner, issuer1.address, t2.request.socialMediaUrl)
+      );
+
+      const { request, signature } = await signRequest(issuer1, upgradeTypes, { domain: "blockchain.edu" });
+      await issuerRegistry.upgradeToT1BySig(
+        issuer1.address,
+        request,
+        signature,
+        await attest(owner, issuer1.address, "blockchain.edu")
+      );
+
+      expect(await issuerRegistry.getIssuerTier(issuer1.address)).to.equal(Tier.T1);
+    });
+
+    it("Should reject a registration signed by another wallet", async function () {
+      const { request, signature } = await signRequest(issuer2, socialRegistrationTypes, {
+        issuerName: "Blockchain Bootcamp",
+        socialMediaUrl: "https://twitter.com/blockchainbootcamp/status/123456789"
+      }, { nonce: 0 });
+
+      await expect(
+        issuerRegistry.verifyIssuerT2BySig(
+          issuer1.address,
+          request,
+          signature,
+          await attestSocial(owner, issuer1.address, request.socialMediaUrl)
+        )
+      ).to.be.revertedWith("IssuerRegistry: Invalid issuer signature");
+    });
+
+    it("Should reject a tampered registration", async function () {
+      const { request, signature } = await signRequest(issuer1, socialRegistrationTypes, {
+        issuerName: "Blockchain Bootcamp",
+        socialMediaUrl: "https://twitter.com/blockchainbootcamp/status/123456789"
+      });
+
+      await expect(
+        issuerRegistry.verifyIssuerT2BySig(
+          issuer1.address,
+          { ...request, issuerName: "Other Name" },
+          signature,
+          await attestSocial(owner, issuer1.address, request.socialMediaUrl)
+        )
+      ).to.be.revertedWith("IssuerRegistry: Invalid issuer signature");
+    });
+
+    it("Should prevent replaying a signed registration", async function () {
+      const { request, signature } = await signRequest(issuer1, socialRegistrationTypes, {
+        issuerName: "Blockchain Bootcamp",
+        socialMediaUrl: "https://twitter.com/blockchainbootcamp/status/123456789"
+      });
+      await issuerRegistry.verifyIssuerT2BySig(
+        issuer1.address,
+        request,
+        signature,
+        await attestSocial(owner, issuer1.address, request.socialMediaUrl)
+      );
+
+      await expect(
+        issuerRegistry.verifyIssuerT2BySig(
+          issuer1.address,
+          request,
+          signature,
+          await attestSocial(owner, issuer1.address, request.socialMediaUrl)
+        )
+      ).to.be.revertedWithCustomError(issuerRegistry, "InvalidAccountNonce");
+    });
+
+    it("Should reject expired registrations", async function () {
+      const latest = await ethers.provider.getBlock("latest");
+      const { request, signature } = await signRequest(issuer1, socialRegistrationTypes, {
+        issuerName: "Blockchain Bootcamp",
+        socialMediaUrl: "https://twitter.com/blockchainbootcamp/status/123456789"
+      }, { deadline: latest.timestamp - 1 });
+
+      await expect(
+        issuerRegistry.verifyIssuerT2BySig(
+          issuer1.address,
+          request,
+          signature,
+          await attestSocial(owner, issuer1.address, request.socialMediaUrl)
+        )
+      ).to.be.revertedWith("IssuerRegistry: Signature expired");
+    });
+  });
+
+  describe("Manual Verification Applications", function () {
+    const ApplicationStatus = { NONE: 0, PENDING: 1, APPROVED: 2, REJECTED: 3 };
+    const evidenceHash = ethers.id("registration-certificate.pdf");
+    const commentHash = ethers.id("Registration number checked with the ministry");
+
+    it("Should record a relayed application and the reviewer's decision", async function () {
+      const { request, signature } = await signRequest(issuer1, applicationTypes, {
+        issuerName: "Rural Blockchain School",
+        evidenceHash
+      });
+      await expect(issuerRegistry.connect(owner).submitApplicationBySig(issuer1.address, request, signature))
+        .to.emit(issuerRegistry, "ApplicationSubmitted")
+        .withArgs(1, issuer1.address, evidenceHash);
+      expect(await issuerRegistry.getPendingApplication(issuer1.address)).to.equal(1);
+
+      await expect(issuerRegistry.reviewApplication(1, true, commentHash))
+        .to.emit(issuerRegistry, "ApplicationReviewed")
+        .withArgs(1, owner.address, true, commentHash);
+
+      const application = await issuerRegistry.getApplication(1);
+      expect(application.applicant).to.equal(issuer1.address);
+      expect(application.status).to.equal(ApplicationStatus.APPROVED);
+      expect(application.reviewer).to.equal(owner.address);
+      expect(application.commentHash).to.equal(commentHash);
+      expect(await issuerRegistry.getPendingApplication(issuer1.address)).to.equal(0);
+
+      // Approval alone does not verify the issuer
+      expect(await issuerRegistry.isVerifiedIssuer(issuer1.address)).to.be.false;
+    });
+
+    it("Should allow one pending application per applicant", async function () {
+      await issuerRegistry.connect(issuer1).submitApplication("Rural Blockchain School", evidenceHash);
+      await expect(issuerRegistry.connect(issuer1).submitApplication("Rural Blockchain School", evidenceHash))
+        .to.be.revertedWith("IssuerRegistry: Application already pending");
+
+      // A rejected applicant may apply again
+      await issuerRegistry.reviewApplication(1, false, commentHash);
+      expect((await issuerRegistry.getApplication(1)).status).to.equal(ApplicationStatus.REJECTED);
+      await issuerRegistry.connect(issuer1).submitApplication("Rural Blockchain School", evidenceHash);
+      expect(await issuerRegistry.getPendingApplication(issuer1.address)).to.equal(2);
+    });
+
+    it("Should only let reviewers decide on pending applications", async function () {
+      await issuerRegistry.connect(issuer1).submitApplication("Rural Blockchain School", evidenceHash);
+
+      await expect(issuerRegistry.connect(admin).reviewApplication(1, true, commentHash))
+        .to.be.revertedWith("IssuerRegistry: Caller is not a reviewer");
+      await expect(issuerRegistry.reviewApplication(2, true, commentHash))
+        .to.be.revertedWith("IssuerRegistry: Application is not pending");
+
+      await issuerRegistry.reviewApplication(1, true, commentHash);
+      await expect(issuerRegistry.reviewApplication(1, false, commentHash))
+        .to.be.revertedWith("IssuerRegistry: Application is not pending");
+    });
+
+    it("Should reject applications without evidence", async function () {
+      await expect(issuerRegistry.connect(issuer1).submitApplication("Rural Blockchain School", ethers.ZeroHash))
+        .to.be.revertedWith("IssuerRegistry: Evidence hash required");
     });
   });
 
@@ -130,7 +594,8 @@ describe("IssuerRegistry", function () {
       // First verify as T2
       await issuerRegistry.connect(issuer1).verifyIssuerT2(
         "Blockchain Bootcamp",
-        "https://twitter.com/blockchainbootcamp/status/123456789"
+        "https://twitter.com/blockchainbootcamp/status/123456789",
+        await attestSocial(owner, issuer1.address, "https://twitter.com/blockchainbootcamp/status/123456789")
       );
       
       // Check T2 verification
@@ -140,7 +605,8 @@ describe("IssuerRegistry", function () {
       // Now upgrade to T1
       await issuerRegistry.connect(issuer1).upgradeToT1(
         "blockchain.edu",
-        "TXT Record: decentracert-verify=0x123456"
+        "TXT Record: decentracert-verify=0x123456",
+        await attest(owner, issuer1.address, "blockchain.edu")
       );
       
       // Check T1 upgrade
@@ -157,7 +623,8 @@ describe("IssuerRegistry", function () {
       await expect(
         issuerRegistry.connect(issuer1).upgradeToT1(
           "blockchain.edu",
-          "TXT Record: decentracert-verify=0x123456"
+          "TXT Record: decentracert-verify=0x123456",
+          await attest(owner, issuer1.address, "blockchain.edu")
         )
       ).to.be.revertedWith("IssuerRegistry: Caller is not a T2 issuer");
     });
@@ -169,7 +636,8 @@ describe("IssuerRegistry", function () {
       await issuerRegistry.connect(issuer1).verifyIssuerT1(
         "University of Blockchain",
         "blockchain.edu",
-        "TXT Record: decentracert-verify=0x123456"
+        "TXT Record: decentracert-verify=0x123456",
+        await attest(owner, issuer1.address, "blockchain.edu")
       );
       
       // Admin deactivates the issuer
@@ -189,7 +657,8 @@ describe("IssuerRegistry", function () {
       await issuerRegistry.connect(issuer1).verifyIssuerT1(
         "University of Blockchain",
         "blockchain.edu",
-        "TXT Record: decentracert-verify=0x123456"
+        "TXT Record: decentracert-verify=0x123456",
+        await attest(owner, issuer1.address, "blockchain.edu")
       );
       await issuerRegistry.connect(admin).deactivateIssuer(issuer1.address);
       
@@ -204,5 +673,154 @@ describe("IssuerRegistry", function () {
       const isVerified = await issuerRegistry.isVerifiedIssuer(issuer1.address);
       expect(isVerified).to.be.true;
     });
+
+    it("Should prevent a deactivated issuer from verifying again", async function () {
+      await issuerRegistry.connect(issuer1).verifyIssuerT2(
+        "Blockchain Bootcamp",
+        "https://twitter.com/blockchainbootcamp/status/123456789",
+        await attestSocial(owner, issuer1.address, "https://twitter.com/blockchainbootcamp/status/123456789")
+      );
+      await issuerRegistry.connect(admin).deactivateIssuer(issuer1.address);
+
+      // A fresh domain or post attestation neither reactivates nor re-tiers the issuer
+      await expect(
+        issuerRegistry.connect(issuer1).verifyIssuerT1(
+          "University of Blockchain",
+          "blockchain.edu",
+          "TXT Record: decentracert-verify=0x123456",
+          await attest(owner, issuer1.address, "blockchain.edu")
+        )
+      ).to.be.revertedWith("IssuerRegistry: Issuer already registered");
+      await expect(
+        issuerRegistry.connect(issuer1).verifyIssuerT2(
+          "Blockchain Bootcamp",
+          "https://twitter.com/blockchainbootcamp/status/987654321",
+          await attestSocial(owner, issuer1.address, "https://twitter.com/blockchainbootcamp/status/987654321")
+        )
+      ).to.be.revertedWith("IssuerRegistry: Issuer already registered");
+
+      const issuerData = await issuerRegistry.getIssuerData(issuer1.address);
+      expect(issuerData.tier).to.equal(Tier.T2);
+      expect(issuerData.isActive).to.be.false;
+    });
+  });
+
+  describe("Key Rotation", function () {
+    let newKey;
+    let snapshot;
+
+    // Attestation deadlines come from the wall clock; undo the time travel of the recovery tests
+    beforeEach(async function () {
+      snapshot = await network.provider.send("evm_snapshot");
+      newKey = (await ethers.getSigners())[4];
+      await issuerRegistry.connect(issuer1).verifyIssuerT1(
+        "University of Blockchain",
+        "blockchain.edu",
+        "TXT Record: decentracert-verify=0x123456",
+        await attest(owner, issuer1.address, "blockchain.edu")
+      );
+    });
+
+    afterEach(async function () {
+      await network.provider.send("evm_revert", [snapshot]);
+    });
+
+    it("Should move an issuer identity to a key chosen by the old key", async function () {
+      await expect(issuerRegistry.connect(issuer1).initiateKeyRotation(issuer2.address))
+        .to.emit(issuerRegistry, "KeyRotationInitiated");
+      await expect(issuerRegistry.connect(issuer2).completeKeyRotation(issuer1.address))
+        .to.be.revertedWith("IssuerRegistry: Key rotation is still timelocked");
+
+      await time.increase(await issuerRegistry.ROTATION_DELAY());
+      await expect(issuerRegistry.connect(newKey).completeKeyRotation(issuer1.address))
+        .to.be.revertedWith("IssuerRegistry: Caller is not the new key");
+      await expect(issuerRegistry.connect(issuer2).completeKeyRotation(issuer1.address))
+        .to.emit(issuerRegistry, "IssuerKeyRotated")
+        .withArgs(issuer1.address, issuer2.address);
+
+      const issuerData = await issuerRegistry.getIssuerData(issuer2.address);
+      expect(issuerData.name).to.equal("University of Blockchain");
+      expect(issuerData.tier).to.equal(Tier.T1);
+      expect(await issuerRegistry.isVerifiedIssuer(issuer2.address)).to.be.true;
+      expect(await issuerRegistry.isVerifiedIssuer(issuer1.address)).to.be.false;
+      expect(await issuerRegistry.getDomainIssuer("blockchain.edu")).to.equal(issuer2.address);
+
+      // The old key resolves to the identity and can no longer act for it
+      expect(await issuerRegistry.resolveIssuer(issuer1.address)).to.equal(issuer2.address);
+      expect(await issuerRegistry.getIssuerLineage(issuer1.address)).to.deep.equal([issuer1.address, issuer2.address]);
+      expect(await issuerRegistry.keyRetiredAt(issuer1.address)).to.be.greaterThan(0);
+      await expect(issuerRegistry.connect(admin).reactivateIssuer(issuer1.address))
+        .to.be.revertedWith("IssuerRegistry: Key was rotated");
+      await expect(issuerRegistry.connect(issuer1).initiateKeyRotation(newKey.address))
+        .to.be.revertedWith("IssuerRegistry: Key was rotated");
+    });
+
+    it("Should keep the lineage across several rotations and move social media URLs", async function () {
+      const url = "https://twitter.com/blockchainbootcamp/status/123456789";
+      await issuerRegistry.connect(issuer2).verifyIssuerT2("Blockchain Bootcamp", url, await attestSocial(owner, issuer2.address, url));
+
+      await issuerRegistry.connect(issuer2).initiateKeyRotation(newKey.address);
+      await time.increase(await issuerRegistry.ROTATION_DELAY());
+      await issuerRegistry.connect(newKey).completeKeyRotation(issuer2.address);
+      expect(await issuerRegistry.getSocialMediaIssuer(url)).to.equal(newKey.address);
+
+      // A key that ever held an identity cannot take over another one
+      await expect(issuerRegistry.connect(issuer1).initiateKeyRotation(issuer2.address))
+        .to.be.revertedWith("IssuerRegistry: New key already in use");
+      await expect(issuerRegistry.connect(issuer1).initiateKeyRotation(newKey.address))
+        .to.be.revertedWith("IssuerRegistry: New key already in use");
+
+      const third = (await ethers.getSigners())[5];
+      await issuerRegistry.connect(newKey).initiateKeyRotation(third.address);
+      await time.increase(await issuerRegistry.ROTATION_DELAY());
+      await issuerRegistry.connect(third).completeKeyRotation(newKey.address);
+      expect(await issuerRegistry.resolveIssuer(issuer2.address)).to.equal(third.address);
+      expect(await issuerRegistry.getIssuerLineage(newKey.address))
+        .to.deep.equal([issuer2.address, newKey.address, third.address]);
+    });
+
+    it("Should let a registrar recover a lost key after the recovery delay", async function () {
+      await expect(issuerRegistry.connect(issuer2).initiateRecoveryRotation(issuer1.address, newKey.address))
+        .to.be.revertedWith("IssuerRegistry: Caller is not a registrar");
+
+      await issuerRegistry.connect(admin).initiateRecoveryRotation(issuer1.address, newKey.address);
+      const rotation = await issuerRegistry.getPendingKeyRotation(issuer1.address);
+      expect(rotation.newKey).to.equal(newKey.address);
+      expect(rotation.recovery).to.be.true;
+
+      await expect(issuerRegistry.connect(newKey).completeKeyRotation(issuer1.address))
+        .to.be.revertedWith("IssuerRegistry: Key rotation is still timelocked");
+
+      await time.increase(await issuerRegistry.RECOVERY_DELAY());
+      await issuerRegistry.connect(newKey).completeKeyRotation(issuer1.address);
+      expect(await issuerRegistry.resolveIssuer(issuer1.address)).to.equal(newKey.address);
+    });
+
+    it("Should not let the old key cancel or replace a recovery", async function () {
+      await issuerRegistry.connect(admin).initiateRecoveryRotation(issuer1.address, newKey.address);
+
+      await expect(issuerRegistry.connect(newKey).cancelKeyRotation(issuer1.address))
+        .to.be.revertedWith("IssuerRegistry: Caller cannot cancel this rotation");
+      await expect(issuerRegistry.connect(issuer1).cancelKeyRotation(issuer1.address))
+        .to.be.revertedWith("IssuerRegistry: Caller cannot cancel this rotation");
+      await expect(issuerRegistry.connect(issuer1).initiateKeyRotation(issuer2.address))
+        .to.be.revertedWith("IssuerRegistry: Recovery rotation pending");
+
+      await time.increase(await issuerRegistry.RECOVERY_DELAY());
+      await issuerRegistry.connect(newKey).completeKeyRotation(issuer1.address);
+      expect(await issuerRegistry.resolveIssuer(issuer1.address)).to.equal(newKey.address);
+    });
+
+    it("Should let a registrar cancel a rotation started with a stolen key", async function () {
+      await issuerRegistry.connect(issuer1).initiateKeyRotation(issuer2.address);
+
+      await expect(issuerRegistry.connect(admin).cancelKeyRotation(issuer1.address))
+        .to.emit(issuerRegistry, "KeyRotationCancelled")
+        .withArgs(issuer1.address, issuer2.address);
+
+      await time.increase(await issuerRegistry.ROTATION_DELAY());
+      await expect(issuerRegistry.connect(issuer2).completeKeyRotation(issuer1.address))
+        .to.be.revertedWith("IssuerRegistry: No pending key rotation");
+    });
   });
 }); 
\ No newline at end of file
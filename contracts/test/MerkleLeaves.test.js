@@ -0,0 +1,109 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const merkle = require("../../backend/src/services/merkle");
+
+// Checks that the shared backend leaf module agrees with SoulboundNFT._leaf, and its tree dump verifier
+describe("Merkle Leaves", function () {
+  const CREDENTIAL = ethers.id("Level 2");
+
+  let issuerRegistry;
+  let collection;
+  let issuer;
+  let recipient1;
+  let recipient2;
+  let recipient3;
+  let recipients;
+  let tree;
+
+  beforeEach(async function () {
+    [issuer, recipient1, recipient2, recipient3] = await ethers.getSigners();
+    recipients = [
+      { address: recipient1.address },
+      { address: recipient2.address },
+      { address: recipient2.address, credentialId: CREDENTIAL, credential: "Level 2" }
+    ];
+    tree = merkle.buildTree(recipients);
+
+    issuerRegistry = await (await ethers.getContractFactory("IssuerRegistry")).deploy();
+    await issuerRegistry.manualVerifyIssuer(issuer.address, "Test Issuer Organization");
+    collection = await (await ethers.getContractFactory("SoulboundNFT")).deploy(
+      "Test Certificate", "TCERT", tree.getHexRoot(), await issuerRegistry.getAddress(), ""
+    );
+  });
+
+  it("Should accept proofs built by the shared module", async function () {
+    expect(await collection.isEligible(recipient1.address, merkle.getProof(tree, recipients[0]))).to.be.true;
+    expect(await collection.isEligibleFor(recipient2.address, CREDENTIAL, merkle.getProof(tree, recipients[2]))).to.be.true;
+    expect(merkle.verifyProof(tree.getHexRoot(), merkle.getProof(tree, recipients[2]), recipients[2])).to.be.true;
+
+    const { recipients: ordered, proof, proofFlags } = merkle.getMultiProof(tree, recipients);
+    await collection.connect(issuer).batchMint(
+      ordered.map((r) => r.address),
+      ordered.map((r) => r.credentialId || ethers.ZeroHash),
+      proof,
+      proofFlags
+    );
+    expect(await collection.balanceOf(recipient2.address)).to.equal(2);
+  });
+
+  it("Should reject leaves with the legacy packed encoding", async function () {
+    const legacy = merkle.buildTree(recipients, { encoding: "packed-keccak" });
+    const legacyCollection = await (await ethers.getContractFactory("SoulboundNFT")).deploy(
+      "Legacy Certificate", "LCERT", legacy.getHexRoot(), await issuerRegistry.getAddress(), ""
+    );
+
+    expect(await legacyCollection.isEligible(recipient1.address, merkle.getProof(legacy, recipients[0], "packed-keccak"))).to.be.false;
+  });
+
+  it("Should round-trip a tree through its dump", async function () {
+    const dump = JSON.parse(JSON.stringify(merkle.dumpTree(recipients)));
+    expect(dump).to.include({ format: "decentracert-merkle-tree", version: 1, leafEncoding: "double-keccak-abi", padded: true });
+    expect(dump.root).to.equal(tree.getHexRoot().toLowerCase());
+
+    const loaded = merkle.loadTree(dump, tree.getHexRoot());
+    expect(loaded.recipients[2]).to.deep.equal({ address: recipient2.address, credentialId: CREDENTIAL, credential: "Level 2" });
+    expect(loaded.tree.getHexRoot()).to.equal(tree.getHexRoot());
+  });
+
+  it("Should dump claim code leaves with their key and email hash", async function () {
+    const claimKey = ethers.Wallet.createRandom().address;
+    const withCode = [...recipients, { claimKey, emailHash: ethers.id("ada@example.edu"), credentialId: CREDENTIAL }];
+    const dump = merkle.dumpTree(withCode);
+
+    expect(dump.leaves[3]).to.deep.equal({
+      claimKey,
+      emailHash: ethers.id("ada@example.edu"),
+      credentialId: CREDENTIAL,
+      hash: merkle.leafHash(withCode[3])
+    });
+    expect(merkle.loadTree(dump).root).to.equal(dump.root);
+    expect(merkle.checkTree({ ...dump, leafEncoding: "packed-keccak" }).errors).to.include(
+      "Leaf 3: claim code leaves need the double-keccak-abi encoding"
+    );
+  });
+
+  it("Should flag leaf and root mismatches before deployment", async function () {
+    const dump = merkle.dumpTree(recipients);
+
+    const legacyLeaf = { ...dump, leaves: [...dump.leaves] };
+    legacyLeaf.leaves[0] = { ...dump.leaves[0], hash: merkle.leafHash(recipients[0], "packed-keccak") };
+    expect(merkle.checkTree(legacyLeaf).errors).to.deep.equal([
+      `Leaf 0 (${recipient1.address}) is hashed with packed-keccak, not double-keccak-abi`
+    ]);
+
+    const legacyRoot = merkle.buildTree(recipients, { encoding: "packed-keccak" }).getHexRoot();
+    expect(merkle.checkTree(dump, legacyRoot).errors).to.deep.equal([
+      `Root ${legacyRoot} was built with packed-keccak leaves, not double-keccak-abi`
+    ]);
+
+    const swapped = { ...dump, leaves: [...dump.leaves] };
+    swapped.leaves[1] = { ...dump.leaves[1], address: recipient3.address };
+    expect(merkle.checkTree(swapped).valid).to.be.false;
+    expect(() => merkle.loadTree(swapped)).to.throw("hash does not match its address and credential");
+
+    const duplicated = { ...dump, leaves: [...dump.leaves, dump.leaves[0]] };
+    expect(merkle.checkTree(duplicated).errors[0]).to.equal(`Leaf 3: duplicate of an earlier leaf (${recipient1.address})`);
+
+    expect(merkle.checkTree({ ...dump, version: 2 }).errors).to.deep.equal(["Unsupported dump version 2; expected 1"]);
+  });
+});
@@ -0,0 +1,42 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { parseRoster } = require("../../backend/src/services/roster");
+const { toRecipients } = require("../../backend/src/services/collections");
+
+// Exercises the roster CSV import of the issuer CLI
+describe("Roster Import", function () {
+  let recipient1;
+  let recipient2;
+
+  beforeEach(async function () {
+    [, recipient1, recipient2] = await ethers.getSigners();
+  });
+
+  it("Should turn a roster into tree leaves", async function () {
+    const csv = [
+      "Address,Credential,Name,Course",
+      `${recipient1.address},,Ada,"Data Science, Track 1"`,
+      "",
+      `${recipient2.address},Level 2,"Grace ""Amazing"" Hopper",Blockchain`,
+      `${recipient2.address.toLowerCase()},,Grace,Blockchain`
+    ].join("\r\n");
+
+    const recipients = toRecipients(parseRoster(csv));
+    expect(recipients).to.have.length(3);
+    expect(recipients[0]).to.deep.equal({ address: recipient1.address, fields: { name: "Ada", course: "Data Science, Track 1" } });
+    expect(recipients[1]).to.include({ address: recipient2.address, credential: "Level 2", credentialId: ethers.id("Level 2") });
+    expect(recipients[1].fields.name).to.equal('Grace "Amazing" Hopper');
+    expect(recipients[2].address).to.equal(recipient2.address);
+  });
+
+  it("Should reject malformed rosters", async function () {
+    expect(() => parseRoster("wallet,name\n0x1,Ada")).to.throw("Unknown roster columns: wallet");
+    expect(() => parseRoster("name\nAda")).to.throw("Roster needs an address column");
+    expect(() => parseRoster(`address,name\n\n${recipient1.address}`)).to.throw("Line 3: expected 2 fields, found 1");
+    expect(() => parseRoster(`address,name\n${recipient1.address},"Ada`)).to.throw("Unterminated quoted field");
+
+    expect(() => toRecipients(parseRoster("address\n0x1234"))).to.throw("Invalid address 0x1234 in entry 1");
+    expect(() => toRecipients(parseRoster(`address\n${recipient1.address}\n${recipient1.address.toLowerCase()}`)))
+      .to.throw(`Duplicate entry for ${recipient1.address}`);
+  });
+});
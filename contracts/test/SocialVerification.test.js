@@ -0,0 +1,137 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { createSocialVerifier } = require("../../backend/src/services/social");
+const { createHttpClient, createFixtureClient, isPublicAddress } = require("../../backend/src/services/social/http");
+
+const fixtures = ["x", "linkedin", "mastodon"].map((name) => require(`./fixtures/social/${name}.json`));
+
+// Exercises the backend social post adapters against recorded responses and submits the result on-chain
+describe("Social Verification", function () {
+  let issuerRegistry;
+  let owner;
+  let issuer;
+  let other;
+
+  // EIP-712 types of the social media post attestation signed by an oracle
+  const socialAttestationTypes = {
+    SocialAttestation: [
+      { name: "issuer", type: "address" },
+      { name: "socialMediaUrl", type: "string" },
+      { name: "handle", type: "string" },
+      { name: "challenge", type: "bytes32" },
+      { name: "deadline", type: "uint256" }
+    ]
+  };
+
+  // Helper function to have the oracle attest a verified post, as the backend does
+  async function attestPost(post, challenge) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const deadline = Math.floor(Date.now() / 1000) + 3600;
+    const signature = await owner.signTypedData(
+      {
+        name: "DecentraCert IssuerRegistry",
+        version: "1",
+        chainId,
+        verifyingContract: await issuerRegistry.getAddress()
+      },
+      socialAttestationTypes,
+      { issuer: issuer.address, socialMediaUrl: post.url.toLowerCase(), handle: post.handle, challenge, deadline }
+    );
+    return { handle: post.handle, challenge, deadline, signature };
+  }
+
+  function verifierFor(fixture) {
+    return createSocialVerifier({ http: createFixtureClient(fixture.responses) });
+  }
+
+  beforeEach(async function () {
+    // The fixtures were signed by the second Hardhat account
+    [owner, issuer, other] = await ethers.getSigners();
+
+    issuerRegistry = await (await ethers.getContractFactory("IssuerRegistry")).deploy();
+    await issuerRegistry.waitForDeployment();
+  });
+
+  for (const fixture of fixtures) {
+    it(`Should verify an issuer from a ${fixture.platform} post`, async function () {
+      expect(fixture.issuer).to.equal(issuer.address);
+
+      const post = await verifierFor(fixture).verifyPost({
+        url: fixture.url,
+        address: issuer.address,
+        platform: fixture.platform,
+        handle: fixture.handle,
+        challenge: fixture.challenge
+      });
+      expect(post.url).to.equal(fixture.canonicalUrl);
+
+      await expect(
+        issuerRegistry.connect(issuer).verifyIssuerT2("Blockchain Bootcamp", post.url, await attestPost(post, fixture.challenge))
+      ).to.emit(issuerRegistry, "SocialAttested");
+      expect(await issuerRegistry.getIssuerTier(issuer.address)).to.equal(2); // T2
+      expect(await issuerRegistry.getSocialMediaIssuer(post.url)).to.equal(issuer.address);
+    });
+  }
+
+  it("Should reject a post written by another account", async function () {
+    const [x, linkedin, mastodon] = fixtures;
+
+    await expect(
+      verifierFor(x).verifyPost({ ...x, address: issuer.address, handle: "@someone_else" })
+    ).to.be.rejectedWith("Post was written by chainbootcamp, not someone_else");
+    await expect(
+      verifierFor(linkedin).verifyPost({ ...linkedin, address: issuer.address, handle: "in/blockchain-bootcamp" })
+    ).to.be.rejectedWith("not in/blockchain-bootcamp");
+    await expect(
+      verifierFor(mastodon).verifyPost({ ...mastodon, address: issuer.address, handle: "blockchainbootcamp@infosec.exchange" })
+    ).to.be.rejectedWith("not blockchainbootcamp@infosec.exchange");
+  });
+
+  it("Should reject a post without a signature of the challenge by the issuer wallet", async function () {
+    const [x] = fixtures;
+
+    await expect(
+      verifierFor(x).verifyPost({ ...x, address: other.address })
+    ).to.be.rejectedWith("Post does not contain a signature of the challenge by the issuer wallet");
+    await expect(
+      verifierFor(x).verifyPost({ ...x, address: issuer.address, challenge: ethers.ZeroHash })
+    ).to.be.rejectedWith("Post does not contain a signature of the challenge by the issuer wallet");
+  });
+
+  it("Should reject posts that cannot be fetched or belong to another platform", async function () {
+    const [x, , mastodon] = fixtures;
+
+    await expect(
+      verifierFor(x).verifyPost({ ...x, address: issuer.address, url: "https://x.com/chainbootcamp/status/1" })
+    ).to.be.rejectedWith("Post not found (X returned 404)");
+    await expect(
+      verifierFor(x).verifyPost({ ...x, address: issuer.address, platform: "linkedin" })
+    ).to.be.rejectedWith("URL is not a linkedin post");
+
+    // A note served by one server but attributed to an actor on another
+    const responses = JSON.parse(JSON.stringify(mastodon.responses));
+    responses[mastodon.url].body.attributedTo = "https://evil.example/users/blockchainbootcamp";
+    await expect(
+      createSocialVerifier({ http: createFixtureClient(responses) }).verifyPost({ ...mastodon, address: issuer.address })
+    ).to.be.rejectedWith("ActivityPub post is hosted on another server");
+  });
+
+  it("Should refuse to fetch posts from private or local addresses", async function () {
+    const [, , mastodon] = fixtures;
+    expect(["93.184.215.14", "2606:4700::1111"].every(isPublicAddress)).to.be.true;
+    expect(["10.0.0.5", "127.0.0.1", "169.254.169.254", "0.0.0.0", "::1", "::", "fe80::1", "fd00::1", "::ffff:7f00:1"]
+      .some(isPublicAddress)).to.be.false;
+
+    // A Mastodon host whose DNS points into the backend's network
+    const lookup = async () => [{ address: "93.184.215.14" }, { address: "10.0.0.5" }];
+    await expect(
+      createSocialVerifier({ http: createHttpClient({ lookup }) }).verifyPost({ ...mastodon, address: issuer.address })
+    ).to.be.rejectedWith("Refusing to fetch mastodon.social: it resolves to the non-public address 10.0.0.5");
+
+    // Address literals are checked without a lookup, and nothing is requested
+    const http = createHttpClient({ lookup: async () => expect.fail("IP literals are not looked up") });
+    await expect(http.get("http://169.254.169.254/latest/meta-data/")).to.be.rejectedWith("non-public address 169.254.169.254");
+    await expect(http.get("https://[::ffff:127.0.0.1]:8545/users/a/statuses/1")).to.be.rejectedWith("non-public address ::ffff:7f00:1");
+    await expect(http.get("file:///etc/passwd")).to.be.rejectedWith("Refusing to fetch file:///etc/passwd");
+  });
+});
@@ -1,7 +1,10 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
 const { MerkleTree } = require('merkletreejs');
 const keccak256 = require('keccak256');
+const { leafHash, buildTree, getProof } = require('../../backend/src/services/merkle');
+const { generateClaimCodes, claimWalletOf, emailHashOf } = require('../../backend/src/services/claimCodes');
 
 describe("SoulboundNFT", function () {
   let IssuerRegistry;
@@ -21,11 +24,18 @@ describe("SoulboundNFT", function () {
   // Helper function to create a leaf from an address
   function createLeaf(address) {
     return Buffer.from(
-      ethers.solidityPackedKeccak256(['address'], [address]).slice(2),
+      leafHash({ address }).slice(2),
       'hex'
     );
   }
 
+  // Helper function to move the issuer's identity to a new key
+  async function rotateIssuerKey(newKey) {
+    await issuerRegistry.connect(issuer).initiateKeyRotation(newKey.address);
+    await time.increase(await issuerRegistry.ROTATION_DELAY());
+    await issuerRegistry.connect(newKey).completeKeyRotation(issuer.address);
+  }
+
   beforeEach(async function () {
     // Get signers
     [owner, issuer, recipient1, recipient2, nonWhitelisted] = await ethers.getSigners();
@@ -50,8 +60,8 @@ describe("SoulboundNFT", function () {
       "Test Issuer Organization"
     );
     
-    // Deploy SoulboundNFT
-    SoulboundNFT = await ethers.getContractFactory("SoulboundNFT");
+    // Deploy SoulboundNFT, owned by the issuer as factory collections are
+    SoulboundNFT = await ethers.getContractFactory("SoulboundNFT", issuer);
     soulboundNFT = await SoulboundNFT.deploy(
       "Test Certificate",
       "TCERT",
@@ -86,6 +96,17 @@ describe("SoulboundNFT", function () {
       ).to.be.revertedWith("SoulboundNFT: Caller is not a verified issuer");
     });
 
+    it("Should prevent verified issuers from minting into another issuer's collection", async function () {
+      await issuerRegistry.connect(owner).manualVerifyIssuer(nonWhitelisted.address, "Other Issuer");
+
+      await expect(
+        soulboundNFT.connect(nonWhitelisted).mintCertificate(recipient1.address, proof1)
+      ).to.be.revertedWith("SoulboundNFT: Caller is not the collection issuer");
+      await expect(
+        soulboundNFT.connect(nonWhitelisted).batchMint([recipient1.address], [ethers.ZeroHash], proof1, [])
+      ).to.be.revertedWith("SoulboundNFT: Caller is not the collection issuer");
+    });
+
     it("Should prevent minting to non-whitelisted recipients", async function () {
       // Try to mint to non-whitelisted recipient
       await expect(
@@ -93,6 +114,13 @@ describe("SoulboundNFT", function () {
       ).to.be.revertedWith("SoulboundNFT: Recipient is not eligible");
     });
 
+    it("Should prevent minting the same certificate twice", async function () {
+      await soulboundNFT.connect(issuer).mintCertificate(recipient1.address, proof1);
+      await expect(
+        soulboundNFT.connect(issuer).mintCertificate(recipient1.address, proof1)
+      ).to.be.revertedWith("SoulboundNFT: Credential already issued to recipient");
+    });
+
     it("Should prevent minting with invalid Merkle proof", async function () {
       // Try to mint with wrong proof (using proof1 for recipient2)
       await expect(
@@ -101,6 +129,436 @@ describe("SoulboundNFT", function () {
     });
   });
 
+  describe("Multiple Credentials", function () {
+    const level1 = ethers.id("data-science-track/level-1");
+    const level2 = ethers.id("data-science-track/level-2");
+    let credentialTree;
+
+    // Helper function to create a leaf from an address and credential ID
+    function createCredentialLeaf(address, credentialId) {
+      return Buffer.from(
+        leafHash({ address, credentialId }).slice(2),
+        'hex'
+      );
+    }
+
+    function credentialProof(address, credentialId) {
+      return credentialTree.getHexProof(createCredentialLeaf(address, credentialId));
+    }
+
+    beforeEach(async function () {
+      const leaves = [
+        [recipient1.address, level1],
+        [recipient1.address, level2],
+        [recipient2.address, level1]
+      ].map(([addr, credentialId]) => createCredentialLeaf(addr, credentialId));
+      credentialTree = new MerkleTree(leaves, keccak256, { sortPairs: true });
+      await soulboundNFT.connect(issuer).setMerkleRoot(credentialTree.getHexRoot());
+    });
+
+    it("Should mint several credentials of one collection to the same wallet", async function () {
+      await soulboundNFT.connect(issuer).mintCredential(recipient1.address, level1, credentialProof(recipient1.address, level1));
+      await soulboundNFT.connect(issuer).mintCredential(recipient1.address, level2, credentialProof(recipient1.address, level2));
+
+      expect(await soulboundNFT.balanceOf(recipient1.address)).to.equal(2);
+      expect(await soulboundNFT.credentialIdOf(1)).to.equal(level1);
+      expect(await soulboundNFT.credentialIdOf(2)).to.equal(level2);
+      expect(await soulboundNFT.hasClaimed(recipient1.address, level2)).to.be.true;
+      expect(await soulboundNFT.hasClaimed(recipient2.address, level1)).to.be.false;
+    });
+
+    it("Should prevent minting the same credential twice", async function () {
+      const proof = credentialProof(recipient1.address, level1);
+      await soulboundNFT.connect(issuer).mintCredential(recipient1.address, level1, proof);
+
+      await expect(
+        soulboundNFT.connect(issuer).mintCredential(recipient1.address, level1, proof)
+      ).to.be.revertedWith("SoulboundNFT: Credential already issued to recipient");
+    });
+
+    it("Should prevent minting a credential the recipient was not whitelisted for", async function () {
+      expect(
+        await soulboundNFT.isEligibleFor(recipient2.address, level2, credentialProof(recipient2.address, level1))
+      ).to.be.false;
+      await expect(
+        soulboundNFT.connect(issuer).mintCredential(recipient2.address, level2, credentialProof(recipient2.address, level1))
+      ).to.be.revertedWith("SoulboundNFT: Recipient is not eligible");
+    });
+
+    it("Should reject the zero credential ID", async function () {
+      await expect(
+        soulboundNFT.connect(issuer).mintCredential(recipient1.address, ethers.ZeroHash, [])
+      ).to.be.revertedWith("SoulboundNFT: Invalid credential ID");
+    });
+
+    it("Should only let the issuer re-issue a credential after it is burned", async function () {
+      const proof = credentialProof(recipient1.address, level1);
+      await soulboundNFT.connect(issuer).mintCredential(recipient1.address, level1, proof);
+      await soulboundNFT.connect(issuer).burn(1);
+
+      expect(await soulboundNFT.hasClaimed(recipient1.address, level1)).to.be.true;
+      await expect(
+        soulboundNFT.connect(recipient1).claimCertificate(level1, proof)
+      ).to.be.revertedWith("SoulboundNFT: Credential already issued to recipient");
+      await soulboundNFT.connect(issuer).mintCredential(recipient1.address, level1, proof);
+      expect(await soulboundNFT.ownerOf(2)).to.equal(recipient1.address);
+    });
+
+    it("Should prevent a revoked holder from burning and claiming the certificate again", async function () {
+      const proof = credentialProof(recipient1.address, level1);
+      await soulboundNFT.connect(recipient1).claimCertificate(level1, proof);
+      await soulboundNFT.connect(issuer).revokeCertificate(1, 1);
+      await soulboundNFT.connect(recipient1).burn(1);
+
+      await expect(
+        soulboundNFT.connect(recipient1).claimCertificate(level1, proof)
+      ).to.be.revertedWith("SoulboundNFT: Credential already issued to recipient");
+    });
+  });
+
+  describe("Batch Minting", function () {
+    let cohort;
+    let cohortTree;
+
+    // Helper function to build an OpenZeppelin multiproof for leaves of a perfect (power-of-two) tree
+    function multiProof(tree, addresses) {
+      const layers = tree.getLayers();
+      let indices = addresses
+        .map((addr) => layers[0].findIndex((leaf) => leaf.equals(createLeaf(addr))))
+        .sort((a, b) => a - b);
+      const recipients = indices.map((i) => layers[0][i]);
+      const proof = [];
+      const proofFlags = [];
+
+      for (let level = 0; level < layers.length - 1; level++) {
+        const next = [];
+        for (let j = 0; j < indices.length; j++) {
+          const index = indices[j];
+          if (indices[j + 1] === (index ^ 1)) {
+            proofFlags.push(true);
+            j++;
+          } else {
+            proofFlags.push(false);
+            proof.push(tree.bufferToHex(layers[level][index ^ 1]));
+          }
+          next.push(index >> 1);
+        }
+        indices = next;
+      }
+
+      return {
+        recipients: recipients.map((leaf) => addresses.find((addr) => createLeaf(addr).equals(leaf))),
+        proof,
+        proofFlags
+      };
+    }
+
+    beforeEach(async function () {
+      // 5 recipients padded with zero leaves to a perfect tree of 8
+      cohort = (await ethers.getSigners()).slice(5, 10).map((signer) => signer.address);
+      const leaves = cohort.map((addr) => createLeaf(addr));
+      while (leaves.length < 8) leaves.push(Buffer.alloc(32));
+      cohortTree = new MerkleTree(leaves, keccak256, { sortPairs: true });
+      await soulboundNFT.connect(issuer).setMerkleRoot(cohortTree.getHexRoot());
+    });
+
+    it("Should mint a cohort with one multiproof", async function () {
+      const { recipients, proof, proofFlags } = multiProof(cohortTree, cohort);
+      const zeros = recipients.map(() => ethers.ZeroHash);
+
+      const tokenIds = await soulboundNFT.connect(issuer).batchMint.staticCall(recipients, zeros, proof, proofFlags);
+      expect(tokenIds).to.deep.equal([1n, 2n, 3n, 4n, 5n]);
+
+      await soulboundNFT.connect(issuer).batchMint(recipients, zeros, proof, proofFlags);
+      for (const [i, recipient] of recipients.entries()) {
+        expect(await soulboundNFT.ownerOf(i + 1)).to.equal(recipient);
+        expect(await soulboundNFT.issuerOf(i + 1)).to.equal(issuer.address);
+      }
+    });
+
+    it("Should mint a subset of the cohort", async function () {
+      const { recipients, proof, proofFlags } = multiProof(cohortTree, [cohort[4], cohort[1]]);
+
+      await soulboundNFT.connect(issuer).batchMint(recipients, [ethers.ZeroHash, ethers.ZeroHash], proof, proofFlags);
+
+      expect(await soulboundNFT.totalMinted()).to.equal(2);
+      expect(await soulboundNFT.hasClaimed(cohort[4], ethers.ZeroHash)).to.be.true;
+      expect(await soulboundNFT.hasClaimed(cohort[0], ethers.ZeroHash)).to.be.false;
+    });
+
+    it("Should skip recipients that were already issued a certificate", async function () {
+      await soulboundNFT.connect(issuer).mintCertificate(cohort[2], cohortTree.getHexProof(createLeaf(cohort[2])));
+      const { recipients, proof, proofFlags } = multiProof(cohortTree, cohort);
+      const zeros = recipients.map(() => ethers.ZeroHash);
+
+      const tokenIds = await soulboundNFT.connect(issuer).batchMint.staticCall(recipients, zeros, proof, proofFlags);
+      expect(tokenIds[recipients.indexOf(cohort[2])]).to.equal(0);
+
+      await expect(soulboundNFT.connect(issuer).batchMint(recipients, zeros, proof, proofFlags))
+        .to.emit(soulboundNFT, "CertificateMintSkipped")
+        .withArgs(cohort[2], ethers.ZeroHash);
+      expect(await soulboundNFT.balanceOf(cohort[2])).to.equal(1);
+      expect(await soulboundNFT.totalMinted()).to.equal(5);
+    });
+
+    it("Should reject a multiproof that does not match the recipients", async function () {
+      const { recipients, proof, proofFlags } = multiProof(cohortTree, [cohort[0], cohort[1]]);
+      const zeros = [ethers.ZeroHash, ethers.ZeroHash];
+
+      await expect(
+        soulboundNFT.connect(issuer).batchMint([recipients[0], nonWhitelisted.address], zeros, proof, proofFlags)
+      ).to.be.revertedWith("SoulboundNFT: Recipients are not eligible");
+    });
+
+    it("Should prevent non-verified issuers from batch minting", async function () {
+      const { recipients, proof, proofFlags } = multiProof(cohortTree, cohort);
+
+      await expect(
+        soulboundNFT.connect(nonWhitelisted).batchMint(recipients, recipients.map(() => ethers.ZeroHash), proof, proofFlags)
+      ).to.be.revertedWith("SoulboundNFT: Caller is not a verified issuer");
+    });
+
+    it("Should reject mismatched recipient and credential arrays", async function () {
+      await expect(
+        soulboundNFT.connect(issuer).batchMint(cohort, [], [], [])
+      ).to.be.revertedWith("SoulboundNFT: Array length mismatch");
+    });
+  });
+
+  describe("Self-Claim", function () {
+    const voucherTypes = {
+      ClaimVoucher: [
+        { name: 'recipient', type: 'address' },
+        { name: 'credentialId', type: 'bytes32' },
+        { name: 'deadline', type: 'uint256' }
+      ]
+    };
+
+    // Helper function to sign a claim voucher for the collection
+    async function signVoucher(signer, recipient, overrides = {}) {
+      const voucher = {
+        recipient,
+        credentialId: ethers.ZeroHash,
+        deadline: (await time.latest()) + 3600,
+        ...overrides
+      };
+      const domain = {
+        name: "DecentraCert SoulboundNFT",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await soulboundNFT.getAddress()
+      };
+      return { voucher, signature: await signer.signTypedData(domain, voucherTypes, voucher) };
+    }
+
+    it("Should let a whitelisted recipient claim their own certificate", async function () {
+      await expect(soulboundNFT.connect(recipient1).claimCertificate(ethers.ZeroHash, proof1))
+        .to.emit(soulboundNFT, "CertificateMinted")
+        .withArgs(recipient1.address, 1, issuer.address);
+
+      expect(await soulboundNFT.ownerOf(1)).to.equal(recipient1.address);
+      expect(await soulboundNFT.issuerOf(1)).to.equal(issuer.address);
+      expect((await soulboundNFT.getCertificateData(1))[1]).to.equal(1); // issuerLevel snapshot
+    });
+
+    it("Should not let a revoked holder burn and claim again with a voucher", async function () {
+      const { voucher, signature } = await signVoucher(issuer, recipient2.address);
+      await soulboundNFT.claimWithVoucher(voucher, signature);
+      await soulboundNFT.connect(issuer).revokeCertificate(1, 1);
+      await soulboundNFT.connect(recipient2).burn(1);
+
+      await expect(
+        soulboundNFT.claimWithVoucher(voucher, signature)
+      ).to.be.revertedWith("SoulboundNFT: Credential already issued to recipient");
+    });
+
+    it("Should prevent claiming with another recipient's proof", async function () {
+      await expect(
+        soulboundNFT.connect(nonWhitelisted).claimCertificate(ethers.ZeroHash, proof1)
+      ).to.be.revertedWith("SoulboundNFT: Recipient is not eligible");
+    });
+
+    it("Should share duplicate protection with issuer minting", async function () {
+      await soulboundNFT.connect(issuer).mintCertificate(recipient1.address, proof1);
+
+      await expect(
+        soulboundNFT.connect(recipient1).claimCertificate(ethers.ZeroHash, proof1)
+      ).to.be.revertedWith("SoulboundNFT: Credential already issued to recipient");
+    });
+
+    it("Should prevent claims while the collection owner is not a verified issuer", async function () {
+      await issuerRegistry.deactivateIssuer(issuer.address);
+
+      await expect(
+        soulboundNFT.connect(recipient1).claimCertificate(ethers.ZeroHash, proof1)
+      ).to.be.revertedWith("SoulboundNFT: Collection issuer is not verified");
+    });
+
+    it("Should attribute claims to the current key after the collection owner rotates it", async function () {
+      await rotateIssuerKey(nonWhitelisted);
+
+      await expect(soulboundNFT.connect(recipient1).claimCertificate(ethers.ZeroHash, proof1))
+        .to.emit(soulboundNFT, "CertificateMinted")
+        .withArgs(recipient1.address, 1, nonWhitelisted.address);
+
+      // Vouchers are signed by the new key; the retired one no longer speaks for the collection
+      const retired = await signVoucher(issuer, recipient2.address);
+      await expect(
+        soulboundNFT.claimWithVoucher(retired.voucher, retired.signature)
+      ).to.be.revertedWith("SoulboundNFT: Invalid voucher signature");
+      const { voucher, signature } = await signVoucher(nonWhitelisted, recipient2.address);
+      await soulboundNFT.claimWithVoucher(voucher, signature);
+      expect(await soulboundNFT.issuerOf(2)).to.equal(nonWhitelisted.address);
+    });
+
+    it("Should mint from an issuer-signed voucher without a Merkle proof", async function () {
+      const { voucher, signature } = await signVoucher(issuer, nonWhitelisted.address);
+
+      await soulboundNFT.connect(nonWhitelisted).claimWithVoucher(voucher, signature);
+
+      expect(await soulboundNFT.ownerOf(1)).to.equal(nonWhitelisted.address);
+      expect(await soulboundNFT.issuerOf(1)).to.equal(issuer.address);
+    });
+
+    it("Should mint a voucher's credential to its recipient when relayed", async function () {
+      const credentialId = ethers.id("data-science-track/level-1");
+      const { voucher, signature } = await signVoucher(issuer, recipient1.address, { credentialId });
+
+      await soulboundNFT.connect(recipient2).claimWithVoucher(voucher, signature);
+
+      expect(await soulboundNFT.ownerOf(1)).to.equal(recipient1.address);
+      expect(await soulboundNFT.credentialIdOf(1)).to.equal(credentialId);
+    });
+
+    it("Should prevent redeeming a voucher twice", async function () {
+      const { voucher, signature } = await signVoucher(issuer, recipient1.address);
+      await soulboundNFT.claimWithVoucher(voucher, signature);
+
+      await expect(
+        soulboundNFT.claimWithVoucher(voucher, signature)
+      ).to.be.revertedWith("SoulboundNFT: Credential already issued to recipient");
+    });
+
+    it("Should reject vouchers not signed by the collection owner", async function () {
+      const { voucher, signature } = await signVoucher(recipient1, recipient1.address);
+
+      await expect(
+        soulboundNFT.claimWithVoucher(voucher, signature)
+      ).to.be.revertedWith("SoulboundNFT: Invalid voucher signature");
+    });
+
+    it("Should reject tampered vouchers", async function () {
+      const { voucher, signature } = await signVoucher(issuer, recipient1.address);
+
+      await expect(
+        soulboundNFT.claimWithVoucher({ ...voucher, recipient: nonWhitelisted.address }, signature)
+      ).to.be.revertedWith("SoulboundNFT: Invalid voucher signature");
+    });
+
+    it("Should reject expired vouchers", async function () {
+      const { voucher, signature } = await signVoucher(issuer, recipient1.address);
+      await time.increaseTo(voucher.deadline + 1);
+
+      await expect(
+        soulboundNFT.claimWithVoucher(voucher, signature)
+      ).to.be.revertedWith("SoulboundNFT: Voucher expired");
+    });
+  });
+
+  describe("Claim Codes", function () {
+    const claimCodeTypes = { ClaimCodeRedemption: [{ name: "recipient", type: "address" }] };
+    const email = "Ada@Example.edu";
+
+    let claimCodes;
+    let codeTree;
+
+    // Helper function to sign a recipient wallet with a claim code's key, as the holder's wallet would
+    async function signCode(code, recipient) {
+      const domain = {
+        name: "DecentraCert SoulboundNFT",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await soulboundNFT.getAddress()
+      };
+      return claimWalletOf(code).signTypedData(domain, claimCodeTypes, { recipient });
+    }
+
+    function claimCodeOf(index) {
+      const leaf = claimCodes.recipients[index + 1];
+      return {
+        code: { claimKey: leaf.claimKey, emailHash: leaf.emailHash || ethers.ZeroHash, credentialId: leaf.credentialId || ethers.ZeroHash },
+        proof: getProof(codeTree, leaf),
+        secret: claimCodes.codes[index].code
+      };
+    }
+
+    beforeEach(async function () {
+      // A wallet recipient, a code tied to an email and a code for a credential
+      claimCodes = generateClaimCodes([
+        { address: recipient1.address },
+        { email, name: "Ada" },
+        { credential: "Level 2" }
+      ]);
+      codeTree = buildTree(claimCodes.recipients);
+      await soulboundNFT.connect(issuer).setMerkleRoot(codeTree.getHexRoot());
+    });
+
+    it("Should mint a redeemed code to the wallet its key signed, whoever submits it", async function () {
+      const { code, proof, secret } = claimCodeOf(1);
+      const signature = await signCode(secret, nonWhitelisted.address);
+
+      await expect(soulboundNFT.connect(recipient2).redeemClaimCode(code, nonWhitelisted.address, proof, signature))
+        .to.emit(soulboundNFT, "ClaimCodeRedeemed")
+        .withArgs(code.claimKey, nonWhitelisted.address, 1);
+
+      expect(await soulboundNFT.ownerOf(1)).to.equal(nonWhitelisted.address);
+      expect(await soulboundNFT.issuerOf(1)).to.equal(issuer.address);
+      expect(await soulboundNFT.credentialIdOf(1)).to.equal(ethers.id("Level 2"));
+      expect(await soulboundNFT.claimKeyOf(1)).to.equal(code.claimKey);
+      expect(await soulboundNFT.isClaimCodeRedeemed(code)).to.be.true;
+    });
+
+    it("Should redeem each code once", async function () {
+      const { code, proof, secret } = claimCodeOf(1);
+      await soulboundNFT.redeemClaimCode(code, nonWhitelisted.address, proof, await signCode(secret, nonWhitelisted.address));
+
+      await expect(
+        soulboundNFT.redeemClaimCode(code, recipient2.address, proof, await signCode(secret, recipient2.address))
+      ).to.be.revertedWith("SoulboundNFT: Claim code already redeemed");
+    });
+
+    it("Should not let a front-runner redirect a redemption", async function () {
+      const { code, proof, secret } = claimCodeOf(1);
+      const signature = await signCode(secret, nonWhitelisted.address);
+
+      // Copying the pending transaction with another recipient does not match the signature
+      await expect(
+        soulboundNFT.connect(recipient2).redeemClaimCode(code, recipient2.address, proof, signature)
+      ).to.be.revertedWith("SoulboundNFT: Invalid claim code signature");
+      // Neither does signing with a guessed code
+      await expect(
+        soulboundNFT.connect(recipient2).redeemClaimCode(code, recipient2.address, proof, await signCode("WRONG-CODE", recipient2.address))
+      ).to.be.revertedWith("SoulboundNFT: Invalid claim code signature");
+    });
+
+    it("Should tie a code to its recipient's email", async function () {
+      const { code, proof, secret } = claimCodeOf(0);
+      expect(code.emailHash).to.equal(emailHashOf(" ada@example.edu"));
+      const signature = await signCode(secret.toLowerCase().replace(/-/g, ""), nonWhitelisted.address);
+
+      await expect(
+        soulboundNFT.redeemClaimCode({ ...code, emailHash: emailHashOf("eve@example.edu") }, nonWhitelisted.address, proof, signature)
+      ).to.be.revertedWith("SoulboundNFT: Claim code is not eligible");
+      await soulboundNFT.redeemClaimCode(code, nonWhitelisted.address, proof, signature);
+      expect(await soulboundNFT.ownerOf(1)).to.equal(nonWhitelisted.address);
+    });
+
+    it("Should keep wallet leaves of the same tree mintable", async function () {
+      await soulboundNFT.connect(issuer).mintCertificate(recipient1.address, getProof(codeTree, claimCodes.recipients[0]));
+      expect(await soulboundNFT.ownerOf(1)).to.equal(recipient1.address);
+    });
+  });
+
   describe("Soulbound Properties", function () {
     it("Should prevent transferring NFTs", async function () {
       // First mint a certificate
@@ -114,6 +572,413 @@ describe("SoulboundNFT", function () {
     });
   });
 
+  describe("Revocation", function () {
+    // Certificate statuses for clarity in tests
+    const Status = {
+      NONE: 0,
+      VALID: 1,
+      SUSPENDED: 2,
+      REVOKED: 3
+    };
+
+    beforeEach(async function () {
+      await soulboundNFT.connect(issuer).mintCertificate(recipient1.address, proof1);
+    });
+
+    it("Should report never-issued tokens as NONE and minted tokens as VALID", async function () {
+      expect(await soulboundNFT.certificateStatus(1)).to.equal(Status.VALID);
+      expect(await soulboundNFT.certificateStatus(2)).to.equal(Status.NONE);
+    });
+
+    it("Should let the issuer revoke a certificate while keeping the token", async function () {
+      await expect(soulboundNFT.connect(issuer).revokeCertificate(1, 1))
+        .to.emit(soulboundNFT, "CertificateRevoked")
+        .withArgs(1, issuer.address, 1);
+
+      expect(await soulboundNFT.certificateStatus(1)).to.equal(Status.REVOKED);
+      expect(await soulboundNFT.ownerOf(1)).to.equal(recipient1.address);
+
+      const record = await soulboundNFT.getStatusRecord(1);
+      expect(record.status).to.equal(Status.REVOKED);
+      expect(record.reasonCode).to.equal(1);
+      expect(record.updatedBy).to.equal(issuer.address);
+      expect(record.updatedAt).to.be.greaterThan(0);
+    });
+
+    it("Should let the collection owner revoke a certificate", async function () {
+      await soulboundNFT.connect(issuer).transferOwnership(owner.address);
+      await soulboundNFT.connect(owner).revokeCertificate(1, 2);
+      expect(await soulboundNFT.certificateStatus(1)).to.equal(Status.REVOKED);
+    });
+
+    it("Should let the issuer's rotated key revoke certificates issued by the old key", async function () {
+      // Owned by someone else, so only the certificate issuer's key is in play
+      await soulboundNFT.connect(issuer).transferOwnership(owner.address);
+      await rotateIssuerKey(recipient2);
+
+      await expect(
+        soulboundNFT.connect(issuer).revokeCertificate(1, 1)
+      ).to.be.revertedWith("SoulboundNFT: Caller is not the certificate issuer");
+      await soulboundNFT.connect(recipient2).revokeCertificate(1, 1);
+      expect(await soulboundNFT.certificateStatus(1)).to.equal(Status.REVOKED);
+      expect(await soulboundNFT.issuerOf(1)).to.equal(issuer.address);
+    });
+
+    it("Should prevent others from revoking certificates", async function () {
+      await expect(
+        soulboundNFT.connect(recipient1).revokeCertificate(1, 1)
+      ).to.be.revertedWith("SoulboundNFT: Caller is not the certificate issuer");
+    });
+
+    it("Should prevent revoking twice or reinstating a revoked certificate", async function () {
+      await soulboundNFT.connect(issuer).revokeCertificate(1, 1);
+
+      await expect(
+        soulboundNFT.connect(issuer).revokeCertificate(1, 2)
+      ).to.be.revertedWith("SoulboundNFT: Certificate already revoked");
+      await expect(
+        soulboundNFT.connect(issuer).reinstateCertificate(1)
+      ).to.be.revertedWith("SoulboundNFT: Certificate is not suspended");
+    });
+
+    it("Should suspend and reinstate a certificate", async function () {
+      await expect(soulboundNFT.connect(issuer).suspendCertificate(1, 4))
+        .to.emit(soulboundNFT, "CertificateSuspended")
+        .withArgs(1, issuer.address, 4);
+      expect(await soulboundNFT.certificateStatus(1)).to.equal(Status.SUSPENDED);
+
+      await expect(soulboundNFT.connect(issuer).reinstateCertificate(1))
+        .to.emit(soulboundNFT, "CertificateReinstated")
+        .withArgs(1, issuer.address);
+      expect(await soulboundNFT.certificateStatus(1)).to.equal(Status.VALID);
+    });
+
+    it("Should allow revoking a suspended certificate", async function () {
+      await soulboundNFT.connect(issuer).suspendCertificate(1, 4);
+      await soulboundNFT.connect(issuer).revokeCertificate(1, 1);
+      expect(await soulboundNFT.certificateStatus(1)).to.equal(Status.REVOKED);
+    });
+
+    it("Should reject status changes for nonexistent tokens", async function () {
+      await expect(
+        soulboundNFT.connect(issuer).revokeCertificate(2, 1)
+      ).to.be.revertedWith("SoulboundNFT: Query for nonexistent token");
+    });
+  });
+
+  describe("Wallet Recovery", function () {
+    const recoveryTypes = {
+      RecoveryRequest: [
+        { name: "tokenId", type: "uint256" },
+        { name: "newHolder", type: "address" },
+        { name: "deadline", type: "uint256" }
+      ]
+    };
+
+    // Helper function to sign a recovery request with the holder's new wallet
+    async function signRecovery(signer, tokenId, newHolder) {
+      const deadline = (await time.latest()) + 3600;
+      const domain = {
+        name: "DecentraCert SoulboundNFT",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await soulboundNFT.getAddress()
+      };
+      const signature = await signer.signTypedData(domain, recoveryTypes, { tokenId, newHolder, deadline });
+      return [tokenId, newHolder, deadline, signature];
+    }
+
+    beforeEach(async function () {
+      await soulboundNFT.connect(issuer).mintCertificate(recipient1.address, proof1);
+    });
+
+    it("Should re-bind a certificate to a new wallet once the issuer approves", async function () {
+      const [, issuerLevel, , issuedAt] = await soulboundNFT.getCertificateData(1);
+
+      await expect(soulboundNFT.connect(nonWhitelisted).requestRecovery(1))
+        .to.emit(soulboundNFT, "RecoveryRequested")
+        .withArgs(1, nonWhitelisted.address);
+      await expect(soulboundNFT.connect(issuer).approveRecovery(1, nonWhitelisted.address))
+        .to.emit(soulboundNFT, "CertificateRecovered")
+        .withArgs(1, 2, recipient1.address, nonWhitelisted.address);
+
+      expect(await soulboundNFT.ownerOf(2)).to.equal(nonWhitelisted.address);
+      expect(await soulboundNFT.certificateStatus(1)).to.equal(0); // NONE: the old token is burned
+      expect(await soulboundNFT.recoveredFrom(2)).to.equal(1);
+      expect(await soulboundNFT.recoveredTo(1)).to.equal(2);
+
+      const data = await soulboundNFT.getCertificateData(2);
+      expect(data.issuer).to.equal(issuer.address);
+      expect(data.issuerLevel).to.equal(issuerLevel);
+      expect(data.issuedTimestamp).to.equal(issuedAt);
+
+      // The lost wallet cannot claim the certificate again
+      await expect(
+        soulboundNFT.connect(issuer).mintCertificate(recipient1.address, proof1)
+      ).to.be.revertedWith("SoulboundNFT: Credential already issued to recipient");
+    });
+
+    it("Should require a registrar as well when the collection asks for it", async function () {
+      // The registry deployer holds REGISTRAR_ROLE but does not own the collection
+      await soulboundNFT.connect(issuer).setRecoveryRequiresAdmin(true);
+      await soulboundNFT.connect(nonWhitelisted).requestRecovery(1);
+
+      await soulboundNFT.connect(issuer).approveRecovery(1, nonWhitelisted.address);
+      expect(await soulboundNFT.ownerOf(1)).to.equal(recipient1.address);
+      expect((await soulboundNFT.getRecoveryRequest(1)).issuerApproved).to.be.true;
+
+      await expect(
+        soulboundNFT.connect(recipient2).approveRecovery(1, nonWhitelisted.address)
+      ).to.be.revertedWith("SoulboundNFT: Caller cannot approve recovery");
+      await expect(soulboundNFT.connect(owner).approveRecovery(1, nonWhitelisted.address))
+        .to.emit(soulboundNFT, "CertificateRecovered");
+      expect(await soulboundNFT.ownerOf(2)).to.equal(nonWhitelisted.address);
+    });
+
+    it("Should accept recovery requests signed by the new wallet", async function () {
+      await expect(
+        soulboundNFT.connect(issuer).requestRecoveryBySig(...(await signRecovery(recipient2, 1, nonWhitelisted.address)))
+      ).to.be.revertedWith("SoulboundNFT: Invalid recovery signature");
+
+      const request = await signRecovery(nonWhitelisted, 1, nonWhitelisted.address);
+      await soulboundNFT.connect(issuer).requestRecoveryBySig(...request);
+      expect((await soulboundNFT.getRecoveryRequest(1)).newHolder).to.equal(nonWhitelisted.address);
+      await expect(
+        soulboundNFT.connect(issuer).requestRecoveryBySig(...request)
+      ).to.be.revertedWith("SoulboundNFT: Recovery already requested");
+    });
+
+    it("Should not let a third party replace a pending recovery", async function () {
+      await soulboundNFT.connect(nonWhitelisted).requestRecovery(1);
+
+      await expect(
+        soulboundNFT.connect(recipient2).requestRecovery(1)
+      ).to.be.revertedWith("SoulboundNFT: Recovery already pending");
+      await expect(
+        soulboundNFT.connect(recipient2).requestRecoveryBySig(...(await signRecovery(recipient2, 1, recipient2.address)))
+      ).to.be.revertedWith("SoulboundNFT: Recovery already pending");
+
+      // The issuer may relay a replacement, but approvals name the wallet that was checked
+      await soulboundNFT.connect(issuer).requestRecoveryBySig(...(await signRecovery(recipient2, 1, recipient2.address)));
+      await expect(
+        soulboundNFT.connect(issuer).approveRecovery(1, nonWhitelisted.address)
+      ).to.be.revertedWith("SoulboundNFT: Recovery holder mismatch");
+      expect(await soulboundNFT.ownerOf(1)).to.equal(recipient1.address);
+    });
+
+    it("Should let the holder cancel a recovery and refuse revoked certificates", async function () {
+      await soulboundNFT.connect(nonWhitelisted).requestRecovery(1);
+
+      await expect(
+        soulboundNFT.connect(recipient2).cancelRecovery(1)
+      ).to.be.revertedWith("SoulboundNFT: Caller cannot cancel recovery");
+      await expect(soulboundNFT.connect(recipient1).cancelRecovery(1))
+        .to.emit(soulboundNFT, "RecoveryCancelled")
+        .withArgs(1, nonWhitelisted.address);
+      await expect(
+        soulboundNFT.connect(issuer).approveRecovery(1, nonWhitelisted.address)
+      ).to.be.revertedWith("SoulboundNFT: No pending recovery");
+
+      await soulboundNFT.connect(issuer).revokeCertificate(1, 1);
+      await expect(
+        soulboundNFT.connect(nonWhitelisted).requestRecovery(1)
+      ).to.be.revertedWith("SoulboundNFT: Certificate already revoked");
+    });
+  });
+
+  describe("Expiry and Renewal", function () {
+    const YEAR = 365 * 24 * 60 * 60;
+    const Status = {
+      VALID: 1,
+      REVOKED: 3,
+      EXPIRED: 4
+    };
+
+    it("Should not expire certificates by default", async function () {
+      await soulboundNFT.connect(issuer).mintCertificate(recipient1.address, proof1);
+
+      const certData = await soulboundNFT.getCertificateData(1);
+      expect(certData.expiresAt).to.equal(0);
+
+      await time.increase(10 * YEAR);
+      expect(await soulboundNFT.certificateStatus(1)).to.equal(Status.VALID);
+      expect(await soulboundNFT.isValid(1)).to.be.true;
+    });
+
+    it("Should apply the collection validity period to new certificates", async function () {
+      await expect(soulboundNFT.connect(issuer).setDefaultValidity(2 * YEAR))
+        .to.emit(soulboundNFT, "DefaultValidityUpdated")
+        .withArgs(0, 2 * YEAR);
+      await soulboundNFT.connect(issuer).mintCertificate(recipient1.address, proof1);
+
+      const certData = await soulboundNFT.getCertificateData(1);
+      expect(certData.expiresAt).to.equal(certData.issuedTimestamp + BigInt(2 * YEAR));
+
+      await time.increase(2 * YEAR + 1);
+      expect(await soulboundNFT.certificateStatus(1)).to.equal(Status.EXPIRED);
+      expect(await soulboundNFT.isValid(1)).to.be.false;
+    });
+
+    it("Should prevent non-owners from setting the validity period", async function () {
+      await expect(
+        soulboundNFT.connect(recipient2).setDefaultValidity(YEAR)
+      ).to.be.revertedWithCustomError(soulboundNFT, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should let the issuer renew an expired certificate", async function () {
+      await soulboundNFT.connect(issuer).setDefaultValidity(YEAR);
+      await soulboundNFT.connect(issuer).mintCertificate(recipient1.address, proof1);
+      const oldExpiresAt = await soulboundNFT.getExpiresAt(1);
+
+      await time.increase(YEAR + 1);
+      const newExpiresAt = (await time.latest()) + 3 * YEAR;
+
+      await expect(soulboundNFT.connect(issuer).renewCertificate(1, newExpiresAt))
+        .to.emit(soulboundNFT, "CertificateRenewed")
+        .withArgs(1, issuer.address, oldExpiresAt, newExpiresAt);
+      expect(await soulboundNFT.certificateStatus(1)).to.equal(Status.VALID);
+      expect(await soulboundNFT.getExpiresAt(1)).to.equal(newExpiresAt);
+    });
+
+    it("Should reject renewals that do not extend validity", async function () {
+      await soulboundNFT.connect(issuer).setDefaultValidity(YEAR);
+      await soulboundNFT.connect(issuer).mintCertificate(recipient1.address, proof1);
+      const expiresAt = await soulboundNFT.getExpiresAt(1);
+
+      await expect(
+        soulboundNFT.connect(issuer).renewCertificate(1, expiresAt - 1n)
+      ).to.be.revertedWith("SoulboundNFT: Renewal must extend validity");
+    });
+
+    it("Should reject renewing revoked or non-expiring certificates", async function () {
+      await soulboundNFT.connect(issuer).mintCertificate(recipient1.address, proof1);
+      await expect(
+        soulboundNFT.connect(issuer).renewCertificate(1, (await time.latest()) + YEAR)
+      ).to.be.revertedWith("SoulboundNFT: Certificate does not expire");
+
+      await soulboundNFT.connect(issuer).setCertificateExpiry(1, (await time.latest()) + YEAR);
+      await soulboundNFT.connect(issuer).revokeCertificate(1, 1);
+      await expect(
+        soulboundNFT.connect(issuer).renewCertificate(1, (await time.latest()) + 2 * YEAR)
+      ).to.be.revertedWith("SoulboundNFT: Certificate already revoked");
+      expect(await soulboundNFT.certificateStatus(1)).to.equal(Status.REVOKED);
+    });
+
+    it("Should let the issuer override a single certificate's expiry", async function () {
+      await soulboundNFT.connect(issuer).mintCertificate(recipient1.address, proof1);
+      const expiresAt = (await time.latest()) + YEAR;
+
+      await expect(soulboundNFT.connect(issuer).setCertificateExpiry(1, expiresAt))
+        .to.emit(soulboundNFT, "CertificateExpiryUpdated")
+        .withArgs(1, 0, expiresAt);
+      expect(await soulboundNFT.getExpiresAt(1)).to.equal(expiresAt);
+
+      await expect(
+        soulboundNFT.connect(recipient1).setCertificateExpiry(1, 0)
+      ).to.be.revertedWith("SoulboundNFT: Caller is not the certificate issuer");
+    });
+
+    it("Should count minted certificates", async function () {
+      await soulboundNFT.connect(issuer).mintCertificate(recipient1.address, proof1);
+      await soulboundNFT.connect(issuer).mintCertificate(recipient2.address, proof2);
+      expect(await soulboundNFT.totalMinted()).to.equal(2);
+    });
+  });
+
+  describe("Metadata Anchoring", function () {
+    const metadata = JSON.stringify({ name: "Test Certificate #1", attributes: [{ trait_type: "Grade", value: "A" }] });
+    const contentHash = ethers.sha256(ethers.toUtf8Bytes(metadata));
+
+    beforeEach(async function () {
+      await soulboundNFT.connect(issuer).mintCertificate(recipient1.address, proof1);
+    });
+
+    it("Should let the issuer anchor the metadata hash", async function () {
+      expect(await soulboundNFT.contentHashOf(1)).to.equal(ethers.ZeroHash);
+
+      await expect(soulboundNFT.connect(issuer).anchorContentHash(1, contentHash))
+        .to.emit(soulboundNFT, "ContentHashAnchored")
+        .withArgs(1, issuer.address, contentHash);
+      expect(await soulboundNFT.contentHashOf(1)).to.equal(contentHash);
+    });
+
+    it("Should detect tampered metadata", async function () {
+      await soulboundNFT.connect(issuer).anchorContentHash(1, contentHash);
+
+      const tampered = metadata.replace('"A"', '"A+"');
+      expect(ethers.sha256(ethers.toUtf8Bytes(tampered))).to.not.equal(await soulboundNFT.contentHashOf(1));
+    });
+
+    it("Should prevent others from anchoring metadata hashes", async function () {
+      await expect(
+        soulboundNFT.connect(recipient1).anchorContentHash(1, contentHash)
+      ).to.be.revertedWith("SoulboundNFT: Caller is not the certificate issuer");
+    });
+
+    it("Should reject the zero hash", async function () {
+      await expect(
+        soulboundNFT.connect(issuer).anchorContentHash(1, ethers.ZeroHash)
+      ).to.be.revertedWith("SoulboundNFT: Invalid content hash");
+    });
+  });
+
+  describe("Attribute Commitments", function () {
+    const attributesRoot = 123456789n;
+
+    it("Should commit attributes at mint time", async function () {
+      await expect(soulboundNFT.connect(issuer).mintWithAttributes(recipient1.address, ethers.ZeroHash, proof1, attributesRoot))
+        .to.emit(soulboundNFT, "AttributesCommitted")
+        .withArgs(1, attributesRoot);
+
+      expect(await soulboundNFT.ownerOf(1)).to.equal(recipient1.address);
+      expect(await soulboundNFT.attributesRootOf(1)).to.equal(attributesRoot);
+    });
+
+    it("Should let the issuer commit attributes of a minted certificate once", async function () {
+      await soulboundNFT.connect(issuer).mintCertificate(recipient1.address, proof1);
+      expect(await soulboundNFT.attributesRootOf(1)).to.equal(0);
+
+      await soulboundNFT.connect(issuer).commitAttributes(1, attributesRoot);
+      expect(await soulboundNFT.attributesRootOf(1)).to.equal(attributesRoot);
+
+      await expect(
+        soulboundNFT.connect(issuer).commitAttributes(1, attributesRoot + 1n)
+      ).to.be.revertedWith("SoulboundNFT: Attributes already committed");
+    });
+
+    it("Should prevent others from committing attributes", async function () {
+      await soulboundNFT.connect(issuer).mintCertificate(recipient1.address, proof1);
+
+      await expect(
+        soulboundNFT.connect(recipient1).commitAttributes(1, attributesRoot)
+      ).to.be.revertedWith("SoulboundNFT: Caller is not the certificate issuer");
+      await expect(
+        soulboundNFT.connect(issuer).commitAttributes(1, 0)
+      ).to.be.revertedWith("SoulboundNFT: Invalid attributes root");
+    });
+  });
+
+  describe("Collection Administration", function () {
+    it("Should hand owner-only functions and minting to the owner's rotated key", async function () {
+      await rotateIssuerKey(recipient2);
+
+      await expect(
+        soulboundNFT.connect(issuer).setDefaultValidity(1)
+      ).to.be.revertedWithCustomError(soulboundNFT, "OwnableUnauthorizedAccount");
+      await expect(
+        soulboundNFT.connect(issuer).mintCertificate(recipient1.address, proof1)
+      ).to.be.revertedWith("SoulboundNFT: Caller is not a verified issuer");
+
+      await soulboundNFT.connect(recipient2).setDefaultValidity(1);
+      await soulboundNFT.connect(recipient2).mintCertificate(recipient1.address, proof1);
+      expect(await soulboundNFT.issuerOf(1)).to.equal(recipient2.address);
+
+      // The new key can also take over ownership outright
+      await soulboundNFT.connect(recipient2).transferOwnership(recipient2.address);
+      expect(await soulboundNFT.owner()).to.equal(recipient2.address);
+    });
+  });
+
   describe("Merkle Root Management", function () {
     it("Should allow owner to update Merkle root", async function () {
       // Create new Merkle tree with different recipients
@@ -122,7 +987,7 @@ describe("SoulboundNFT", function () {
       const newMerkleRoot = newMerkleTree.getHexRoot();
       
       // Update Merkle root
-      await soulboundNFT.connect(owner).setMerkleRoot(newMerkleRoot);
+      await soulboundNFT.connect(issuer).setMerkleRoot(newMerkleRoot);
       
       // Verify new root is set
       const root = await soulboundNFT.getMerkleRoot();
@@ -145,7 +1010,7 @@ describe("SoulboundNFT", function () {
       
       // Try to update Merkle root as non-owner
       await expect(
-        soulboundNFT.connect(issuer).setMerkleRoot(newMerkleRoot)
+        soulboundNFT.connect(recipient2).setMerkleRoot(newMerkleRoot)
       ).to.be.revertedWith("Ownable: caller is not the owner");
     });
   });
@@ -166,7 +1031,7 @@ describe("SoulboundNFT", function () {
       await soulboundNFT.connect(issuer).mintCertificate(recipient1.address, proof1);
       
       // Update base URI
-      await soulboundNFT.connect(owner).setBaseURI("https://example.com/");
+      await soulboundNFT.connect(issuer).setBaseURI("https://example.com/");
       
       // Check updated token URI
       const tokenId = 1;
@@ -177,7 +1042,7 @@ describe("SoulboundNFT", function () {
     it("Should prevent non-owners from updating base URI", async function () {
       // Try to update base URI as non-owner
       await expect(
-        soulboundNFT.connect(issuer).setBaseURI("https://example.com/")
+        soulboundNFT.connect(recipient2).setBaseURI("https://example.com/")
       ).to.be.revertedWith("Ownable: caller is not the owner");
     });
   });
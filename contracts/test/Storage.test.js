@@ -0,0 +1,183 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { createFileStore, createKvStore } = require("../../backend/src/services/storage");
+
+// Exercises the backend storage drivers
+describe("Storage", function () {
+  describe("File Store", function () {
+    let dir;
+    let filePath;
+
+    beforeEach(async function () {
+      dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "decentracert-store-"));
+      filePath = path.join(dir, "collections.json");
+    });
+
+    afterEach(async function () {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    });
+
+    it("Should keep every key when two stores write the same file concurrently", async function () {
+      // Two instances of one file stand in for two processes sharing a volume
+      const first = createFileStore(filePath);
+      const second = createFileStore(filePath);
+
+      await Promise.all(
+        Array.from({ length: 10 }, (_, i) => (i % 2 ? first : second).set(`root-${i}`, { index: i }))
+      );
+
+      expect((await first.keys()).sort()).to.deep.equal(Array.from({ length: 10 }, (_, i) => `root-${i}`).sort());
+      expect(await second.get("root-7")).to.deep.equal({ index: 7 });
+      expect(fs.existsSync(`${filePath}.lock`)).to.be.false;
+    });
+
+    it("Should re-read the file when another store changed it", async function () {
+      const reader = createFileStore(filePath);
+      const writer = createFileStore(filePath);
+
+      await reader.set("a", 1);
+      expect(await reader.get("a")).to.equal(1);
+
+      await writer.set("b", 2);
+      await writer.delete("a");
+      expect(await reader.get("a")).to.be.null;
+      expect(await reader.get("b")).to.equal(2);
+
+      // A write based on the cached copy would bring "a" back
+      await reader.set("c", 3);
+      expect((await writer.keys()).sort()).to.deep.equal(["b", "c"]);
+    });
+
+    it("Should wait for another writer's lock", async function () {
+      const store = createFileStore(filePath);
+      await fs.promises.writeFile(`${filePath}.lock`, "");
+
+      let written = false;
+      const write = store.set("a", 1).then(() => {
+        written = true;
+      });
+      await new Promise((resolve) => setTimeout(resolve, 200));
+      expect(written).to.be.false;
+
+      await fs.promises.rm(`${filePath}.lock`);
+      await write;
+      expect(await store.get("a")).to.equal(1);
+    });
+
+    it("Should write and delete several keys in one update", async function () {
+      const store = createFileStore(filePath);
+      await store.set("journal:7", [{ key: "a", previous: null }]);
+
+      const other = createFileStore(filePath);
+      await store.setMany([["a", 1], ["b", 2], ["journal:7", null], ["state", { lastBlock: 8 }]]);
+      expect(JSON.parse(await fs.promises.readFile(filePath, "utf8"))).to.deep.equal({ a: 1, b: 2, state: { lastBlock: 8 } });
+      expect(await other.get("journal:7")).to.be.null;
+    });
+
+    it("Should break a lock left by a crashed writer", async function () {
+      const store = createFileStore(filePath);
+      await fs.promises.writeFile(`${filePath}.lock`, "");
+      const crashedAt = new Date(Date.now() - 60 * 1000);
+      await fs.promises.utimes(`${filePath}.lock`, crashedAt, crashedAt);
+
+      await store.set("a", 1);
+      expect(await store.get("a")).to.equal(1);
+      expect(fs.existsSync(`${filePath}.lock`)).to.be.false;
+    });
+  });
+
+  describe("KV Store", function () {
+    let server;
+    let url;
+    let hashes;
+    let requests;
+
+    // Runs one Redis hash command
+    function run([name, key, ...args]) {
+      const hash = hashes.get(key) || new Map();
+      hashes.set(key, hash);
+      if (name === "HGET") return { result: hash.has(args[0]) ? hash.get(args[0]) : null };
+      if (name === "HSET") {
+        for (let i = 0; i < args.length; i += 2) hash.set(args[i], args[i + 1]);
+        return { result: args.length / 2 };
+      }
+      if (name === "HDEL") return { result: args.filter((field) => hash.delete(field)).length };
+      if (name === "HKEYS") return { result: [...hash.keys()] };
+      return { error: `ERR unknown command '${name}'` };
+    }
+
+    // Answers commands and MULTI/EXEC transactions of the Upstash REST API
+    function handle(req, res) {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        requests.push({ path: req.url, authorization: req.headers.authorization, command: JSON.parse(body) });
+        if (req.headers.authorization !== "Bearer kv-token") {
+          res.writeHead(401, { "content-type": "application/json" });
+          return res.end(JSON.stringify({ error: "Unauthorized" }));
+        }
+
+        const reply = req.url === "/multi-exec" ? JSON.parse(body).map(run) : run(JSON.parse(body));
+        res.writeHead(reply.error ? 400 : 200, { "content-type": "application/json" });
+        return res.end(JSON.stringify(reply));
+      });
+    }
+
+    before(async function () {
+      server = http.createServer(handle).listen(0);
+      await new Promise((resolve) => server.once("listening", resolve));
+      url = `http://127.0.0.1:${server.address().port}/`;
+    });
+
+    after(async function () {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    beforeEach(function () {
+      hashes = new Map();
+      requests = [];
+    });
+
+    it("Should keep a namespace in one Redis hash", async function () {
+      const store = createKvStore({ url, token: "kv-token", key: "decentracert:collections" });
+
+      await store.set("0xroot", { leaves: ["0xa", "0xb"], deployed: false });
+      expect(await store.get("0xroot")).to.deep.equal({ leaves: ["0xa", "0xb"], deployed: false });
+      expect(await store.get("0xmissing")).to.be.null;
+      expect(await store.keys()).to.deep.equal(["0xroot"]);
+
+      await store.delete("0xroot");
+      expect(await store.keys()).to.deep.equal([]);
+
+      expect([...hashes.keys()]).to.deep.equal(["decentracert:collections"]);
+      expect(requests[0]).to.deep.equal({
+        path: "/",
+        authorization: "Bearer kv-token",
+        command: ["HSET", "decentracert:collections", "0xroot", JSON.stringify({ leaves: ["0xa", "0xb"], deployed: false })],
+      });
+    });
+
+    it("Should write and delete several fields in one transaction", async function () {
+      const store = createKvStore({ url, token: "kv-token", key: "decentracert:index" });
+      await store.set("journal:7", []);
+
+      await store.setMany([["a", 1], ["journal:7", null], ["state", { lastBlock: 8 }]]);
+      expect((await store.keys()).sort()).to.deep.equal(["a", "state"]);
+      expect(await store.get("state")).to.deep.equal({ lastBlock: 8 });
+
+      const transaction = requests.find((request) => request.path === "/multi-exec");
+      expect(transaction.command).to.deep.equal([
+        ["HSET", "decentracert:index", "a", "1", "state", JSON.stringify({ lastBlock: 8 })],
+        ["HDEL", "decentracert:index", "journal:7"],
+      ]);
+    });
+
+    it("Should surface errors of the REST API", async function () {
+      const store = createKvStore({ url, token: "wrong-token", key: "decentracert:collections" });
+      await expect(store.set("0xroot", {})).to.be.rejectedWith("KV HSET failed: Unauthorized");
+    });
+  });
+});
@@ -0,0 +1,205 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { MerkleTree } = require('merkletreejs');
+const keccak256 = require('keccak256');
+const { leafHash } = require("../../backend/src/services/merkle");
+const { setContracts } = require("../../backend/src/services/contracts");
+const { getStore, setStoreFactory, createMemoryStore } = require("../../backend/src/services/storage");
+const { getRegistryDomain } = require("../../backend/src/services/attestations");
+const { contentHash, computeCid } = require("../../backend/src/services/cid");
+const { buildVerificationReport, recoverReportSigner, resolveShortLink } = require("../../backend/src/services/verification");
+const app = require("../../backend/src/app");
+
+// Exercises the backend verification reports and short links against contracts on the Hardhat network
+describe("Verification Reports", function () {
+  let issuerRegistry;
+  let certificateFactory;
+  let implementation;
+  let collection;
+  let owner;
+  let issuer;
+  let recipient;
+  let otherIssuer;
+  let merkleTree;
+  let server;
+  let baseUrl;
+
+  // EIP-712 types of the oracle attestations the registry accepts
+  const attestationTypes = {
+    DomainAttestation: [
+      { name: "issuer", type: "address" },
+      { name: "domain", type: "string" },
+      { name: "challenge", type: "bytes32" },
+      { name: "deadline", type: "uint256" }
+    ],
+    SocialAttestation: [
+      { name: "issuer", type: "address" },
+      { name: "socialMediaUrl", type: "string" },
+      { name: "handle", type: "string" },
+      { name: "challenge", type: "bytes32" },
+      { name: "deadline", type: "uint256" }
+    ]
+  };
+
+  // Helper function to have the oracle attest a domain or post; earlier suites move the chain clock ahead of the wall clock
+  async function attest(type, fields) {
+    const value = { ...fields, challenge: ethers.hexlify(ethers.randomBytes(32)), deadline: (await time.latest()) + 3600 };
+    const signature = await owner.signTypedData(await getRegistryDomain(), { [type]: attestationTypes[type] }, value);
+    return { handle: fields.handle, challenge: value.challenge, deadline: value.deadline, signature };
+  }
+
+  function createLeaf(address) {
+    return Buffer.from(leafHash({ address }).slice(2), "hex");
+  }
+
+  async function mint(minter = issuer) {
+    const proof = merkleTree.getHexProof(createLeaf(recipient.address));
+    await collection.connect(minter).mintCertificate(recipient.address, proof);
+    return 1;
+  }
+
+  before(async function () {
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async function () {
+    await new Promise((resolve) => server.close(resolve));
+    setContracts(null);
+    setStoreFactory(null);
+  });
+
+  beforeEach(async function () {
+    [owner, issuer, recipient, otherIssuer] = await ethers.getSigners();
+    setStoreFactory(() => createMemoryStore());
+
+    merkleTree = new MerkleTree([createLeaf(recipient.address)], keccak256, { sortPairs: true });
+
+    issuerRegistry = await (await ethers.getContractFactory("IssuerRegistry")).deploy();
+    const SoulboundNFT = await ethers.getContractFactory("SoulboundNFT");
+    implementation = await SoulboundNFT.deploy("Certificate Implementation", "CERT", ethers.ZeroHash, await issuerRegistry.getAddress(), "");
+    certificateFactory = await (await ethers.getContractFactory("CertificateFactory")).deploy(
+      await implementation.getAddress(),
+      await issuerRegistry.getAddress()
+    );
+
+    // The deployer signs reports, as the backend wallet does
+    setContracts({
+      provider: ethers.provider,
+      signer: owner,
+      issuerRegistry,
+      soulboundNFT: implementation,
+      certificateFactory,
+    });
+
+    // Verified by a social media post, so the tier can change after issuing
+    const postUrl = "https://x.com/techacademy/status/1790000000000000000";
+    await issuerRegistry.connect(issuer).verifyIssuerT2(
+      "Tech Academy",
+      postUrl,
+      await attest("SocialAttestation", { issuer: issuer.address, socialMediaUrl: postUrl, handle: "techacademy" })
+    );
+
+    const tx = await certificateFactory.connect(issuer).createCollection("Data Science Track", "DST", merkleTree.getHexRoot(), "");
+    const event = (await tx.wait()).logs
+      .map((log) => certificateFactory.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "CollectionCreated");
+    collection = await ethers.getContractAt("SoulboundNFT", event.args.collection);
+  });
+
+  it("Should sign a report that recovers to the backend wallet", async function () {
+    const tokenId = await mint();
+
+    const { report, signature, signer } = await buildVerificationReport(await collection.getAddress(), tokenId);
+    expect(signer).to.equal(owner.address);
+    expect(report).to.include({ holder: recipient.address, status: "valid", verified: true });
+    expect(report.checks).to.deep.equal({ status: true, issuerOfCollection: true, issuerActive: true, metadata: true });
+    expect(recoverReportSigner(report, signature)).to.equal(owner.address);
+
+    // Any edit to the report changes the recovered signer
+    expect(recoverReportSigner({ ...report, holder: issuer.address }, signature)).to.not.equal(owner.address);
+
+    const response = await fetch(`${baseUrl}/api/verify/signature`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ report, signature }),
+    });
+    expect(await response.json()).to.deep.equal({ signer: owner.address });
+  });
+
+  it("Should report the issuer tier at issue and today", async function () {
+    const tokenId = await mint();
+    await issuerRegistry.connect(issuer).upgradeToT1(
+      "techacademy.edu",
+      "techacademy.edu",
+      await attest("DomainAttestation", { issuer: issuer.address, domain: "techacademy.edu" })
+    );
+    await issuerRegistry.deactivateIssuer(issuer.address);
+
+    const { report } = await buildVerificationReport(await collection.getAddress(), tokenId);
+    expect(report.issuer).to.include({ address: issuer.address, name: "Tech Academy", tierAtIssue: "T2", tierToday: "T1", isActive: false });
+    expect(report.checks.issuerActive).to.be.false;
+    expect(report.verified).to.be.false;
+  });
+
+  it("Should flag metadata that no longer matches the anchored hash", async function () {
+    const tokenId = await mint();
+    const served = JSON.stringify({ name: "Data Science Track #1", attributes: [{ trait_type: "Grade", value: "B" }] });
+    const cid = computeCid(served);
+    await getStore("content").set(cid, { contentType: "application/json", data: served });
+    await getStore("metadata").set(`${(await collection.getAddress()).toLowerCase()}:${tokenId}`, { cid });
+
+    // The issuer anchored the original metadata, with another grade
+    const anchored = contentHash(JSON.stringify({ name: "Data Science Track #1", attributes: [{ trait_type: "Grade", value: "A" }] }));
+    await collection.connect(issuer).anchorContentHash(tokenId, anchored);
+
+    const { report } = await buildVerificationReport(await collection.getAddress(), tokenId);
+    expect(report.metadata).to.deep.equal({ anchoredHash: anchored, contentHash: contentHash(served), cid, intact: false });
+    expect(report.checks.metadata).to.be.false;
+    expect(report.verified).to.be.false;
+  });
+
+  it("Should not vouch for certificates issued by another issuer than the collection's", async function () {
+    await issuerRegistry.manualVerifyIssuer(otherIssuer.address, "Other Academy");
+    await collection.connect(issuer).transferOwnership(otherIssuer.address);
+    const tokenId = await mint(otherIssuer);
+
+    const { report } = await buildVerificationReport(await collection.getAddress(), tokenId);
+    expect(report.issuer.address).to.equal(otherIssuer.address);
+    expect(report.checks.issuerOfCollection).to.be.false;
+    expect(report.verified).to.be.false;
+  });
+
+  it("Should refuse contracts that are not collections of the deployment", async function () {
+    const standalone = await (await ethers.getContractFactory("SoulboundNFT")).connect(issuer).deploy(
+      "Look-alike", "LOOK", merkleTree.getHexRoot(), await issuerRegistry.getAddress(), ""
+    );
+    await standalone.connect(issuer).mintCertificate(recipient.address, merkleTree.getHexProof(createLeaf(recipient.address)));
+
+    expect(await buildVerificationReport(await standalone.getAddress(), 1)).to.be.null;
+    const response = await fetch(`${baseUrl}/api/verify/${await standalone.getAddress()}/1`);
+    expect(response.status).to.equal(404);
+  });
+
+  it("Should resolve short links to the report", async function () {
+    const tokenId = await mint();
+    const contract = await collection.getAddress();
+
+    const response = await fetch(`${baseUrl}/api/verify/${contract}/${tokenId}`);
+    expect(response.status).to.equal(200);
+    const { report, signature } = await response.json();
+    expect(recoverReportSigner(report, signature)).to.equal(owner.address);
+
+    const code = report.shortLink.replace("/v/", "");
+    expect(code).to.match(/^[A-Za-z0-9_-]{8}$/);
+    expect(await resolveShortLink(code)).to.deep.equal({ contract, tokenId: tokenId.toString() });
+
+    const redirect = await fetch(`${baseUrl}${report.shortLink}`, { redirect: "manual" });
+    expect(redirect.status).to.equal(302);
+    expect(redirect.headers.get("location")).to.equal(`/api/verify/${contract}/${tokenId}`);
+
+    expect((await fetch(`${baseUrl}/v/unknown0`)).status).to.equal(404);
+  });
+});
@@ -0,0 +1,489 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { leafHash } = require("../../backend/src/services/merkle");
+
+// snarkjs outputs for circuits/multiplier with a = 3, b = 11 (public signal c = 33)
+const groth16Proof = require("./fixtures/multiplier/groth16-proof.json");
+const plonkProof = require("./fixtures/multiplier/plonk-proof.json");
+const publicSignals = require("./fixtures/multiplier/public.json");
+
+// snarkjs output for circuits/membership: token 2 of a three-holder snapshot of FIXTURE_COLLECTION,
+// issued by a T1 issuer, proven with minTier = 2 (T2) for the scope of "jobs.example.com"
+const membershipProof = require("./fixtures/membership/proof.json");
+const membershipSignals = require("./fixtures/membership/public.json");
+const [NULLIFIER_HASH, HOLDER_ROOT, , , SCOPE] = membershipSignals;
+const FIXTURE_COLLECTION = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+
+// snarkjs output for circuits/membership: token 1 of a one-holder snapshot of FIXTURE_COLLECTION, proven with
+// minTier = 2 for challengeScope of the "membership-check-7" challenge of the third signer, presented by the second
+const challengeProof = require("./fixtures/membership/challenge-proof.json");
+const challengeSignals = require("./fixtures/membership/challenge-public.json");
+
+// snarkjs output for circuits/disclosure: token 1 held by the second signer reveals its course and
+// proves grade >= B and date >= 2024-01-01 without revealing them
+const disclosureProof = require("./fixtures/disclosure/proof.json");
+const disclosureSignals = require("./fixtures/disclosure/public.json");
+const ATTRIBUTES_ROOT = disclosureSignals[8];
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+// Helper functions encoding snarkjs proofs in the order of `snarkjs zkey export soliditycalldata`
+function encodeGroth16(proof) {
+  return coder.encode(
+    ["uint256[2]", "uint256[2][2]", "uint256[2]"],
+    [
+      proof.pi_a.slice(0, 2),
+      [[proof.pi_b[0][1], proof.pi_b[0][0]], [proof.pi_b[1][1], proof.pi_b[1][0]]],
+      proof.pi_c.slice(0, 2)
+    ]
+  );
+}
+
+function encodePlonk(proof) {
+  const points = ["A", "B", "C", "Z", "T1", "T2", "T3", "Wxi", "Wxiw"].flatMap((key) => proof[key].slice(0, 2));
+  const evaluations = ["eval_a", "eval_b", "eval_c", "eval_s1", "eval_s2", "eval_zw"].map((key) => proof[key]);
+  return coder.encode(["uint256[24]"], [[...points, ...evaluations]]);
+}
+
+function encodeSignals(signals) {
+  return coder.encode(["uint256[]"], [signals]);
+}
+
+describe("ZKVerifier", function () {
+  const GROTH16 = 0;
+  const PLONK = 1;
+  const MEMBERSHIP = 1;
+  const DISCLOSURE = 2;
+  const DAY = 24 * 60 * 60;
+
+  let zkVerifier;
+  let groth16Verifier;
+  let plonkVerifier;
+  let owner;
+  let holder;
+  let other;
+  let groth16CircuitId;
+  let plonkCircuitId;
+
+  beforeEach(async function () {
+    [owner, holder, other] = await ethers.getSigners();
+
+    const ZKVerifier = await ethers.getContractFactory("ZKVerifier");
+    zkVerifier = await ZKVerifier.deploy();
+    await zkVerifier.waitForDeployment();
+
+    // Verifier contracts exported with snarkjs for the reference multiplier circuit
+    groth16Verifier = await (await ethers.getContractFactory("MultiplierGroth16Verifier")).deploy();
+    plonkVerifier = await (await ethers.getContractFactory("MultiplierPlonkVerifier")).deploy();
+
+    await zkVerifier.registerCircuit("Multiplier", "Knows factors of c", await groth16Verifier.getAddress(), GROTH16, 1);
+    await zkVerifier.registerCircuit("Multiplier PLONK", "Knows factors of c", await plonkVerifier.getAddress(), PLONK, 1);
+    groth16CircuitId = 1;
+    plonkCircuitId = 2;
+  });
+
+  describe("Circuit Registration", function () {
+    it("Should record the proving system and public input count", async function () {
+      const circuit = await zkVerifier.getCircuitData(plonkCircuitId);
+      expect(circuit.verifierContract).to.equal(await plonkVerifier.getAddress());
+      expect(circuit.proofSystem).to.equal(PLONK);
+      expect(circuit.publicInputCount).to.equal(1);
+      expect(circuit.isActive).to.be.true;
+    });
+
+    it("Should reject verifier addresses without code", async function () {
+      await expect(
+        zkVerifier.registerCircuit("Broken", "", other.address, GROTH16, 1)
+      ).to.be.revertedWith("ZKVerifier: Invalid verifier contract address");
+    });
+
+    it("Should prevent non-circuit-admins from registering circuits", async function () {
+      await expect(
+        zkVerifier.connect(other).registerCircuit("Fake", "", await groth16Verifier.getAddress(), GROTH16, 1)
+      ).to.be.revertedWith("ZKVerifier: Caller is not a circuit admin");
+    });
+  });
+
+  describe("Groth16 Proofs", function () {
+    it("Should record a valid proof", async function () {
+      await expect(
+        zkVerifier.connect(holder).createProof(groth16CircuitId, encodeGroth16(groth16Proof), encodeSignals(publicSignals), DAY)
+      ).to.emit(zkVerifier, "ProofCreated").withArgs(1, holder.address, groth16CircuitId);
+
+      expect(await zkVerifier["verifyProof(uint256)"](1)).to.be.true;
+      expect((await zkVerifier.getProofData(1)).owner).to.equal(holder.address);
+    });
+
+    it("Should reject a tampered proof", async function () {
+      const tampered = { ...groth16Proof, pi_c: [groth16Proof.pi_a[0], groth16Proof.pi_a[1], "1"] };
+
+      await expect(
+        zkVerifier.createProof(groth16CircuitId, encodeGroth16(tampered), encodeSignals(publicSignals), DAY)
+      ).to.be.revertedWith("ZKVerifier: Invalid proof");
+    });
+
+    it("Should reject a proof for other public inputs", async function () {
+      await expect(
+        zkVerifier.createProof(groth16CircuitId, encodeGroth16(groth16Proof), encodeSignals(["34"]), DAY)
+      ).to.be.revertedWith("ZKVerifier: Invalid proof");
+    });
+
+    it("Should reject the wrong number of public inputs", async function () {
+      await expect(
+        zkVerifier.createProof(groth16CircuitId, encodeGroth16(groth16Proof), encodeSignals(["33", "1"]), DAY)
+      ).to.be.revertedWith("ZKVerifier: Wrong number of public inputs");
+    });
+
+    it("Should reject proofs of the wrong length", async function () {
+      await expect(
+        zkVerifier.createProof(groth16CircuitId, encodePlonk(plonkProof), encodeSignals(publicSignals), DAY)
+      ).to.be.revertedWith("ZKVerifier: Invalid proof length");
+    });
+
+    it("Should check proofs without recording them", async function () {
+      expect(await zkVerifier.checkProof(groth16CircuitId, encodeGroth16(groth16Proof), encodeSignals(publicSignals))).to.be.true;
+      expect(await zkVerifier.checkProof(groth16CircuitId, encodeGroth16(groth16Proof), encodeSignals(["34"]))).to.be.false;
+      expect(await zkVerifier.getProofCount(owner.address)).to.equal(0);
+    });
+  });
+
+  describe("PLONK Proofs", function () {
+    it("Should record a valid proof", async function () {
+      await zkVerifier.connect(holder).createProof(plonkCircuitId, encodePlonk(plonkProof), encodeSignals(publicSignals), DAY);
+
+      expect(await zkVerifier["verifyProof(uint256)"](1)).to.be.true;
+    });
+
+    it("Should reject a proof for other public inputs", async function () {
+      await expect(
+        zkVerifier.createProof(plonkCircuitId, encodePlonk(plonkProof), encodeSignals(["34"]), DAY)
+      ).to.be.revertedWith("ZKVerifier: Invalid proof");
+    });
+  });
+
+  describe("Proof Lifecycle", function () {
+    beforeEach(async function () {
+      await zkVerifier.connect(holder).createProof(groth16CircuitId, encodeGroth16(groth16Proof), encodeSignals(publicSignals), DAY);
+    });
+
+    it("Should stop accepting proofs for deactivated circuits", async function () {
+      await expect(zkVerifier.deactivateCircuit(groth16CircuitId))
+        .to.emit(zkVerifier, "CircuitStatusChanged")
+        .withArgs(groth16CircuitId, false);
+
+      await expect(
+        zkVerifier.createProof(groth16CircuitId, encodeGroth16(groth16Proof), encodeSignals(publicSignals), DAY)
+      ).to.be.revertedWith("ZKVerifier: Circuit is not active");
+    });
+
+    it("Should stop accepting proofs while paused", async function () {
+      await zkVerifier.pause();
+      await expect(
+        zkVerifier.connect(holder).createProof(groth16CircuitId, encodeGroth16(groth16Proof), encodeSignals(publicSignals), DAY)
+      ).to.be.revertedWithCustomError(zkVerifier, "EnforcedPause");
+
+      // Existing proofs keep verifying
+      expect(await zkVerifier["verifyProof(uint256)"](1)).to.be.true;
+    });
+
+    it("Should let circuit admins revoke any proof", async function () {
+      await expect(zkVerifier.connect(other).revokeProof(1))
+        .to.be.revertedWith("ZKVerifier: Caller is not authorized to revoke this proof");
+
+      await zkVerifier.grantRole(await zkVerifier.CIRCUIT_ADMIN_ROLE(), other.address);
+      await zkVerifier.connect(other).revokeProof(1);
+      expect(await zkVerifier["verifyProof(uint256)"](1)).to.be.false;
+    });
+
+    it("Should invalidate revoked proofs", async function () {
+      await expect(zkVerifier.connect(holder).revokeProof(1))
+        .to.emit(zkVerifier, "ProofRevoked")
+        .withArgs(1, holder.address);
+      expect(await zkVerifier["verifyProof(uint256)"](1)).to.be.false;
+    });
+
+    it("Should invalidate expired proofs", async function () {
+      await time.increase(DAY + 1);
+      expect(await zkVerifier["verifyProof(uint256)"](1)).to.be.false;
+    });
+  });
+
+  describe("Presentations", function () {
+    const nonce = ethers.id("job-application-42");
+
+    async function createProof(signer) {
+      await zkVerifier.connect(signer).createProof(groth16CircuitId, encodeGroth16(groth16Proof), encodeSignals(publicSignals), DAY);
+      return (await zkVerifier.getProofsByOwner(signer.address)).at(-1);
+    }
+
+    beforeEach(async function () {
+      // `other` acts as the verifier
+      await zkVerifier.connect(other).createChallenge(groth16CircuitId, nonce, DAY);
+    });
+
+    it("Should bind a presented proof to the challenge and its verifier", async function () {
+      const proofId = await createProof(holder);
+
+      await expect(zkVerifier.connect(holder).presentProof(1, proofId))
+        .to.emit(zkVerifier, "ProofPresented")
+        .withArgs(1, proofId, holder.address, other.address);
+
+      const challenge = await zkVerifier.getChallenge(1);
+      expect(challenge.proofId).to.equal(proofId);
+      expect(challenge.holder).to.equal(holder.address);
+      expect(await zkVerifier.verifyPresentation(1)).to.be.true;
+      expect(await zkVerifier["verifyProof(uint256,address)"](proofId, other.address)).to.be.true;
+      expect(await zkVerifier["verifyProof(uint256,address)"](proofId, owner.address)).to.be.false;
+    });
+
+    it("Should not count unpresented proofs for a verifier", async function () {
+      const proofId = await createProof(holder);
+
+      expect(await zkVerifier["verifyProof(uint256,address)"](proofId, other.address)).to.be.false;
+      expect(await zkVerifier["verifyProof(uint256,address)"](proofId, ethers.ZeroAddress)).to.be.false;
+      expect(await zkVerifier["verifyProof(uint256)"](proofId)).to.be.true;
+    });
+
+    it("Should not record the same proof twice", async function () {
+      await createProof(holder);
+
+      await expect(createProof(owner)).to.be.revertedWith("ZKVerifier: Proof already recorded");
+    });
+
+    it("Should prevent replaying a proof to another challenge", async function () {
+      const proofId = await createProof(holder);
+      await zkVerifier.connect(holder).presentProof(1, proofId);
+      await zkVerifier.connect(owner).createChallenge(groth16CircuitId, nonce, DAY);
+
+      await expect(zkVerifier.connect(holder).presentProof(2, proofId)).to.be.revertedWith("ZKVerifier: Proof already presented");
+    });
+
+    it("Should only let the proof owner present it", async function () {
+      const proofId = await createProof(holder);
+
+      await expect(zkVerifier.connect(owner).presentProof(1, proofId)).to.be.revertedWith("ZKVerifier: Caller is not the proof owner");
+    });
+
+    it("Should reject proofs created before the challenge", async function () {
+      const proofId = await createProof(holder);
+      await zkVerifier.connect(other).createChallenge(groth16CircuitId, ethers.id("later"), DAY);
+      await time.increase(10);
+
+      await expect(zkVerifier.connect(holder).presentProof(2, proofId)).to.be.revertedWith("ZKVerifier: Proof predates the challenge");
+    });
+
+    it("Should reject proofs of another circuit", async function () {
+      await zkVerifier.connect(holder).createProof(plonkCircuitId, encodePlonk(plonkProof), encodeSignals(publicSignals), DAY);
+
+      await expect(zkVerifier.connect(holder).presentProof(1, 1)).to.be.revertedWith("ZKVerifier: Wrong circuit");
+    });
+
+    it("Should accept a single presentation per challenge", async function () {
+      await zkVerifier.connect(holder).presentProof(1, await createProof(holder));
+      await zkVerifier.connect(owner).createProof(plonkCircuitId, encodePlonk(plonkProof), encodeSignals(publicSignals), DAY);
+
+      await expect(zkVerifier.connect(owner).presentProof(1, 2)).to.be.revertedWith("ZKVerifier: Challenge already answered");
+    });
+
+    it("Should reject expired and cancelled challenges", async function () {
+      await zkVerifier.connect(other).createChallenge(groth16CircuitId, ethers.id("cancelled"), DAY);
+      await zkVerifier.connect(other).cancelChallenge(2);
+      await time.increase(DAY + 1);
+      const proofId = await createProof(holder);
+
+      await expect(zkVerifier.connect(holder).presentProof(1, proofId)).to.be.revertedWith("ZKVerifier: Challenge expired");
+      await expect(zkVerifier.connect(holder).presentProof(2, proofId)).to.be.revertedWith("ZKVerifier: Challenge was cancelled");
+    });
+
+    it("Should reject reused nonces per verifier", async function () {
+      await expect(
+        zkVerifier.connect(other).createChallenge(groth16CircuitId, nonce, DAY)
+      ).to.be.revertedWith("ZKVerifier: Nonce already used");
+    });
+
+    it("Should stop verifying presentations of revoked proofs", async function () {
+      const proofId = await createProof(holder);
+      await zkVerifier.connect(holder).presentProof(1, proofId);
+      await zkVerifier.connect(holder).revokeProof(proofId);
+
+      expect(await zkVerifier.verifyPresentation(1)).to.be.false;
+    });
+  });
+
+  describe("Membership Proofs", function () {
+    let membershipCircuitId;
+
+    beforeEach(async function () {
+      const membershipVerifier = await (await ethers.getContractFactory("MembershipVerifier")).deploy();
+      await zkVerifier.registerCircuit("Holder Membership", "Holds a certificate of a collection", await membershipVerifier.getAddress(), GROTH16, 5);
+      membershipCircuitId = 3;
+      await zkVerifier.setCircuitKind(membershipCircuitId, MEMBERSHIP);
+      await zkVerifier.publishHolderRoot(FIXTURE_COLLECTION, HOLDER_ROOT);
+    });
+
+    function proveMembership(signer, signals = membershipSignals) {
+      return zkVerifier.connect(signer).createMembershipProof(membershipCircuitId, encodeGroth16(membershipProof), encodeSignals(signals), DAY);
+    }
+
+    it("Should record the claim of a valid membership proof", async function () {
+      await expect(proveMembership(holder))
+        .to.emit(zkVerifier, "MembershipProven")
+        .withArgs(1, FIXTURE_COLLECTION, SCOPE, NULLIFIER_HASH);
+
+      const claim = await zkVerifier.getMembershipClaim(1);
+      expect(claim.collection).to.equal(FIXTURE_COLLECTION);
+      expect(claim.root).to.equal(HOLDER_ROOT);
+      expect(claim.minTier).to.equal(2);
+      expect(await zkVerifier.isNullifierUsed(SCOPE, NULLIFIER_HASH)).to.be.true;
+      expect(await zkVerifier["verifyProof(uint256)"](1)).to.be.true;
+    });
+
+    it("Should accept each nullifier once per scope", async function () {
+      await proveMembership(holder);
+
+      await expect(proveMembership(other)).to.be.revertedWith("ZKVerifier: Nullifier already used");
+    });
+
+    it("Should reject the proof for another scope", async function () {
+      const otherScope = [...membershipSignals];
+      otherScope[4] = "1";
+
+      await expect(proveMembership(holder, otherScope)).to.be.revertedWith("ZKVerifier: Invalid proof");
+    });
+
+    it("Should reject roots that were not published for the collection", async function () {
+      const otherCollection = ethers.Wallet.createRandom().address;
+
+      expect(await zkVerifier.isHolderRootValid(otherCollection, HOLDER_ROOT)).to.be.false;
+    });
+
+    it("Should stop accepting a superseded root after the grace period", async function () {
+      await zkVerifier.publishHolderRoot(FIXTURE_COLLECTION, 1);
+      await time.increase(60 * 60 + 1);
+
+      await expect(proveMembership(holder)).to.be.revertedWith("ZKVerifier: Unknown holder root");
+    });
+
+    it("Should keep accepting a superseded root during the grace period", async function () {
+      await zkVerifier.publishHolderRoot(FIXTURE_COLLECTION, 1);
+
+      expect(await zkVerifier.getLatestHolderRoot(FIXTURE_COLLECTION)).to.equal(1);
+      await expect(proveMembership(holder)).to.emit(zkVerifier, "MembershipProven");
+    });
+
+    it("Should only accept membership proofs made for the challenge and its presenter", async function () {
+      const [, , verifier] = await ethers.getSigners();
+      await zkVerifier.connect(verifier).createChallenge(membershipCircuitId, ethers.id("membership-check-7"), DAY);
+      expect(await zkVerifier.challengeScope(1, holder.address)).to.equal(challengeSignals[4]);
+
+      // Anyone may record the proof, but only the holder it was made for can present it
+      await zkVerifier.publishHolderRoot(FIXTURE_COLLECTION, challengeSignals[1]);
+      await zkVerifier.connect(owner).createMembershipProof(
+        membershipCircuitId, encodeGroth16(challengeProof), encodeSignals(challengeSignals), DAY
+      );
+      await expect(zkVerifier.connect(owner).presentProof(1, 1)).to.be.revertedWith("ZKVerifier: Proof is not bound to this challenge");
+      await expect(zkVerifier.connect(holder).presentProof(1, 1))
+        .to.emit(zkVerifier, "ProofPresented")
+        .withArgs(1, 1, holder.address, verifier.address);
+
+      // A proof made for another scope answers no challenge
+      await zkVerifier.connect(verifier).createChallenge(membershipCircuitId, ethers.id("membership-check-8"), DAY);
+      await proveMembership(holder);
+      await expect(zkVerifier.connect(holder).presentProof(2, 2)).to.be.revertedWith("ZKVerifier: Proof is not bound to this challenge");
+    });
+
+    it("Should route membership circuits through createMembershipProof", async function () {
+      await expect(
+        zkVerifier.createProof(membershipCircuitId, encodeGroth16(membershipProof), encodeSignals(membershipSignals), DAY)
+      ).to.be.revertedWith("ZKVerifier: Circuit needs a dedicated entry point");
+      await expect(
+        zkVerifier.createMembershipProof(groth16CircuitId, encodeGroth16(groth16Proof), encodeSignals(publicSignals), DAY)
+      ).to.be.revertedWith("ZKVerifier: Not a membership circuit");
+    });
+
+    it("Should only let root publishers publish holder roots", async function () {
+      await expect(
+        zkVerifier.connect(other).publishHolderRoot(FIXTURE_COLLECTION, 1)
+      ).to.be.revertedWithCustomError(zkVerifier, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should register identity commitments", async function () {
+      await expect(zkVerifier.connect(holder).registerIdentity(12345))
+        .to.emit(zkVerifier, "IdentityRegistered")
+        .withArgs(holder.address, 12345);
+      expect(await zkVerifier.identityCommitmentOf(holder.address)).to.equal(12345);
+
+      await expect(
+        zkVerifier.connect(holder).registerIdentity(ethers.MaxUint256)
+      ).to.be.revertedWith("ZKVerifier: Invalid identity commitment");
+    });
+  });
+
+  describe("Disclosure Proofs", function () {
+    let disclosureCircuitId;
+    let collection;
+
+    beforeEach(async function () {
+      const disclosureVerifier = await (await ethers.getContractFactory("DisclosureVerifier")).deploy();
+      await zkVerifier.registerCircuit("Attribute Disclosure", "Discloses certificate attributes", await disclosureVerifier.getAddress(), GROTH16, 27);
+      disclosureCircuitId = 3;
+      await zkVerifier.setCircuitKind(disclosureCircuitId, DISCLOSURE);
+
+      // Certificate 1 of a collection, minted to the holder with the fixture's attributes root
+      const issuerRegistry = await (await ethers.getContractFactory("IssuerRegistry")).deploy();
+      await issuerRegistry.manualVerifyIssuer(owner.address, "Test Issuer Organization");
+      const leaf = leafHash({ address: holder.address });
+      collection = await (await ethers.getContractFactory("SoulboundNFT")).deploy(
+        "Test Certificate", "TCERT", leaf, await issuerRegistry.getAddress(), ""
+      );
+      await collection.mintWithAttributes(holder.address, ethers.ZeroHash, [], ATTRIBUTES_ROOT);
+    });
+
+    function disclose(signer, signals = disclosureSignals) {
+      return zkVerifier.connect(signer).createDisclosureProof(
+        disclosureCircuitId, encodeGroth16(disclosureProof), encodeSignals(signals), collection.target, 1, DAY
+      );
+    }
+
+    it("Should record a disclosure of the holder's certificate", async function () {
+      await expect(disclose(holder))
+        .to.emit(zkVerifier, "AttributesDisclosed")
+        .withArgs(1, collection.target, 1, disclosureSignals);
+
+      const claim = await zkVerifier.getDisclosureClaim(1);
+      expect(claim.collection).to.equal(collection.target);
+      expect(claim.tokenId).to.equal(1);
+    });
+
+    it("Should reject disclosures with other predicates", async function () {
+      const weakerGrade = [...disclosureSignals];
+      weakerGrade[8 + 3 + 3] = "0"; // minValues[grade]
+
+      await expect(disclose(holder, weakerGrade)).to.be.revertedWith("ZKVerifier: Invalid proof");
+    });
+
+    it("Should only accept the certificate holder", async function () {
+      await expect(disclose(other)).to.be.revertedWith("ZKVerifier: Caller is not the certificate holder");
+    });
+
+    it("Should reject disclosures of revoked certificates", async function () {
+      await collection.revokeCertificate(1, 0);
+
+      await expect(disclose(holder)).to.be.revertedWith("ZKVerifier: Certificate is not valid");
+    });
+
+    it("Should reject proofs against another attributes root", async function () {
+      const otherRoot = [...disclosureSignals];
+      otherRoot[8] = "1";
+
+      await expect(disclose(holder, otherRoot)).to.be.revertedWith("ZKVerifier: Attributes root mismatch");
+    });
+
+    it("Should check the public signal count of the circuit kind", async function () {
+      await expect(
+        zkVerifier.setCircuitKind(groth16CircuitId, DISCLOSURE)
+      ).to.be.revertedWith("ZKVerifier: Wrong number of public inputs");
+    });
+  });
+});